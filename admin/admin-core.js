@@ -42,31 +42,16 @@ class RechargeValidator {
     this.recharges = [];
     this.validatedEntries = [];
     this.lastFetchTime = null;
-
-    this.noDrawHolidays = [
-      '12-25',
-      '01-01'
-    ];
   }
 
+  // Sundays, holidays and draw times come from the shared draw calendar
   isNoDrawDay(dateObj) {
-    const f = brtFields(dateObj);
-    if (f.weekday === 0) return true; // Sunday
-    const m = String(f.month + 1).padStart(2, '0');
-    const d = String(f.day).padStart(2, '0');
-    const key = `${m}-${d}`;
-    if (this.noDrawHolidays.includes(key)) return true;
-    return false;
+    return DrawCalendar.isNoDrawDay(dateObj);
   }
 
   getCutoffTime(dateObj) {
-    const f = brtFields(dateObj);
-    const m = f.month + 1;
-    const d = f.day;
-    if ((m === 12 && d === 24) || (m === 12 && d === 31)) {
-      return { hour: 20, minute: 0, second: 0 };
-    }
-    return { hour: 20, minute: 0, second: 0 };
+    const { hour, minute } = DrawCalendar.getDrawTime(dateObj);
+    return { hour, minute, second: 0 };
   }
 
   buildCutoffDateTime(dateObj) {
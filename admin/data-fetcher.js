@@ -53,13 +53,20 @@ class DataFetcher {
                 displayDrawDate: DateUtils.formatHumanReadable(drawDate),
                 contest: values[8],
                 ticketNumber: values[9],
-                csvStatus: values[10] ? values[10].trim().toUpperCase() : ''  // Read column K for winners
+                csvStatus: values[10] ? values[10].trim().toUpperCase() : '',  // Read column K for winners
+                ticketKey: values[13] || ''  // Column N: idempotency key from the player form
             };
 
             entries.push(entry);
         }
 
-        return entries;
+        return DataFetcher.collapseDuplicates(entries);
+    }
+
+    // Retries of the same submission share a ticket key: keep the earliest row only.
+    // Rows without a key (older data) are left alone. Same rule as homina (SheetParser).
+    static collapseDuplicates(entries) {
+        return SheetParser.collapseDuplicateEntries(entries, entry => entry.registrationDateTime);
     }
 
     parseCSVLine(line) {
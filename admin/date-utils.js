@@ -126,6 +126,19 @@ function formatTimestamp(date) {
   return `${day}/${month}/${year} ${hour}:${min}:${sec}`;
 }
 
+// Draw calendar (shared draw-calendar.js). Admin dates are BRT wall time,
+// so look days up by their YYYY-MM-DD key instead of the instant.
+function isNoDrawDay(date) {
+  const key = normalizeToYYYYMMDD(date);
+  return key ? DrawCalendar.isNoDrawDay(key) : false;
+}
+
+// Draw time of that day as { hour, minute, second }
+function getDrawTime(date) {
+  const { hour, minute } = DrawCalendar.getDrawTime(normalizeToYYYYMMDD(date));
+  return { hour, minute, second: 0 };
+}
+
 // Parse any allowed format
 function parseDate(dateStr) {
   if (!dateStr || typeof dateStr !== 'string') return null;
@@ -153,5 +166,7 @@ window.DateUtils = {
   normalizeToYYYYMMDD,
   normalizeToYYYYMMDDHHMMSS,
   formatHumanReadable,
-  formatTimestamp
+  formatTimestamp,
+  isNoDrawDay,
+  getDrawTime
 };
\ No newline at end of file
@@ -34,12 +34,6 @@ class RechargeValidator {
         this.recharges = [];
         this.validatedEntries = [];
         this.lastFetchTime = null;
-
-        // No-draw holidays (extend as needed)
-        this.noDrawHolidays = [
-            '12-25', // Dec 25
-            '01-01'  // Jan 1
-        ];
     }
 
     async fetchRechargeData() {
@@ -58,24 +52,13 @@ class RechargeValidator {
 
     // ---------- Draw / cutoff helpers (BRT, merged windows) ----------
 
+    // Sundays and holidays come from the shared draw calendar (draw-calendar.js)
     isNoDrawDay(dateObj) {
-        const f = brtFields(dateObj);
-        if (f.weekday === 0) return true; // Sunday
-        const m = String(f.month + 1).padStart(2, '0');
-        const d = String(f.day).padStart(2, '0');
-        const key = `${m}-${d}`;
-        if (this.noDrawHolidays.includes(key)) return true;
-        return false;
+        return DateUtils.isNoDrawDay(dateObj);
     }
 
     getCutoffTime(dateObj) {
-        const f = brtFields(dateObj);
-        const m = f.month + 1;
-        const d = f.day;
-        if ((m === 12 && d === 24) || (m === 12 && d === 31)) {
-            return { hour: 16, minute: 0, second: 0 };
-        }
-        return { hour: 20, minute: 0, second: 0 };
+        return DateUtils.getDrawTime(dateObj);
     }
 
     buildCutoffDateTime(dateObj) {
@@ -227,6 +210,9 @@ class RechargeValidator {
 
     // ---------- Core validation (Rule B, merged windows) ----------
     validateEntries(entries) {
+        // A retried submission must not bind a second recharge
+        entries = DataFetcher.collapseDuplicates(entries);
+
         if (this.recharges.length === 0) {
             console.warn('No recharge data loaded. Upload recharge CSV first.');
             return entries.map(entry => ({
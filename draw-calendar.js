@@ -0,0 +1,884 @@
+/**
+ * POP-SORTE - Shared Draw Calendar
+ *
+ * Single source of truth for draw days, draw times and cutoffs. Loaded by the
+ * player site (pop-sorte.js), the homina admin and the legacy admin so the
+ * ticket form and the validators can never disagree about a holiday again.
+ *
+ * Calendar Rules:
+ * 1. Draws run Monday to Saturday at 20:00 BRT
+ * 2. No draws on Sundays
+ * 3. Exceptions table overrides the weekly rule for specific dates:
+ *    - NO_DRAW    : draw suspended (Christmas, New Year, Caixa maintenance...)
+ *    - EARLY_DRAW : draw moved to an earlier time (Dec 24/31 at 17:00)
+ *    - EXTRA_DRAW : special draw on a day that normally has none
+ *                   (e.g. "Quina de São João" on a Sunday)
+ * 4. Registration for a draw closes 1 second before the draw time
+ * 5. The entry form is frozen around each draw (1 minute before to 1 minute
+ *    after by default; the Worker publishes its own values) so a ticket sent
+ *    in the last seconds never lands on an arbitrary draw
+ *
+ * Exception dates are either a full date ("2026-02-17") that applies once, or
+ * a month-day ("12-25") that repeats every year. A full date always wins over
+ * a recurring entry for the same day.
+ *
+ * The table is edited in the homina admin (Calendar section) and published
+ * through the Worker API (GET/POST /api/calendar). Every page keeps the last
+ * table it saw in localStorage, so a failed fetch never falls back to a
+ * calendar that is missing a known suspension.
+ *
+ * Contest numbers are projected by counting draw days from an anchor. The
+ * anchor is the latest contest/date pair in the results feed when one has
+ * been reconciled (reconcileConcurso), otherwise the fixed CONCURSO_REFERENCE.
+ *
+ * All dates are evaluated in Brazil time (fixed UTC-3, no DST).
+ *
+ * Dependencies: none
+ */
+
+// ============================================
+// Draw Calendar Module
+// ============================================
+(function(global) {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Brazil offset from UTC in hours (UTC-3, no DST since 2019)
+     */
+    const BRT_OFFSET_HOURS = 3;
+    const BRT_OFFSET_MS = BRT_OFFSET_HOURS * 60 * 60 * 1000;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    /**
+     * Regular draw time (20:00 BRT)
+     */
+    const DEFAULT_DRAW_TIME = '20:00';
+
+    /**
+     * Draw time on early-draw days when the exception does not set one
+     */
+    const DEFAULT_EARLY_DRAW_TIME = '17:00';
+
+    /**
+     * How far ahead the calendar searches for the next draw day
+     */
+    const MAX_LOOKAHEAD_DAYS = 60;
+
+    /**
+     * Default registration freeze around each draw
+     */
+    const DEFAULT_FREEZE = { beforeSeconds: 60, afterSeconds: 60 };
+
+    /**
+     * How long before the freeze the window reports "closing" (5 minutes)
+     */
+    const CLOSING_WARNING_MS = 5 * 60 * 1000;
+
+    /**
+     * Registration window states
+     */
+    const RegistrationState = {
+        OPEN: 'open',
+        CLOSING: 'closing',
+        CLOSED: 'closed'
+    };
+
+    /**
+     * Fixed contest reference, used until results have been reconciled
+     */
+    const CONCURSO_REFERENCE = { number: 6903, date: '2025-12-15' };
+
+    /**
+     * Number of most recent results checked against the calendar (~2 weeks)
+     */
+    const RECONCILE_WINDOW = 12;
+
+    /**
+     * Worker endpoint for the exceptions table
+     */
+    const CALENDAR_ENDPOINT = '/api/calendar';
+
+    /**
+     * localStorage key for the last known exceptions table
+     */
+    const STORAGE_KEY = 'popsorte_draw_calendar';
+
+    /**
+     * Fetch timeout in milliseconds (10 seconds)
+     */
+    const FETCH_TIMEOUT = 10 * 1000;
+
+    /**
+     * Exception types
+     */
+    const ExceptionType = {
+        NO_DRAW: 'NO_DRAW',
+        EARLY_DRAW: 'EARLY_DRAW',
+        EXTRA_DRAW: 'EXTRA_DRAW'
+    };
+
+    /**
+     * Built-in exceptions, used until a custom table is loaded
+     */
+    const DEFAULT_EXCEPTIONS = [
+        { date: '12-25', type: ExceptionType.NO_DRAW, label: 'Natal' },
+        { date: '01-01', type: ExceptionType.NO_DRAW, label: 'Confraternização Universal' },
+        { date: '12-24', type: ExceptionType.EARLY_DRAW, time: DEFAULT_EARLY_DRAW_TIME, label: 'Véspera de Natal' },
+        { date: '12-31', type: ExceptionType.EARLY_DRAW, time: DEFAULT_EARLY_DRAW_TIME, label: 'Véspera de Ano Novo' }
+    ];
+
+    // ============================================
+    // State
+    // ============================================
+
+    let exceptions = [];
+    let exceptionIndex = new Map(); // date key ("YYYY-MM-DD" or "MM-DD") -> exception
+    let updatedAt = null;
+    let concursoAnchor = null; // {number, date} from the results feed
+    const changeListeners = [];
+
+    // ============================================
+    // Date Helpers (BRT)
+    // ============================================
+
+    const pad = (n) => String(n).padStart(2, '0');
+
+    /**
+     * Get Brazil calendar components for an instant
+     * @param {Date} date - Instant to convert
+     * @returns {Object|null} {year, month (1-12), day, weekday (0 = Sunday), hour, minute, second}
+     */
+    function getBrazilComponents(date) {
+        if (!(date instanceof Date) || isNaN(date.getTime())) return null;
+        const br = new Date(date.getTime() - BRT_OFFSET_MS);
+        return {
+            year: br.getUTCFullYear(),
+            month: br.getUTCMonth() + 1,
+            day: br.getUTCDate(),
+            weekday: br.getUTCDay(),
+            hour: br.getUTCHours(),
+            minute: br.getUTCMinutes(),
+            second: br.getUTCSeconds()
+        };
+    }
+
+    /**
+     * Normalize a Date or date string to a BRT date key
+     * Accepts Date, "YYYY-MM-DD", "YYYY-MM-DDTHH:MM..." and "DD/MM/YYYY"
+     * @param {Date|string} input - Date to normalize
+     * @returns {string|null} "YYYY-MM-DD" or null if invalid
+     */
+    function toDateKey(input) {
+        if (input instanceof Date) {
+            const c = getBrazilComponents(input);
+            return c ? `${c.year}-${pad(c.month)}-${pad(c.day)}` : null;
+        }
+        if (typeof input !== 'string') return null;
+
+        const str = input.trim();
+        let match = str.match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+        match = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+        if (match) return `${match[3]}-${pad(match[2])}-${pad(match[1])}`;
+
+        return null;
+    }
+
+    /**
+     * Build a Date for a BRT wall-clock time on a given day
+     * @param {Date|string} input - Day (Date or date string)
+     * @param {number} [hour=0] - BRT hour
+     * @param {number} [minute=0] - Minute
+     * @param {number} [second=0] - Second
+     * @returns {Date|null} Instant for that BRT time
+     */
+    function makeBrazilDate(input, hour = 0, minute = 0, second = 0) {
+        const key = toDateKey(input);
+        if (!key) return null;
+        const [y, m, d] = key.split('-').map(Number);
+        return new Date(Date.UTC(y, m - 1, d, hour + BRT_OFFSET_HOURS, minute, second));
+    }
+
+    /**
+     * Midnight BRT for a given day
+     * @param {Date|string} input - Day
+     * @returns {Date|null} Midnight BRT
+     */
+    function startOfDay(input) {
+        return makeBrazilDate(input, 0, 0, 0);
+    }
+
+    /**
+     * Add calendar days to a day (BRT)
+     * @param {Date|string} input - Day
+     * @param {number} days - Days to add (may be negative)
+     * @returns {Date|null} Midnight BRT of the resulting day
+     */
+    function addDays(input, days) {
+        const start = startOfDay(input);
+        return start ? new Date(start.getTime() + days * DAY_MS) : null;
+    }
+
+    /**
+     * Parse "HH:MM" into hour/minute
+     * @param {string} time - Time string
+     * @returns {Object|null} {hour, minute}
+     */
+    function parseTime(time) {
+        const match = String(time || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+        if (!match) return null;
+        const hour = parseInt(match[1], 10);
+        const minute = parseInt(match[2], 10);
+        if (hour > 23 || minute > 59) return null;
+        return { hour, minute };
+    }
+
+    // ============================================
+    // Exceptions Table
+    // ============================================
+
+    /**
+     * Normalize an exception entry, returning null when it is unusable
+     * @param {Object} raw - {date, type, time?, label?}
+     * @returns {Object|null} Normalized exception
+     */
+    function normalizeException(raw) {
+        if (!raw || !raw.date) return null;
+
+        const type = String(raw.type || '').toUpperCase();
+        if (!ExceptionType[type]) return null;
+
+        const dateStr = String(raw.date).trim();
+        let date;
+        if (/^\d{2}-\d{2}$/.test(dateStr)) {
+            date = dateStr; // Recurring month-day
+        } else {
+            date = toDateKey(dateStr);
+            if (!date) return null;
+        }
+
+        const exception = { date, type, label: raw.label ? String(raw.label) : '' };
+
+        if (type !== ExceptionType.NO_DRAW) {
+            const fallback = type === ExceptionType.EARLY_DRAW ? DEFAULT_EARLY_DRAW_TIME : DEFAULT_DRAW_TIME;
+            const time = parseTime(raw.time) ? String(raw.time).trim() : fallback;
+            const parsed = parseTime(time);
+            exception.time = `${pad(parsed.hour)}:${pad(parsed.minute)}`;
+        }
+
+        return exception;
+    }
+
+    /**
+     * Replace the exceptions table
+     * Listeners are only notified when the table actually changes.
+     * @param {Array} list - Exception entries ({date, type, time?, label?})
+     * @returns {Array} Normalized exceptions that were accepted
+     */
+    function setExceptions(list) {
+        const next = (Array.isArray(list) ? list : [])
+            .map(normalizeException)
+            .filter(Boolean)
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        const changed = JSON.stringify(next) !== JSON.stringify(exceptions);
+
+        exceptions = next;
+        exceptionIndex = new Map();
+        exceptions.forEach(ex => exceptionIndex.set(ex.date, ex));
+
+        if (changed) {
+            changeListeners.forEach(listener => {
+                try {
+                    listener(getExceptions());
+                } catch (error) {
+                    console.error('DrawCalendar listener error:', error);
+                }
+            });
+        }
+
+        return getExceptions();
+    }
+
+    /**
+     * Get a copy of the current exceptions table
+     * @returns {Array} Exceptions
+     */
+    function getExceptions() {
+        return exceptions.map(ex => ({ ...ex }));
+    }
+
+    /**
+     * Restore the built-in exceptions
+     */
+    function resetExceptions() {
+        setExceptions(DEFAULT_EXCEPTIONS);
+    }
+
+    /**
+     * Subscribe to exceptions table changes
+     * @param {Function} listener - Called with the new exceptions list
+     */
+    function onChange(listener) {
+        if (typeof listener === 'function') {
+            changeListeners.push(listener);
+        }
+    }
+
+    /**
+     * When the current table was last published (null for built-in defaults)
+     * @returns {string|null} ISO timestamp
+     */
+    function getUpdatedAt() {
+        return updatedAt;
+    }
+
+    // ============================================
+    // Persistence (localStorage + Worker API)
+    // ============================================
+
+    /**
+     * Save the current table as the last known calendar
+     */
+    function saveToStorage() {
+        try {
+            if (typeof localStorage === 'undefined') return;
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ exceptions, updatedAt }));
+        } catch (e) {
+            console.warn('Could not save draw calendar to localStorage:', e);
+        }
+    }
+
+    /**
+     * Apply the last known calendar from localStorage
+     * @returns {boolean} True if a stored table was applied
+     */
+    function loadFromStorage() {
+        try {
+            if (typeof localStorage === 'undefined') return false;
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (!stored || !Array.isArray(stored.exceptions)) return false;
+            updatedAt = stored.updatedAt || null;
+            setExceptions(stored.exceptions);
+            return true;
+        } catch (e) {
+            console.warn('Could not read draw calendar from localStorage:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Call the calendar endpoint with a timeout
+     * @param {string} apiBaseUrl - Worker base URL
+     * @param {Object} [options] - fetch options
+     * @returns {Promise<Object>} Parsed JSON response
+     */
+    async function callCalendarApi(apiBaseUrl, options = {}) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+        try {
+            const response = await fetch(`${apiBaseUrl}${CALENDAR_ENDPOINT}`, {
+                cache: 'no-store',
+                ...options,
+                signal: controller.signal
+            });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok || data.success === false) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+            return data;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('Request timeout');
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Load the published exceptions table
+     * Never throws: on failure the last known (or built-in) table stays active.
+     * @param {string} apiBaseUrl - Worker base URL
+     * @returns {Promise<boolean>} True if the published table was loaded
+     */
+    async function loadExceptions(apiBaseUrl) {
+        try {
+            const data = await callCalendarApi(apiBaseUrl);
+            if (!Array.isArray(data.exceptions)) {
+                throw new Error('Invalid calendar response');
+            }
+            updatedAt = data.updatedAt || null;
+            setExceptions(data.exceptions);
+            saveToStorage();
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Could not load draw calendar, using last known table:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Publish a new exceptions table
+     * @param {string} apiBaseUrl - Worker base URL
+     * @param {Array} list - Exception entries
+     * @param {Object} [meta] - Extra fields sent along (e.g. {updatedBy})
+     * @param {Object} [headers] - Extra request headers (e.g. Authorization)
+     * @returns {Promise<Array>} Accepted exceptions
+     * @throws {Error} If the Worker rejects the table
+     */
+    async function saveExceptions(apiBaseUrl, list, meta = {}, headers = {}) {
+        const normalized = (Array.isArray(list) ? list : []).map(normalizeException).filter(Boolean);
+
+        const data = await callCalendarApi(apiBaseUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify({ ...meta, exceptions: normalized })
+        });
+
+        updatedAt = data.updatedAt || new Date().toISOString();
+        const accepted = setExceptions(Array.isArray(data.exceptions) ? data.exceptions : normalized);
+        saveToStorage();
+        return accepted;
+    }
+
+    /**
+     * Find the exception that applies to a day (dated entries win over recurring)
+     * @param {Date|string} input - Day
+     * @returns {Object|null} Exception or null
+     */
+    function getException(input) {
+        const key = toDateKey(input);
+        if (!key) return null;
+        return exceptionIndex.get(key) || exceptionIndex.get(key.slice(5)) || null;
+    }
+
+    // ============================================
+    // Draw Day Rules
+    // ============================================
+
+    /**
+     * Check if a day has a draw
+     * @param {Date|string} input - Day
+     * @returns {boolean} True if there is a draw on this day
+     */
+    function isDrawDay(input) {
+        const key = toDateKey(input);
+        if (!key) return false;
+
+        const exception = getException(key);
+        if (exception) {
+            return exception.type !== ExceptionType.NO_DRAW;
+        }
+
+        const [y, m, d] = key.split('-').map(Number);
+        return new Date(Date.UTC(y, m - 1, d)).getUTCDay() !== 0; // Sunday
+    }
+
+    /**
+     * Check if a day has no draw (Sunday or NO_DRAW exception)
+     * @param {Date|string} input - Day
+     * @returns {boolean} True if no draw on this day
+     */
+    function isNoDrawDay(input) {
+        return !isDrawDay(input);
+    }
+
+    /**
+     * Check if a day has an early draw
+     * @param {Date|string} input - Day
+     * @returns {boolean} True if the draw is moved earlier
+     */
+    function isEarlyDrawDay(input) {
+        const exception = getException(input);
+        return !!exception && exception.type === ExceptionType.EARLY_DRAW;
+    }
+
+    /**
+     * Get the draw time for a day
+     * @param {Date|string} input - Day
+     * @returns {Object} {hour, minute, label: "HH:MM"}
+     */
+    function getDrawTime(input) {
+        const exception = getException(input);
+        const time = parseTime(exception && exception.time) || parseTime(DEFAULT_DRAW_TIME);
+        return {
+            hour: time.hour,
+            minute: time.minute,
+            label: `${pad(time.hour)}:${pad(time.minute)}`
+        };
+    }
+
+    /**
+     * Get the draw hour for a day (20, or the early-draw hour)
+     * @param {Date|string} input - Day
+     * @returns {number} Draw hour in BRT
+     */
+    function getDrawHour(input) {
+        return getDrawTime(input).hour;
+    }
+
+    /**
+     * Get the instant of the draw on a day
+     * @param {Date|string} input - Day
+     * @returns {Date|null} Draw instant
+     */
+    function getDrawDateTime(input) {
+        const time = getDrawTime(input);
+        return makeBrazilDate(input, time.hour, time.minute, 0);
+    }
+
+    /**
+     * Get the last instant a ticket can register for a day's draw (draw time - 1s)
+     * @param {Date|string} input - Day
+     * @returns {Date|null} Cutoff instant
+     */
+    function getCutoff(input) {
+        const drawAt = getDrawDateTime(input);
+        return drawAt ? new Date(drawAt.getTime() - 1000) : null;
+    }
+
+    /**
+     * Build the full schedule for a draw day
+     * @param {Date|string} input - Draw day
+     * @returns {Object|null} {drawDate, drawHour, drawMinute, drawTime, cutoff, regStart}
+     */
+    function buildSchedule(input) {
+        const drawDate = startOfDay(input);
+        if (!drawDate) return null;
+
+        const time = getDrawTime(drawDate);
+        const regStart = makeBrazilDate(addDays(drawDate, -1), 20, 0, 1); // 20:00:01 of previous day
+
+        return {
+            drawDate,
+            drawHour: time.hour,
+            drawMinute: time.minute,
+            drawTime: time.label,
+            cutoff: getCutoff(drawDate),
+            regStart
+        };
+    }
+
+    /**
+     * Get the first draw day on or after a day
+     * @param {Date|string} fromDate - Starting day (inclusive)
+     * @returns {Date} Midnight BRT of the draw day
+     */
+    function getNextDrawDate(fromDate) {
+        let probe = startOfDay(fromDate);
+        if (!probe) throw new Error('Invalid date');
+
+        for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+            if (isDrawDay(probe)) return probe;
+            probe = addDays(probe, 1);
+        }
+        throw new Error('No valid draw date found in range');
+    }
+
+    /**
+     * Get the draw a ticket registered at a given instant belongs to
+     * (today's draw until its cutoff, otherwise the next draw day)
+     * @param {Date} now - Registration instant
+     * @returns {Object} Schedule (see buildSchedule) plus `now`
+     */
+    function getScheduleAt(now) {
+        let probe = startOfDay(now);
+        if (!probe) throw new Error('Invalid date');
+
+        for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+            if (isDrawDay(probe)) {
+                const schedule = buildSchedule(probe);
+                if (now.getTime() <= schedule.cutoff.getTime()) {
+                    return { ...schedule, now };
+                }
+            }
+            probe = addDays(probe, 1);
+        }
+        throw new Error('No valid draw date found');
+    }
+
+    /**
+     * Get the registration window at an instant
+     * The ticket target (drawDate / concurso) is the draw a ticket sent now
+     * would enter; while closed it is the draw that opens at `reopensAt`.
+     * @param {Date} now - Current instant (server-corrected)
+     * @param {Object} [freeze] - {beforeSeconds, afterSeconds} around each draw
+     * @returns {Object} {state, drawDate: "YYYY-MM-DD", drawTime, concurso, closesAt, reopensAt}
+     */
+    function getRegistrationWindow(now, freeze = DEFAULT_FREEZE) {
+        const beforeMs = Math.max(0, Number(freeze.beforeSeconds) || 0) * 1000;
+        const afterMs = Math.max(0, Number(freeze.afterSeconds) || 0) * 1000;
+
+        const describe = (state, at, closesAt, reopensAt) => {
+            const schedule = getScheduleAt(at);
+            return {
+                state,
+                drawDate: toDateKey(schedule.drawDate),
+                drawTime: schedule.drawTime,
+                concurso: calculateConcurso(schedule.drawDate),
+                closesAt,
+                reopensAt
+            };
+        };
+
+        // Just after a draw (today's, or yesterday's when the freeze crosses midnight)
+        for (const offset of [0, -1]) {
+            const day = addDays(now, offset);
+            if (!isDrawDay(day)) continue;
+            const drawAt = getDrawDateTime(day);
+            if (drawAt <= now && now.getTime() < drawAt.getTime() + afterMs) {
+                const reopensAt = new Date(drawAt.getTime() + afterMs);
+                return describe(RegistrationState.CLOSED, reopensAt, null, reopensAt);
+            }
+        }
+
+        const schedule = getScheduleAt(now);
+        const drawAt = getDrawDateTime(schedule.drawDate);
+        const closesAt = new Date(drawAt.getTime() - beforeMs);
+
+        if (now >= closesAt) {
+            const reopensAt = new Date(drawAt.getTime() + afterMs);
+            return describe(RegistrationState.CLOSED, reopensAt, null, reopensAt);
+        }
+
+        const state = now.getTime() >= closesAt.getTime() - CLOSING_WARNING_MS
+            ? RegistrationState.CLOSING
+            : RegistrationState.OPEN;
+        return describe(state, now, closesAt, null);
+    }
+
+    /**
+     * Get the draws a recharge makes a ticket eligible for
+     * A recharge at or after its day's draw time counts from the next day.
+     * Day 1 is the first draw day from there, Day 2 the draw day after it;
+     * the window closes at Day 2's draw time.
+     * @param {Date} rechargeTime - When the recharge occurred
+     * @returns {Object|null} {eligible1: Date, eligible2: Date, expiresAt: Date, isCutoff: boolean}
+     */
+    function getEligibilityWindow(rechargeTime) {
+        if (!(rechargeTime instanceof Date) || isNaN(rechargeTime.getTime())) return null;
+
+        const rechargeDate = startOfDay(rechargeTime);
+        const isCutoff = rechargeTime.getTime() >= getDrawDateTime(rechargeDate).getTime();
+
+        const eligible1 = getNextDrawDate(isCutoff ? addDays(rechargeDate, 1) : rechargeDate);
+        const eligible2 = getNextDrawDate(addDays(eligible1, 1));
+
+        return {
+            eligible1,
+            eligible2,
+            expiresAt: getDrawDateTime(eligible2),
+            isCutoff
+        };
+    }
+
+    /**
+     * Count draw days stepping from `from` (excluded) to `to` (included)
+     * Negative when `to` is before `from`.
+     * @param {Date|string} from - Reference day
+     * @param {Date|string} to - Target day
+     * @returns {number} Signed number of draw days
+     */
+    function countDrawDays(from, to) {
+        const fromDay = startOfDay(from);
+        const toDay = startOfDay(to);
+        if (!fromDay || !toDay) return 0;
+
+        const step = toDay >= fromDay ? 1 : -1;
+        let count = 0;
+        let cursor = fromDay;
+
+        while (cursor.getTime() !== toDay.getTime()) {
+            cursor = addDays(cursor, step);
+            if (isDrawDay(cursor)) count += step;
+        }
+        return count;
+    }
+
+    // ============================================
+    // Contest Numbers
+    // ============================================
+
+    /**
+     * Normalize a {number/contest, date} pair
+     * @param {Object} pair - Contest and day
+     * @returns {Object|null} {number, date: "YYYY-MM-DD"} or null if unusable
+     */
+    function normalizeContestPair(pair) {
+        if (!pair) return null;
+        const number = parseInt(pair.number !== undefined ? pair.number : pair.contest, 10);
+        const date = toDateKey(pair.date);
+        if (isNaN(number) || number <= 0 || !date) return null;
+        return { number, date };
+    }
+
+    /**
+     * Anchor contest projections on a known contest/day pair
+     * @param {Object|null} anchor - {number, date}, or null to go back to the fixed reference
+     * @returns {boolean} True if the anchor was accepted
+     */
+    function setConcursoAnchor(anchor) {
+        if (anchor === null) {
+            concursoAnchor = null;
+            return true;
+        }
+        const normalized = normalizeContestPair(anchor);
+        if (!normalized) return false;
+        concursoAnchor = normalized;
+        return true;
+    }
+
+    /**
+     * Get the pair contest projections currently start from
+     * @returns {Object} {number, date, source: 'results'|'reference'}
+     */
+    function getConcursoAnchor() {
+        return concursoAnchor
+            ? { ...concursoAnchor, source: 'results' }
+            : { ...CONCURSO_REFERENCE, source: 'reference' };
+    }
+
+    /**
+     * Project the contest number of a draw day from a known contest/day pair
+     * @param {Date|string} drawDate - Target draw day
+     * @param {Object} [reference] - {number, date} of a known contest (defaults to the current anchor)
+     * @returns {number} Projected contest number
+     */
+    function calculateConcurso(drawDate, reference = getConcursoAnchor()) {
+        return reference.number + countDrawDays(reference.date, drawDate);
+    }
+
+    /**
+     * Anchor on the latest result and check recent results against the calendar
+     * Each pair of consecutive results must be as many contests apart as there
+     * are draw days between them; a gap means the calendar is missing (or has a
+     * wrong) exception between those two dates.
+     * @param {Object[]} results - Published draws ({contest, date}); no-draw rows are ignored
+     * @param {Date} [now] - Current time, to count draws the feed has not caught up with
+     * @returns {Object} {mode, anchor, checked, mismatches, pendingDraws, referenceDrift}
+     */
+    function reconcileConcurso(results, now = new Date()) {
+        const draws = (Array.isArray(results) ? results : [])
+            .map(normalizeContestPair)
+            .filter(Boolean)
+            .sort((a, b) => b.number - a.number)
+            .slice(0, RECONCILE_WINDOW);
+
+        if (draws.length === 0) {
+            return { mode: 'reference', anchor: getConcursoAnchor(), checked: 0, mismatches: [], pendingDraws: 0, referenceDrift: 0 };
+        }
+
+        const anchor = draws[0];
+        setConcursoAnchor(anchor);
+
+        // Newest first: {contest, date} vs the result just before it
+        const mismatches = [];
+        for (let i = 0; i < draws.length - 1; i++) {
+            const newer = draws[i];
+            const older = draws[i + 1];
+            const expected = countDrawDays(older.date, newer.date);
+            const actual = newer.number - older.number;
+            if (expected !== actual) {
+                mismatches.push({
+                    contest: newer.number,
+                    date: newer.date,
+                    previousContest: older.number,
+                    previousDate: older.date,
+                    expected,
+                    actual
+                });
+            }
+        }
+
+        // Draws already held after the anchor that the feed does not have yet
+        let pendingDraws = 0;
+        let probe = addDays(anchor.date, 1);
+        for (let i = 0; i < MAX_LOOKAHEAD_DAYS && getDrawDateTime(probe) < now; i++) {
+            if (isDrawDay(probe)) pendingDraws++;
+            probe = addDays(probe, 1);
+        }
+
+        return {
+            mode: 'results',
+            anchor: getConcursoAnchor(),
+            checked: draws.length,
+            mismatches,
+            pendingDraws,
+            // How far the fixed reference would be off for the latest contest
+            referenceDrift: calculateConcurso(anchor.date, CONCURSO_REFERENCE) - anchor.number
+        };
+    }
+
+    // Start from the built-in table, then the last known one if any
+    resetExceptions();
+    loadFromStorage();
+
+    // ============================================
+    // Public API
+    // ============================================
+    global.DrawCalendar = {
+        // Constants
+        ExceptionType,
+        CONCURSO_REFERENCE,
+        CALENDAR_ENDPOINT,
+        DEFAULT_DRAW_TIME,
+        DEFAULT_EARLY_DRAW_TIME,
+        DEFAULT_EXCEPTIONS,
+
+        // Date helpers
+        getBrazilComponents,
+        toDateKey,
+        makeBrazilDate,
+        startOfDay,
+        addDays,
+
+        // Exceptions
+        setExceptions,
+        getExceptions,
+        resetExceptions,
+        getException,
+        normalizeException,
+        onChange,
+        getUpdatedAt,
+
+        // Persistence
+        loadExceptions,
+        saveExceptions,
+
+        // Draw rules
+        isDrawDay,
+        isNoDrawDay,
+        isEarlyDrawDay,
+        getDrawTime,
+        getDrawHour,
+        getDrawDateTime,
+        getCutoff,
+        buildSchedule,
+        getNextDrawDate,
+        getScheduleAt,
+        countDrawDays,
+
+        // Recharge eligibility
+        getEligibilityWindow,
+
+        // Registration window
+        RegistrationState,
+        DEFAULT_FREEZE,
+        getRegistrationWindow,
+
+        // Contest numbers
+        setConcursoAnchor,
+        getConcursoAnchor,
+        calculateConcurso,
+        reconcileConcurso
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,294 @@
+/**
+ * POP-SORTE Admin Dashboard - Manual Adjudication
+ *
+ * This module provides ticket overrides set by admins after a support
+ * conversation:
+ * - Loads the overrides from the Worker (GET /api/overrides)
+ * - Force a ticket VALID or INVALID with a reason and evidence (link or note)
+ * - Clear an override; the full history (who / when / why) is kept
+ * - Ticket details section with the current override, history and form
+ *
+ * Overrides are stored by the Worker, apart from the entries sheet. They are
+ * keyed by ValidationEngine.getTicketId and applied by ValidationEngine, so
+ * the dashboard, exports, scanner and winner calculation all see them.
+ * Changes emit 'overridesChange' on the AdminCore event bus.
+ *
+ * Dependencies: validation-engine.js (ValidationEngine), admin-core.js (AdminCore)
+ */
+
+// ============================================
+// Adjudication Module
+// ============================================
+window.Adjudication = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Worker endpoint for overrides
+     */
+    const OVERRIDES_ENDPOINT = '/api/overrides';
+
+    // ============================================
+    // State
+    // ============================================
+    let records = new Map();   // ticketId -> override record (cleared ones included)
+    let active = new Map();    // ticketId -> override with a status
+    let currentEntry = null;   // Entry shown in the ticket details section
+    let isSaving = false;
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Escape text for safe HTML insertion
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return String(text || '').replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        }[c]));
+    }
+
+    /**
+     * Render evidence text, linking it when it is a URL
+     * @param {string} evidence
+     * @returns {string} HTML
+     */
+    function renderEvidence(evidence) {
+        if (!evidence) return '<span class="text-muted">none</span>';
+        if (/^https?:\/\/\S+$/.test(evidence)) {
+            return `<a href="${escapeHtml(evidence)}" target="_blank" rel="noopener">${escapeHtml(evidence)}</a>`;
+        }
+        return escapeHtml(evidence);
+    }
+
+    /**
+     * Rebuild the lookup maps from a list of records
+     * @param {Object[]} list - Override records from the Worker
+     */
+    function setRecords(list) {
+        records = new Map(list.map(o => [o.ticketId, o]));
+        active = new Map(list.filter(o => o.status).map(o => [o.ticketId, o]));
+    }
+
+    /**
+     * Call the overrides endpoint
+     * @param {Object} [options] - fetch options
+     * @returns {Promise<Object>} Response body
+     * @throws {Error} On HTTP or API errors
+     */
+    async function callApi(options = {}) {
+        const response = await fetch(`${AdminCore.API_BASE_URL}${OVERRIDES_ENDPOINT}`, {
+            ...options,
+            headers: { ...(options.headers || {}), ...AdminCore.getAuthHeaders() }
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        return data;
+    }
+
+    // ============================================
+    // Loading and Saving
+    // ============================================
+
+    /**
+     * Load overrides from the Worker
+     * Keeps the last loaded set when the Worker cannot be reached.
+     * @returns {Promise<boolean>} True if loaded
+     */
+    async function load() {
+        if (!AdminCore.isAuthenticated()) return false;
+
+        try {
+            const data = await callApi();
+            setRecords(Array.isArray(data.overrides) ? data.overrides : []);
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Could not load ticket overrides, using last known set:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Save an override for an entry
+     * @param {Object} entry - Entry object
+     * @param {Object} change - {status: 'VALID'|'INVALID'|null, reason, evidence}
+     * @returns {Promise<Object>} Saved record
+     */
+    async function save(entry, change) {
+        const data = await callApi({
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                ticketId: ValidationEngine.getTicketId(entry),
+                status: change.status || null,
+                reason: change.reason,
+                evidence: change.evidence || '',
+                gameId: entry.gameId,
+                platform: entry.platform,
+                ticketLabel: `${entry.ticketNumber || ''} ${entry.timestamp || ''}`.trim()
+            })
+        });
+
+        records.set(data.override.ticketId, data.override);
+        setRecords([...records.values()]);
+        AdminCore.emit('overridesChange', { ticketId: data.override.ticketId, override: data.override });
+        return data.override;
+    }
+
+    // ============================================
+    // Getters
+    // ============================================
+
+    /**
+     * Overrides that currently apply, for ValidationEngine.validate
+     * @returns {Map} ticketId -> override
+     */
+    function getActiveOverrides() {
+        return active;
+    }
+
+    /**
+     * Override record of an entry, including cleared ones
+     * @param {Object} entry - Entry object
+     * @returns {Object|null}
+     */
+    function getRecord(entry) {
+        return records.get(ValidationEngine.getTicketId(entry)) || null;
+    }
+
+    // ============================================
+    // Ticket Details Section
+    // ============================================
+
+    /**
+     * Render the adjudication section of the ticket details modal
+     * @param {Object} entry - Entry shown in the modal
+     * @returns {string} HTML
+     */
+    function renderSection(entry) {
+        currentEntry = entry;
+        const record = getRecord(entry);
+        let html = '';
+
+        if (record && record.status) {
+            html += `<div class="status-banner warning mb-3">
+                <span class="status-banner-icon">⚖️</span>
+                <span class="status-banner-text">
+                    <strong>Forced ${escapeHtml(record.status)}</strong> by ${escapeHtml(record.setBy)}
+                    on ${escapeHtml(AdminCore.formatBrazilDateTime(new Date(record.setAt)))}<br>
+                    ${escapeHtml(record.reason)}<br>
+                    Evidence: ${renderEvidence(record.evidence)}
+                </span>
+            </div>`;
+        } else {
+            html += '<p class="text-muted">No manual override - the validation rules decide.</p>';
+        }
+
+        if (record && record.history.length > 0) {
+            html += '<div style="overflow-x:auto"><table class="table" style="font-size:0.75rem"><thead><tr><th>When</th><th>Who</th><th>Status</th><th>Reason</th><th>Evidence</th></tr></thead><tbody>';
+            [...record.history].reverse().forEach(h => {
+                html += `<tr>
+                    <td>${escapeHtml(AdminCore.formatBrazilDateTime(new Date(h.at)))}</td>
+                    <td>${escapeHtml(h.by)}</td>
+                    <td>${h.status ? escapeHtml(h.status) : 'Cleared'}</td>
+                    <td>${escapeHtml(h.reason)}</td>
+                    <td>${renderEvidence(h.evidence)}</td>
+                </tr>`;
+            });
+            html += '</tbody></table></div>';
+        }
+
+        if (!AdminCore.hasPermission('validate')) {
+            return html;
+        }
+
+        html += `<div class="filters-row mb-3">
+                <div class="filter-group">
+                    <label for="overrideStatus">Set status</label>
+                    <select id="overrideStatus">
+                        <option value="VALID">Force VALID</option>
+                        <option value="INVALID">Force INVALID</option>
+                        ${record && record.status ? '<option value="">Clear override</option>' : ''}
+                    </select>
+                </div>
+                <div class="filter-group" style="flex: 1;">
+                    <label for="overrideReason">Reason</label>
+                    <input type="text" id="overrideReason" maxlength="500" placeholder="Why the rules are overridden">
+                </div>
+                <div class="filter-group" style="flex: 1;">
+                    <label for="overrideEvidence">Evidence</label>
+                    <input type="text" id="overrideEvidence" maxlength="2000" placeholder="Link or note (support chat, receipt...)">
+                </div>
+                <div class="filter-actions">
+                    <button class="btn btn-primary btn-sm" onclick="Adjudication.submitForm()">⚖️ Save override</button>
+                </div>
+            </div>`;
+
+        return html;
+    }
+
+    /**
+     * Save the form of the ticket details section
+     */
+    async function submitForm() {
+        if (!currentEntry || isSaving) return;
+
+        if (!AdminCore.hasPermission('validate')) {
+            AdminCore.showToast('Your role cannot override tickets', 'error');
+            return;
+        }
+
+        const status = document.getElementById('overrideStatus')?.value || null;
+        const reason = (document.getElementById('overrideReason')?.value || '').trim();
+        const evidence = (document.getElementById('overrideEvidence')?.value || '').trim();
+
+        if (!reason) {
+            AdminCore.showToast('Enter the reason for the override', 'warning');
+            return;
+        }
+
+        isSaving = true;
+        try {
+            await save(currentEntry, { status, reason, evidence });
+            AdminCore.showToast(status ? `Ticket forced ${status}` : 'Override cleared', 'success');
+        } catch (error) {
+            console.error('Error saving override:', error);
+            AdminCore.showToast('Could not save override: ' + error.message, 'error');
+        } finally {
+            isSaving = false;
+        }
+    }
+
+    // Overrides belong to the signed-in session
+    if (typeof AdminCore !== 'undefined') {
+        AdminCore.on('logout', () => {
+            setRecords([]);
+            currentEntry = null;
+        });
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        // Loading and saving
+        load,
+        save,
+
+        // Getters
+        getActiveOverrides,
+        getRecord,
+
+        // Ticket details
+        renderSection,
+        submitForm
+    };
+})();
@@ -3,12 +3,15 @@
  * 
  * This module provides:
  * - Scroll-based navigation for unified single-page layout
- * - Session management with 12-hour TTL
+ * - Session management (signed token, role, expiry from the auth backend)
+ * - Role permissions (viewer, validator, payout manager)
  * - Shared utility functions (BRT timezone, CSV parsing)
  * - Auto-refresh mechanism (3 minutes)
  * - Event bus for inter-module communication
  * - Toast notification system
  * - Platform switching (ALL, POPN1, POPLUZ)
+ *
+ * Dependencies: sheet-parser.js (SheetParser)
  */
 
 // ============================================
@@ -23,7 +26,8 @@ window.AdminCore = (function() {
     const SESSION_KEY = 'popsorte_admin_session';
     const SESSION_TTL = 12 * 60 * 60 * 1000; // 12 hours in milliseconds
     const REFRESH_INTERVAL = 180 * 1000; // 3 minutes
-    const VALID_SECTIONS = ['dashboard', 'entries', 'results', 'winners'];
+    const DEFAULT_API_BASE_URL = 'https://popsorte-api.danilla-vargas1923.workers.dev';
+    const VALID_SECTIONS = ['dashboard', 'entries', 'results', 'winners', 'calendar', 'prizes', 'risk', 'verify', 'import'];
     const DEFAULT_SECTION = 'dashboard';
     
     /**
@@ -32,15 +36,32 @@ window.AdminCore = (function() {
      */
     const PLATFORMS = ['ALL', 'POPN1', 'POPLUZ'];
     const DEFAULT_PLATFORM = 'ALL';
-    
+
+    /**
+     * Admin roles issued by the auth backend
+     */
+    const ROLES = {
+        VIEWER: 'viewer',
+        VALIDATOR: 'validator',
+        PAYOUT_MANAGER: 'payout_manager'
+    };
+
+    const ROLE_LABELS = {
+        viewer: 'Viewer',
+        validator: 'Validator',
+        payout_manager: 'Payout Manager'
+    };
+
     /**
-     * Platform-specific prize pools (R$)
-     * Can be configured per platform
+     * What each role may do
+     * - view     : read dashboards, entries, winners, verify tickets
+     * - validate : change anything that affects validation (draw calendar)
+     * - payout   : manage prize payouts
      */
-    const PLATFORM_PRIZES = {
-        'POPN1': 1000,
-        'POPLUZ': 1000,
-        'DEFAULT': 1000
+    const ROLE_PERMISSIONS = {
+        viewer: ['view'],
+        validator: ['view', 'validate'],
+        payout_manager: ['view', 'validate', 'payout']
     };
 
     // ============================================
@@ -51,6 +72,7 @@ window.AdminCore = (function() {
     let refreshTimer = null;
     let isRefreshing = false;
     let isPageLoading = false;
+    let apiBaseUrl = DEFAULT_API_BASE_URL; // Replaced by the data source environment
     const eventListeners = {};
 
     // ============================================
@@ -174,69 +196,12 @@ window.AdminCore = (function() {
         }
     }
 
-    /**
-     * Parse Brazilian date/time string to Date object
-     * @param {string} str - Date string in format "DD/MM/YYYY HH:MM:SS"
-     * @returns {Date|null} Parsed date or null if invalid
-     */
-    function parseBrazilDateTime(str) {
-        if (!str) return null;
-        try {
-            const [datePart, timePart = '00:00:00'] = str.trim().split(' ');
-            const [d, m, y] = datePart.split(/[\/\-]/).map(Number);
-            const [hh = 0, mm = 0, ss = 0] = timePart.split(':').map(Number);
-            if (!d || !m || !y) return null;
-            // Create date in BRT (UTC-3)
-            return new Date(Date.UTC(y, m - 1, d, hh + 3, mm, ss));
-        } catch {
-            return null;
-        }
-    }
+    // Date/time and CSV line parsing live in SheetParser, shared with the compute worker
+    const { parseBrazilDateTime, detectDelimiter, parseCSVLine } = SheetParser;
 
     // ============================================
     // CSV Parsing Utilities
     // ============================================
-    
-    /**
-     * Detect the delimiter used in a CSV header line
-     * @param {string} headerLine - First line of CSV
-     * @returns {string} Detected delimiter
-     */
-    function detectDelimiter(headerLine) {
-        const counts = {
-            ',': (headerLine.match(/,/g) || []).length,
-            ';': (headerLine.match(/;/g) || []).length,
-            '\t': (headerLine.match(/\t/g) || []).length,
-            '|': (headerLine.match(/\|/g) || []).length,
-        };
-        return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0] || ',';
-    }
-
-    /**
-     * Parse a single CSV line respecting quoted fields
-     * @param {string} line - CSV line to parse
-     * @param {string} delimiter - Field delimiter
-     * @returns {string[]} Array of field values
-     */
-    function parseCSVLine(line, delimiter = ',') {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let i = 0; i < line.length; i++) {
-            const ch = line[i];
-            if (ch === '"') {
-                inQuotes = !inQuotes;
-            } else if (ch === delimiter && !inQuotes) {
-                values.push(current.trim());
-                current = '';
-            } else {
-                current += ch;
-            }
-        }
-        values.push(current.trim());
-        return values;
-    }
 
     /**
      * Parse complete CSV text to array of objects
@@ -440,9 +405,33 @@ window.AdminCore = (function() {
     // Session Management
     // ============================================
     
+    /**
+     * Read the payload of a session token without verifying it
+     * The signature is checked by the backend on every privileged call;
+     * the client only needs the expiry and role.
+     * @param {string} token - "base64url(payload).base64url(signature)"
+     * @returns {Object|null} {sub, role, iat, exp} or null if malformed
+     */
+    function decodeSessionToken(token) {
+        const parts = String(token || '').split('.');
+        if (parts.length !== 2 || !parts[0] || !parts[1]) return null;
+
+        try {
+            const base64 = parts[0].replace(/-/g, '+').replace(/_/g, '/');
+            const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+            const binary = atob(padded);
+            const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+            const payload = JSON.parse(new TextDecoder().decode(bytes));
+            return payload && payload.sub && payload.exp ? payload : null;
+        } catch {
+            return null;
+        }
+    }
+
     /**
      * Get current session from sessionStorage
-     * @returns {Object|null} Session object or null if expired/invalid
+     * Sessions without a token (stored before role-based auth) are dropped.
+     * @returns {Object|null} {username, role, token, createdAt, expiresAt} or null if expired/invalid
      */
     function getSession() {
         try {
@@ -450,10 +439,16 @@ window.AdminCore = (function() {
             if (!sessionData) return null;
 
             const session = JSON.parse(sessionData);
+            const payload = decodeSessionToken(session.token);
             const now = Date.now();
 
-            // Check if session has expired
-            if (session.expiresAt && now > session.expiresAt) {
+            if (!payload || !ROLE_PERMISSIONS[session.role]) {
+                clearSession();
+                return null;
+            }
+
+            // Check if session or token has expired
+            if ((session.expiresAt && now > session.expiresAt) || now > payload.exp * 1000) {
                 clearSession();
                 return null;
             }
@@ -466,15 +461,20 @@ window.AdminCore = (function() {
     }
 
     /**
-     * Create a new session
-     * @param {string} username - Authenticated username
+     * Create a new session from an auth backend response
+     * @param {Object} auth - {username, role, token, expiresAt}
      * @returns {Object} Created session object
      */
-    function createSession(username) {
+    function createSession(auth) {
+        const payload = decodeSessionToken(auth.token);
+        const tokenExpiry = payload ? payload.exp * 1000 : Date.now() + SESSION_TTL;
+
         const session = {
-            username,
+            username: auth.username,
+            role: auth.role,
+            token: auth.token,
             createdAt: Date.now(),
-            expiresAt: Date.now() + SESSION_TTL
+            expiresAt: Math.min(auth.expiresAt || tokenExpiry, tokenExpiry)
         };
         sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
         return session;
@@ -495,6 +495,43 @@ window.AdminCore = (function() {
         return getSession() !== null;
     }
 
+    /**
+     * Check whether the signed-in role grants a permission
+     * @param {string} permission - 'view', 'validate' or 'payout'
+     * @returns {boolean}
+     */
+    function hasPermission(permission) {
+        const session = getSession();
+        if (!session) return false;
+        return (ROLE_PERMISSIONS[session.role] || []).includes(permission);
+    }
+
+    /**
+     * Get a display label for a role
+     * @param {string} role - Role id
+     * @returns {string}
+     */
+    function getRoleLabel(role) {
+        return ROLE_LABELS[role] || role || '';
+    }
+
+    /**
+     * Authorization header for privileged Worker calls
+     * @returns {Object} Headers object (empty when signed out)
+     */
+    function getAuthHeaders() {
+        const session = getSession();
+        return session ? { 'Authorization': `Bearer ${session.token}` } : {};
+    }
+
+    /**
+     * Point Worker calls at another API (DataSources environment)
+     * @param {string} url - Base URL without trailing slash
+     */
+    function setApiBaseUrl(url) {
+        apiBaseUrl = String(url || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+    }
+
     // ============================================
     // Platform Management
     // ============================================
@@ -529,15 +566,6 @@ window.AdminCore = (function() {
         console.log('Platform changed to:', platform);
     }
 
-    /**
-     * Get prize pool for a specific platform
-     * @param {string} platform - Platform code
-     * @returns {number} Prize pool amount in R$
-     */
-    function getPlatformPrize(platform) {
-        return PLATFORM_PRIZES[platform] || PLATFORM_PRIZES.DEFAULT;
-    }
-
     /**
      * Update platform switcher button states
      */
@@ -788,7 +816,7 @@ window.AdminCore = (function() {
         const session = getSession();
         const userNameEl = document.getElementById('currentUser');
         if (userNameEl && session) {
-            userNameEl.textContent = session.username;
+            userNameEl.textContent = `${session.username} · ${getRoleLabel(session.role)}`;
         }
 
         // Initialize navigation and platform switcher when app is shown
@@ -942,6 +970,10 @@ window.AdminCore = (function() {
         createSession,
         clearSession,
         isAuthenticated,
+        hasPermission,
+        getRoleLabel,
+        getAuthHeaders,
+        setApiBaseUrl,
         
         // Navigation
         scrollToSection,
@@ -950,7 +982,6 @@ window.AdminCore = (function() {
         // Platform management
         getCurrentPlatform,
         setCurrentPlatform,
-        getPlatformPrize,
         
         // UI
         showApp,
@@ -986,10 +1017,11 @@ window.AdminCore = (function() {
         requestIdleExecution,
         
         // Constants
+        get API_BASE_URL() { return apiBaseUrl; },
+        ROLES,
         VALID_SECTIONS,
         DEFAULT_SECTION,
         PLATFORMS,
-        DEFAULT_PLATFORM,
-        PLATFORM_PRIZES
+        DEFAULT_PLATFORM
     };
 })();
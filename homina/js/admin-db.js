@@ -0,0 +1,331 @@
+/**
+ * POP-SORTE Admin Dashboard - Local Database
+ *
+ * IndexedDB copy of the last load, so the dashboard can show every entry
+ * and recharge at once on the next visit instead of waiting for the sheets:
+ * - One object store per dataset (entries, recharges, results), rows keyed
+ *   by `seq`, their position in the load
+ * - Indexes on gameId, contest and drawDate
+ * - A meta store with the snapshot's version, timestamp and counts
+ * - query() walks a store or one of its indexes with a filter and a page
+ *   window, for DataStore.getEntriesPage
+ * - An imports store with the rows merged from dropped files (CsvImport),
+ *   keyed by dataset and row id; a new snapshot leaves them alone
+ *
+ * The schema only changes through MIGRATIONS: each database version appends
+ * one step, and opening an older database runs the steps it missed. Dates
+ * survive as Date objects (structured clone), so rows need no rebuilding.
+ *
+ * Dependencies: none (isSupported() is false without IndexedDB; DataStore
+ * then keeps everything in memory only)
+ */
+
+// ============================================
+// Admin DB Module
+// ============================================
+window.AdminDB = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    const DB_NAME = 'popsorte_admin';
+
+    /**
+     * Object store names
+     */
+    const Stores = {
+        ENTRIES: 'entries',
+        RECHARGES: 'recharges',
+        RESULTS: 'results',
+        META: 'meta',
+        IMPORTS: 'imports'
+    };
+
+    const DATASETS = [Stores.ENTRIES, Stores.RECHARGES, Stores.RESULTS];
+
+    /**
+     * Meta record holding the snapshot's version, timestamp and counts
+     */
+    const SNAPSHOT_KEY = 'snapshot';
+
+    /**
+     * Schema migrations, the step at index n upgrades version n to n + 1
+     * Never change a step that has shipped; append a new one.
+     */
+    const MIGRATIONS = [
+        // 1: one store per dataset, rows in load order
+        (db) => {
+            const entries = db.createObjectStore(Stores.ENTRIES, { keyPath: 'seq' });
+            entries.createIndex('gameId', 'gameId', { unique: false });
+            entries.createIndex('contest', 'contest', { unique: false });
+            entries.createIndex('drawDate', 'drawDate', { unique: false });
+
+            const recharges = db.createObjectStore(Stores.RECHARGES, { keyPath: 'seq' });
+            recharges.createIndex('gameId', 'gameId', { unique: false });
+
+            const results = db.createObjectStore(Stores.RESULTS, { keyPath: 'seq' });
+            results.createIndex('contest', 'contest', { unique: false });
+            results.createIndex('drawDate', 'drawDate', { unique: false });
+
+            db.createObjectStore(Stores.META, { keyPath: 'key' });
+        },
+
+        // 2: rows merged from imported files, kept apart from the snapshot
+        (db) => {
+            const imports = db.createObjectStore(Stores.IMPORTS, { keyPath: 'key' });
+            imports.createIndex('dataset', 'dataset', { unique: false });
+        }
+    ];
+
+    const DB_VERSION = MIGRATIONS.length;
+
+    // ============================================
+    // State
+    // ============================================
+
+    let dbPromise = null;
+
+    // ============================================
+    // Database
+    // ============================================
+
+    /**
+     * Check whether IndexedDB is available (private mode / old WebViews)
+     * @returns {boolean}
+     */
+    function isSupported() {
+        try {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Open the database, running any migrations it has not had yet
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDb() {
+        if (!isSupported()) {
+            return Promise.reject(new Error('IndexedDB not available'));
+        }
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    for (let version = event.oldVersion; version < DB_VERSION; version++) {
+                        MIGRATIONS[version](db, request.transaction);
+                    }
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Another tab upgrading the schema: let it, and reopen on next use
+                    db.onversionchange = () => {
+                        db.close();
+                        dbPromise = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+            }).catch(error => {
+                dbPromise = null;
+                throw error;
+            });
+        }
+        return dbPromise;
+    }
+
+    /**
+     * Run a callback inside one transaction
+     * @param {string[]} storeNames - Stores the transaction covers
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} fn - Receives the transaction; may return a function
+     *                        that reads the result once the transaction completes
+     * @returns {Promise<any>}
+     */
+    async function withTransaction(storeNames, mode, fn) {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let read = null;
+            tx.oncomplete = () => resolve(typeof read === 'function' ? read() : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+            try {
+                read = fn(tx);
+            } catch (error) {
+                tx.abort();
+                reject(error);
+            }
+        });
+    }
+
+    // ============================================
+    // Snapshot
+    // ============================================
+
+    /**
+     * Replace every dataset with a new load
+     * @param {Object} datasets - {entries, recharges, results} arrays, in load order
+     * @param {Object} meta - {version, timestamp, counts}
+     * @returns {Promise<void>}
+     */
+    async function replaceSnapshot(datasets, meta) {
+        await withTransaction([...DATASETS, Stores.META], 'readwrite', tx => {
+            DATASETS.forEach(name => {
+                const store = tx.objectStore(name);
+                store.clear();
+                (datasets[name] || []).forEach((row, seq) => store.put({ ...row, seq }));
+            });
+            tx.objectStore(Stores.META).put({ ...meta, key: SNAPSHOT_KEY });
+        });
+    }
+
+    /**
+     * Read the stored load back
+     * @returns {Promise<Object>} {meta (null when nothing is stored), entries, recharges, results}
+     */
+    async function readSnapshot() {
+        return withTransaction([...DATASETS, Stores.META], 'readonly', tx => {
+            const requests = {};
+            DATASETS.forEach(name => {
+                requests[name] = tx.objectStore(name).getAll();
+            });
+            const metaRequest = tx.objectStore(Stores.META).get(SNAPSHOT_KEY);
+
+            return () => {
+                const snapshot = { meta: metaRequest.result || null };
+                DATASETS.forEach(name => {
+                    snapshot[name] = (requests[name].result || []).map(({ seq, ...row }) => row);
+                });
+                return snapshot;
+            };
+        });
+    }
+
+    /**
+     * Delete every stored row and the snapshot meta
+     * @returns {Promise<void>}
+     */
+    async function clear() {
+        await withTransaction([...DATASETS, Stores.META], 'readwrite', tx => {
+            [...DATASETS, Stores.META].forEach(name => tx.objectStore(name).clear());
+        });
+    }
+
+    // ============================================
+    // Queries
+    // ============================================
+
+    /**
+     * Page through a dataset in load order
+     * Rows keep their `seq`. `timestamp` is the snapshot the rows belong to,
+     * read in the same transaction.
+     * @param {string} storeName - entries, recharges or results
+     * @param {Object} [options]
+     * @param {string} [options.index] - Index to walk (gameId, contest, drawDate)
+     * @param {*} [options.value] - Exact index value; required with index
+     * @param {Function} [options.filter] - (row) => boolean, applied to every row walked
+     * @param {number} [options.offset=0] - Matching rows to skip
+     * @param {number} [options.limit=Infinity] - Matching rows to return
+     * @returns {Promise<Object>} {rows, total (all matching rows), timestamp}
+     */
+    async function query(storeName, options = {}) {
+        const filter = options.filter || null;
+        const offset = options.offset || 0;
+        const limit = options.limit === undefined ? Infinity : options.limit;
+
+        return withTransaction([storeName, Stores.META], 'readonly', tx => {
+            const store = tx.objectStore(storeName);
+            const source = options.index ? store.index(options.index) : store;
+            const range = options.index ? IDBKeyRange.only(options.value) : null;
+
+            const rows = [];
+            let total = 0;
+            const metaRequest = tx.objectStore(Stores.META).get(SNAPSHOT_KEY);
+            const cursorRequest = source.openCursor(range);
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                if (!filter || filter(cursor.value)) {
+                    if (total >= offset && rows.length < limit) rows.push(cursor.value);
+                    total++;
+                }
+                cursor.continue();
+            };
+
+            return () => ({
+                rows,
+                total,
+                timestamp: metaRequest.result ? metaRequest.result.timestamp : null
+            });
+        });
+    }
+
+    // ============================================
+    // Imports
+    // ============================================
+
+    /**
+     * Add imported rows, replacing any stored under the same id
+     * @param {string} dataset - entries, recharges or results
+     * @param {Object[]} records - {id, row, importedAt, file}
+     * @returns {Promise<void>}
+     */
+    async function saveImports(dataset, records) {
+        await withTransaction([Stores.IMPORTS], 'readwrite', tx => {
+            const store = tx.objectStore(Stores.IMPORTS);
+            records.forEach(record => store.put({ ...record, dataset, key: `${dataset}|${record.id}` }));
+        });
+    }
+
+    /**
+     * Read every imported row back
+     * @returns {Promise<Object>} {entries, recharges, results} arrays of records, oldest import first
+     */
+    async function readImports() {
+        return withTransaction([Stores.IMPORTS], 'readonly', tx => {
+            const request = tx.objectStore(Stores.IMPORTS).getAll();
+
+            return () => {
+                const imports = {};
+                DATASETS.forEach(name => { imports[name] = []; });
+                (request.result || [])
+                    .sort((a, b) => a.importedAt - b.importedAt)
+                    .forEach(({ key, dataset, ...record }) => {
+                        if (imports[dataset]) imports[dataset].push(record);
+                    });
+                return imports;
+            };
+        });
+    }
+
+    /**
+     * Delete every imported row
+     * @returns {Promise<void>}
+     */
+    async function clearImports() {
+        await withTransaction([Stores.IMPORTS], 'readwrite', tx => {
+            tx.objectStore(Stores.IMPORTS).clear();
+        });
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        Stores,
+        isSupported,
+        replaceSnapshot,
+        readSnapshot,
+        clear,
+        query,
+        saveImports,
+        readImports,
+        clearImports
+    };
+})();
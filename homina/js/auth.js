@@ -3,11 +3,27 @@
  * 
  * This module handles:
  * - Login form submission and validation
- * - Credential verification against Google Sheets
+ * - Credential verification against the auth backend
  * - Session creation and management
  * - Logout functionality
+ *
+ * Auth backend contract (Worker):
+ *
+ *   POST {API_BASE_URL}/api/auth/login
+ *   body:     {username, password}
+ *   200:      {success: true, username, role, token, expiresAt}
+ *   401:      {success: false, error}
+ *
+ * Accounts are stored server-side as salted PBKDF2-SHA256 hashes with a role
+ * (viewer, validator, payout_manager). The token is
+ * base64url({sub, role, iat, exp}) + "." + base64url(HMAC-SHA256 signature);
+ * privileged calls send it as "Authorization: Bearer <token>".
+ *
+ * When the dashboard runs on localhost the same contract is served from
+ * data/admin-users.json, so login works without the Worker. The data source
+ * environment decides (DataSources.getAuthMode).
  * 
- * Dependencies: admin-core.js (AdminCore)
+ * Dependencies: admin-core.js (AdminCore), data-sources.js (DataSources)
  */
 
 // ============================================
@@ -20,68 +36,178 @@ window.AdminAuth = (function() {
     // Constants
     // ============================================
     
+    const LOGIN_ENDPOINT = '/api/auth/login';
+
+    /**
+     * Local development accounts (same format as the Worker's store)
+     */
+    const LOCAL_USERS_URL = 'data/admin-users.json';
+
+    const PBKDF2_ITERATIONS = 100000;
+
     /**
-     * Google Sheet URL for admin credentials
-     * Sheet contains: username, password columns
+     * Login request timeout in milliseconds (15 seconds)
      */
-    const AUTH_SHEET_URL = 'https://docs.google.com/spreadsheets/d/1PK0qI9PRWaleD6jpn-aQToJ2Mn7PRW0wWfCwd2o0QPE/export?format=csv';
+    const FETCH_TIMEOUT = 15 * 1000;
 
     // ============================================
     // State
     // ============================================
-    let credentials = null;
+    let localUsers = null;
     let isLoading = false;
 
     // ============================================
-    // Credential Loading
+    // Crypto Helpers
     // ============================================
-    
+
+    /**
+     * Convert bytes to lowercase hex
+     * @param {ArrayBuffer|Uint8Array} buffer
+     * @returns {string}
+     */
+    function toHex(buffer) {
+        return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Convert hex to bytes
+     * @param {string} hex
+     * @returns {Uint8Array}
+     */
+    function fromHex(hex) {
+        const pairs = String(hex || '').match(/.{2}/g) || [];
+        return new Uint8Array(pairs.map(pair => parseInt(pair, 16)));
+    }
+
     /**
-     * Fetch credentials from Google Sheet
-     * @returns {Promise<Object[]>} Array of credential objects {username, password}
+     * Encode text or bytes as base64url
+     * @param {string|ArrayBuffer} data
+     * @returns {string}
      */
-    async function fetchCredentials() {
+    function toBase64Url(data) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
+        const binary = Array.from(bytes, b => String.fromCharCode(b)).join('');
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Hash a password with PBKDF2-SHA256
+     * Also used from the console to add accounts to the user store.
+     * @param {string} password - Plain password
+     * @param {string} [saltHex] - Salt as hex (a random 16-byte salt when omitted)
+     * @param {number} [iterations] - PBKDF2 iterations
+     * @returns {Promise<Object>} {salt, hash} as hex
+     */
+    async function hashPassword(password, saltHex, iterations = PBKDF2_ITERATIONS) {
+        const salt = saltHex ? fromHex(saltHex) : crypto.getRandomValues(new Uint8Array(16));
+        const key = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            key,
+            256
+        );
+        return { salt: toHex(salt), hash: toHex(bits) };
+    }
+
+    /**
+     * Compare two hex strings without stopping at the first difference
+     * @param {string} a
+     * @param {string} b
+     * @returns {boolean}
+     */
+    function safeEqual(a, b) {
+        if (a.length !== b.length) return false;
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return diff === 0;
+    }
+
+    // ============================================
+    // Auth Backends
+    // ============================================
+
+    /**
+     * Log in through the Worker
+     * @param {string} username
+     * @param {string} password
+     * @returns {Promise<Object|null>} {username, role, token, expiresAt}, or null if rejected
+     * @throws {Error} If the Worker cannot be reached
+     */
+    async function loginWithApi(username, password) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
         try {
-            const url = `${AUTH_SHEET_URL}&t=${Date.now()}`;
-            const response = await fetch(url, {
+            const response = await fetch(`${AdminCore.API_BASE_URL}${LOGIN_ENDPOINT}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password }),
                 cache: 'no-store',
-                redirect: 'follow'
+                signal: controller.signal
             });
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
+            if (response.status === 401 || response.status === 403) {
+                return null;
             }
 
-            const csvText = await response.text();
-            
-            // Check if we got HTML instead of CSV
-            if (csvText.trim().startsWith('<!DOCTYPE') || csvText.trim().startsWith('<html')) {
-                throw new Error('Sheet not publicly accessible');
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `HTTP ${response.status}`);
             }
 
-            const lines = csvText.split(/\r?\n/).filter(Boolean);
-            if (lines.length <= 1) {
-                throw new Error('No credentials found');
+            return data;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('Request timeout');
             }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
 
-            const delimiter = AdminCore.detectDelimiter(lines[0]);
-            const creds = [];
-
-            for (let i = 1; i < lines.length; i++) {
-                const row = AdminCore.parseCSVLine(lines[i], delimiter);
-                if (row.length >= 2 && row[0] && row[1]) {
-                    creds.push({
-                        username: row[0].trim(),
-                        password: row[1].trim()
-                    });
-                }
+    /**
+     * Log in against the local development user store
+     * Mirrors the Worker: salted hash check, then an HMAC-signed token.
+     * @param {string} username
+     * @param {string} password
+     * @returns {Promise<Object|null>} {username, role, token, expiresAt}, or null if rejected
+     */
+    async function loginWithLocalUsers(username, password) {
+        if (!localUsers) {
+            const response = await fetch(LOCAL_USERS_URL, { cache: 'no-store' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
             }
-
-            return creds;
-        } catch (error) {
-            console.error('Error fetching credentials:', error);
-            throw error;
+            localUsers = await response.json();
         }
+
+        const normalizedUsername = username.toLowerCase();
+        const user = (localUsers.users || []).find(u => u.username.toLowerCase() === normalizedUsername);
+        if (!user) return null;
+
+        const { hash } = await hashPassword(password, user.salt, localUsers.iterations || PBKDF2_ITERATIONS);
+        if (!safeEqual(hash, user.hash)) return null;
+
+        const now = Math.floor(Date.now() / 1000);
+        const exp = now + (localUsers.sessionTtlHours || 12) * 3600;
+        const payloadPart = toBase64Url(JSON.stringify({ sub: user.username, role: user.role, iat: now, exp }));
+
+        const key = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(localUsers.tokenSecret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+        );
+        const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payloadPart));
+
+        return {
+            username: user.username,
+            role: user.role,
+            token: `${payloadPart}.${toBase64Url(signature)}`,
+            expiresAt: exp * 1000
+        };
     }
 
     // ============================================
@@ -89,24 +215,17 @@ window.AdminAuth = (function() {
     // ============================================
     
     /**
-     * Validate username and password against credentials
+     * Authenticate a username and password
      * @param {string} username - Username to validate
      * @param {string} password - Password to validate
-     * @returns {Promise<boolean>} True if valid
+     * @returns {Promise<Object|null>} {username, role, token, expiresAt}, or null if invalid
      */
-    async function validateCredentials(username, password) {
-        // Fetch fresh credentials if not cached
-        if (!credentials) {
-            credentials = await fetchCredentials();
-        }
+    async function authenticate(username, password) {
+        const normalizedUsername = username.trim();
 
-        const normalizedUsername = username.trim().toLowerCase();
-        const normalizedPassword = password.trim();
-
-        return credentials.some(cred => 
-            cred.username.toLowerCase() === normalizedUsername &&
-            cred.password === normalizedPassword
-        );
+        return await DataSources.getAuthMode() === DataSources.AuthMode.LOCAL
+            ? loginWithLocalUsers(normalizedUsername, password)
+            : loginWithApi(normalizedUsername, password);
     }
 
     // ============================================
@@ -147,11 +266,11 @@ window.AdminAuth = (function() {
         hideError(errorEl);
 
         try {
-            const isValid = await validateCredentials(username, password);
+            const auth = await authenticate(username, password);
 
-            if (isValid) {
+            if (auth) {
                 // Create session
-                AdminCore.createSession(username);
+                const session = AdminCore.createSession(auth);
                 
                 // Clear form
                 form.reset();
@@ -163,9 +282,9 @@ window.AdminAuth = (function() {
                 AdminCore.startAutoRefresh();
                 
                 // Emit login event
-                AdminCore.emit('login', { username });
+                AdminCore.emit('login', { username: session.username, role: session.role });
                 
-                AdminCore.showToast(`Welcome, ${username}!`, 'success');
+                AdminCore.showToast(`Welcome, ${session.username}!`, 'success');
             } else {
                 showError(errorEl, 'Invalid username or password');
                 passwordInput.value = '';
@@ -202,7 +321,8 @@ window.AdminAuth = (function() {
         if (el) {
             el.textContent = '';
             el.classList.remove('show');
-        }    }
+        }
+    }
 
     // ============================================
     // Logout Handler
@@ -218,9 +338,6 @@ window.AdminAuth = (function() {
         // Stop auto-refresh
         AdminCore.stopAutoRefresh();
         
-        // Clear cached credentials
-        credentials = null;
-        
         // Show login
         AdminCore.showLogin();
         
@@ -290,10 +407,10 @@ window.AdminAuth = (function() {
     // Public API
     // ============================================
     return {
-        validateCredentials,
+        authenticate,
+        hashPassword,
         handleLogout,
-        checkSession,
-        refreshCredentials: () => { credentials = null; }
+        checkSession
     };
 })();
 
@@ -0,0 +1,423 @@
+/**
+ * POP-SORTE Admin Dashboard - Draw Calendar Editor
+ *
+ * This module provides the Calendar section:
+ * - List of dated exceptions (no draw, early draw at HH:MM, extra draw)
+ * - Add / edit / remove exceptions in a local draft
+ * - Publish the draft to the Worker (read by the player site and validators)
+ * - Preview of the upcoming draw days with the active calendar
+ *
+ * Dependencies: draw-calendar.js (DrawCalendar), admin-core.js (AdminCore)
+ */
+
+// ============================================
+// Calendar Editor Module
+// ============================================
+window.CalendarEditor = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Number of days shown in the upcoming draws preview
+     */
+    const PREVIEW_DAYS = 14;
+
+    /**
+     * Display info per exception type
+     */
+    const TYPE_INFO = {
+        NO_DRAW: { label: 'No Draw', badge: 'badge-danger' },
+        EARLY_DRAW: { label: 'Early Draw', badge: 'badge-warning' },
+        EXTRA_DRAW: { label: 'Extra Draw', badge: 'badge-info' }
+    };
+
+    const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+    // ============================================
+    // State
+    // ============================================
+    let draft = [];
+    let isDirty = false;
+    let isSaving = false;
+    let isInitialized = false;
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Escape text for safe HTML insertion
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return String(text || '').replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        }[c]));
+    }
+
+    /**
+     * Format an exception date key for display
+     * @param {string} date - "YYYY-MM-DD" or recurring "MM-DD"
+     * @returns {string} "DD/MM/YYYY" or "DD/MM (every year)"
+     */
+    function formatExceptionDate(date) {
+        const parts = date.split('-');
+        if (parts.length === 2) {
+            return `${parts[1]}/${parts[0]} <span class="text-muted">(every year)</span>`;
+        }
+        return `${parts[2]}/${parts[1]}/${parts[0]}`;
+    }
+
+    /**
+     * Sort exceptions: dated first (chronological), then recurring by month-day
+     * @param {Object[]} list - Exceptions
+     * @returns {Object[]} Sorted copy
+     */
+    function sortExceptions(list) {
+        return [...list].sort((a, b) => {
+            const aRecurring = a.date.length === 5;
+            const bRecurring = b.date.length === 5;
+            if (aRecurring !== bRecurring) return aRecurring ? 1 : -1;
+            return a.date.localeCompare(b.date);
+        });
+    }
+
+    /**
+     * Reset the draft to the active calendar
+     */
+    function resetDraft() {
+        draft = DrawCalendar.getExceptions();
+        isDirty = false;
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    /**
+     * Render the whole section
+     */
+    function render() {
+        renderStatus();
+        renderTable();
+        renderPreview();
+    }
+
+    /**
+     * Render the publish status badge and action buttons state
+     */
+    function renderStatus() {
+        const label = document.getElementById('calendarStatusLabel');
+        if (label) {
+            if (isDirty) {
+                label.className = 'badge badge-warning';
+                label.textContent = 'Unsaved changes';
+            } else {
+                const updatedAt = DrawCalendar.getUpdatedAt();
+                label.className = updatedAt ? 'badge badge-success' : 'badge badge-gray';
+                label.textContent = updatedAt
+                    ? `Published ${AdminCore.formatBrazilDateTime(new Date(updatedAt))}`
+                    : 'Built-in defaults';
+            }
+        }
+
+        const saveBtn = document.getElementById('btnCalendarSave');
+        if (saveBtn) {
+            saveBtn.disabled = !isDirty || isSaving || !AdminCore.hasPermission('validate');
+            saveBtn.title = AdminCore.hasPermission('validate') ? '' : 'Your role cannot publish the draw calendar';
+            saveBtn.textContent = isSaving ? '⏳ Publishing...' : '💾 Publish';
+        }
+        const discardBtn = document.getElementById('btnCalendarDiscard');
+        if (discardBtn) discardBtn.disabled = !isDirty || isSaving;
+    }
+
+    /**
+     * Render the exceptions table from the draft
+     */
+    function renderTable() {
+        const tbody = document.getElementById('calendarTableBody');
+        if (!tbody) return;
+
+        if (draft.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">No exceptions - draws run Monday to Saturday at 20:00</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = sortExceptions(draft).map(ex => {
+            const info = TYPE_INFO[ex.type];
+            return `
+                <tr>
+                    <td><strong>${formatExceptionDate(ex.date)}</strong></td>
+                    <td><span class="badge ${info.badge}">${info.label}</span></td>
+                    <td>${ex.time || '-'}</td>
+                    <td>${escapeHtml(ex.label) || '<span class="text-muted">-</span>'}</td>
+                    <td class="table-actions">
+                        <button class="btn btn-secondary btn-sm" data-calendar-action="edit" data-date="${ex.date}">Edit</button>
+                        <button class="btn btn-danger btn-sm" data-calendar-action="remove" data-date="${ex.date}">Remove</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Render the upcoming draw days using the active calendar
+     */
+    function renderPreview() {
+        const tbody = document.getElementById('calendarPreviewBody');
+        if (!tbody) return;
+
+        const today = DrawCalendar.startOfDay(AdminCore.getBrazilTime());
+        const rows = [];
+
+        for (let i = 0; i < PREVIEW_DAYS; i++) {
+            const day = DrawCalendar.addDays(today, i);
+            const c = DrawCalendar.getBrazilComponents(day);
+            const exception = DrawCalendar.getException(day);
+            const isDraw = DrawCalendar.isDrawDay(day);
+
+            const drawCell = isDraw
+                ? `<span class="badge ${DrawCalendar.isEarlyDrawDay(day) ? 'badge-warning' : 'badge-success'}">${DrawCalendar.getDrawTime(day).label}</span>`
+                : '<span class="badge badge-gray">No draw</span>';
+
+            rows.push(`
+                <tr>
+                    <td>${String(c.day).padStart(2, '0')}/${String(c.month).padStart(2, '0')}/${c.year}</td>
+                    <td>${WEEKDAYS[c.weekday]}</td>
+                    <td>${drawCell}</td>
+                    <td>${exception ? escapeHtml(exception.label || TYPE_INFO[exception.type].label) : '<span class="text-muted">-</span>'}</td>
+                </tr>
+            `);
+        }
+
+        tbody.innerHTML = rows.join('');
+    }
+
+    // ============================================
+    // Form Handling
+    // ============================================
+
+    /**
+     * Show/hide the time input depending on the selected type
+     */
+    function updateTimeField() {
+        const type = document.getElementById('calendarType')?.value;
+        const timeGroup = document.getElementById('calendarTimeGroup');
+        const timeInput = document.getElementById('calendarTime');
+        if (!timeGroup || !timeInput) return;
+
+        timeGroup.style.display = type === 'NO_DRAW' ? 'none' : '';
+        if (!timeInput.value) {
+            timeInput.value = type === 'EARLY_DRAW' ? DrawCalendar.DEFAULT_EARLY_DRAW_TIME : DrawCalendar.DEFAULT_DRAW_TIME;
+        }
+    }
+
+    /**
+     * Clear the exception form
+     */
+    function clearForm() {
+        document.getElementById('calendarDate').value = '';
+        document.getElementById('calendarRecurring').checked = false;
+        document.getElementById('calendarType').value = 'NO_DRAW';
+        document.getElementById('calendarTime').value = '';
+        document.getElementById('calendarLabel').value = '';
+        updateTimeField();
+    }
+
+    /**
+     * Fill the form with an existing exception
+     * @param {string} date - Exception date key
+     */
+    function editException(date) {
+        const ex = draft.find(e => e.date === date);
+        if (!ex) return;
+
+        const isRecurring = ex.date.length === 5;
+        const year = DrawCalendar.getBrazilComponents(AdminCore.getBrazilTime()).year;
+
+        document.getElementById('calendarDate').value = isRecurring ? `${year}-${ex.date}` : ex.date;
+        document.getElementById('calendarRecurring').checked = isRecurring;
+        document.getElementById('calendarType').value = ex.type;
+        document.getElementById('calendarTime').value = ex.time || '';
+        document.getElementById('calendarLabel').value = ex.label || '';
+        updateTimeField();
+
+        document.getElementById('calendarDate').focus();
+    }
+
+    /**
+     * Remove an exception from the draft
+     * @param {string} date - Exception date key
+     */
+    function removeException(date) {
+        draft = draft.filter(e => e.date !== date);
+        isDirty = true;
+        render();
+    }
+
+    /**
+     * Add or replace an exception in the draft from the form values
+     */
+    function submitForm() {
+        const dateValue = document.getElementById('calendarDate').value;
+        const isRecurring = document.getElementById('calendarRecurring').checked;
+        const type = document.getElementById('calendarType').value;
+        const time = document.getElementById('calendarTime').value;
+        const label = document.getElementById('calendarLabel').value.trim();
+
+        if (!dateValue) {
+            AdminCore.showToast('Select a date', 'warning');
+            return;
+        }
+
+        const exception = DrawCalendar.normalizeException({
+            date: isRecurring ? dateValue.slice(5) : dateValue,
+            type,
+            time,
+            label
+        });
+
+        if (!exception) {
+            AdminCore.showToast('Invalid exception', 'error');
+            return;
+        }
+
+        const exists = draft.some(e => e.date === exception.date);
+        draft = draft.filter(e => e.date !== exception.date);
+        draft.push(exception);
+        isDirty = true;
+
+        clearForm();
+        render();
+        AdminCore.showToast(exists ? 'Exception updated (not published yet)' : 'Exception added (not published yet)');
+    }
+
+    // ============================================
+    // Publishing
+    // ============================================
+
+    /**
+     * Publish the draft to the Worker
+     */
+    async function publish() {
+        if (!isDirty || isSaving) return;
+
+        if (!AdminCore.hasPermission('validate')) {
+            AdminCore.showToast('Your role cannot publish the draw calendar', 'error');
+            return;
+        }
+
+        isSaving = true;
+        renderStatus();
+
+        try {
+            const session = AdminCore.getSession();
+            await DrawCalendar.saveExceptions(AdminCore.API_BASE_URL, draft, {
+                updatedBy: session ? session.username : ''
+            }, AdminCore.getAuthHeaders());
+            resetDraft();
+            AdminCore.showToast('Draw calendar published', 'success');
+        } catch (error) {
+            console.error('Error publishing draw calendar:', error);
+            AdminCore.showToast('Could not publish calendar: ' + error.message, 'error');
+        } finally {
+            isSaving = false;
+            render();
+        }
+    }
+
+    /**
+     * Discard unpublished changes
+     */
+    function discard() {
+        resetDraft();
+        clearForm();
+        render();
+    }
+
+    /**
+     * Replace the draft with the built-in exceptions
+     */
+    function restoreDefaults() {
+        if (!confirm('Replace the calendar draft with the built-in holidays (Dec 24/25/31, Jan 1)?')) {
+            return;
+        }
+        draft = DrawCalendar.DEFAULT_EXCEPTIONS.map(DrawCalendar.normalizeException);
+        isDirty = true;
+        render();
+    }
+
+    // ============================================
+    // Event Binding
+    // ============================================
+
+    function bindEvents() {
+        document.getElementById('calendarType')?.addEventListener('change', () => {
+            document.getElementById('calendarTime').value = '';
+            updateTimeField();
+        });
+        document.getElementById('btnCalendarAdd')?.addEventListener('click', submitForm);
+        document.getElementById('btnCalendarClear')?.addEventListener('click', clearForm);
+        document.getElementById('btnCalendarSave')?.addEventListener('click', publish);
+        document.getElementById('btnCalendarDiscard')?.addEventListener('click', discard);
+        document.getElementById('btnCalendarDefaults')?.addEventListener('click', restoreDefaults);
+
+        document.getElementById('calendarTableBody')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-calendar-action]');
+            if (!btn) return;
+            if (btn.dataset.calendarAction === 'edit') {
+                editException(btn.dataset.date);
+            } else if (btn.dataset.calendarAction === 'remove') {
+                removeException(btn.dataset.date);
+            }
+        });
+    }
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    function init() {
+        bindEvents();
+        resetDraft();
+        updateTimeField();
+        render();
+        isInitialized = true;
+    }
+
+    // Forward calendar changes to the admin event bus
+    DrawCalendar.onChange(exceptions => {
+        AdminCore.emit('calendarChange', { exceptions });
+    });
+
+    if (typeof AdminCore !== 'undefined') {
+        AdminCore.on('appShown', () => {
+            if (!isInitialized) init();
+        });
+
+        AdminCore.on('login', () => {
+            if (!isInitialized) init();
+        });
+
+        AdminCore.on('calendarChange', () => {
+            // Keep unpublished edits; otherwise follow the active calendar
+            if (!isInitialized) return;
+            if (!isDirty) resetDraft();
+            render();
+        });
+
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        init,
+        render,
+        publish
+    };
+})();
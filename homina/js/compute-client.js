@@ -0,0 +1,310 @@
+/**
+ * POP-SORTE Admin Dashboard - Compute Client
+ *
+ * Page side of compute-worker.js. Sheet parsing, ticket validation and the
+ * winner calculation go through here, run in the worker and come back as
+ * promises:
+ * - parseEntries / parseRecharges: sheet text -> objects
+ * - validate: same output as ValidationEngine.validate, keyed by the page's
+ *   own entry objects (players is null; see DataStore.explainEntry)
+ * - computeWinners: same output as WinnerCalculator.computeAllWinners
+ *
+ * Worker progress is shown with AdminCore.updateLoadingProgress, scaled to
+ * the range the caller passes. The entries and recharges are only sent when
+ * the arrays change, and winners for a subset of them are asked for by index.
+ *
+ * Where a worker cannot start (no Worker support, script blocked) every call
+ * runs the same modules on the main thread instead.
+ *
+ * Dependencies: admin-core.js (AdminCore), draw-calendar.js (DrawCalendar), sheet-parser.js (SheetParser),
+ *               validation-engine.js (ValidationEngine), prize-rules.js (PrizeRules),
+ *               winner-calculator.js (WinnerCalculator), adjudication.js (Adjudication)
+ */
+
+// ============================================
+// Compute Client Module
+// ============================================
+window.ComputeClient = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Worker script, relative to index.html
+     */
+    const WORKER_URL = 'js/compute-worker.js';
+
+    // ============================================
+    // State
+    // ============================================
+    let worker = null;
+    let workerFailed = false;
+    let nextId = 1;
+    const pending = new Map();   // id -> {resolve, reject, onProgress}
+
+    // Arrays the worker currently holds
+    const sent = {
+        entries: null,
+        recharges: null,
+        results: null,
+        entryIndex: new Map()
+    };
+
+    // Validation built from a worker reply -> the worker's validationId
+    const validationIds = new WeakMap();
+
+    // ============================================
+    // Worker Lifecycle
+    // ============================================
+
+    /**
+     * Start the worker on first use
+     * @returns {Worker|null} null when calls must run on the main thread
+     */
+    function getWorker() {
+        if (worker || workerFailed) return worker;
+
+        if (typeof Worker === 'undefined') {
+            workerFailed = true;
+            return null;
+        }
+
+        try {
+            worker = new Worker(WORKER_URL);
+        } catch (error) {
+            console.warn('⚠️ Compute worker unavailable, computing on the main thread:', error.message);
+            workerFailed = true;
+            return null;
+        }
+
+        worker.onmessage = handleMessage;
+        worker.onerror = (event) => {
+            event.preventDefault();
+            console.warn('⚠️ Compute worker failed, computing on the main thread:', event.message || 'script error');
+            stopWorker();
+        };
+        return worker;
+    }
+
+    /**
+     * Stop the worker for good; waiting calls fall back to the main thread
+     */
+    function stopWorker() {
+        if (worker) worker.terminate();
+        worker = null;
+        workerFailed = true;
+
+        pending.forEach(call => call.resolve(null));
+        pending.clear();
+    }
+
+    /**
+     * Route a worker message to its call
+     * @param {MessageEvent} event
+     */
+    function handleMessage(event) {
+        const message = event.data;
+        const call = pending.get(message.id);
+        if (!call) return;
+
+        if (message.type === 'progress') {
+            if (call.onProgress) call.onProgress(message.percent);
+            return;
+        }
+
+        pending.delete(message.id);
+        if (message.type === 'error') {
+            call.reject(new Error(message.message));
+        } else {
+            call.resolve(message.result);
+        }
+    }
+
+    /**
+     * Send a task to the worker
+     * @param {Object} message - {type, ...payload}
+     * @param {Function} [onProgress] - Called with the worker's percentage
+     * @returns {Promise<*|null>} Task result, or null when the caller must run it itself
+     */
+    function post(message, onProgress) {
+        const target = getWorker();
+        if (!target) return Promise.resolve(null);
+
+        return new Promise((resolve, reject) => {
+            const id = nextId++;
+            pending.set(id, { resolve, reject, onProgress });
+            target.postMessage({ id, ...message });
+        });
+    }
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Progress callback drawing on the loading overlay
+     * @param {Object} [range] - {from, to, text}; no callback when omitted
+     * @returns {Function|undefined}
+     */
+    function progressReporter(range) {
+        if (!range) return undefined;
+        return (percent) => {
+            const overall = range.from + Math.round(((range.to - range.from) * percent) / 100);
+            AdminCore.updateLoadingProgress(overall, `${range.text} ${percent}%`);
+        };
+    }
+
+    /**
+     * Arrays the worker does not hold yet
+     * @param {Object} arrays - {entries?, recharges?, results?}
+     * @returns {Object} Only the changed arrays
+     */
+    function changedData(arrays) {
+        const data = {};
+        Object.keys(arrays).forEach(name => {
+            if (arrays[name] === sent[name]) return;
+            data[name] = arrays[name];
+            sent[name] = arrays[name];
+            if (name === 'entries') {
+                sent.entryIndex = new Map(arrays.entries.map((entry, index) => [entry, index]));
+            }
+        });
+        return data;
+    }
+
+    /**
+     * What validation and prizes depend on besides the data
+     * @param {Map} [overrides] - Defaults to the active manual overrides
+     * @returns {Object} {exceptions, overrides, prizeRules}
+     */
+    function getContext(overrides) {
+        return {
+            exceptions: DrawCalendar.getExceptions(),
+            overrides: overrides || Adjudication.getActiveOverrides(),
+            prizeRules: PrizeRules.getVersions()
+        };
+    }
+
+    // ============================================
+    // Tasks
+    // ============================================
+
+    /**
+     * Parse the entries sheet
+     * @param {string} csvText - Raw CSV text
+     * @param {Object} [progress] - Loading overlay range {from, to, text}
+     * @returns {Promise<Object[]>} Entries, newest first
+     */
+    async function parseEntries(csvText, progress) {
+        const onProgress = progressReporter(progress);
+        const entries = await post({ type: 'parseEntries', csvText }, onProgress);
+        return entries || SheetParser.parseEntries(csvText, onProgress);
+    }
+
+    /**
+     * Parse one platform's recharge sheet
+     * @param {string} csvText - Raw CSV text
+     * @param {string} platform - POPN1 or POPLUZ
+     * @returns {Promise<Object[]>} Recharges tagged with the platform
+     */
+    async function parseRecharges(csvText, platform) {
+        const recharges = await post({ type: 'parseRecharges', csvText, platform });
+        return recharges || SheetParser.parseRecharges(csvText, platform);
+    }
+
+    /**
+     * Validate all tickets against all recharges
+     * @param {Object[]} entries - Every loaded entry
+     * @param {Object[]} recharges - Every loaded recharge
+     * @param {Object} [options]
+     * @param {Map} [options.overrides] - Manual overrides (active ones by default)
+     * @param {Object} [options.progress] - Loading overlay range {from, to, text}
+     * @param {Object} [options.reuse] - {validation, players}, see ValidationEngine.validate
+     * @returns {Promise<Object>} {results, byEntry, players, stats, rechargeCount}
+     */
+    async function validate(entries, recharges, options = {}) {
+        const context = getContext(options.overrides);
+        const onProgress = progressReporter(options.progress);
+        const reuse = options.reuse || null;
+
+        // The worker can only reuse a validation it made itself
+        const reuseId = reuse && validationIds.get(reuse.validation);
+        const reply = workerFailed ? null : await post({
+            type: 'validate',
+            data: changedData({ entries, recharges }),
+            context,
+            reuse: reuseId ? { from: reuseId, players: Array.from(reuse.players) } : null
+        }, onProgress);
+
+        if (!reply) {
+            return ValidationEngine.validate(entries, recharges, { overrides: context.overrides, onProgress, reuse });
+        }
+
+        // Put the page's objects back where the worker sent indices
+        const byEntry = new Map();
+        const results = reply.results.map((record, index) => {
+            const result = {
+                ...record,
+                ticket: entries[index],
+                duplicateOf: record.duplicateOf === null ? null : entries[record.duplicateOf]
+            };
+            byEntry.set(entries[index], result);
+            return result;
+        });
+
+        const validation = {
+            results,
+            byEntry,
+            players: null,
+            stats: reply.stats,
+            rechargeCount: reply.rechargeCount
+        };
+        validationIds.set(validation, reply.validationId);
+        return validation;
+    }
+
+    /**
+     * Winners and prizes for all contests
+     * Entries the worker holds are judged by its validation; any other entry
+     * by its sheet status, as WinnerCalculator.isValidEntry does.
+     * @param {Object[]} entries - Entries to consider (all or one platform)
+     * @param {Object[]} results - All results
+     * @param {string} platform - ALL, POPN1 or POPLUZ
+     * @returns {Promise<Object>} WinnerCalculator.computeAllWinners output
+     */
+    async function computeWinners(entries, results, platform) {
+        let selection = null;
+        if (!workerFailed) {
+            if (entries === sent.entries) {
+                selection = { all: true };
+            } else {
+                const indices = entries.map(entry => sent.entryIndex.get(entry));
+                selection = indices.every(index => index !== undefined)
+                    ? { indices: Int32Array.from(indices) }
+                    : { entries };
+            }
+        }
+
+        const reply = selection && await post({
+            type: 'winners',
+            data: changedData({ results }),
+            context: getContext(),
+            platform,
+            selection
+        });
+
+        return reply || WinnerCalculator.computeAllWinners(entries, results, platform);
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        parseEntries,
+        parseRecharges,
+        validate,
+        computeWinners
+    };
+})();
@@ -0,0 +1,220 @@
+/**
+ * POP-SORTE Admin Dashboard - Compute Worker
+ *
+ * Dedicated Web Worker that keeps the heavy work off the page's main thread:
+ * - Parsing the entries and recharge sheets (SheetParser)
+ * - Binding tickets to recharges (ValidationEngine, grouped by platform +
+ *   Game ID)
+ * - Winners and prizes (WinnerCalculator.computeAllWinners)
+ *
+ * Started and spoken to by compute-client.js (ComputeClient), never loaded
+ * as a page script.
+ *
+ * Messages in:  {id, type, ...payload}
+ *   parseEntries   {csvText}
+ *   parseRecharges {csvText, platform}
+ *   validate       {data, context, reuse}
+ *   winners        {data, context, platform, selection}
+ *
+ *   data:      {entries?, recharges?, results?}, only the arrays that changed
+ *              since the last message
+ *   context:   {exceptions, overrides, prizeRules}, the page's draw calendar,
+ *              active manual overrides and prize rule versions
+ *   selection: {all: true} | {indices} into the entries | {entries} not held
+ *   reuse:     {from, players}, carry over the results of validation `from`
+ *              (an earlier validationId) for players not listed, see
+ *              ValidationEngine.diffRows
+ *
+ * Messages out: {id, type: 'progress', percent}
+ *               {id, type: 'result', result}
+ *               {id, type: 'error', message}
+ *
+ * The entries and recharges stay here between messages. Validation is kept
+ * until the data or the calendar/overrides change, along with the one
+ * before it so a refresh can carry results over. Results go back as
+ * plain records with array indices in place of object references, which the
+ * client maps onto the page's own objects.
+ *
+ * Dependencies: draw-calendar.js, sheet-parser.js, validation-engine.js,
+ *               prize-rules.js, winner-calculator.js (loaded with importScripts)
+ */
+
+importScripts(
+    '../../draw-calendar.js',
+    'sheet-parser.js',
+    'validation-engine.js',
+    'prize-rules.js',
+    'winner-calculator.js'
+);
+
+(function() {
+    'use strict';
+
+    // ============================================
+    // State
+    // ============================================
+    const state = {
+        entries: [],
+        recharges: [],
+        results: [],
+        // Entry -> index, for duplicateOf references
+        entryIndex: new Map(),
+        // {validation, id, calendarKey, overridesKey} of the held data, and the one before
+        current: null,
+        previous: null
+    };
+
+    // ============================================
+    // Data and Context
+    // ============================================
+
+    /**
+     * Take the arrays the page sent
+     * @param {Object} [data] - {entries?, recharges?, results?}
+     */
+    function applyData(data) {
+        if (!data) return;
+
+        if ((data.entries || data.recharges) && state.current) {
+            state.previous = state.current;
+            state.current = null;
+        }
+        if (data.entries) {
+            state.entries = data.entries;
+            state.entryIndex = new Map(data.entries.map((entry, index) => [entry, index]));
+        }
+        if (data.recharges) {
+            state.recharges = data.recharges;
+        }
+        if (data.results) {
+            state.results = data.results;
+        }
+    }
+
+    /**
+     * Apply the page's calendar and prize rules
+     * @param {Object} context - {exceptions, overrides, prizeRules}
+     * @returns {Object} {calendarKey, overridesKey} of what validation depends on
+     */
+    function applyContext(context) {
+        DrawCalendar.setExceptions(context.exceptions);
+        PrizeRules.setVersions(context.prizeRules);
+        return {
+            calendarKey: JSON.stringify(context.exceptions),
+            overridesKey: JSON.stringify(Array.from(context.overrides || []))
+        };
+    }
+
+    /**
+     * Validation of the held data under a context, reused while it holds
+     * Results can only be carried over from a validation made under the same
+     * calendar; overrides are applied again anyway.
+     * @param {Object} message - {id, context, reuse?}
+     * @param {Function} [onProgress]
+     * @returns {Object} {validation, id, calendarKey, overridesKey}
+     */
+    function getValidation(message, onProgress) {
+        const keys = applyContext(message.context);
+        const current = state.current;
+        if (current && current.calendarKey === keys.calendarKey && current.overridesKey === keys.overridesKey) {
+            return current;
+        }
+
+        let reuse = null;
+        if (message.reuse) {
+            const source = [current, state.previous]
+                .find(v => v && v.id === message.reuse.from && v.calendarKey === keys.calendarKey);
+            if (source) reuse = { validation: source.validation, players: new Set(message.reuse.players) };
+        }
+
+        const validation = ValidationEngine.validate(state.entries, state.recharges, {
+            overrides: message.context.overrides,
+            onProgress,
+            reuse
+        });
+
+        if (current) state.previous = current;
+        state.current = { validation, id: message.id, ...keys };
+        return state.current;
+    }
+
+    // ============================================
+    // Tasks
+    // ============================================
+
+    /**
+     * validate: one plain record per held entry, in order
+     * @param {Object} message
+     * @param {Function} progress
+     * @returns {Object} {results, stats, rechargeCount, validationId}
+     */
+    function validate(message, progress) {
+        const { validation, id } = getValidation(message, progress);
+
+        const results = validation.results.map(result => {
+            const record = { ...result, duplicateOf: null };
+            delete record.ticket;
+            if (result.duplicateOf) {
+                record.duplicateOf = state.entryIndex.get(result.duplicateOf);
+            }
+            return record;
+        });
+
+        return {
+            results,
+            stats: validation.stats,
+            rechargeCount: validation.rechargeCount,
+            validationId: id
+        };
+    }
+
+    /**
+     * winners: WinnerCalculator.computeAllWinners over the selected entries
+     * Held entries are judged by their validation result; entries sent along
+     * with the message have none, so their sheet status decides.
+     * @param {Object} message
+     * @param {Function} progress
+     * @returns {Object} Winners calculation
+     */
+    function winners(message, progress) {
+        const { validation } = getValidation(message);
+        const selection = message.selection;
+
+        let entries = state.entries;
+        if (selection.indices) {
+            entries = Array.from(selection.indices, index => state.entries[index]);
+        } else if (selection.entries) {
+            entries = selection.entries;
+        }
+
+        return WinnerCalculator.computeAllWinners(entries, state.results, message.platform, {
+            isValid: entry => WinnerCalculator.isValidResult(entry, validation.byEntry.get(entry)),
+            onProgress: progress
+        });
+    }
+
+    const TASKS = {
+        parseEntries: (message, progress) => SheetParser.parseEntries(message.csvText, progress),
+        parseRecharges: message => SheetParser.parseRecharges(message.csvText, message.platform),
+        validate,
+        winners
+    };
+
+    // ============================================
+    // Messaging
+    // ============================================
+
+    self.onmessage = (event) => {
+        const message = event.data;
+        const task = TASKS[message.type];
+        const progress = percent => self.postMessage({ id: message.id, type: 'progress', percent });
+
+        try {
+            if (!task) throw new Error(`Unknown task: ${message.type}`);
+            applyData(message.data);
+            self.postMessage({ id: message.id, type: 'result', result: task(message, progress) });
+        } catch (error) {
+            self.postMessage({ id: message.id, type: 'error', message: error.message || String(error) });
+        }
+    };
+})();
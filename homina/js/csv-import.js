@@ -0,0 +1,440 @@
+/**
+ * POP-SORTE Admin Dashboard - CSV Import
+ *
+ * This module provides the Import Data section:
+ * - A drop zone (or file picker) taking any number of CSV files
+ * - For each file, the layout SheetParser.parseImport recognised (entries
+ *   sheet, recharge sheet, raw platform recharge export, results sheet), the
+ *   column each field is read from, and the rows that could not be read
+ * - Merging the rows into the loaded data (DataStore.importRows), leaving
+ *   out tickets, order numbers and contests that are already there
+ *
+ * Raw platform exports list every balance change; only the recharge rows
+ * (Account Change Type 充值) are kept, and the platform is guessed from the
+ * file name until the admin picks one.
+ *
+ * Dependencies: sheet-parser.js (SheetParser), admin-core.js (AdminCore),
+ *               data-sources.js (DataSources), data-store.js (DataStore)
+ */
+
+// ============================================
+// CSV Import Module
+// ============================================
+window.CsvImport = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Rows with errors listed per file
+     */
+    const MAX_ERRORS_SHOWN = 10;
+
+    /**
+     * Platforms offered when the data source config names none
+     */
+    const DEFAULT_PLATFORMS = ['POPN1', 'POPLUZ'];
+
+    const DATASET_LABELS = {
+        entries: 'Entries',
+        recharges: 'Recharges',
+        results: 'Results'
+    };
+
+    // ============================================
+    // State
+    // ============================================
+    let isInitialized = false;
+    let nextFileId = 1;
+    let platforms = DEFAULT_PLATFORMS;
+    // Dropped files: {id, name, text, dataset, platform, parsed, error, merging, merged}
+    let files = [];
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Escape text for safe HTML insertion
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return String(text ?? '').replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        }[c]));
+    }
+
+    /**
+     * Guess a recharge file's platform from its name ("RECHARGE POPN1 - Sheet1.csv")
+     * @param {string} name - File name
+     * @returns {string|null} Platform, or null when the name does not tell
+     */
+    function guessPlatform(name) {
+        const upper = name.toUpperCase();
+        if (upper.includes('LUZ')) return 'POPLUZ';
+        if (upper.includes('N1')) return 'POPN1';
+        return null;
+    }
+
+    /**
+     * Read a file's text again with its current dataset and platform
+     * @param {Object} item - Dropped file
+     */
+    function parseItem(item) {
+        try {
+            item.parsed = SheetParser.parseImport(item.text, {
+                dataset: item.dataset || undefined,
+                platform: item.platform || undefined
+            });
+            item.dataset = item.parsed.schema.dataset;
+            item.error = null;
+        } catch (error) {
+            item.parsed = null;
+            item.error = error.message;
+        }
+    }
+
+    /**
+     * Why a file cannot be merged yet
+     * @param {Object} item - Dropped file
+     * @returns {string} Empty when it can
+     */
+    function mergeBlocker(item) {
+        if (!AdminCore.hasPermission('validate')) return 'Your role cannot import data';
+        if (!item.parsed) return 'File not readable';
+        if (item.parsed.rows.length === 0) return 'No rows to merge';
+        if (item.dataset === 'recharges' && !item.platform) return 'Choose the platform first';
+        if (!DataStore.isLoaded() || DataStore.isLoading()) return 'Wait for the data to finish loading';
+        return '';
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    /**
+     * Column mapping of a parsed file
+     * @param {Object} schema - parseImport schema
+     * @returns {string} HTML
+     */
+    function renderColumns(schema) {
+        const rows = schema.columns.map(({ field, header, index }) => {
+            let source = '<span class="text-muted">not found</span>';
+            if (header) {
+                source = `${escapeHtml(header)} <span class="text-muted">(column ${index + 1})</span>`;
+            } else if (index >= 0) {
+                source = `<span class="text-muted">column ${index + 1}, by position</span>`;
+            }
+            return `<tr><td><code>${escapeHtml(field)}</code></td><td>${source}</td></tr>`;
+        }).join('');
+
+        return `<table class="table">
+            <thead><tr><th>Field</th><th>Read from</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+    }
+
+    /**
+     * Row counts and parse errors of a parsed file
+     * @param {Object} item - Dropped file
+     * @returns {string} HTML
+     */
+    function renderSummary(item) {
+        const { rows, errors, skipped, total } = item.parsed;
+        const loaded = DataStore.isLoaded() ? DataStore.countLoaded(item.dataset, rows) : 0;
+
+        const parts = [`<strong>${rows.length}</strong> of ${total} rows read`];
+        if (skipped) {
+            parts.push(item.dataset === 'recharges'
+                ? `${skipped} skipped (not recharges)`
+                : `${skipped} skipped (no draw or not drawn yet)`);
+        }
+        if (errors.length) parts.push(`<span class="text-danger">${errors.length} with errors</span>`);
+        if (loaded) parts.push(`${loaded} already loaded`);
+        if (item.parsed.schema.dataset !== 'entries') {
+            parts.push(`dates read as ${item.parsed.schema.dayFirst ? 'DD/MM' : 'MM/DD'}`);
+        }
+
+        let html = `<p class="mb-2">${parts.join(' · ')}</p>`;
+        if (errors.length) {
+            const listed = errors.slice(0, MAX_ERRORS_SHOWN)
+                .map(({ line, message }) => `<li>Line ${line}: ${escapeHtml(message)}</li>`)
+                .join('');
+            const more = errors.length > MAX_ERRORS_SHOWN
+                ? `<li>… and ${errors.length - MAX_ERRORS_SHOWN} more</li>`
+                : '';
+            html += `<ul class="import-errors">${listed}${more}</ul>`;
+        }
+        return html;
+    }
+
+    /**
+     * Preview card of one dropped file
+     * @param {Object} item - Dropped file
+     * @returns {string} HTML
+     */
+    function renderFile(item) {
+        const datasetOptions = Object.entries(DATASET_LABELS).map(([value, label]) =>
+            `<option value="${value}" ${item.dataset === value ? 'selected' : ''}>${label}</option>`
+        ).join('');
+        const platformOptions = ['<option value="">Choose...</option>', ...platforms.map(platform =>
+            `<option value="${escapeHtml(platform)}" ${item.platform === platform ? 'selected' : ''}>${escapeHtml(platform)}</option>`
+        )].join('');
+
+        const badge = item.parsed
+            ? `<span class="badge badge-info">${escapeHtml(item.parsed.schema.label)}</span>`
+            : '<span class="badge badge-danger">Not recognised</span>';
+
+        let body;
+        if (item.error) {
+            body = `<div class="status-banner danger"><span class="status-banner-icon">❌</span>
+                <span class="status-banner-text">${escapeHtml(item.error)}</span></div>`;
+        } else {
+            body = renderSummary(item) + renderColumns(item.parsed.schema);
+        }
+
+        if (item.merged) {
+            body = `<div class="status-banner success"><span class="status-banner-icon">✅</span>
+                <span class="status-banner-text">Merged ${item.merged.added} rows` +
+                (item.merged.duplicates ? `, ${item.merged.duplicates} were already loaded` : '') +
+                `</span></div>` + body;
+        }
+
+        const blocker = mergeBlocker(item);
+        const rowCount = item.parsed ? item.parsed.rows.length : 0;
+
+        return `<div class="card mb-4" data-import-id="${item.id}">
+            <div class="card-header">
+                <h3 class="card-title">${escapeHtml(item.name)}</h3>
+                ${badge}
+            </div>
+            <div class="card-body">
+                <div class="filters-row mb-3">
+                    <div class="filter-group">
+                        <label>Read as</label>
+                        <select data-import-field="dataset">${datasetOptions}</select>
+                    </div>
+                    ${item.dataset === 'recharges' ? `<div class="filter-group">
+                        <label>Platform</label>
+                        <select data-import-field="platform">${platformOptions}</select>
+                    </div>` : ''}
+                </div>
+                ${body}
+            </div>
+            <div class="card-footer d-flex gap-2">
+                <button class="btn btn-secondary btn-sm" data-import-action="remove">Remove</button>
+                <button class="btn btn-primary btn-sm" data-import-action="merge"
+                    ${blocker || item.merging || item.merged ? 'disabled' : ''} title="${escapeHtml(blocker)}">
+                    ${item.merging ? 'Merging...' : `📥 Merge ${rowCount} rows`}
+                </button>
+            </div>
+        </div>`;
+    }
+
+    /**
+     * Render every dropped file
+     */
+    function renderFiles() {
+        const container = document.getElementById('importFilesList');
+        if (!container) return;
+        container.innerHTML = files.map(renderFile).join('');
+    }
+
+    /**
+     * Render how many imported rows the store holds
+     */
+    function renderStatus() {
+        const container = document.getElementById('importStatus');
+        if (!container) return;
+
+        const counts = DataStore.getImportCounts();
+        const total = counts.entries + counts.recharges + counts.results;
+        const clearBtn = document.getElementById('btnClearImports');
+        if (clearBtn) clearBtn.disabled = total === 0 || !AdminCore.hasPermission('validate');
+
+        if (total === 0) {
+            container.innerHTML = '<p class="text-muted">Nothing imported yet.</p>';
+            return;
+        }
+        container.innerHTML = `<p>${counts.entries} tickets, ${counts.recharges} recharges and ${counts.results} results
+            imported. They are kept in this browser and merged into every load, unless the sheets already have them.</p>`;
+    }
+
+    // ============================================
+    // Actions
+    // ============================================
+
+    /**
+     * Read dropped or chosen files and preview them
+     * @param {FileList|File[]} fileList
+     */
+    async function addFiles(fileList) {
+        for (const file of Array.from(fileList)) {
+            const item = {
+                id: nextFileId++,
+                name: file.name,
+                text: '',
+                dataset: null,
+                platform: guessPlatform(file.name),
+                parsed: null,
+                error: null,
+                merging: false,
+                merged: null
+            };
+            try {
+                item.text = await file.text();
+                parseItem(item);
+            } catch (error) {
+                item.error = `Could not read the file: ${error.message}`;
+            }
+            files.push(item);
+        }
+        renderFiles();
+    }
+
+    /**
+     * Merge one file's rows into the store
+     * @param {Object} item - Dropped file
+     */
+    async function merge(item) {
+        const blocker = mergeBlocker(item);
+        if (blocker) {
+            AdminCore.showToast(blocker, 'warning');
+            return;
+        }
+
+        item.merging = true;
+        renderFiles();
+        try {
+            item.merged = await DataStore.importRows(item.dataset, item.parsed.rows, item.name);
+            if (item.merged.added === 0) {
+                AdminCore.showToast(`${item.name}: every row is already loaded`, 'warning');
+            }
+        } catch (error) {
+            console.error('Import failed:', error);
+            AdminCore.showToast(`Import failed: ${error.message}`, 'error');
+        } finally {
+            item.merging = false;
+            renderFiles();
+            renderStatus();
+        }
+    }
+
+    /**
+     * Forget every imported row and load the sheets again
+     */
+    async function clearImports() {
+        if (!AdminCore.hasPermission('validate')) {
+            AdminCore.showToast('Your role cannot import data', 'error');
+            return;
+        }
+        if (!confirm('Remove every imported row? Rows the sheets also have are kept.')) return;
+
+        await DataStore.clearImports();
+        files.forEach(item => { item.merged = null; });
+        renderFiles();
+        renderStatus();
+        AdminCore.showToast('Imported rows cleared - reloading data', 'success');
+        AdminCore.emit('refresh');
+    }
+
+    /**
+     * Handle a change of a file's dataset or platform
+     * @param {Object} item - Dropped file
+     * @param {string} field - 'dataset' or 'platform'
+     * @param {string} value - Selected value
+     */
+    function changeField(item, field, value) {
+        item[field] = value || null;
+        item.merged = null;
+        parseItem(item);
+        renderFiles();
+    }
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    /**
+     * Bind the drop zone and the file cards (once)
+     */
+    function init() {
+        if (isInitialized) return;
+
+        const zone = document.getElementById('importDropZone');
+        const input = document.getElementById('importFiles');
+        const list = document.getElementById('importFilesList');
+        if (!zone || !input || !list) return;
+
+        zone.addEventListener('dragover', e => {
+            e.preventDefault();
+            zone.classList.add('dragover');
+        });
+        zone.addEventListener('dragleave', () => zone.classList.remove('dragover'));
+        zone.addEventListener('drop', e => {
+            e.preventDefault();
+            zone.classList.remove('dragover');
+            addFiles(e.dataTransfer.files);
+        });
+        input.addEventListener('change', () => {
+            addFiles(input.files);
+            input.value = '';
+        });
+
+        const findItem = target => {
+            const card = target.closest('[data-import-id]');
+            return card ? files.find(item => item.id === Number(card.dataset.importId)) : null;
+        };
+        list.addEventListener('click', e => {
+            const button = e.target.closest('[data-import-action]');
+            const item = button && findItem(button);
+            if (!item) return;
+            if (button.dataset.importAction === 'merge') {
+                merge(item);
+            } else {
+                files = files.filter(other => other !== item);
+                renderFiles();
+            }
+        });
+        list.addEventListener('change', e => {
+            const field = e.target.dataset.importField;
+            const item = field && findItem(e.target);
+            if (item) changeField(item, field, e.target.value);
+        });
+
+        document.getElementById('btnClearImports')?.addEventListener('click', clearImports);
+
+        DataSources.getRechargePlatforms()
+            .then(configured => {
+                if (configured.length) platforms = configured;
+                renderFiles();
+            })
+            .catch(() => {});
+
+        renderStatus();
+        isInitialized = true;
+    }
+
+    if (typeof AdminCore !== 'undefined') {
+        AdminCore.on('appShown', init);
+        AdminCore.on('login', init);
+
+        // Loaded rows decide what is already there and whether merging is possible
+        AdminCore.on('dataStoreReady', () => {
+            if (!isInitialized) return;
+            renderFiles();
+            renderStatus();
+        });
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        init,
+        addFiles
+    };
+})();
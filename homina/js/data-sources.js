@@ -0,0 +1,330 @@
+/**
+ * POP-SORTE Admin Dashboard - Data Sources
+ *
+ * Where the dashboard reads its data from, per environment, as set in
+ * data/sources.json:
+ * - entries, results: one source each
+ * - recharges: one source per platform (POPN1, POPLUZ)
+ * - apiBaseUrl: the Worker API for calendar, overrides, payouts and logins
+ * - auth: 'api', 'local' (data/admin-users.json) or 'auto' (local on localhost)
+ *
+ * Each source names an adapter:
+ *   sheets {spreadsheetId, gid}    Google Sheets CSV export
+ *   gviz   {spreadsheetId, sheet}  Google Visualization query, sheet by name
+ *   local  {path}                  CSV file served next to index.html, or a
+ *                                  file the admin picked (useFile)
+ *   api    {endpoint}              GET {apiBaseUrl}{endpoint} with the session's
+ *                                  bearer token; the body is CSV text or JSON
+ *                                  {success, csv}. No environment uses it yet:
+ *                                  the Worker serves no sheet data.
+ *
+ * Every adapter returns the sheet as CSV text; SheetParser and
+ * ResultsFetcher read it the same way whatever its origin.
+ *
+ * The environment is the config's `default`, unless the page URL names one
+ * (?env=offline). The local accounts are never used away from localhost.
+ *
+ * Dependencies: admin-core.js (AdminCore)
+ */
+
+// ============================================
+// Data Sources Module
+// ============================================
+window.DataSources = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Environments file, relative to index.html
+     */
+    const CONFIG_URL = 'data/sources.json';
+
+    /**
+     * Fetch timeout in milliseconds (15 seconds)
+     */
+    const FETCH_TIMEOUT = 15 * 1000;
+
+    /**
+     * Login backends
+     */
+    const AuthMode = {
+        API: 'api',
+        LOCAL: 'local',
+        AUTO: 'auto'
+    };
+
+    // ============================================
+    // State
+    // ============================================
+    let configPromise = null;
+    let environment = null;       // {name, apiBaseUrl, auth, datasets}
+    const localFiles = new Map(); // "dataset" or "dataset/platform" -> File
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Check whether the dashboard is served for local development
+     * @returns {boolean}
+     */
+    function isLocalhost() {
+        return ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname);
+    }
+
+    /**
+     * Key of a source in localFiles
+     * @param {string} dataset - entries, recharges or results
+     * @param {string} [platform] - Recharge platform
+     * @returns {string}
+     */
+    function sourceKey(dataset, platform) {
+        return platform ? `${dataset}/${platform}` : dataset;
+    }
+
+    /**
+     * Fetch a URL with a timeout
+     * @param {string} url
+     * @param {Object} [options] - fetch options
+     * @returns {Promise<Response>}
+     * @throws {Error} On timeout or HTTP error
+     */
+    async function fetchWithTimeout(url, options = {}) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+        try {
+            const response = await fetch(url, {
+                cache: 'no-store',
+                redirect: 'follow',
+                ...options,
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return response;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('Request timed out - please try again');
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Read a published sheet, which answers with a login page when it is not public
+     * @param {string} url
+     * @returns {Promise<string>} CSV text
+     */
+    async function fetchSheet(url) {
+        const response = await fetchWithTimeout(`${url}&t=${Date.now()}`);
+        const text = await response.text();
+
+        const start = text.trim().slice(0, 15).toLowerCase();
+        if (start.startsWith('<!doctype') || start.startsWith('<html')) {
+            throw new Error('Sheet not publicly accessible');
+        }
+        return text;
+    }
+
+    // ============================================
+    // Adapters
+    // ============================================
+
+    /**
+     * Adapter name -> (source, key) => Promise<string> CSV text
+     */
+    const ADAPTERS = {
+        sheets: (source) => fetchSheet(
+            `https://docs.google.com/spreadsheets/d/${source.spreadsheetId}/export?format=csv&gid=${source.gid || '0'}`
+        ),
+
+        gviz: (source) => fetchSheet(
+            `https://docs.google.com/spreadsheets/d/${source.spreadsheetId}/gviz/tq?tqx=out:csv&sheet=${encodeURIComponent(source.sheet)}`
+        ),
+
+        local: async (source, key) => {
+            const file = localFiles.get(key);
+            if (file) return file.text();
+            if (!source.path) throw new Error('No file chosen');
+
+            const response = await fetchWithTimeout(encodeURI(source.path));
+            return response.text();
+        },
+
+        api: async (source) => {
+            const response = await fetchWithTimeout(`${environment.apiBaseUrl}${source.endpoint}`, {
+                headers: AdminCore.getAuthHeaders()
+            }).catch(error => {
+                throw error.message === 'HTTP 401' ? new Error('Session expired - please log in again') : error;
+            });
+
+            const contentType = response.headers.get('Content-Type') || '';
+            if (!contentType.includes('json')) {
+                return response.text();
+            }
+            const data = await response.json();
+            if (!data.success || typeof data.csv !== 'string') {
+                throw new Error(data.error || 'Unexpected API response');
+            }
+            return data.csv;
+        }
+    };
+
+    // ============================================
+    // Configuration
+    // ============================================
+
+    /**
+     * Load data/sources.json and apply the selected environment
+     * Loaded once; later calls return the same environment.
+     * @returns {Promise<Object>} {name, apiBaseUrl, auth, datasets}
+     * @throws {Error} If the file or the environment is missing
+     */
+    function load() {
+        if (!configPromise) {
+            configPromise = (async () => {
+                const response = await fetchWithTimeout(CONFIG_URL);
+                const config = await response.json();
+
+                const requested = new URLSearchParams(window.location.search).get('env');
+                const name = requested || config.default;
+                const selected = (config.environments || {})[name];
+                if (!selected) {
+                    throw new Error(`Unknown data source environment: ${name}`);
+                }
+
+                environment = {
+                    name,
+                    apiBaseUrl: selected.apiBaseUrl || AdminCore.API_BASE_URL,
+                    auth: selected.auth || AuthMode.AUTO,
+                    datasets: selected.datasets || {}
+                };
+                AdminCore.setApiBaseUrl(environment.apiBaseUrl);
+
+                console.log(`🔌 Data sources: ${name}`);
+                return environment;
+            })().catch(error => {
+                configPromise = null;
+                throw new Error(`Could not load data source config: ${error.message}`);
+            });
+        }
+        return configPromise;
+    }
+
+    /**
+     * Source entry for a dataset
+     * @param {string} dataset - entries, recharges or results
+     * @param {string} [platform] - Recharge platform
+     * @returns {Object|null} {adapter, ...}
+     */
+    function getSource(dataset, platform) {
+        const entry = environment ? environment.datasets[dataset] : null;
+        if (!entry) return null;
+        return platform ? entry[platform] || null : entry;
+    }
+
+    /**
+     * Platforms with a recharge source in the selected environment
+     * @returns {Promise<string[]>}
+     */
+    async function getRechargePlatforms() {
+        await load();
+        return Object.keys(environment.datasets.recharges || {});
+    }
+
+    /**
+     * Login backend of the selected environment
+     * @returns {Promise<string>} 'api' or 'local'
+     */
+    async function getAuthMode() {
+        await load();
+        if (!isLocalhost()) return AuthMode.API;
+        return environment.auth === AuthMode.API ? AuthMode.API : AuthMode.LOCAL;
+    }
+
+    // ============================================
+    // Reading
+    // ============================================
+
+    /**
+     * Read a dataset as CSV text through its adapter
+     * @param {string} dataset - entries, recharges or results
+     * @param {string} [platform] - Recharge platform
+     * @returns {Promise<string>} CSV text
+     * @throws {Error} If the dataset has no source or the adapter fails
+     */
+    async function fetchText(dataset, platform) {
+        await load();
+        const source = getSource(dataset, platform);
+        const key = sourceKey(dataset, platform);
+        if (!source) {
+            throw new Error(`No source for ${key} in environment ${environment.name}`);
+        }
+
+        const adapter = ADAPTERS[source.adapter];
+        if (!adapter) {
+            throw new Error(`Unknown adapter "${source.adapter}" for ${key}`);
+        }
+        return adapter(source, key);
+    }
+
+    /**
+     * Read a dataset from a file the admin picked instead of its local path
+     * Only used by sources with the local adapter.
+     * @param {string} dataset - entries, recharges or results
+     * @param {string|null} platform - Recharge platform
+     * @param {File|null} file - null goes back to the configured path
+     */
+    function useFile(dataset, platform, file) {
+        const key = sourceKey(dataset, platform);
+        if (file) {
+            localFiles.set(key, file);
+        } else {
+            localFiles.delete(key);
+        }
+    }
+
+    /**
+     * Short description of a source, for logs
+     * @param {string} dataset
+     * @param {string} [platform]
+     * @returns {string}
+     */
+    function describe(dataset, platform) {
+        const source = getSource(dataset, platform);
+        if (!source) return 'none';
+        if (localFiles.has(sourceKey(dataset, platform)) && source.adapter === 'local') {
+            return `local file ${localFiles.get(sourceKey(dataset, platform)).name}`;
+        }
+        return `${source.adapter} ${source.path || source.endpoint || source.sheet || source.spreadsheetId || ''}`.trim();
+    }
+
+    // Read the config now; callers still await load() before using it
+    load().catch(() => {});
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        // Configuration
+        load,
+        getEnvironment: () => environment,
+        getRechargePlatforms,
+        getAuthMode,
+
+        // Reading
+        fetchText,
+        useFile,
+        describe,
+
+        // Constants
+        AuthMode
+    };
+})();
@@ -5,11 +5,24 @@
  * - Single fetch for all data, cached aggressively
  * - Quick counts without heavy processing
  * - On-demand validation/winner calculation for visible rows only
- * - localStorage persistence for instant subsequent loads
+ * - IndexedDB persistence (AdminDB) for instant subsequent loads
  * 
  * Architecture: Totals are fast, details are lazy-loaded
  * 
- * Dependencies: admin-core.js, data-fetcher.js, results-fetcher.js
+ * Validation runs in the compute worker (ComputeClient) and is awaited before
+ * 'dataStoreReady'; the synchronous getters only validate on the main thread
+ * when nothing awaited it first.
+ * 
+ * A refresh is compared with the previous load (ValidationEngine.diffRows):
+ * only the players with new or changed rows are validated again, and
+ * 'dataDiff' tells the page which rows are new.
+ * 
+ * Rows imported from dropped files (importRows, see csv-import.js) are kept
+ * in AdminDB and merged into every load, skipping any the sheets already
+ * have: tickets by ticket id, recharges by order number, results by contest.
+ * 
+ * Dependencies: draw-calendar.js, validation-engine.js, admin-core.js, data-fetcher.js, results-fetcher.js,
+ *               adjudication.js, prize-rules.js, compute-client.js, admin-db.js, data-sources.js
  */
 
 window.DataStore = (function() {
@@ -18,10 +31,9 @@ window.DataStore = (function() {
     // ============================================
     // Constants
     // ============================================
-    const STORAGE_KEY = 'popsorte_admin_data';
-    const STORAGE_VERSION = 6; // Bumped to fix caching bugs - always fetch fresh on load
-    const STORAGE_TTL = 2 * 60 * 1000; // 2 minutes localStorage cache (reduced for fresher data)
-    const MIN_RECHARGE_AMOUNT = 1.0;
+    const LEGACY_STORAGE_KEY = 'popsorte_admin_data'; // localStorage snapshot before AdminDB
+    const STORAGE_VERSION = 7; // Bumped when the stored row shape changes
+    const STORAGE_TTL = 24 * 60 * 60 * 1000; // Stored data only shows until the network load lands
 
     // ============================================
     // State
@@ -44,142 +56,304 @@ window.DataStore = (function() {
             estimatedValid: 0,
             estimatedInvalid: 0
         },
-        // Validation cache - only for rows that have been validated
-        validationCache: new Map(),
+        // ValidationEngine output for all entries, built on first use
+        validation: null,
+        // Bumped whenever validation is dropped, so a late worker reply is discarded
+        validationGeneration: 0,
+        pendingValidation: null,
+        // {validation, players} the next validation may carry results over from
+        reuse: null,
         // Winner cache - only calculated when needed
         winnerCache: null,
-        winnerCacheKey: null
+        winnerCacheKey: null,
+        // Contest number projection checked against the results sheet
+        concursoReconciliation: null,
+        // Imported rows per dataset: {id, row, importedAt, file}
+        imports: { entries: [], recharges: [], results: [] }
+    };
+
+    /**
+     * Id an imported row is de-duplicated by, per dataset
+     */
+    const IMPORT_ROW_IDS = {
+        entries: entry => ValidationEngine.getTicketId(entry),
+        recharges: recharge => recharge.rechargeId,
+        results: result => result.contest
     };
 
     // ============================================
-    // localStorage Persistence
+    // IndexedDB Persistence (AdminDB)
     // ============================================
 
     /**
-     * Save data to localStorage
+     * Save the whole load to IndexedDB
+     * The snapshot is stamped with state.lastFetch, which tells getEntriesPage
+     * whether the stored rows are the ones in memory.
+     * @returns {Promise<boolean>} True if saved
      */
-    function saveToStorage() {
+    async function saveToStorage() {
+        if (!AdminDB.isSupported()) return false;
         try {
-            const data = {
+            await AdminDB.replaceSnapshot({
+                entries: state.entries,
+                recharges: state.recharges,
+                results: state.results
+            }, {
                 version: STORAGE_VERSION,
-                timestamp: Date.now(),
-                entries: state.entries.slice(0, 1000), // Store only first 1000 for quick load
-                recharges: state.recharges.slice(0, 500),
-                results: state.results,
+                timestamp: state.lastFetch,
                 counts: state.counts
-            };
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+            });
+            return true;
         } catch (e) {
-            console.warn('Could not save to localStorage:', e);
-        }
-    }
-
-    /**
-     * Reconstruct Date objects from stored data
-     * JSON.stringify converts Date to ISO string, so we need to restore them
-     * @param {Object} entry - Entry with serialized dates
-     * @returns {Object} Entry with proper Date objects
-     */
-    function reconstructEntryDates(entry) {
-        if (!entry) return entry;
-        
-        // Reconstruct parsedDate if it exists
-        if (entry.parsedDate) {
-            if (typeof entry.parsedDate === 'string') {
-                entry.parsedDate = new Date(entry.parsedDate);
-            }
-            // Validate the date is valid
-            if (!(entry.parsedDate instanceof Date) || isNaN(entry.parsedDate.getTime())) {
-                entry.parsedDate = null;
-            }
+            console.warn('Could not save to IndexedDB:', e);
+            return false;
         }
-        
-        return entry;
     }
 
     /**
-     * Reconstruct Date objects for recharge data
-     * @param {Object} recharge - Recharge with serialized dates
-     * @returns {Object} Recharge with proper Date objects
+     * Remove the localStorage snapshot older versions kept
      */
-    function reconstructRechargeDates(recharge) {
-        if (!recharge) return recharge;
-        
-        // Reconstruct rechargeTime if it exists
-        if (recharge.rechargeTime) {
-            if (typeof recharge.rechargeTime === 'string') {
-                recharge.rechargeTime = new Date(recharge.rechargeTime);
-            }
-            // Validate the date is valid
-            if (!(recharge.rechargeTime instanceof Date) || isNaN(recharge.rechargeTime.getTime())) {
-                recharge.rechargeTime = null;
-            }
+    function clearLegacyStorage() {
+        try {
+            localStorage.removeItem(LEGACY_STORAGE_KEY);
+        } catch (e) {
+            // Storage blocked: nothing to clear
         }
-        
-        return recharge;
     }
 
     /**
      * Clear stored data (call when version mismatch or data is corrupt)
+     * @returns {Promise<void>}
      */
-    function clearStorage() {
+    async function clearStorage() {
+        clearLegacyStorage();
+        if (!AdminDB.isSupported()) return;
         try {
-            localStorage.removeItem(STORAGE_KEY);
-            console.log('Cleared localStorage cache');
+            await AdminDB.clear();
+            console.log('Cleared IndexedDB cache');
         } catch (e) {
-            console.warn('Could not clear localStorage:', e);
+            console.warn('Could not clear IndexedDB:', e);
         }
     }
 
     /**
-     * Load data from localStorage
-     * @returns {boolean} True if valid data was loaded
+     * Load data from IndexedDB
+     * @returns {Promise<boolean>} True if valid data was loaded
      */
-    function loadFromStorage() {
+    async function loadFromStorage() {
+        clearLegacyStorage();
+        if (!AdminDB.isSupported()) return false;
+
         try {
-            const stored = localStorage.getItem(STORAGE_KEY);
-            if (!stored) return false;
+            const data = await AdminDB.readSnapshot();
+            if (!data.meta) return false;
 
-            const data = JSON.parse(stored);
-            
             // Check version - if mismatch, clear and return false
-            if (data.version !== STORAGE_VERSION) {
+            if (data.meta.version !== STORAGE_VERSION) {
                 console.log('Storage version mismatch, clearing cache');
-                clearStorage();
+                await clearStorage();
                 return false;
             }
             
             // Check TTL
-            if (Date.now() - data.timestamp > STORAGE_TTL) {
+            if (Date.now() - data.meta.timestamp > STORAGE_TTL) {
                 console.log('Storage cache expired, clearing');
-                clearStorage();
+                await clearStorage();
                 return false;
             }
 
-            // Validate data integrity - check if entries array exists and has proper structure
-            if (!Array.isArray(data.entries) || data.entries.length === 0) {
+            if (data.entries.length === 0) {
                 console.log('Storage data invalid, clearing');
-                clearStorage();
+                await clearStorage();
                 return false;
             }
 
-            // Restore partial data for instant display
-            // Reconstruct Date objects that were serialized to strings
-            state.entries = (data.entries || []).map(reconstructEntryDates);
-            state.recharges = (data.recharges || []).map(reconstructRechargeDates);
-            state.results = data.results || [];
-            state.counts = data.counts || state.counts;
-            state.lastFetch = data.timestamp;
+            // Restore the last load for instant display
+            state.entries = data.entries;
+            state.recharges = data.recharges;
+            dropValidation();
+            state.results = data.results;
+            state.counts = data.meta.counts || state.counts;
+            state.lastFetch = data.meta.timestamp;
+            reconcileConcurso();
 
-            console.log('Loaded from localStorage:', state.counts.totalEntries, 'entries');
+            console.log('Loaded from IndexedDB:', state.counts.totalEntries, 'entries');
             return true;
         } catch (e) {
-            console.warn('Could not load from localStorage, clearing:', e);
-            clearStorage();
+            console.warn('Could not load from IndexedDB, clearing:', e);
+            await clearStorage();
             return false;
         }
     }
 
+    // ============================================
+    // Imported Rows
+    // ============================================
+
+    /**
+     * Read the imported rows kept in IndexedDB
+     * @returns {Promise<void>}
+     */
+    async function loadImports() {
+        if (!AdminDB.isSupported()) return;
+        try {
+            state.imports = await AdminDB.readImports();
+        } catch (e) {
+            console.warn('Could not read imported rows from IndexedDB:', e);
+        }
+    }
+
+    /**
+     * Add the imported rows a load does not have yet
+     * Arrays without anything to add are returned as they are.
+     * @param {Object} datasets - {entries, recharges, results} as loaded
+     * @returns {Object} {entries (newest first), recharges, results (newest contest first)}
+     */
+    function mergeImports(datasets) {
+        const merged = { ...datasets };
+        Object.keys(IMPORT_ROW_IDS).forEach(dataset => {
+            const rows = datasets[dataset];
+            const known = new Set(rows.map(IMPORT_ROW_IDS[dataset]));
+            const extra = state.imports[dataset]
+                .filter(record => !known.has(record.id))
+                .map(record => record.row);
+            if (extra.length === 0) return;
+
+            merged[dataset] = rows.concat(extra);
+            if (dataset === 'entries') {
+                const time = entry => entry.parsedDate ? entry.parsedDate.getTime() : 0;
+                merged.entries.sort((a, b) => time(b) - time(a));
+            } else if (dataset === 'results') {
+                merged.results.sort((a, b) => (parseInt(b.contest, 10) || 0) - (parseInt(a.contest, 10) || 0));
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Merge parsed rows of an imported file into the loaded data
+     * Rows already loaded (or imported before) are left out. The rest are kept
+     * in IndexedDB for later loads, and the data is revalidated for the players
+     * they touch before 'dataDiff' and 'dataStoreReady' go out.
+     * @param {string} dataset - entries, recharges or results
+     * @param {Object[]} rows - SheetParser.parseImport rows
+     * @param {string} [file] - Name of the file they came from
+     * @returns {Promise<Object>} {added, duplicates}
+     * @throws {Error} While data is loading, or for an unknown dataset
+     */
+    async function importRows(dataset, rows, file = '') {
+        const rowId = IMPORT_ROW_IDS[dataset];
+        if (!rowId) throw new Error(`Unknown dataset: ${dataset}`);
+        if (!state.loaded || state.loading) throw new Error('Data is still loading - try again in a moment');
+
+        const importedAt = Date.now();
+        const seen = new Set(state[dataset].map(rowId));
+        const records = [];
+        rows.forEach(row => {
+            const id = rowId(row);
+            if (!id || seen.has(id)) return;
+            seen.add(id);
+            records.push({ id, row, importedAt, file });
+        });
+
+        const duplicates = rows.length - records.length;
+        if (records.length === 0) return { added: 0, duplicates };
+
+        state.loading = true;
+        try {
+            if (AdminDB.isSupported()) {
+                try {
+                    await AdminDB.saveImports(dataset, records);
+                } catch (e) {
+                    console.warn('Could not save imported rows, keeping them for this session only:', e);
+                }
+            }
+            state.imports[dataset] = state.imports[dataset].concat(records);
+
+            await applyRows(mergeImports({
+                entries: state.entries,
+                recharges: state.recharges,
+                results: state.results
+            }), null, 'import');
+        } finally {
+            state.loading = false;
+        }
+
+        console.log(`📥 Imported ${records.length} ${dataset} from ${file || 'a file'}, ${duplicates} already loaded`);
+        AdminCore.emit('dataStoreReady', { fromCache: false, counts: state.counts });
+        return { added: records.length, duplicates };
+    }
+
+    /**
+     * Forget every imported row
+     * They stay in the loaded data until the next network load.
+     * @returns {Promise<void>}
+     */
+    async function clearImports() {
+        state.imports = { entries: [], recharges: [], results: [] };
+        if (!AdminDB.isSupported()) return;
+        try {
+            await AdminDB.clearImports();
+        } catch (e) {
+            console.warn('Could not clear imported rows:', e);
+        }
+    }
+
+    /**
+     * Imported row counts per dataset
+     * @returns {Object} {entries, recharges, results}
+     */
+    function getImportCounts() {
+        return {
+            entries: state.imports.entries.length,
+            recharges: state.imports.recharges.length,
+            results: state.imports.results.length
+        };
+    }
+
+    /**
+     * How many of the given rows are already loaded
+     * @param {string} dataset - entries, recharges or results
+     * @param {Object[]} rows - Parsed rows
+     * @returns {number}
+     */
+    function countLoaded(dataset, rows) {
+        const rowId = IMPORT_ROW_IDS[dataset];
+        if (!rowId) return 0;
+        const known = new Set(state[dataset].map(rowId));
+        return rows.filter(row => known.has(rowId(row))).length;
+    }
+
+    // ============================================
+    // Contest Number Reconciliation
+    // ============================================
+
+    /**
+     * Anchor DrawCalendar on the latest result and check the projection
+     * against the results sheet
+     * @returns {Object} Reconciliation report (see DrawCalendar.reconcileConcurso)
+     */
+    function reconcileConcurso() {
+        const draws = state.results
+            .filter(r => !r.isNoDraw)
+            .map(r => ({ contest: r.contest, date: r.drawDate }));
+
+        state.concursoReconciliation = DrawCalendar.reconcileConcurso(draws);
+
+        if (state.concursoReconciliation.mismatches.length > 0) {
+            console.warn('⚠️ Contest projection does not match results sheet:', state.concursoReconciliation.mismatches);
+        }
+        return state.concursoReconciliation;
+    }
+
+    /**
+     * Get the last reconciliation report
+     * @returns {Object|null} Reconciliation report
+     */
+    function getConcursoReconciliation() {
+        return state.concursoReconciliation;
+    }
+
     // ============================================
     // Quick Count Calculations (No Heavy Processing)
     // ============================================
@@ -254,9 +428,12 @@ window.DataStore = (function() {
         // Track if this is the first load
         const isFirstLoad = !state.loaded;
         
-        // Try localStorage first for IMMEDIATE display only (not as final data)
+        // Try IndexedDB first for IMMEDIATE display only (not as final data)
         if (isFirstLoad) {
-            const hasCache = loadFromStorage();
+            state.loading = true;
+            const hasCache = await loadFromStorage();
+            await loadImports();
+            state.loading = false;
             if (hasCache) {
                 AdminCore.emit('dataStoreReady', { fromCache: true, counts: state.counts });
             }
@@ -279,6 +456,17 @@ window.DataStore = (function() {
         state.loading = true;
 
         try {
+            // Data source environment: sheet locations and the API base URL
+            await DataSources.load();
+
+            // Draw calendar first: validation windows depend on it
+            AdminCore.updateLoadingProgress(2, 'Fetching draw calendar...');
+            await DrawCalendar.loadExceptions(AdminCore.API_BASE_URL);
+            // Manual overrides next: they change validation results too
+            await Adjudication.load();
+            // Prize rules only feed the winners, loaded with the rest
+            await PrizeRules.load(AdminCore.API_BASE_URL, AdminCore.getAuthHeaders());
+
             // Fetch all data with progress updates
             AdminCore.updateLoadingProgress(5, 'Fetching entries...');
             const entries = await DataFetcher.fetchEntries(isFirstLoad || forceRefresh);
@@ -308,24 +496,11 @@ window.DataStore = (function() {
             AdminCore.updateLoadingProgress(50, 'Fetching results...');
             const results = await ResultsFetcher.fetchResults(isFirstLoad || forceRefresh);
 
-            AdminCore.updateLoadingProgress(60, 'Processing data...');
-            state.entries = entries;
-            state.recharges = recharges;
-            state.results = results;
-            state.lastFetch = Date.now();
-            state.loaded = true;
-
-            // Clear validation cache when data changes
-            state.validationCache.clear();
-            state.winnerCache = null;
-
-            // Calculate quick counts
-            calculateQuickCounts();
+            AdminCore.updateLoadingProgress(55, 'Processing data...');
+            await applyRows(mergeImports({ entries, recharges, results }),
+                { from: 58, to: 65, text: 'Validating tickets...' }, 'refresh');
 
             AdminCore.updateLoadingProgress(65, 'Data ready...');
-            
-            // Save to localStorage for next visit
-            saveToStorage();
 
             AdminCore.emit('dataStoreReady', { fromCache: false, counts: state.counts });
 
@@ -340,94 +515,155 @@ window.DataStore = (function() {
         }
     }
 
-    // ============================================
-    // On-Demand Validation (For Visible Rows Only)
-    // ============================================
-
     /**
-     * Validate a single entry against recharges
-     * Results are cached for future lookups
-     * @param {Object} entry - Entry to validate
-     * @returns {Object} Validation result
+     * Make a new set of rows the loaded data
+     * Compared with what a previous load left, to revalidate only what changed;
+     * validated, saved for the next visit and announced with 'dataDiff'.
+     * @param {Object} datasets - {entries, recharges, results}
+     * @param {Object|null} progress - Loading overlay range for validation
+     * @param {string} source - 'refresh' or 'import', passed on with 'dataDiff'
+     * @returns {Promise<void>}
      */
-    function validateEntry(entry) {
-        if (!entry || !entry.ticketNumber) {
-            return { status: 'UNKNOWN', reason: 'Invalid entry' };
+    async function applyRows(datasets, progress, source) {
+        const { entries, recharges, results } = datasets;
+        const previous = state.loaded
+            ? { entries: state.entries, recharges: state.recharges, validation: state.validation }
+            : null;
+        const diff = previous ? ValidationEngine.diffRows(previous, { entries, recharges }) : null;
+
+        state.entries = entries;
+        state.recharges = recharges;
+        state.results = results;
+        state.lastFetch = Date.now();
+        state.loaded = true;
+
+        // Drop validation results when data changes, keeping the unchanged players'
+        dropValidation(previous && previous.validation
+            ? { validation: previous.validation, players: diff.players }
+            : null);
+        state.winnerCache = null;
+
+        // Calculate quick counts
+        calculateQuickCounts();
+
+        // Anchor contest numbers on the latest official result
+        reconcileConcurso();
+
+        // Validate in the worker before anyone reads the results
+        await ensureValidation(progress || undefined);
+
+        // Save to IndexedDB for next visit (not awaited: nothing waits on it)
+        saveToStorage();
+
+        if (diff && (diff.addedEntries.length || diff.addedRecharges.length ||
+            diff.removedEntries || diff.removedRecharges)) {
+            AdminCore.emit('dataDiff', { ...diff, source, summary: describeDiff(diff) });
         }
+    }
 
-        // Check cache first
-        const cacheKey = entry.ticketNumber;
-        if (state.validationCache.has(cacheKey)) {
-            return state.validationCache.get(cacheKey);
-        }
+    // ============================================
+    // Validation (ValidationEngine)
+    // ============================================
 
-        // Perform validation
-        const result = performValidation(entry);
-        
-        // Cache result
-        state.validationCache.set(cacheKey, result);
-        
-        return result;
+    /**
+     * Forget the validation results (data, calendar or overrides changed)
+     * @param {Object} [reuse] - {validation, players} whose results still hold for
+     *                 everyone outside `players` (ValidationEngine.validate options.reuse)
+     */
+    function dropValidation(reuse = null) {
+        state.validation = null;
+        state.reuse = reuse;
+        state.validationGeneration++;
     }
 
     /**
-     * Perform actual validation logic
-     * CRITICAL: Must match by PLATFORM + GAME_ID to prevent cross-platform validation!
-     * @param {Object} entry - Entry to validate
-     * @returns {Object} Validation result
+     * Short text for a refresh diff, e.g. "3 new tickets, 1 new recharge"
+     * @param {Object} diff - ValidationEngine.diffRows output
+     * @returns {string}
      */
-    function performValidation(entry) {
-        const recharges = state.recharges;
-        
-        if (!entry.gameId) {
-            return { status: 'INVALID', reason: 'No Game ID', isCutoff: false };
-        }
-
-        // Get entry's platform (default to POPN1 if not specified)
-        const entryPlatform = (entry.platform || 'POPN1').toUpperCase();
+    function describeDiff(diff) {
+        const count = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+        const parts = [
+            count(diff.addedEntries.length, 'new ticket'),
+            count(diff.addedRecharges.length, 'new recharge')
+        ];
+        if (diff.removedEntries) parts.push(`${count(diff.removedEntries, 'ticket')} removed`);
+        if (diff.removedRecharges) parts.push(`${count(diff.removedRecharges, 'recharge')} removed`);
+        return parts.join(', ');
+    }
 
-        // ⚠️ CRITICAL: Find recharges matching BOTH gameId AND platform
-        // This prevents POPLUZ entries from matching POPN1 recharges!
-        const playerRecharges = recharges.filter(r => {
-            if (r.gameId !== entry.gameId) return false;
-            // Match platform (recharges without platform match any entry)
-            const rechargePlatform = (r.platform || '').toUpperCase();
-            return !rechargePlatform || rechargePlatform === entryPlatform;
+    /**
+     * Validate all loaded entries in the compute worker
+     * Resolves at once when results are current. If they are dropped while
+     * the worker runs, the reply is discarded and validation starts over.
+     * @param {Object} [progress] - Loading overlay range {from, to, text}
+     * @returns {Promise<Object>} ValidationEngine.validate output
+     */
+    function ensureValidation(progress) {
+        if (state.validation) return Promise.resolve(state.validation);
+
+        const pending = state.pendingValidation;
+        if (pending && pending.generation === state.validationGeneration) return pending.promise;
+
+        const generation = state.validationGeneration;
+        const promise = ComputeClient.validate(state.entries, state.recharges, {
+            overrides: Adjudication.getActiveOverrides(),
+            progress,
+            reuse: state.reuse
+        }).then(validation => {
+            state.pendingValidation = null;
+            if (generation === state.validationGeneration) {
+                state.validation = validation;
+                state.reuse = null;
+            }
+            return ensureValidation(progress);
+        }, error => {
+            state.pendingValidation = null;
+            throw error;
         });
-        
-        if (playerRecharges.length === 0) {
-            return { status: 'INVALID', reason: 'No recharge found for this platform', isCutoff: false };
-        }
 
-        // Check for valid recharge timing
-        // Validate entryTime is a proper Date object
-        const entryTime = entry.parsedDate;
-        if (!entryTime || !(entryTime instanceof Date) || isNaN(entryTime.getTime())) {
-            return { status: 'INVALID', reason: 'Invalid entry timestamp', isCutoff: false };
-        }
+        state.pendingValidation = { generation, promise };
+        return promise;
+    }
 
-        // Check cutoff (20:00 BRT)
-        const entryHour = entryTime.getHours();
-        const isCutoff = entryHour >= 20;
-
-        // Find a valid recharge
-        for (const recharge of playerRecharges) {
-            // Validate rechargeTime is a proper Date object
-            if (!recharge.rechargeTime || !(recharge.rechargeTime instanceof Date) || isNaN(recharge.rechargeTime.getTime())) continue;
-            if (recharge.amount < MIN_RECHARGE_AMOUNT) continue;
-
-            // Recharge must be before or within same draw window as entry
-            if (recharge.rechargeTime <= entryTime) {
-                return {
-                    status: 'VALID',
-                    reason: 'Valid recharge found',
-                    isCutoff,
-                    matchedRecharge: recharge
-                };
-            }
+    /**
+     * Engine results for every loaded entry
+     * Validation needs all of a player's tickets at once, so the whole set is
+     * validated on first use and kept until the data, the calendar or the
+     * manual overrides change. Normally ensureValidation has filled it; this
+     * validates on the main thread only when it has not.
+     * @returns {Object} ValidationEngine.validate output
+     */
+    function getValidation() {
+        if (!state.validation) {
+            state.validation = ValidationEngine.validate(state.entries, state.recharges, {
+                overrides: Adjudication.getActiveOverrides(),
+                reuse: state.reuse
+            });
+            state.reuse = null;
         }
+        return state.validation;
+    }
 
-        return { status: 'INVALID', reason: 'No valid recharge timing', isCutoff };
+    /**
+     * Validation result of a single loaded entry
+     * @param {Object} entry - Entry object from this store
+     * @returns {Object} ValidationEngine result
+     */
+    function validateEntry(entry) {
+        const result = entry ? getValidation().byEntry.get(entry) : null;
+        if (result) return result;
+
+        return {
+            ticket: entry,
+            status: ValidationEngine.ValidationStatus.UNKNOWN,
+            reasonCode: '',
+            reason: 'Entry not loaded',
+            sheetStatus: ((entry && entry.status) || '').toUpperCase(),
+            drawDate: '',
+            matchedRecharge: null,
+            isDay2: false
+        };
     }
 
     /**
@@ -447,46 +683,49 @@ window.DataStore = (function() {
     }
 
     /**
-     * Get accurate validation counts (runs validation on all entries)
-     * This is SLOW - only call when needed
-     * @returns {Promise<Object>} Accurate validation counts
+     * Validation trace of a single loaded entry
+     * Results from the worker do not carry the players' prepared recharges,
+     * so the entry's player is validated again here for the candidate list.
+     * Players are validated independently, the bindings come out the same.
+     * @param {Object} entry - Entry object from this store
+     * @returns {Object|null} ValidationEngine.explain output
      */
-    async function getAccurateValidationCounts() {
-        // Use cached validation if available
-        const cachedCounts = DataFetcher.getCachedValidation();
-        if (cachedCounts) {
-            return cachedCounts;
+    function explainEntry(entry) {
+        const validation = getValidation();
+        if (validation.players || !entry) {
+            return ValidationEngine.explain(validation, entry);
         }
 
-        // Process in batches to keep UI responsive
-        const entries = state.entries;
-        const batchSize = 100;
-        let validCount = 0;
-        let invalidCount = 0;
-        let unknownCount = 0;
+        const platform = (entry.platform || 'POPN1').toUpperCase();
+        const samePlayer = row => row.gameId === entry.gameId && (row.platform || 'POPN1').toUpperCase() === platform;
+        const replay = ValidationEngine.validate(state.entries.filter(samePlayer), state.recharges.filter(samePlayer), {
+            overrides: Adjudication.getActiveOverrides()
+        });
 
-        for (let i = 0; i < entries.length; i += batchSize) {
-            const batch = entries.slice(i, i + batchSize);
-            
-            for (const entry of batch) {
-                const validation = validateEntry(entry);
-                switch (validation.status) {
-                    case 'VALID': validCount++; break;
-                    case 'INVALID': invalidCount++; break;
-                    default: unknownCount++;
-                }
-            }
+        return ValidationEngine.explain({ ...validation, players: replay.players }, entry);
+    }
 
-            // Yield to UI
-            if (i + batchSize < entries.length) {
-                await new Promise(r => setTimeout(r, 0));
-            }
-        }
+    /**
+     * Engine results for a subset of loaded entries (e.g. one platform)
+     * Each entry keeps the result it has in the full set.
+     * @param {Object[]} entries - Entries from this store
+     * @returns {Object} {results, stats, rechargeCount}
+     */
+    function getValidationResults(entries) {
+        const results = (entries || state.entries).map(validateEntry);
+        return {
+            results,
+            stats: ValidationEngine.summarize(results),
+            rechargeCount: state.recharges.length
+        };
+    }
 
-        const result = { valid: validCount, invalid: invalidCount, unknown: unknownCount };
-        DataFetcher.setCachedValidation(result);
-        
-        return result;
+    /**
+     * Get validation counts for all loaded entries
+     * @returns {Promise<Object>} ValidationEngine stats {total, valid, invalid, unknown, day2Valid, byReason}
+     */
+    async function getAccurateValidationCounts() {
+        return getValidation().stats;
     }
 
     // ============================================
@@ -614,62 +853,61 @@ window.DataStore = (function() {
 
     /**
      * Get entries for a specific page
+     * Runs against the IndexedDB entries store, through its contest or
+     * drawDate index when that filter is set, while it holds the load in
+     * memory; otherwise against memory. Either way the page holds this
+     * store's own entry objects, so validation results apply.
      * @param {number} page - Page number (1-indexed)
      * @param {number} perPage - Items per page
-     * @param {Object} filters - Optional filters
-     * @returns {Object} { entries, total, validated }
+     * @param {Object} filters - Optional filters {gameId, whatsapp, contest, drawDate, validity}
+     * @returns {Promise<Object>} { entries, total, validationMap }
      */
-    function getEntriesPage(page, perPage, filters = {}) {
-        let filtered = state.entries;
-
-        // Apply filters
-        if (filters.gameId) {
-            filtered = filtered.filter(e => 
-                e.gameId.toLowerCase().includes(filters.gameId.toLowerCase())
-            );
-        }
-        if (filters.whatsapp) {
-            filtered = filtered.filter(e => 
-                e.whatsapp.includes(filters.whatsapp)
-            );
-        }
-        if (filters.contest) {
-            filtered = filtered.filter(e => e.contest === filters.contest);
-        }
-        if (filters.drawDate) {
-            filtered = filtered.filter(e => e.drawDate === filters.drawDate);
-        }
-
-        const total = filtered.length;
+    async function getEntriesPage(page, perPage, filters = {}) {
         const start = (page - 1) * perPage;
-        const pageEntries = filtered.slice(start, start + perPage);
-
-        // Validate only the visible entries
-        const validationMap = validateBatch(pageEntries);
-
-        // Apply validation filters if needed
-        if (filters.validity && filters.validity !== 'all') {
-            const allFiltered = [];
-            for (const e of filtered) {
-                const v = validateEntry(e);
-                if (filters.validity === 'valid' && v.status === 'VALID') allFiltered.push(e);
-                else if (filters.validity === 'invalid' && v.status === 'INVALID') allFiltered.push(e);
-                else if (filters.validity === 'unknown' && v.status === 'UNKNOWN') allFiltered.push(e);
+        const gameId = (filters.gameId || '').toLowerCase();
+        const validity = filters.validity && filters.validity !== 'all' ? filters.validity.toUpperCase() : null;
+
+        const matches = (entry) =>
+            (!gameId || (entry.gameId || '').toLowerCase().includes(gameId)) &&
+            (!filters.whatsapp || (entry.whatsapp || '').includes(filters.whatsapp)) &&
+            (!filters.contest || entry.contest === filters.contest) &&
+            (!filters.drawDate || entry.drawDate === filters.drawDate) &&
+            (!validity || validateEntry(entry).status === validity);
+
+        let pageEntries = null;
+        let total = 0;
+
+        if (state.loaded && AdminDB.isSupported()) {
+            const index = filters.contest ? 'contest' : (filters.drawDate ? 'drawDate' : null);
+            try {
+                const entries = state.entries;
+                const found = await AdminDB.query(AdminDB.Stores.ENTRIES, {
+                    index,
+                    value: index ? filters[index] : undefined,
+                    filter: row => !!entries[row.seq] && matches(entries[row.seq]),
+                    offset: start,
+                    limit: perPage
+                });
+                // Stored rows are only usable while they are the load in memory
+                if (found.timestamp === state.lastFetch && entries === state.entries) {
+                    pageEntries = found.rows.map(row => entries[row.seq]);
+                    total = found.total;
+                }
+            } catch (e) {
+                console.warn('IndexedDB query failed, paging in memory:', e);
             }
-            filtered = allFiltered;
-            const newTotal = filtered.length;
-            const newPageEntries = filtered.slice(start, start + perPage);
-            return {
-                entries: newPageEntries,
-                total: newTotal,
-                validationMap: validateBatch(newPageEntries)
-            };
+        }
+
+        if (!pageEntries) {
+            const filtered = state.entries.filter(matches);
+            total = filtered.length;
+            pageEntries = filtered.slice(start, start + perPage);
         }
 
         return {
             entries: pageEntries,
             total,
-            validationMap
+            validationMap: validateBatch(pageEntries)
         };
     }
 
@@ -764,6 +1002,25 @@ window.DataStore = (function() {
             .slice(0, limit);
     }
 
+    // Calendar edits change eligibility windows: drop derived results
+    if (typeof AdminCore !== 'undefined') {
+        AdminCore.on('calendarChange', () => {
+            dropValidation();
+            state.winnerCache = null;
+            reconcileConcurso();
+        });
+
+        // Overrides are applied on top of the rule results, which all still hold
+        AdminCore.on('overridesChange', () => {
+            dropValidation(state.validation ? { validation: state.validation, players: new Set() } : state.reuse);
+            state.winnerCache = null;
+        });
+
+        AdminCore.on('prizeRulesChange', () => {
+            state.winnerCache = null;
+        });
+    }
+
     // ============================================
     // Public API
     // ============================================
@@ -779,6 +1036,7 @@ window.DataStore = (function() {
         getRecharges,
         getAllRecharges,
         getResults,
+        getConcursoReconciliation,
         getCounts,
 
         // Platform filtering
@@ -796,15 +1054,24 @@ window.DataStore = (function() {
         getUniqueContests,
         getUniqueDrawDates,
 
-        // Validation (on-demand)
+        // Validation
+        ensureValidation,
         validateEntry,
         validateBatch,
+        getValidationResults,
         getAccurateValidationCounts,
+        explainEntry,
 
         // Storage
         saveToStorage,
         loadFromStorage,
-        clearStorage
+        clearStorage,
+
+        // Imports
+        importRows,
+        clearImports,
+        getImportCounts,
+        countLoaded
     };
 })();
 
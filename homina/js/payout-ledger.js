@@ -0,0 +1,750 @@
+/**
+ * POP-SORTE Admin Dashboard - Payout Ledger
+ *
+ * This module provides the Payouts part of the Winners section:
+ * - One payout per prize-winning ticket, at the prize of its tier
+ * - Workflow: pending review -> approved -> paid (transaction reference and
+ *   date) -> disputed, saved by the Worker (GET/POST /api/payouts)
+ * - Reconciliation per contest: owed, approved and paid totals against the
+ *   prize pool, including payouts whose ticket no longer wins
+ * - Batch export (CSV) for the finance team
+ *
+ * The winners come from WinnerCalculator.calculateAllWinners, which pays
+ * each platform under its own prize rules. The ledger only stores what
+ * admins did; the amount owed always comes from the current winners.
+ *
+ * Dependencies: validation-engine.js (ValidationEngine), admin-core.js (AdminCore),
+ *               prize-rules.js (PrizeRules), player-profile.js (PlayerProfile, Game ID links)
+ */
+
+// ============================================
+// Payout Ledger Module
+// ============================================
+window.PayoutLedger = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Worker endpoint for payouts
+     */
+    const PAYOUTS_ENDPOINT = '/api/payouts';
+
+    /**
+     * Display info per payout status
+     */
+    const STATUS_INFO = {
+        PENDING_REVIEW: { label: 'Pending review', badge: 'badge-gray' },
+        APPROVED: { label: 'Approved', badge: 'badge-info' },
+        PAID: { label: 'Paid', badge: 'badge-success' },
+        DISPUTED: { label: 'Disputed', badge: 'badge-danger' }
+    };
+
+    /**
+     * Allowed moves per status (same table as worker/src/payouts.mjs)
+     */
+    const TRANSITIONS = {
+        PENDING_REVIEW: ['APPROVED', 'DISPUTED'],
+        APPROVED: ['PAID', 'DISPUTED', 'PENDING_REVIEW'],
+        PAID: ['DISPUTED'],
+        DISPUTED: ['PENDING_REVIEW', 'APPROVED', 'PAID']
+    };
+
+    /**
+     * Action button label per target status
+     */
+    const ACTION_LABELS = {
+        PENDING_REVIEW: '↩️ Reopen',
+        APPROVED: '✅ Approve',
+        PAID: '💸 Mark paid',
+        DISPUTED: '⚠️ Dispute'
+    };
+
+    const PLATFORMS = ['POPN1', 'POPLUZ'];
+
+    // ============================================
+    // State
+    // ============================================
+    let records = new Map();   // payoutId -> payout record
+    let computed = { rows: [], contests: [], platforms: [] };
+    let filters = { contest: '', status: '' };
+    let editing = null;        // {row, status} shown in the payout modal
+    let isSaving = false;
+    let isInitialized = false;
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Escape text for safe HTML insertion
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return String(text || '').replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        }[c]));
+    }
+
+    /**
+     * Format a R$ amount
+     * @param {number} value
+     * @returns {string} "R$ 333.33"
+     */
+    function formatMoney(value) {
+        return `R$ ${(Number(value) || 0).toFixed(2)}`;
+    }
+
+    /**
+     * Round a R$ amount to cents
+     * @param {number} value
+     * @returns {number}
+     */
+    function toCents(value) {
+        return Math.round((Number(value) || 0) * 100) / 100;
+    }
+
+    /**
+     * Payout id of a winning ticket
+     * @param {string} platform - POPN1 or POPLUZ
+     * @param {string} contest - Contest number
+     * @param {Object} entry - Entry object
+     * @returns {string} "<platform>|<contest>|<ticketId>"
+     */
+    function getPayoutId(platform, contest, entry) {
+        return `${platform}|${contest}|${ValidationEngine.getTicketId(entry)}`;
+    }
+
+    /**
+     * Current status of a ledger row
+     * @param {Object} row - Ledger row
+     * @returns {string} Payout status
+     */
+    function getStatus(row) {
+        const record = records.get(row.payoutId);
+        return record ? record.status : 'PENDING_REVIEW';
+    }
+
+    /**
+     * Amount of a ledger row: fixed at approval, otherwise (pending review or
+     * reopened) the current share of the prize pool
+     * @param {Object} row - Ledger row
+     * @returns {number} R$
+     */
+    function getAmount(row) {
+        const record = records.get(row.payoutId);
+        return record && record.status !== 'PENDING_REVIEW' && record.amount !== null ? record.amount : row.amount;
+    }
+
+    /**
+     * Payout state of a winning ticket, for views outside the ledger
+     * @param {Object} winner - Winner from WinnerCalculator (entry with contest and prize)
+     * @returns {Object} {payoutId, status, amount, record}
+     */
+    function getPayout(winner) {
+        const row = {
+            payoutId: getPayoutId((winner.platform || 'POPN1').toUpperCase(), winner.contest, winner),
+            amount: toCents(winner.prize)
+        };
+        return {
+            payoutId: row.payoutId,
+            status: getStatus(row),
+            amount: getAmount(row),
+            record: records.get(row.payoutId) || null
+        };
+    }
+
+    /**
+     * Latest history item of a record with a given status
+     * @param {Object} record - Payout record
+     * @param {string} status
+     * @returns {Object|null} History item
+     */
+    function lastChange(record, status) {
+        if (!record) return null;
+        return [...record.history].reverse().find(h => h.status === status) || null;
+    }
+
+    /**
+     * Call the payouts endpoint
+     * @param {Object} [options] - fetch options
+     * @returns {Promise<Object>} Response body
+     * @throws {Error} On HTTP or API errors
+     */
+    async function callApi(options = {}) {
+        const response = await fetch(`${AdminCore.API_BASE_URL}${PAYOUTS_ENDPOINT}`, {
+            ...options,
+            headers: { ...(options.headers || {}), ...AdminCore.getAuthHeaders() }
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        return data;
+    }
+
+    // ============================================
+    // Loading and Saving
+    // ============================================
+
+    /**
+     * Load the payout ledger from the Worker
+     * Keeps the last loaded ledger when the Worker cannot be reached.
+     * @returns {Promise<boolean>} True if loaded
+     */
+    async function load() {
+        if (!AdminCore.isAuthenticated()) return false;
+
+        try {
+            const data = await callApi();
+            records = new Map((data.payouts || []).map(p => [p.payoutId, p]));
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Could not load payout ledger, using last known set:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Move a payout to another status
+     * @param {Object} row - Ledger row
+     * @param {Object} change - {status, note, transactionRef, paidAt}
+     * @returns {Promise<Object>} Saved record
+     */
+    async function save(row, change) {
+        const entry = row.entry;
+        const data = await callApi({
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                payoutId: row.payoutId,
+                status: change.status,
+                note: change.note || '',
+                amount: getAmount(row),
+                transactionRef: change.transactionRef || '',
+                paidAt: change.paidAt || '',
+                ticketId: row.ticketId,
+                contest: row.contest,
+                platform: row.platform,
+                gameId: row.gameId,
+                ticketLabel: entry ? `${entry.ticketNumber || ''} ${entry.timestamp || ''}`.trim() : '',
+                matches: row.matches
+            })
+        });
+
+        records.set(data.payout.payoutId, data.payout);
+        AdminCore.emit('payoutsChange', { payoutId: data.payout.payoutId, payout: data.payout });
+        return data.payout;
+    }
+
+    // ============================================
+    // Ledger
+    // ============================================
+
+    /**
+     * Collect the prize-winning tickets of every drawn contest
+     * @param {Object} calculation - WinnerCalculator.calculateAllWinners result
+     * @returns {Object} {rows, contests}
+     */
+    function build(calculation) {
+        const rows = [];
+        const contests = [];
+
+        calculation.contestResults.forEach(calc => {
+            if (!calc.hasResult || calc.totalPrizeAwarded <= 0) return;
+
+            const { platform, contest } = calc;
+            const winners = calc.winners.filter(w => w.isValidEntry && w.prize > 0);
+            contests.push({
+                platform,
+                contest,
+                drawDate: calc.drawDate,
+                // Rolled-over money is part of what this draw may pay out
+                prizePool: calc.prizePool + calc.carriedIn,
+                owed: calc.totalPrizeAwarded,
+                winners: winners.length,
+                tier: calc.winningTier
+            });
+
+            winners.forEach(winner => {
+                rows.push({
+                    payoutId: getPayoutId(platform, contest, winner),
+                    ticketId: ValidationEngine.getTicketId(winner),
+                    platform,
+                    contest,
+                    drawDate: calc.drawDate,
+                    gameId: winner.gameId,
+                    matches: winner.matches,
+                    amount: toCents(winner.prize),
+                    entry: winner,
+                    isWinner: true
+                });
+            });
+        });
+
+        return { rows, contests };
+    }
+
+    /**
+     * Ledger rows in view: current winners plus recorded payouts whose
+     * ticket is no longer a winner (still counted in reconciliation)
+     * @returns {Object[]} Rows
+     */
+    function getRows() {
+        const known = new Set(computed.rows.map(r => r.payoutId));
+        const platforms = new Set(computed.platforms);
+
+        const stale = [...records.values()]
+            .filter(p => !known.has(p.payoutId) && platforms.has(p.platform) && p.status !== 'PENDING_REVIEW')
+            .map(p => ({
+                payoutId: p.payoutId,
+                ticketId: p.ticketId,
+                platform: p.platform,
+                contest: p.contest,
+                drawDate: '',
+                gameId: p.gameId,
+                matches: p.matches,
+                amount: p.amount || 0,
+                entry: null,
+                isWinner: false
+            }));
+
+        return computed.rows.concat(stale);
+    }
+
+    /**
+     * Reconcile each contest's payouts with its prize pool
+     * @param {Object[]} rows - Ledger rows
+     * @returns {Object[]} Contest rows with totals
+     */
+    function reconcile(rows) {
+        const contests = new Map(computed.contests.map(c => [`${c.platform}|${c.contest}`, {
+            ...c, approved: 0, paid: 0, disputed: 0, pending: 0, stale: 0
+        }]));
+
+        rows.forEach(row => {
+            const key = `${row.platform}|${row.contest}`;
+            if (!contests.has(key)) {
+                contests.set(key, {
+                    platform: row.platform,
+                    contest: row.contest,
+                    drawDate: row.drawDate,
+                    prizePool: PrizeRules.getRule(row.platform).prizePool,
+                    owed: 0,
+                    winners: 0,
+                    tier: 0,
+                    approved: 0, paid: 0, disputed: 0, pending: 0, stale: 0
+                });
+            }
+
+            const c = contests.get(key);
+            const amount = getAmount(row);
+            const status = getStatus(row);
+            if (status === 'APPROVED') c.approved += amount;
+            else if (status === 'PAID') c.paid += amount;
+            else if (status === 'DISPUTED') c.disputed += amount;
+            else c.pending += amount;
+            if (!row.isWinner) c.stale++;
+        });
+
+        return [...contests.values()].map(c => {
+            // One cent per winner is rounding, not a gap
+            const tolerance = 0.01 * Math.max(c.winners, 1) + 0.001;
+            const remaining = toCents(c.owed - c.paid);
+            let check;
+            // Minimum prizes can owe more than the pool itself
+            const ceiling = Math.max(c.prizePool, c.owed);
+            if (c.paid > ceiling + tolerance) check = 'OVERPAID';
+            else if (c.stale > 0) check = 'STALE';
+            else if (Math.abs(remaining) <= tolerance) check = 'SETTLED';
+            else check = 'OUTSTANDING';
+            return { ...c, paid: toCents(c.paid), approved: toCents(c.approved), remaining, ceiling, check };
+        }).sort((a, b) => (parseInt(b.contest, 10) || 0) - (parseInt(a.contest, 10) || 0)
+            || a.platform.localeCompare(b.platform));
+    }
+
+    /**
+     * Reconciliation of the ledger in view
+     * @returns {Object[]} Contest rows with totals and check
+     */
+    function getReconciliation() {
+        return reconcile(getRows());
+    }
+
+    /**
+     * Rows matching the filters
+     * @returns {Object[]} Rows
+     */
+    function getFilteredRows() {
+        return getRows().filter(row =>
+            (!filters.contest || row.contest === filters.contest) &&
+            (!filters.status || getStatus(row) === filters.status)
+        );
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    /**
+     * Recompute the ledger for the winners in view and render it
+     * @param {Object} calculation - WinnerCalculator.calculateAllWinners result
+     * @param {string} platform - Current platform (ALL, POPN1, POPLUZ)
+     */
+    async function update(calculation, platform) {
+        computed = build(calculation);
+        computed.platforms = platform === 'ALL' ? PLATFORMS : [platform];
+        render();
+
+        if (await load()) render();
+    }
+
+    /**
+     * Render the payouts part of the Winners section
+     */
+    function render() {
+        renderContestFilter();
+        renderReconciliation();
+        renderTable();
+    }
+
+    /**
+     * Fill the contest filter with the contests in the ledger
+     */
+    function renderContestFilter() {
+        const select = document.getElementById('filterPayoutContest');
+        if (!select) return;
+
+        const contests = [...new Set(getRows().map(r => r.contest))]
+            .sort((a, b) => (parseInt(b, 10) || 0) - (parseInt(a, 10) || 0));
+        if (filters.contest && !contests.includes(filters.contest)) filters.contest = '';
+
+        select.innerHTML = '<option value="">All</option>' +
+            contests.map(c => `<option value="${escapeHtml(c)}" ${c === filters.contest ? 'selected' : ''}>${escapeHtml(c)}</option>`).join('');
+    }
+
+    /**
+     * Render the reconciliation table
+     */
+    function renderReconciliation() {
+        const tbody = document.getElementById('payoutReconciliationBody');
+        if (!tbody) return;
+
+        const contests = getReconciliation().filter(c => !filters.contest || c.contest === filters.contest);
+        if (contests.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="9" class="text-center text-muted">No contest with prize winners</td></tr>';
+            return;
+        }
+
+        const checks = {
+            SETTLED: '<span class="badge badge-success">✅ Settled</span>',
+            OUTSTANDING: c => `<span class="badge badge-warning">⏳ ${formatMoney(c.remaining)} to pay</span>`,
+            OVERPAID: c => `<span class="badge badge-danger">❌ Paid ${formatMoney(c.paid - c.ceiling)} over the pool</span>`,
+            STALE: c => `<span class="badge badge-danger">⚠️ ${c.stale} payout(s) for tickets that no longer win</span>`
+        };
+
+        tbody.innerHTML = contests.map(c => {
+            const check = typeof checks[c.check] === 'function' ? checks[c.check](c) : checks[c.check];
+            return `
+                <tr>
+                    <td><strong>${escapeHtml(c.contest)}</strong></td>
+                    <td>${escapeHtml(c.platform)}</td>
+                    <td>${escapeHtml(c.drawDate) || '-'}</td>
+                    <td>${formatMoney(c.prizePool)}</td>
+                    <td>${formatMoney(c.owed)} <span class="text-muted">(${c.winners})</span></td>
+                    <td>${formatMoney(c.approved)}</td>
+                    <td>${formatMoney(c.paid)}</td>
+                    <td>${c.disputed > 0 ? `<span class="text-danger">${formatMoney(c.disputed)}</span>` : formatMoney(0)}</td>
+                    <td>${check}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Render the payouts table
+     */
+    function renderTable() {
+        const tbody = document.getElementById('payoutTableBody');
+        if (!tbody) return;
+
+        const rows = getFilteredRows();
+        if (rows.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="8" class="text-center text-muted">No payouts found</td></tr>';
+            return;
+        }
+
+        const canPay = AdminCore.hasPermission('payout');
+
+        tbody.innerHTML = rows.map(row => {
+            const record = records.get(row.payoutId);
+            const status = getStatus(row);
+            const info = STATUS_INFO[status];
+
+            let detail = '';
+            if (record && status === 'PAID') {
+                detail = `<br><span class="text-muted" style="font-size:0.7rem">${escapeHtml(record.transactionRef)} · ${escapeHtml(record.paidAt)}</span>`;
+            } else if (record && record.note) {
+                detail = `<br><span class="text-muted" style="font-size:0.7rem">${escapeHtml(record.note)}</span>`;
+            }
+            if (!row.isWinner) {
+                detail += '<br><span class="badge badge-danger" style="font-size:0.55rem">No longer a winner</span>';
+            }
+
+            const actions = canPay
+                ? TRANSITIONS[status].map(next =>
+                    `<button class="btn btn-secondary btn-sm" data-payout-action="${next}" data-payout-id="${escapeHtml(row.payoutId)}">${ACTION_LABELS[next]}</button>`
+                ).join(' ')
+                : '';
+
+            return `
+                <tr>
+                    <td>${escapeHtml(row.contest)}</td>
+                    <td>${escapeHtml(row.platform)}</td>
+                    <td>${PlayerProfile.link(row.gameId, row.platform)}</td>
+                    <td>${row.entry ? escapeHtml(row.entry.ticketNumber) || '-' : escapeHtml(record ? record.ticketLabel : '-')}</td>
+                    <td>${row.matches}</td>
+                    <td>${formatMoney(getAmount(row))}</td>
+                    <td><span class="badge ${info.badge}">${info.label}</span>${detail}</td>
+                    <td class="table-actions">${actions}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    // ============================================
+    // Payout Modal
+    // ============================================
+
+    /**
+     * Open the payout modal to move a row to another status
+     * @param {string} payoutId
+     * @param {string} status - Target status
+     */
+    function openAction(payoutId, status) {
+        const row = getRows().find(r => r.payoutId === payoutId);
+        const content = document.getElementById('payoutModalContent');
+        if (!row || !content) return;
+
+        editing = { row, status };
+        const record = records.get(payoutId);
+        const today = AdminCore.getBrazilDateString(new Date());
+
+        let historyHtml = '';
+        if (record && record.history.length > 0) {
+            historyHtml = '<h4 class="mb-3">History</h4><div style="overflow-x:auto"><table class="table" style="font-size:0.75rem"><thead><tr><th>When</th><th>Who</th><th>Status</th><th>Amount</th><th>Transaction</th><th>Note</th></tr></thead><tbody>' +
+                [...record.history].reverse().map(h => `
+                    <tr>
+                        <td>${escapeHtml(AdminCore.formatBrazilDateTime(new Date(h.at)))}</td>
+                        <td>${escapeHtml(h.by)}</td>
+                        <td>${STATUS_INFO[h.status].label}</td>
+                        <td>${h.amount !== null ? formatMoney(h.amount) : '-'}</td>
+                        <td>${h.transactionRef ? `${escapeHtml(h.transactionRef)} (${escapeHtml(h.paidAt)})` : '-'}</td>
+                        <td>${escapeHtml(h.note) || '-'}</td>
+                    </tr>`).join('') +
+                '</tbody></table></div>';
+        }
+
+        content.innerHTML = `
+            <p class="mb-3">
+                Contest <strong>${escapeHtml(row.contest)}</strong> · ${escapeHtml(row.platform)} ·
+                Game ID <strong>${escapeHtml(row.gameId)}</strong> · ${row.matches} matches ·
+                <strong>${formatMoney(getAmount(row))}</strong>
+            </p>
+            <p class="mb-3">
+                <span class="badge ${STATUS_INFO[getStatus(row)].badge}">${STATUS_INFO[getStatus(row)].label}</span>
+                → <span class="badge ${STATUS_INFO[status].badge}">${STATUS_INFO[status].label}</span>
+            </p>
+            <div class="filters-row mb-3">
+                ${status === 'PAID' ? `
+                <div class="filter-group">
+                    <label for="payoutTransactionRef">Transaction reference</label>
+                    <input type="text" id="payoutTransactionRef" maxlength="200" placeholder="PIX end-to-end id, bank ref...">
+                </div>
+                <div class="filter-group">
+                    <label for="payoutPaidAt">Paid on</label>
+                    <input type="date" id="payoutPaidAt" value="${today}">
+                </div>` : ''}
+                <div class="filter-group" style="flex: 1;">
+                    <label for="payoutNote">Note</label>
+                    <input type="text" id="payoutNote" maxlength="500" placeholder="${status === 'DISPUTED' ? 'What is disputed' : 'Optional'}">
+                </div>
+                <div class="filter-actions">
+                    <button class="btn btn-primary btn-sm" onclick="PayoutLedger.submitAction()">${ACTION_LABELS[status]}</button>
+                </div>
+            </div>
+            ${historyHtml}
+        `;
+
+        AdminCore.openModal('payoutModal');
+    }
+
+    /**
+     * Save the action shown in the payout modal
+     */
+    async function submitAction() {
+        if (!editing || isSaving) return;
+
+        if (!AdminCore.hasPermission('payout')) {
+            AdminCore.showToast('Your role cannot manage payouts', 'error');
+            return;
+        }
+
+        const { row, status } = editing;
+        const note = (document.getElementById('payoutNote')?.value || '').trim();
+        const transactionRef = (document.getElementById('payoutTransactionRef')?.value || '').trim();
+        const paidAt = document.getElementById('payoutPaidAt')?.value || '';
+
+        if (status === 'PAID' && (!transactionRef || !paidAt)) {
+            AdminCore.showToast('Enter the transaction reference and payment date', 'warning');
+            return;
+        }
+        if (status === 'DISPUTED' && !note) {
+            AdminCore.showToast('Describe the dispute in the note', 'warning');
+            return;
+        }
+
+        isSaving = true;
+        try {
+            await save(row, { status, note, transactionRef, paidAt });
+            AdminCore.closeModal('payoutModal');
+            editing = null;
+            render();
+            AdminCore.showToast(`Payout ${STATUS_INFO[status].label.toLowerCase()}`, 'success');
+        } catch (error) {
+            console.error('Error saving payout:', error);
+            AdminCore.showToast('Could not save payout: ' + error.message, 'error');
+        } finally {
+            isSaving = false;
+        }
+    }
+
+    // ============================================
+    // Export
+    // ============================================
+
+    /**
+     * Export the payout batch as CSV
+     * Exports the rows with the selected status, or the approved ones (ready
+     * to pay) when no status is selected, within the contest filter.
+     */
+    function exportBatch() {
+        const status = filters.status || 'APPROVED';
+        const rows = getRows().filter(row =>
+            (!filters.contest || row.contest === filters.contest) && getStatus(row) === status
+        );
+
+        if (rows.length === 0) {
+            AdminCore.showToast(`No ${STATUS_INFO[status].label.toLowerCase()} payouts to export`, 'warning');
+            return;
+        }
+
+        const headers = ['Payout ID', 'Contest', 'Draw Date', 'Platform', 'Game ID', 'WhatsApp', 'Ticket #', 'Matches', 'Amount (R$)', 'Status', 'Approved By', 'Approved At', 'Transaction Ref', 'Paid At', 'Note'];
+        const csvRows = rows.map(row => {
+            const record = records.get(row.payoutId);
+            const approval = lastChange(record, 'APPROVED');
+            return [
+                row.payoutId,
+                row.contest,
+                row.drawDate,
+                row.platform,
+                row.gameId,
+                row.entry ? row.entry.whatsapp || '' : '',
+                row.entry ? row.entry.ticketNumber || '' : (record ? record.ticketLabel : ''),
+                row.matches,
+                getAmount(row).toFixed(2),
+                status,
+                approval ? approval.by : '',
+                approval ? approval.at : '',
+                record ? record.transactionRef : '',
+                record ? record.paidAt : '',
+                record ? record.note : ''
+            ].map(v => `"${String(v).replace(/"/g, '""')}"`).join(',');
+        });
+
+        const total = rows.reduce((sum, row) => sum + getAmount(row), 0);
+        const csv = [headers.join(','), ...csvRows].join('\n');
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `payouts_${status.toLowerCase()}_${filters.contest || 'all'}_${AdminCore.getBrazilDateString(new Date())}.csv`;
+        link.click();
+
+        AdminCore.showToast(`${rows.length} payouts exported (${formatMoney(total)})`, 'success');
+    }
+
+    // ============================================
+    // Event Binding
+    // ============================================
+
+    function bindEvents() {
+        document.getElementById('filterPayoutContest')?.addEventListener('change', (e) => {
+            filters.contest = e.target.value;
+            render();
+        });
+        document.getElementById('filterPayoutStatus')?.addEventListener('change', (e) => {
+            filters.status = e.target.value;
+            render();
+        });
+        document.getElementById('btnExportPayoutBatch')?.addEventListener('click', exportBatch);
+
+        document.getElementById('payoutTableBody')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-payout-action]');
+            if (!btn) return;
+            openAction(btn.dataset.payoutId, btn.dataset.payoutAction);
+        });
+    }
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    function init() {
+        bindEvents();
+        isInitialized = true;
+    }
+
+    if (typeof AdminCore !== 'undefined') {
+        AdminCore.on('appShown', () => {
+            if (!isInitialized) init();
+        });
+
+        AdminCore.on('login', () => {
+            if (!isInitialized) init();
+        });
+
+        // The ledger belongs to the signed-in session
+        AdminCore.on('logout', () => {
+            records = new Map();
+            computed = { rows: [], contests: [], platforms: [] };
+            editing = null;
+        });
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        // Loading and saving
+        load,
+        save,
+
+        // Ledger
+        update,
+        render,
+        getReconciliation,
+        getPayout,
+
+        // Actions
+        openAction,
+        submitAction,
+        exportBatch,
+
+        // Constants
+        STATUS_INFO,
+        TRANSITIONS
+    };
+})();
@@ -0,0 +1,487 @@
+/**
+ * POP-SORTE Admin Dashboard - Player Profile
+ *
+ * This module shows everything known about one player (Game ID), opened
+ * by clicking a Game ID anywhere in the dashboard:
+ * - Totals: recharged, tickets, valid/invalid ratio, wins and payouts
+ * - Timeline of recharges and tickets, each ticket linked to the recharge
+ *   the validation engine bound it to
+ * - Wins with their prize and payout status
+ * - WhatsApp numbers used by the player, and other Game IDs sharing them
+ *
+ * A Game ID is scoped to the platform it was clicked in; with ALL (or no
+ * platform) the profile covers the Game ID on both platforms.
+ *
+ * Dependencies: admin-core.js (AdminCore), validation-engine.js (ValidationEngine),
+ *               data-store.js (DataStore), winner-calculator.js (WinnerCalculator),
+ *               payout-ledger.js (PayoutLedger), unified-page.js (UnifiedPage, ticket details)
+ */
+
+// ============================================
+// Player Profile Module
+// ============================================
+window.PlayerProfile = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    // Colors of the binding lines, one per recharge (cycled)
+    const BINDING_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316', '#6366f1'];
+
+    // ============================================
+    // State
+    // ============================================
+    let current = null;        // {gameId, platform} of the open profile
+    let isInitialized = false;
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Escape text for safe HTML insertion
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return String(text || '').replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        }[c]));
+    }
+
+    /**
+     * Format a R$ amount
+     * @param {number} value
+     * @returns {string} "R$ 333.33"
+     */
+    function formatMoney(value) {
+        return `R$ ${(Number(value) || 0).toFixed(2)}`;
+    }
+
+    /**
+     * Platform code of an entry or recharge
+     * @param {Object} item
+     * @returns {string} POPN1 or POPLUZ
+     */
+    function platformOf(item) {
+        return (item.platform || 'POPN1').toUpperCase();
+    }
+
+    /**
+     * Whether an item belongs to the player in scope
+     * @param {Object} item - Entry, recharge or winner
+     * @param {string} gameId
+     * @param {string} platform - POPN1, POPLUZ or ALL
+     * @returns {boolean}
+     */
+    function belongsTo(item, gameId, platform) {
+        return item.gameId === gameId && (platform === 'ALL' || platformOf(item) === platform);
+    }
+
+    /**
+     * Key of a recharge, as bound by the validation engine
+     * @param {string} platform
+     * @param {string} rechargeId
+     * @returns {string}
+     */
+    function rechargeKey(platform, rechargeId) {
+        return `${platform}|${rechargeId}`;
+    }
+
+    /**
+     * Clickable Game ID that opens the player profile
+     * @param {string} gameId - Game ID
+     * @param {string} [platform] - Platform the Game ID was seen on
+     * @returns {string} HTML
+     */
+    function link(gameId, platform) {
+        if (!gameId) return '-';
+        return `<a href="#" data-player="${escapeHtml(gameId)}" data-player-platform="${escapeHtml(platform || '')}" title="Open player profile"><strong>${escapeHtml(gameId)}</strong></a>`;
+    }
+
+    // ============================================
+    // Profile Data
+    // ============================================
+
+    /**
+     * Gather everything known about a player
+     * @param {string} gameId - Game ID
+     * @param {string} platform - POPN1, POPLUZ or ALL
+     * @returns {Promise<Object>} Profile
+     */
+    async function buildProfile(gameId, platform) {
+        const allEntries = DataStore.getAllEntries();
+        const entries = allEntries.filter(e => belongsTo(e, gameId, platform));
+        const recharges = DataStore.getAllRecharges().filter(r => belongsTo(r, gameId, platform));
+        const validations = new Map(entries.map(e => [e, DataStore.validateEntry(e)]));
+
+        // Recharge -> ticket it was bound to
+        const boundTicket = new Map();
+        validations.forEach((validation, entry) => {
+            const match = validation.matchedRecharge;
+            if (match) boundTicket.set(rechargeKey(platformOf(match), match.rechargeId), entry);
+        });
+
+        // Wins, computed with every ticket of the contest so prizes are right
+        const platforms = [...new Set(entries.map(platformOf))];
+        let wins = [];
+        if (entries.length > 0) {
+            const calculation = await WinnerCalculator.calculateAllWinners(
+                allEntries,
+                DataStore.getResults(),
+                platforms.length === 1 ? platforms[0] : 'ALL'
+            );
+            wins = calculation.allWinners
+                .filter(w => belongsTo(w, gameId, platform))
+                .map(w => ({ winner: w, payout: w.prize > 0 ? PayoutLedger.getPayout(w) : null }));
+        }
+
+        // WhatsApp numbers and the other Game IDs using them
+        const whatsapps = new Map();
+        entries.forEach(e => {
+            if (!e.whatsapp) return;
+            if (!whatsapps.has(e.whatsapp)) whatsapps.set(e.whatsapp, { number: e.whatsapp, tickets: 0, others: new Set() });
+            whatsapps.get(e.whatsapp).tickets++;
+        });
+        allEntries.forEach(e => {
+            const info = whatsapps.get(e.whatsapp);
+            if (info && e.gameId && e.gameId !== gameId) info.others.add(e.gameId);
+        });
+
+        const statusCount = (status) => [...validations.values()].filter(v => v.status === status).length;
+
+        return {
+            gameId,
+            platform,
+            platforms,
+            entries,
+            recharges,
+            validations,
+            boundTicket,
+            wins,
+            whatsapps: [...whatsapps.values()],
+            totals: {
+                recharged: recharges.reduce((sum, r) => sum + (Number(r.amount) || 0), 0),
+                recharges: recharges.length,
+                tickets: entries.length,
+                valid: statusCount('VALID'),
+                invalid: statusCount('INVALID'),
+                pending: statusCount('UNKNOWN'),
+                wins: wins.length,
+                won: wins.reduce((sum, w) => sum + (w.winner.prize || 0), 0),
+                paid: wins.reduce((sum, w) => sum + (w.payout && w.payout.status === 'PAID' ? w.payout.amount : 0), 0)
+            }
+        };
+    }
+
+    /**
+     * Recharges and tickets in time order, each recharge with a binding label
+     * @param {Object} profile
+     * @returns {Object[]} Timeline items {type, time, ...}
+     */
+    function buildTimeline(profile) {
+        const items = [
+            ...profile.recharges.map(r => ({ type: 'recharge', time: r.rechargeTime, recharge: r })),
+            ...profile.entries.map(e => ({ type: 'ticket', time: e.parsedDate, entry: e }))
+        ];
+
+        // Oldest first; a recharge goes before a ticket of the same second
+        items.sort((a, b) => ((a.time ? a.time.getTime() : 0) - (b.time ? b.time.getTime() : 0))
+            || (a.type === b.type ? 0 : a.type === 'recharge' ? -1 : 1));
+
+        const labels = new Map();   // recharge key -> {label, color}
+        items.filter(i => i.type === 'recharge').forEach((item, index) => {
+            const key = rechargeKey(platformOf(item.recharge), item.recharge.rechargeId);
+            labels.set(key, { label: `R${index + 1}`, color: BINDING_COLORS[index % BINDING_COLORS.length] });
+            item.key = key;
+        });
+
+        items.forEach(item => {
+            if (item.type === 'recharge') {
+                item.binding = labels.get(item.key);
+                item.boundTo = profile.boundTicket.get(item.key) || null;
+            } else {
+                const validation = profile.validations.get(item.entry);
+                const match = validation.matchedRecharge;
+                item.validation = validation;
+                item.binding = match ? labels.get(rechargeKey(platformOf(match), match.rechargeId)) || null : null;
+            }
+        });
+
+        return items;
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    /**
+     * Render the summary cards
+     * @param {Object} profile
+     * @returns {string} HTML
+     */
+    function renderSummary(profile) {
+        const t = profile.totals;
+        const decided = t.valid + t.invalid;
+        const validRatio = decided > 0 ? `${((t.valid / decided) * 100).toFixed(0)}%` : '-';
+
+        const item = (label, value) => `
+            <div class="ticket-info-item">
+                <span class="label">${label}</span>
+                <span class="value">${value}</span>
+            </div>`;
+
+        return `
+            <div class="ticket-info-grid mb-4">
+                ${item('💰 Recharged', `<span class="text-success">${formatMoney(t.recharged)}</span> <span class="text-muted">(${t.recharges})</span>`)}
+                ${item('🎫 Tickets', `${t.tickets}${t.pending > 0 ? ` <span class="text-muted">(${t.pending} pending)</span>` : ''}`)}
+                ${item('✅ Valid / ❌ Invalid', `${t.valid} / ${t.invalid} <span class="text-muted">(${validRatio} valid)</span>`)}
+                ${item('🏆 Wins', `${t.wins} - ${formatMoney(t.won)} <span class="text-muted">(${formatMoney(t.paid)} paid)</span>`)}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the recharge/ticket timeline with binding lines
+     * @param {Object} profile
+     * @returns {string} HTML
+     */
+    function renderTimeline(profile) {
+        const items = buildTimeline(profile);
+        if (items.length === 0) return '<p class="text-muted">No recharges or tickets</p>';
+
+        const allEntries = DataStore.getAllEntries();
+        const winsByEntry = new Map(profile.wins.map(w => [ValidationEngine.getTicketId(w.winner), w.winner]));
+        const showPlatform = profile.platform === 'ALL';
+
+        const rows = items.map(item => {
+            const line = item.binding ? `border-left: 4px solid ${item.binding.color};` : 'border-left: 4px solid transparent;';
+            const time = item.time ? AdminCore.formatBrazilDateTime(item.time) : '-';
+
+            if (item.type === 'recharge') {
+                const r = item.recharge;
+                const target = item.boundTo
+                    ? `→ ticket <a href="#" onclick="PlayerProfile.showTicket(${allEntries.indexOf(item.boundTo)}); return false;">${escapeHtml(item.boundTo.ticketNumber || '?')}</a>`
+                    : '<span class="text-muted">not used</span>';
+                return `
+                    <tr style="background: var(--bg-tertiary);">
+                        <td style="${line} white-space:nowrap">${time}</td>
+                        <td><span class="badge badge-info">${item.binding.label}</span> 💰 Recharge${showPlatform ? ` <span class="platform-badge ${platformOf(r).toLowerCase()}">${platformOf(r)}</span>` : ''}</td>
+                        <td><strong class="text-success">${formatMoney(r.amount)}</strong> <span class="text-muted" style="font-size:0.7rem;word-break:break-all">${escapeHtml(r.rechargeId)}</span></td>
+                        <td>${target}</td>
+                    </tr>
+                `;
+            }
+
+            const entry = item.entry;
+            const validation = item.validation;
+            const statusBadge = {
+                VALID: '<span class="badge badge-success">✅ VALID</span>',
+                INVALID: `<span class="badge badge-danger" title="${escapeHtml(validation.reason)}">❌ INVALID</span>`
+            }[validation.status] || `<span class="badge badge-warning" title="${escapeHtml(validation.reason)}">⏳ PENDING</span>`;
+            const numbers = entry.numbers.map(n => String(n).padStart(2, '0')).join(' ');
+            const win = winsByEntry.get(ValidationEngine.getTicketId(entry));
+            const winHtml = win ? ` <span class="badge badge-warning">🏆 ${win.matches} hits${win.prize > 0 ? ` ${formatMoney(win.prize)}` : ''}</span>` : '';
+
+            return `
+                <tr>
+                    <td style="${line} white-space:nowrap">${time}</td>
+                    <td>🎫 Ticket <a href="#" onclick="PlayerProfile.showTicket(${allEntries.indexOf(entry)}); return false;">${escapeHtml(entry.ticketNumber || '?')}</a>${showPlatform ? ` <span class="platform-badge ${platformOf(entry).toLowerCase()}">${platformOf(entry)}</span>` : ''}</td>
+                    <td style="font-size:0.8rem">${numbers} · contest ${escapeHtml(entry.contest)}${winHtml}</td>
+                    <td>${statusBadge}${item.binding ? ` <span style="color:${item.binding.color}">🔗 ${item.binding.label}</span>` : ''}${validation.override ? ' <span class="badge badge-warning">⚖️ OVERRIDE</span>' : ''}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div style="max-height: 360px; overflow-y: auto;">
+                <table class="table" style="font-size:0.8rem">
+                    <thead><tr><th>Time</th><th>Event</th><th>Details</th><th>Binding</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the wins and their payouts
+     * @param {Object} profile
+     * @returns {string} HTML
+     */
+    function renderWins(profile) {
+        if (profile.wins.length === 0) return '<p class="text-muted">No wins</p>';
+
+        const rows = profile.wins.map(({ winner, payout }) => {
+            const info = payout ? PayoutLedger.STATUS_INFO[payout.status] : null;
+            return `
+                <tr>
+                    <td><span class="badge badge-info">${escapeHtml(winner.contest)}</span></td>
+                    <td>${escapeHtml(winner.drawDate)}</td>
+                    <td>${winner.matches} hits</td>
+                    <td>${winner.prize > 0 ? formatMoney(payout.amount) : '<span class="text-muted">-</span>'}</td>
+                    <td>${info ? `<span class="badge ${info.badge}">${info.label}</span>` : '<span class="text-muted">No prize</span>'}
+                        ${payout && payout.record && payout.record.transactionRef ? `<br><span class="text-muted" style="font-size:0.7rem">${escapeHtml(payout.record.transactionRef)} · ${escapeHtml(payout.record.paidAt)}</span>` : ''}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="table" style="font-size:0.8rem">
+                <thead><tr><th>Contest</th><th>Draw Date</th><th>Matches</th><th>Prize</th><th>Payout</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Render the WhatsApp numbers and the Game IDs sharing them
+     * @param {Object} profile
+     * @returns {string} HTML
+     */
+    function renderWhatsApps(profile) {
+        if (profile.whatsapps.length === 0) return '<p class="text-muted">No WhatsApp number on the tickets</p>';
+
+        return profile.whatsapps.map(w => {
+            const others = [...w.others];
+            return `
+                <div class="ticket-info-item mb-3">
+                    <span class="label">📱 ${escapeHtml(w.number)} · ${w.tickets} ticket${w.tickets === 1 ? '' : 's'}</span>
+                    <span class="value">${others.length > 0
+                        ? `Also used by ${others.map(id => link(id, profile.platform === 'ALL' ? '' : profile.platform)).join(', ')}`
+                        : '<span class="text-muted">Only this player</span>'}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Render the open profile into the modal
+     */
+    async function render() {
+        const modalContent = document.getElementById('playerModalContent');
+        if (!modalContent || !current) return;
+
+        const profile = await buildProfile(current.gameId, current.platform);
+        const title = document.getElementById('playerModalTitle');
+        if (title) {
+            title.textContent = `Player ${current.gameId}${current.platform === 'ALL' ? '' : ` · ${current.platform}`}`;
+        }
+
+        if (profile.entries.length === 0 && profile.recharges.length === 0) {
+            modalContent.innerHTML = '<p class="text-muted">No tickets or recharges for this Game ID</p>';
+            return;
+        }
+
+        modalContent.innerHTML = `
+            ${renderSummary(profile)}
+
+            <h4 class="mb-3">🕒 Recharges and Tickets</h4>
+            <p class="text-muted" style="font-size:0.75rem">Each ticket shares the color line and label (R1, R2...) of the recharge it was bound to.</p>
+            ${renderTimeline(profile)}
+
+            <h4 class="mb-3 mt-4">🏆 Wins and Payouts</h4>
+            ${renderWins(profile)}
+
+            <h4 class="mb-3 mt-4">📱 WhatsApp Numbers</h4>
+            ${renderWhatsApps(profile)}
+        `;
+    }
+
+    // ============================================
+    // Navigation
+    // ============================================
+
+    /**
+     * Open the profile of a player
+     * @param {string} gameId - Game ID
+     * @param {string} [platform] - POPN1, POPLUZ or ALL (default: platform in view)
+     */
+    async function open(gameId, platform) {
+        if (!gameId || !DataStore.isLoaded()) return;
+
+        current = {
+            gameId,
+            platform: (platform || AdminCore.getCurrentPlatform() || 'ALL').toUpperCase()
+        };
+
+        // Only one detail modal at a time
+        AdminCore.closeModal('ticketModal');
+        AdminCore.closeModal('payoutModal');
+
+        document.getElementById('playerModalContent').innerHTML = '<p class="text-muted">Loading player...</p>';
+        AdminCore.openModal('playerModal');
+
+        try {
+            await render();
+        } catch (error) {
+            console.error('Error building player profile:', error);
+            document.getElementById('playerModalContent').innerHTML = '<p class="text-danger">Error loading player profile</p>';
+        }
+    }
+
+    /**
+     * Leave the profile for the details of one of its tickets
+     * @param {number} index - Position in DataStore.getAllEntries()
+     */
+    function showTicket(index) {
+        AdminCore.closeModal('playerModal');
+        UnifiedPage.showEntryDetails(index);
+    }
+
+    /**
+     * Whether the profile modal is showing
+     * @returns {boolean}
+     */
+    function isOpen() {
+        const modal = document.getElementById('playerModal');
+        return !!(current && modal && modal.style.display !== 'none');
+    }
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    function init() {
+        // Any Game ID rendered with link() opens its profile
+        document.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-player]');
+            if (!target) return;
+            e.preventDefault();
+            open(target.dataset.player, target.dataset.playerPlatform);
+        });
+        isInitialized = true;
+    }
+
+    if (typeof AdminCore !== 'undefined') {
+        AdminCore.on('appShown', () => {
+            if (!isInitialized) init();
+        });
+
+        AdminCore.on('login', () => {
+            if (!isInitialized) init();
+        });
+
+        // Keep an open profile in step with new data, overrides and payouts
+        ['dataStoreReady', 'overridesChange', 'payoutsChange'].forEach(event => {
+            AdminCore.on(event, () => {
+                if (isOpen()) render().catch(error => console.error('Error refreshing player profile:', error));
+            });
+        });
+
+        AdminCore.on('logout', () => {
+            current = null;
+            AdminCore.closeModal('playerModal');
+        });
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        link,
+        open,
+        showTicket
+    };
+})();
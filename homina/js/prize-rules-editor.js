@@ -0,0 +1,320 @@
+/**
+ * POP-SORTE Admin Dashboard - Prize Rules Editor
+ *
+ * This module provides the Prize Rules section:
+ * - Rule in force today for each platform
+ * - Form to publish a new version from a future draw date (pool, minimum
+ *   matches, highest-tier or per-tier split, minimum prizes, rollover)
+ * - Version history, any version can be copied into the form
+ *
+ * Publishing emits 'prizeRulesChange' on the AdminCore event bus so the
+ * winners, stats and payouts are computed again.
+ *
+ * Dependencies: prize-rules.js (PrizeRules), draw-calendar.js (DrawCalendar), admin-core.js (AdminCore)
+ */
+
+// ============================================
+// Prize Rules Editor Module
+// ============================================
+window.PrizeRulesEditor = (function() {
+    'use strict';
+
+    // ============================================
+    // State
+    // ============================================
+    let tableRules = [];   // Rules in the versions table, by row index
+    let isSaving = false;
+    let isInitialized = false;
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Escape text for safe HTML insertion
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return String(text || '').replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        }[c]));
+    }
+
+    /**
+     * "YYYY-MM-DD" -> "DD/MM/YYYY"
+     * @param {string} dateKey
+     * @returns {string}
+     */
+    function formatDateKey(dateKey) {
+        if (!dateKey) return 'Built-in';
+        const [y, m, d] = dateKey.split('-');
+        return `${d}/${m}/${y}`;
+    }
+
+    /**
+     * First draw date a new version can start from (next draw still open)
+     * @returns {string} "YYYY-MM-DD"
+     */
+    function getFirstOpenDraw() {
+        return DrawCalendar.toDateKey(DrawCalendar.getScheduleAt(AdminCore.getBrazilTime()).drawDate);
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    /**
+     * Render the whole section
+     */
+    function render() {
+        renderCurrent();
+        renderTable();
+        renderStatus();
+    }
+
+    /**
+     * Render the rule in force today per platform
+     */
+    function renderCurrent() {
+        const container = document.getElementById('prizeRulesCurrent');
+        if (!container) return;
+
+        const today = DrawCalendar.toDateKey(AdminCore.getBrazilTime());
+
+        container.innerHTML = PrizeRules.PLATFORMS.map(platform => {
+            const rule = PrizeRules.getRule(platform, today);
+            const upcoming = PrizeRules.getVersions(platform).filter(v => v.effectiveFrom > today);
+
+            return `
+                <div class="card">
+                    <div class="card-header">
+                        <strong>${platform}</strong>
+                        <span class="badge badge-info">Since ${formatDateKey(rule.effectiveFrom)}</span>
+                    </div>
+                    <div class="card-body">
+                        <div class="mb-2">${escapeHtml(PrizeRules.describe(rule))}</div>
+                        ${upcoming.length > 0
+                            ? `<div class="text-muted" style="font-size:0.8rem">Next: from ${formatDateKey(upcoming[0].effectiveFrom)} - ${escapeHtml(PrizeRules.describe(upcoming[0]))}</div>`
+                            : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Render the versions table, newest first
+     */
+    function renderTable() {
+        const tbody = document.getElementById('prizeRulesTableBody');
+        if (!tbody) return;
+
+        const versions = PrizeRules.getVersions().reverse();
+        tableRules = versions.concat(PrizeRules.PLATFORMS.map(platform => ({ ...PrizeRules.BUILTIN_RULE, platform })));
+
+        tbody.innerHTML = tableRules.map((rule, index) => `
+            <tr>
+                <td>${escapeHtml(rule.platform)}</td>
+                <td>${formatDateKey(rule.effectiveFrom)}</td>
+                <td>${escapeHtml(PrizeRules.describe(rule))}</td>
+                <td>${rule.updatedBy
+                    ? `${escapeHtml(rule.updatedBy)}<br><span class="text-muted" style="font-size:0.7rem">${escapeHtml(AdminCore.formatBrazilDateTime(new Date(rule.updatedAt)))}</span>`
+                    : '<span class="text-muted">-</span>'}</td>
+                <td>${escapeHtml(rule.note) || '<span class="text-muted">-</span>'}</td>
+                <td class="table-actions">
+                    <button class="btn btn-secondary btn-sm" data-prize-copy="${index}">Copy to form</button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Render the status badge and the publish button state
+     */
+    function renderStatus() {
+        const label = document.getElementById('prizeRulesStatusLabel');
+        if (label) {
+            const updatedAt = PrizeRules.getUpdatedAt();
+            label.className = updatedAt ? 'badge badge-success' : 'badge badge-gray';
+            label.textContent = updatedAt
+                ? `Published ${AdminCore.formatBrazilDateTime(new Date(updatedAt))}`
+                : 'Built-in rule';
+        }
+
+        const publishBtn = document.getElementById('btnPrizePublish');
+        if (publishBtn) {
+            publishBtn.disabled = isSaving || !AdminCore.hasPermission('payout');
+            publishBtn.title = AdminCore.hasPermission('payout') ? '' : 'Your role cannot publish prize rules';
+            publishBtn.textContent = isSaving ? '⏳ Publishing...' : '💾 Publish version';
+        }
+    }
+
+    // ============================================
+    // Form Handling
+    // ============================================
+
+    /**
+     * Enable the tier inputs the selected rule uses
+     */
+    function updateTierFields() {
+        const minMatches = parseInt(document.getElementById('prizeMinMatches').value, 10);
+        const perTier = document.getElementById('prizeSplit').value === PrizeRules.Split.PER_TIER;
+
+        PrizeRules.TIERS.forEach(tier => {
+            document.getElementById(`prizeShare${tier}`).disabled = !perTier || tier < minMatches;
+            document.getElementById(`prizeMin${tier}`).disabled = tier < minMatches;
+        });
+    }
+
+    /**
+     * Fill the form with a rule
+     * @param {Object} rule
+     */
+    function fillForm(rule) {
+        document.getElementById('prizePlatform').value = rule.platform || 'POPN1';
+        document.getElementById('prizeEffectiveFrom').value = getFirstOpenDraw();
+        document.getElementById('prizePool').value = rule.prizePool;
+        document.getElementById('prizeMinMatches').value = String(rule.minMatches);
+        document.getElementById('prizeSplit').value = rule.split;
+        document.getElementById('prizeRollover').checked = rule.rollover;
+        PrizeRules.TIERS.forEach(tier => {
+            document.getElementById(`prizeShare${tier}`).value = rule.tiers[tier].share;
+            document.getElementById(`prizeMin${tier}`).value = rule.tiers[tier].minPrize;
+        });
+        document.getElementById('prizeNote').value = '';
+        updateTierFields();
+    }
+
+    /**
+     * Reset the form to the built-in rule
+     */
+    function clearForm() {
+        fillForm({ ...PrizeRules.BUILTIN_RULE, platform: document.getElementById('prizePlatform').value });
+    }
+
+    /**
+     * Read the rule in the form
+     * @returns {Object} Rule (not normalized)
+     */
+    function readForm() {
+        const tiers = {};
+        PrizeRules.TIERS.forEach(tier => {
+            tiers[tier] = {
+                share: document.getElementById(`prizeShare${tier}`).value,
+                minPrize: document.getElementById(`prizeMin${tier}`).value
+            };
+        });
+
+        return {
+            platform: document.getElementById('prizePlatform').value,
+            effectiveFrom: document.getElementById('prizeEffectiveFrom').value,
+            prizePool: document.getElementById('prizePool').value,
+            minMatches: document.getElementById('prizeMinMatches').value,
+            split: document.getElementById('prizeSplit').value,
+            rollover: document.getElementById('prizeRollover').checked,
+            tiers,
+            note: document.getElementById('prizeNote').value
+        };
+    }
+
+    // ============================================
+    // Publishing
+    // ============================================
+
+    /**
+     * Publish the rule in the form as a new version
+     */
+    async function publish() {
+        if (isSaving) return;
+
+        if (!AdminCore.hasPermission('payout')) {
+            AdminCore.showToast('Your role cannot publish prize rules', 'error');
+            return;
+        }
+
+        const rule = PrizeRules.normalizeRule(readForm());
+        if (!rule) {
+            AdminCore.showToast('Check the rule: date, pool above zero, and per-tier shares adding up to 1-100%', 'warning');
+            return;
+        }
+        if (rule.effectiveFrom < getFirstOpenDraw()) {
+            AdminCore.showToast(`Start on ${formatDateKey(getFirstOpenDraw())} or later - drawn contests keep their rules`, 'warning');
+            return;
+        }
+        if (!confirm(`Publish for ${rule.platform} from ${formatDateKey(rule.effectiveFrom)}?\n\n${PrizeRules.describe(rule)}`)) {
+            return;
+        }
+
+        isSaving = true;
+        renderStatus();
+
+        try {
+            await PrizeRules.publish(AdminCore.API_BASE_URL, rule, AdminCore.getAuthHeaders());
+            AdminCore.emit('prizeRulesChange', { rule });
+            AdminCore.showToast('Prize rule published', 'success');
+        } catch (error) {
+            console.error('Error publishing prize rule:', error);
+            AdminCore.showToast('Could not publish prize rule: ' + error.message, 'error');
+        } finally {
+            isSaving = false;
+            render();
+        }
+    }
+
+    // ============================================
+    // Event Binding
+    // ============================================
+
+    function bindEvents() {
+        document.getElementById('prizeMinMatches')?.addEventListener('change', updateTierFields);
+        document.getElementById('prizeSplit')?.addEventListener('change', updateTierFields);
+        document.getElementById('btnPrizeClear')?.addEventListener('click', clearForm);
+        document.getElementById('btnPrizePublish')?.addEventListener('click', publish);
+
+        document.getElementById('prizeRulesTableBody')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-prize-copy]');
+            if (!btn) return;
+            const rule = tableRules[parseInt(btn.dataset.prizeCopy, 10)];
+            if (rule) {
+                fillForm(rule);
+                document.getElementById('prizeEffectiveFrom').focus();
+            }
+        });
+    }
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    function init() {
+        bindEvents();
+        fillForm(PrizeRules.getRule('POPN1'));
+        render();
+        isInitialized = true;
+    }
+
+    if (typeof AdminCore !== 'undefined') {
+        AdminCore.on('appShown', () => {
+            if (!isInitialized) init();
+        });
+
+        AdminCore.on('login', () => {
+            if (!isInitialized) init();
+        });
+
+        // Versions arrive with the data load
+        AdminCore.on('dataStoreReady', () => {
+            if (isInitialized) render();
+        });
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        init,
+        render,
+        publish
+    };
+})();
@@ -0,0 +1,405 @@
+/**
+ * POP-SORTE Admin Dashboard - Prize Rules
+ *
+ * How a contest's prize money is shared, per platform. A rule is:
+ *
+ *   {platform, effectiveFrom: "YYYY-MM-DD", prizePool, minMatches,
+ *    split: 'HIGHEST_TIER'|'PER_TIER', rollover,
+ *    tiers: {5: {share, minPrize}, 4: {...}, 3: {...}, 2: {...}},
+ *    note, updatedBy, updatedAt}
+ *
+ * - HIGHEST_TIER: the whole pool is split among the valid tickets of the
+ *   highest tier that has any (the original R$1000 rule). Tier shares are
+ *   not used.
+ * - PER_TIER: each tier from minMatches up gets `share` percent of the pool,
+ *   split among its tickets. Shares may add up to less than 100.
+ * - minPrize: a ticket of that tier never gets less, even when it means
+ *   paying more than the pool.
+ * - rollover: a tier pool nobody wins is carried to the same tier of the
+ *   platform's next contest (HIGHEST_TIER carries the whole pool to tier 5).
+ *   Without rollover, unclaimed money is not carried.
+ *
+ * Rules are versioned. A contest uses the latest version of its platform
+ * whose effectiveFrom is on or before its draw date, so a new version never
+ * changes contests already drawn. The Worker stores the versions
+ * (GET/POST /api/prize-rules) and only accepts effectiveFrom dates from
+ * today on. BUILTIN_RULE applies before any version.
+ *
+ * Loaded by the dashboard (WinnerCalculator, PayoutLedger, the Prize Rules
+ * section) and imported by the Worker to check posted rules.
+ *
+ * Dependencies: none
+ */
+
+(function(global) {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    const PLATFORMS = ['POPN1', 'POPLUZ'];
+    const TIERS = [5, 4, 3, 2];
+
+    const Split = {
+        HIGHEST_TIER: 'HIGHEST_TIER',
+        PER_TIER: 'PER_TIER'
+    };
+
+    /**
+     * Rule in force before any published version (R$1000, 3+ matches,
+     * highest tier only, no rollover)
+     */
+    const BUILTIN_RULE = Object.freeze({
+        platform: '',
+        effectiveFrom: '',
+        prizePool: 1000,
+        minMatches: 3,
+        split: Split.HIGHEST_TIER,
+        rollover: false,
+        tiers: Object.freeze({
+            5: Object.freeze({ share: 0, minPrize: 0 }),
+            4: Object.freeze({ share: 0, minPrize: 0 }),
+            3: Object.freeze({ share: 0, minPrize: 0 }),
+            2: Object.freeze({ share: 0, minPrize: 0 })
+        }),
+        note: 'Built-in rule',
+        updatedBy: '',
+        updatedAt: null
+    });
+
+    /**
+     * Tier names and icons, for the dashboard (name) and bilhete.html
+     * (playerName). Whether a tier pays comes from the rule (getTierInfo),
+     * never from the tier itself.
+     */
+    const TIER_LABELS = Object.freeze({
+        5: Object.freeze({ name: 'Jackpot', playerName: 'PRÊMIO PRINCIPAL', emoji: '🏆', label: '5 matches' }),
+        4: Object.freeze({ name: '2nd Prize', playerName: '2º PRÊMIO', emoji: '🥈', label: '4 matches' }),
+        3: Object.freeze({ name: '3rd Prize', playerName: '3º PRÊMIO', emoji: '🥉', label: '3 matches' }),
+        2: Object.freeze({ name: '4th Prize', playerName: '4º PRÊMIO', emoji: '🎖️', label: '2 matches' })
+    });
+
+    const ENDPOINT = '/api/prize-rules';
+    const FETCH_TIMEOUT = 5000;
+
+    // ============================================
+    // State
+    // ============================================
+    let versions = [];
+    let updatedAt = null;
+
+    // ============================================
+    // Normalization
+    // ============================================
+
+    /**
+     * Read a non-negative amount
+     * @param {*} value
+     * @returns {number} Amount rounded to cents, or NaN
+     */
+    function toAmount(value) {
+        const n = Number(value);
+        return Number.isFinite(n) && n >= 0 ? Math.round(n * 100) / 100 : NaN;
+    }
+
+    /**
+     * Check and clean a rule version
+     * @param {Object} raw - Rule as posted or stored
+     * @returns {Object|null} Normalized rule, or null when unusable
+     */
+    function normalizeRule(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+
+        const platform = String(raw.platform || '').toUpperCase();
+        const effectiveFrom = String(raw.effectiveFrom || '');
+        const prizePool = toAmount(raw.prizePool);
+        const minMatches = parseInt(raw.minMatches, 10);
+        const split = String(raw.split || '').toUpperCase();
+
+        if (!PLATFORMS.includes(platform)) return null;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(effectiveFrom)) return null;
+        if (!(prizePool > 0)) return null;
+        if (!(minMatches >= 2 && minMatches <= 5)) return null;
+        if (!Split[split]) return null;
+
+        const tiers = {};
+        let shareTotal = 0;
+        for (const tier of TIERS) {
+            const t = (raw.tiers && raw.tiers[tier]) || {};
+            const share = tier >= minMatches ? toAmount(t.share || 0) : 0;
+            const minPrize = tier >= minMatches ? toAmount(t.minPrize || 0) : 0;
+            if (Number.isNaN(share) || Number.isNaN(minPrize)) return null;
+            tiers[tier] = { share, minPrize };
+            shareTotal += share;
+        }
+        if (split === Split.PER_TIER && (shareTotal <= 0 || shareTotal > 100.001)) return null;
+
+        return {
+            platform,
+            effectiveFrom,
+            prizePool,
+            minMatches,
+            split,
+            rollover: raw.rollover === true,
+            tiers,
+            note: String(raw.note || '').trim().slice(0, 300),
+            updatedBy: String(raw.updatedBy || ''),
+            updatedAt: raw.updatedAt || null
+        };
+    }
+
+    /**
+     * Replace the loaded versions
+     * @param {Object[]} list - Rule versions
+     * @returns {Object[]} Accepted versions, oldest first
+     */
+    function setVersions(list) {
+        versions = (Array.isArray(list) ? list : [])
+            .map(normalizeRule)
+            .filter(Boolean)
+            .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom) || a.platform.localeCompare(b.platform));
+        return versions;
+    }
+
+    // ============================================
+    // Lookup
+    // ============================================
+
+    /**
+     * Rule in force for a platform on a draw date
+     * @param {string} platform - POPN1 or POPLUZ
+     * @param {string} [dateKey] - Draw date "YYYY-MM-DD"; latest version when omitted
+     * @returns {Object} Rule (BUILTIN_RULE when no version applies)
+     */
+    function getRule(platform, dateKey) {
+        const code = String(platform || '').toUpperCase();
+        let rule = null;
+        for (const version of versions) {
+            if (version.platform !== code) continue;
+            if (dateKey && version.effectiveFrom > dateKey) break;
+            rule = version;
+        }
+        return rule || { ...BUILTIN_RULE, platform: code };
+    }
+
+    /**
+     * Versions of a platform, oldest first
+     * @param {string} [platform] - All platforms when omitted
+     * @returns {Object[]}
+     */
+    function getVersions(platform) {
+        return platform ? versions.filter(v => v.platform === platform) : [...versions];
+    }
+
+    /**
+     * Short description of a rule for labels
+     * @param {Object} rule
+     * @returns {string} e.g. "R$ 1000 · 5:70% 4:20% 3:10% · rollover"
+     */
+    function describe(rule) {
+        const parts = [`R$ ${rule.prizePool}`];
+        if (rule.split === Split.HIGHEST_TIER) {
+            parts.push(`highest tier (${rule.minMatches}+)`);
+        } else {
+            parts.push(TIERS.filter(t => t >= rule.minMatches).map(t => `${t}:${rule.tiers[t].share}%`).join(' '));
+        }
+        const minimums = TIERS.filter(t => rule.tiers[t].minPrize > 0);
+        if (minimums.length > 0) {
+            parts.push('min ' + minimums.map(t => `${t}:R$${rule.tiers[t].minPrize}`).join(' '));
+        }
+        if (rule.rollover) parts.push('rollover');
+        return parts.join(' · ');
+    }
+
+    /**
+     * Label and paid state of a tier under a rule
+     * With a contest's calculatePrizes outcome the answer is exact. Without
+     * one, a PER_TIER rule pays every tier from minMatches up that has a share
+     * or minimum prize; under HIGHEST_TIER it depends on the other tickets,
+     * so isWinner is null.
+     * @param {Object} rule - Rule in force for the contest
+     * @param {number} tier - Matches
+     * @param {Object} [prizes] - calculatePrizes outcome for the contest
+     * @returns {Object|null} {name, playerName, emoji, label, isWinner}, null for an unknown tier
+     */
+    function getTierInfo(rule, tier, prizes) {
+        const labels = TIER_LABELS[tier];
+        if (!labels) return null;
+
+        let isWinner;
+        if (tier < rule.minMatches) {
+            isWinner = false;
+        } else if (prizes) {
+            isWinner = prizes.tiers[tier].prizePerWinner > 0;
+        } else if (rule.split === Split.PER_TIER) {
+            isWinner = rule.tiers[tier].share > 0 || rule.tiers[tier].minPrize > 0;
+        } else {
+            isWinner = null;
+        }
+        return { ...labels, isWinner };
+    }
+
+    // ============================================
+    // Prize Calculation
+    // ============================================
+
+    /**
+     * Share a contest's prize money among its winners
+     * @param {Object} rule - Rule in force for the contest
+     * @param {Object} counts - Valid tickets per tier {5: n, 4: n, 3: n, 2: n}
+     * @param {Object} [carryIn] - Money carried from the previous contest, per tier
+     * @returns {Object} {tiers: {tier: {pool, carriedIn, winners, prizePerWinner, paid}},
+     *                    winningTier, totalPrizeAwarded, carriedIn, carryOut}
+     */
+    function calculatePrizes(rule, counts, carryIn = {}) {
+        const tiers = {};
+        const carryOut = {};
+        const carried = {};
+        let carriedIn = 0;
+
+        TIERS.forEach(t => {
+            carried[t] = Number(carryIn[t]) || 0;
+            carriedIn += carried[t];
+            tiers[t] = { pool: 0, carriedIn: 0, winners: counts[t] || 0, prizePerWinner: 0, paid: 0 };
+        });
+
+        const eligible = TIERS.filter(t => t >= rule.minMatches);
+        const winningTier = eligible.find(t => tiers[t].winners > 0) || 0;
+
+        if (rule.split === Split.HIGHEST_TIER) {
+            // One pool, carry of every tier included
+            const pool = rule.prizePool + carriedIn;
+            if (winningTier > 0) {
+                const tier = tiers[winningTier];
+                tier.pool = pool;
+                tier.carriedIn = carriedIn;
+                tier.prizePerWinner = Math.max(pool / tier.winners, rule.tiers[winningTier].minPrize);
+                tier.paid = tier.prizePerWinner * tier.winners;
+            } else if (rule.rollover) {
+                carryOut[5] = pool;
+            }
+        } else {
+            // Carry of a tier the rule no longer pays goes to the jackpot tier
+            TIERS.filter(t => !eligible.includes(t)).forEach(t => {
+                carried[5] += carried[t];
+                carried[t] = 0;
+            });
+
+            eligible.forEach(t => {
+                const tier = tiers[t];
+                tier.carriedIn = carried[t];
+                tier.pool = rule.prizePool * rule.tiers[t].share / 100 + carried[t];
+                if (tier.winners > 0) {
+                    tier.prizePerWinner = Math.max(tier.pool / tier.winners, rule.tiers[t].minPrize);
+                    tier.paid = tier.prizePerWinner * tier.winners;
+                } else if (rule.rollover && tier.pool > 0) {
+                    carryOut[t] = tier.pool;
+                }
+            });
+        }
+
+        return {
+            tiers,
+            winningTier,
+            totalPrizeAwarded: TIERS.reduce((sum, t) => sum + tiers[t].paid, 0),
+            carriedIn,
+            carryOut
+        };
+    }
+
+    // ============================================
+    // Loading and Publishing
+    // ============================================
+
+    /**
+     * Call the prize rules endpoint
+     * @param {string} apiBaseUrl - Worker base URL
+     * @param {Object} [options] - fetch options
+     * @returns {Promise<Object>} Response body
+     */
+    async function callApi(apiBaseUrl, options = {}) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+        try {
+            const response = await fetch(`${apiBaseUrl}${ENDPOINT}`, { ...options, signal: controller.signal });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+            return data;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Load the published rule versions
+     * Never throws: on failure the last loaded versions stay active.
+     * @param {string} apiBaseUrl - Worker base URL
+     * @param {Object} [headers] - Extra request headers (e.g. Authorization)
+     * @returns {Promise<boolean>} True if loaded
+     */
+    async function load(apiBaseUrl, headers = {}) {
+        try {
+            const data = await callApi(apiBaseUrl, { headers });
+            setVersions(data.rules);
+            updatedAt = data.updatedAt || null;
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Could not load prize rules, using last known versions:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Publish a new rule version
+     * @param {string} apiBaseUrl - Worker base URL
+     * @param {Object} rule - Rule version
+     * @param {Object} [headers] - Extra request headers (e.g. Authorization)
+     * @returns {Promise<Object[]>} All versions after the change
+     * @throws {Error} If the rule is invalid or the Worker rejects it
+     */
+    async function publish(apiBaseUrl, rule, headers = {}) {
+        const normalized = normalizeRule(rule);
+        if (!normalized) throw new Error('Invalid prize rule');
+
+        const data = await callApi(apiBaseUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify({ rule: normalized })
+        });
+
+        updatedAt = data.updatedAt || new Date().toISOString();
+        return setVersions(data.rules);
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    global.PrizeRules = {
+        // Rules
+        normalizeRule,
+        setVersions,
+        getRule,
+        getVersions,
+        getUpdatedAt: () => updatedAt,
+        describe,
+        getTierInfo,
+
+        // Prizes
+        calculatePrizes,
+
+        // Loading and publishing
+        load,
+        publish,
+
+        // Constants
+        PLATFORMS,
+        TIERS,
+        Split,
+        TIER_LABELS,
+        BUILTIN_RULE
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
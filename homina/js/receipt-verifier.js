@@ -0,0 +1,206 @@
+/**
+ * POP-SORTE Admin Dashboard - Receipt Verifier
+ *
+ * This module provides the "Verify Receipt" tool in the Entries section:
+ * - Accepts a short code ("A1B2-C3D4"), a receipt token or a bilhete.html link
+ * - Asks the Worker whether the receipt signature is genuine
+ * - Finds the matching sheet row and shows its status, so support can answer
+ *   a disputed screenshot without comparing it to the sheet by hand
+ *
+ * Dependencies: ticket-receipt.js (TicketReceipt), admin-core.js (AdminCore),
+ *               data-store.js (DataStore)
+ */
+
+// ============================================
+// Receipt Verifier Module
+// ============================================
+window.ReceiptVerifier = (function() {
+    'use strict';
+
+    // ============================================
+    // State
+    // ============================================
+    let isVerifying = false;
+    let isInitialized = false;
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Escape text for safe HTML insertion
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return String(text ?? '').replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        }[c]));
+    }
+
+    /**
+     * Normalize a numbers list for comparison ("1, 12,22" -> "01,12,22")
+     * @param {string|number[]} numbers - Numbers as text or array
+     * @returns {string} Sorted, zero-padded, comma-joined numbers
+     */
+    function numbersKey(numbers) {
+        const list = Array.isArray(numbers)
+            ? numbers
+            : String(numbers || '').split(/[,;|\s]+/).map(n => parseInt(n, 10));
+        return list
+            .filter(n => !isNaN(n))
+            .sort((a, b) => a - b)
+            .map(n => String(n).padStart(2, '0'))
+            .join(',');
+    }
+
+    /**
+     * Find the sheet row a receipt refers to
+     * Matches on ticket key when the sheet has one, otherwise on
+     * game ID + contest + numbers.
+     * @param {Object} receipt - Receipt payload
+     * @returns {Object|null} Entry
+     */
+    function findSheetEntry(receipt) {
+        const entries = DataStore.getAllEntries() || [];
+
+        const byKey = entries.find(e => e.ticketKey && e.ticketKey === receipt.id);
+        if (byKey) return byKey;
+
+        const wanted = numbersKey(receipt.n);
+        return entries.find(e =>
+            e.gameId === String(receipt.g) &&
+            String(e.contest) === String(receipt.c) &&
+            numbersKey(e.numbers) === wanted
+        ) || null;
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    /**
+     * Render the verification outcome
+     * @param {Object} outcome - {state: 'valid'|'invalid'|'unverified', receipt, code, error}
+     */
+    function renderResult(outcome) {
+        const container = document.getElementById('receiptResult');
+        if (!container) return;
+
+        const banners = {
+            valid: ['success', '✅', 'Genuine receipt - signature checked by the Worker'],
+            invalid: ['danger', '❌', 'Signature does not match - this receipt was not issued by the Worker'],
+            unverified: ['warning', '⚠️', `Could not reach the Worker (${escapeHtml(outcome.error)}) - fields below are NOT verified`]
+        };
+        const [bannerClass, icon, text] = banners[outcome.state];
+
+        let html = `<div class="status-banner ${bannerClass} mt-3">
+            <span class="status-banner-icon">${icon}</span>
+            <span class="status-banner-text"><strong>${escapeHtml(outcome.code || '')}</strong> ${text}</span>
+        </div>`;
+
+        const receipt = outcome.receipt;
+        if (receipt) {
+            html += `<table class="table mt-2"><tbody>
+                <tr><th>Ticket ID</th><td><code>${escapeHtml(receipt.id)}</code></td></tr>
+                <tr><th>Registered</th><td>${escapeHtml(AdminCore.formatBrazilDateTime(new Date(receipt.ts)))}</td></tr>
+                <tr><th>Platform</th><td>${escapeHtml(receipt.p)}</td></tr>
+                <tr><th>Game ID</th><td>${escapeHtml(receipt.g)}</td></tr>
+                <tr><th>Numbers</th><td>${escapeHtml(receipt.n)}</td></tr>
+                <tr><th>Contest</th><td>${escapeHtml(receipt.c)} (${escapeHtml(receipt.d)})</td></tr>
+                <tr><th>Ticket #</th><td>${escapeHtml(receipt.b)}</td></tr>
+            </tbody></table>`;
+
+            const entry = findSheetEntry(receipt);
+            if (entry) {
+                const status = (entry.status || 'PENDING').toUpperCase();
+                const badge = status === 'VALID' ? 'badge-success' : status === 'INVALID' ? 'badge-danger' : 'badge-warning';
+                html += `<p class="mt-2">Sheet row: <span class="badge ${badge}">${escapeHtml(status)}</span>
+                    registered ${escapeHtml(entry.timestamp)}</p>`;
+            } else {
+                html += `<p class="mt-2 text-muted">No matching row in the loaded entries sheet.</p>`;
+            }
+        }
+
+        container.innerHTML = html;
+    }
+
+    // ============================================
+    // Actions
+    // ============================================
+
+    /**
+     * Verify whatever was typed in the input
+     */
+    async function verify() {
+        if (isVerifying) return;
+
+        const input = document.getElementById('receiptInput');
+        const raw = input ? input.value : '';
+        const token = TicketReceipt.extractToken(raw);
+        const code = token ? TicketReceipt.getShortCode(token) : TicketReceipt.normalizeShortCode(raw);
+
+        if (!token && !code) {
+            AdminCore.showToast('Enter a short code (XXXX-XXXX), a receipt token or a ticket link', 'warning');
+            return;
+        }
+
+        isVerifying = true;
+        const btn = document.getElementById('btnVerifyReceipt');
+        if (btn) btn.disabled = true;
+
+        try {
+            const { valid, receipt } = await TicketReceipt.verify(AdminCore.API_BASE_URL, token ? { token } : { code });
+            renderResult({
+                state: valid ? 'valid' : 'invalid',
+                receipt: receipt || (token ? TicketReceipt.decode(token) : null),
+                code
+            });
+        } catch (error) {
+            console.error('Receipt verification failed:', error);
+            if (token) {
+                renderResult({ state: 'unverified', receipt: TicketReceipt.decode(token), code, error: error.message });
+            } else {
+                AdminCore.showToast(`Verification failed: ${error.message}`, 'error');
+            }
+        } finally {
+            isVerifying = false;
+            if (btn) btn.disabled = false;
+        }
+    }
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    /**
+     * Bind events (once)
+     */
+    function init() {
+        if (isInitialized) return;
+
+        const btn = document.getElementById('btnVerifyReceipt');
+        const input = document.getElementById('receiptInput');
+        if (btn) btn.addEventListener('click', verify);
+        if (input) {
+            input.addEventListener('keydown', e => {
+                if (e.key === 'Enter') verify();
+            });
+        }
+
+        isInitialized = true;
+    }
+
+    if (typeof AdminCore !== 'undefined') {
+        AdminCore.on('appShown', init);
+        AdminCore.on('login', init);
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        init,
+        verify
+    };
+})();
@@ -2,9 +2,12 @@
  * POP-SORTE Admin Dashboard - Results Fetcher Module
  * 
  * This module handles fetching and caching of:
- * - Lottery results (winning numbers) from Google Sheets
+ * - Lottery results (winning numbers) from the results source (DataSources)
  * 
- * Dependencies: admin-core.js (AdminCore)
+ * Results columns: Contest, Draw Date, Number1, Number2, Number3, Number4, Number5, Saved At, Source
+ * 
+ * Dependencies: admin-core.js (AdminCore), data-sources.js (DataSources),
+ *               sheet-parser.js (SheetParser)
  */
 
 // ============================================
@@ -17,22 +20,11 @@ window.ResultsFetcher = (function() {
     // Constants
     // ============================================
     
-    /**
-     * Results sheet: Contains official lottery results
-     * Columns: Contest, Draw Date, Number1, Number2, Number3, Number4, Number5, Saved At, Source
-     */
-    const RESULTS_SHEET_URL = 'https://docs.google.com/spreadsheets/d/1OttNYHiecAuGG6IRX7lW6lkG5ciEcL8gp3g6lNrN9H8/export?format=csv&gid=300277644';
-
     /**
      * Cache TTL in milliseconds (3 minutes - matches refresh interval)
      */
     const CACHE_TTL = 180 * 1000;
 
-    /**
-     * Fetch timeout in milliseconds
-     */
-    const FETCH_TIMEOUT = 15 * 1000;
-
     // ============================================
     // Cache Storage
     // ============================================
@@ -43,118 +35,12 @@ window.ResultsFetcher = (function() {
     // Fetch lock to prevent simultaneous requests
     let fetchLock = false;
 
-    // ============================================
-    // Fetch Helper
-    // ============================================
-    
-    /**
-     * Fetch CSV data from Google Sheets with timeout
-     * @param {string} url - Sheet export URL
-     * @returns {Promise<string>} Raw CSV text
-     */
-    async function fetchCSV(url) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
-        
-        try {
-            const response = await fetch(`${url}&t=${Date.now()}`, {
-                cache: 'no-store',
-                redirect: 'follow',
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
-
-            const text = await response.text();
-
-            if (text.trim().startsWith('<!DOCTYPE') || text.trim().startsWith('<html')) {
-                throw new Error('Sheet not publicly accessible');
-            }
-
-            return text;
-        } catch (error) {
-            clearTimeout(timeoutId);
-            if (error.name === 'AbortError') {
-                throw new Error('Request timed out');
-            }
-            throw error;
-        }
-    }
-
     // ============================================
     // Results Data
     // ============================================
     
     /**
-     * Parse result row from CSV
-     * @param {string[]} row - CSV row values
-     * @returns {Object|null} Parsed result object or null if invalid
-     */
-    function parseResultRow(row) {
-        // Expected columns: Contest, Draw Date, Num1, Num2, Num3, Num4, Num5, Saved At, Source
-        const contest = (row[0] || '').trim();
-        const drawDateRaw = (row[1] || '').trim();
-        
-        if (!contest) return null;
-
-        // Check for "No draw" entries
-        const fullRow = row.join(' ').toLowerCase();
-        if (fullRow.includes('no draw')) {
-            return {
-                contest: contest,
-                drawDate: drawDateRaw,
-                drawDateParsed: null,
-                numbers: [],
-                isNoDraw: true,
-                savedAt: row[7] || '',
-                source: row[8] || ''
-            };
-        }
-
-        // Parse winning numbers (columns 2-6)
-        const numbers = [];
-        for (let i = 2; i <= 6; i++) {
-            const num = parseInt(row[i], 10);
-            if (!isNaN(num) && num >= 1 && num <= 80) {
-                numbers.push(num);
-            }
-        }
-
-        // Must have exactly 5 numbers for valid draw
-        if (numbers.length !== 5) {
-            return null;
-        }
-
-        // Parse draw date
-        let drawDateParsed = null;
-        if (drawDateRaw) {
-            // Try DD/MM/YYYY format
-            const parts = drawDateRaw.split('/');
-            if (parts.length === 3) {
-                const [d, m, y] = parts.map(Number);
-                if (d && m && y) {
-                    drawDateParsed = new Date(y, m - 1, d);
-                }
-            }
-        }
-
-        return {
-            contest: contest,
-            drawDate: drawDateRaw,
-            drawDateParsed: drawDateParsed,
-            numbers: numbers.sort((a, b) => a - b),
-            isNoDraw: false,
-            savedAt: row[7] || '',
-            source: row[8] || ''
-        };
-    }
-
-    /**
-     * Fetch all results from Google Sheet
+     * Fetch all results from the results source
      * @param {boolean} forceRefresh - Force refresh ignoring cache
      * @returns {Promise<Object[]>} Array of result objects
      */
@@ -175,32 +61,8 @@ window.ResultsFetcher = (function() {
         fetchLock = true;
 
         try {
-            const csvText = await fetchCSV(RESULTS_SHEET_URL);
-            const lines = csvText.split(/\r?\n/).filter(Boolean);
-
-            if (lines.length <= 1) {
-                cache.results = { data: [], timestamp: now };
-                fetchLock = false;
-                return [];
-            }
-
-            const delimiter = AdminCore.detectDelimiter(lines[0]);
-            const results = [];
-
-            for (let i = 1; i < lines.length; i++) {
-                const row = AdminCore.parseCSVLine(lines[i], delimiter);
-                const result = parseResultRow(row);
-                if (result) {
-                    results.push(result);
-                }
-            }
-
-            // Sort by contest number descending (newest first)
-            results.sort((a, b) => {
-                const contestA = parseInt(a.contest, 10) || 0;
-                const contestB = parseInt(b.contest, 10) || 0;
-                return contestB - contestA;
-            });
+            const csvText = await DataSources.fetchText('results');
+            const results = SheetParser.parseResults(csvText);
 
             cache.results = { data: results, timestamp: now };
             fetchLock = false;
@@ -0,0 +1,534 @@
+/**
+ * POP-SORTE Admin Dashboard - Risk Scoring
+ *
+ * Rules-based abuse detection over all loaded tickets and recharges.
+ * Each rule groups the tickets it catches into a cluster with a score
+ * (0-100) and a plain-language explanation:
+ *
+ *   SHARED_WHATSAPP          one WhatsApp number on tickets of several Game IDs
+ *   TICKET_BURST             one Game ID sending tickets seconds apart
+ *   DUPLICATE_NUMBERS_CUTOFF the same numbers for the same draw from several
+ *                            Game IDs just before the cutoff
+ *
+ * A ticket's risk score is the highest score of its clusters. The report is
+ * rebuilt on demand whenever the loaded data or the draw calendar changes.
+ * This module also renders the Risk section; the entries table filters on
+ * its flags through matches().
+ *
+ * Dependencies: draw-calendar.js (DrawCalendar), validation-engine.js (ValidationEngine),
+ *               admin-core.js (AdminCore), data-store.js (DataStore),
+ *               player-profile.js (PlayerProfile)
+ */
+
+// ============================================
+// Risk Scoring Module
+// ============================================
+window.RiskScoring = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    const RiskRule = {
+        SHARED_WHATSAPP: 'SHARED_WHATSAPP',
+        TICKET_BURST: 'TICKET_BURST',
+        DUPLICATE_NUMBERS_CUTOFF: 'DUPLICATE_NUMBERS_CUTOFF'
+    };
+
+    const RULE_INFO = {
+        SHARED_WHATSAPP: { label: '📱 Shared WhatsApp', short: 'WhatsApp' },
+        TICKET_BURST: { label: '⚡ Ticket burst', short: 'Burst' },
+        DUPLICATE_NUMBERS_CUTOFF: { label: '🎯 Same numbers before cutoff', short: 'Duplicate' }
+    };
+
+    /**
+     * Rule thresholds
+     */
+    const THRESHOLDS = {
+        sharedWhatsAppGameIds: 3,          // Game IDs on one number to flag it
+        burstMinTickets: 5,                // Tickets in a row to call it a burst
+        burstMaxGapMs: 10 * 1000,          // ...each at most this far from the previous one
+        cutoffWindowMs: 30 * 60 * 1000,    // "Just before the cutoff"
+        duplicateGameIds: 2                // Game IDs sending the same numbers
+    };
+
+    const SEVERITY = [
+        { min: 70, level: 'HIGH', badge: 'badge-danger' },
+        { min: 40, level: 'MEDIUM', badge: 'badge-warning' },
+        { min: 0, level: 'LOW', badge: 'badge-info' }
+    ];
+
+    // ============================================
+    // State
+    // ============================================
+    let report = null;          // {clusters, byEntry}
+    let reportSource = null;    // {entries, recharges, calendar} the report was built from
+    let filters = { rule: '', severity: '' };
+    let isInitialized = false;
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Escape text for safe HTML insertion
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return String(text || '').replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        }[c]));
+    }
+
+    /**
+     * Platform code of an entry or recharge
+     * @param {Object} item
+     * @returns {string} POPN1 or POPLUZ
+     */
+    function platformOf(item) {
+        return (item.platform || 'POPN1').toUpperCase();
+    }
+
+    /**
+     * Severity of a score
+     * @param {number} score - 0-100
+     * @returns {Object} {level, badge}
+     */
+    function getSeverity(score) {
+        return SEVERITY.find(s => score >= s.min);
+    }
+
+    /**
+     * Format a time as HH:MM:SS (BRT)
+     * @param {Date} date
+     * @returns {string}
+     */
+    function formatTime(date) {
+        return AdminCore.formatBrazilDateTime(date, { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    }
+
+    /**
+     * Build a cluster
+     * @param {string} rule - RiskRule
+     * @param {string} key - Unique key within the rule
+     * @param {Object[]} entries - Tickets in the cluster
+     * @param {number} score - 0-100
+     * @param {string} explanation - Why it was flagged
+     * @returns {Object} Cluster
+     */
+    function makeCluster(rule, key, entries, score, explanation) {
+        const times = entries.map(e => e.parsedDate).filter(Boolean).map(d => d.getTime());
+        const rounded = Math.min(100, Math.round(score));
+        return {
+            id: `${rule}|${key}`,
+            rule,
+            score: rounded,
+            severity: getSeverity(rounded).level,
+            explanation,
+            entries,
+            gameIds: [...new Set(entries.map(e => e.gameId).filter(Boolean))],
+            whatsapps: [...new Set(entries.map(e => e.whatsapp).filter(Boolean))],
+            platforms: [...new Set(entries.map(platformOf))],
+            firstAt: times.length > 0 ? new Date(Math.min(...times)) : null,
+            lastAt: times.length > 0 ? new Date(Math.max(...times)) : null
+        };
+    }
+
+    // ============================================
+    // Rules
+    // ============================================
+
+    /**
+     * One WhatsApp number on tickets of several Game IDs. Scores higher when
+     * few of those Game IDs ever recharged (accounts made only to play).
+     * @param {Object[]} entries
+     * @param {Object[]} recharges
+     * @returns {Object[]} Clusters
+     */
+    function findSharedWhatsApp(entries, recharges) {
+        const byNumber = new Map();
+        entries.forEach(e => {
+            const number = (e.whatsapp || '').replace(/\D/g, '');
+            if (!number || !e.gameId) return;
+            if (!byNumber.has(number)) byNumber.set(number, []);
+            byNumber.get(number).push(e);
+        });
+
+        const rechargedBy = new Map();
+        recharges.forEach(r => {
+            const key = `${platformOf(r)}|${r.gameId}`;
+            rechargedBy.set(key, (rechargedBy.get(key) || 0) + (Number(r.amount) || 0));
+        });
+
+        const clusters = [];
+        byNumber.forEach((numberEntries, number) => {
+            const players = [...new Set(numberEntries.map(e => `${platformOf(e)}|${e.gameId}`))];
+            if (players.length < THRESHOLDS.sharedWhatsAppGameIds) return;
+
+            const recharged = players.filter(p => rechargedBy.has(p));
+            const total = recharged.reduce((sum, p) => sum + rechargedBy.get(p), 0);
+            const fewRecharged = recharged.length <= players.length / 2;
+
+            const score = 20 + 15 * (players.length - 2) + (fewRecharged ? 15 : 0);
+            const explanation = `WhatsApp ${numberEntries[0].whatsapp} is on ${numberEntries.length} tickets of ${players.length} Game IDs; `
+                + `${recharged.length} of them recharged (R$ ${total.toFixed(2)})`;
+
+            clusters.push(makeCluster(RiskRule.SHARED_WHATSAPP, number, numberEntries, score, explanation));
+        });
+
+        return clusters;
+    }
+
+    /**
+     * Tickets of one Game ID sent seconds apart, several in a row
+     * @param {Object[]} entries
+     * @returns {Object[]} Clusters
+     */
+    function findTicketBursts(entries) {
+        const byPlayer = new Map();
+        entries.forEach(e => {
+            if (!e.gameId || !e.parsedDate) return;
+            const key = `${platformOf(e)}|${e.gameId}`;
+            if (!byPlayer.has(key)) byPlayer.set(key, []);
+            byPlayer.get(key).push(e);
+        });
+
+        const clusters = [];
+        byPlayer.forEach((playerEntries, key) => {
+            playerEntries.sort((a, b) => a.parsedDate - b.parsedDate);
+
+            let run = [playerEntries[0]];
+            const closeRun = () => {
+                if (run.length >= THRESHOLDS.burstMinTickets) {
+                    const first = run[0].parsedDate;
+                    const last = run[run.length - 1].parsedDate;
+                    const seconds = Math.round((last - first) / 1000);
+                    const score = 30 + 10 * (run.length - THRESHOLDS.burstMinTickets) + (seconds < run.length * 2 ? 20 : 0);
+                    const explanation = `Game ID ${run[0].gameId} sent ${run.length} tickets in ${seconds}s `
+                        + `(${formatTime(first)} - ${formatTime(last)}), each within ${THRESHOLDS.burstMaxGapMs / 1000}s of the previous one`;
+                    clusters.push(makeCluster(RiskRule.TICKET_BURST, `${key}|${first.getTime()}`, run, score, explanation));
+                }
+            };
+
+            for (let i = 1; i < playerEntries.length; i++) {
+                const gap = playerEntries[i].parsedDate - playerEntries[i - 1].parsedDate;
+                if (gap <= THRESHOLDS.burstMaxGapMs) {
+                    run.push(playerEntries[i]);
+                } else {
+                    closeRun();
+                    run = [playerEntries[i]];
+                }
+            }
+            closeRun();
+        });
+
+        return clusters;
+    }
+
+    /**
+     * The same numbers for the same draw from several Game IDs, all sent in
+     * the last minutes before the cutoff
+     * @param {Object[]} entries
+     * @returns {Object[]} Clusters
+     */
+    function findDuplicatesBeforeCutoff(entries) {
+        const cutoffs = new Map();   // draw date key -> cutoff Date
+        const groups = new Map();
+
+        entries.forEach(e => {
+            if (!e.parsedDate || !e.gameId || !e.numbers || e.numbers.length === 0) return;
+
+            const drawKey = ValidationEngine.getTicketDrawDate(e);
+            if (!drawKey) return;
+            if (!cutoffs.has(drawKey)) cutoffs.set(drawKey, DrawCalendar.getCutoff(drawKey));
+            const cutoff = cutoffs.get(drawKey);
+            if (!cutoff) return;
+
+            const before = cutoff.getTime() - e.parsedDate.getTime();
+            if (before < 0 || before > THRESHOLDS.cutoffWindowMs) return;
+
+            const numbers = [...e.numbers].map(Number).sort((a, b) => a - b).map(n => String(n).padStart(2, '0')).join(' ');
+            const key = `${platformOf(e)}|${drawKey}|${numbers}`;
+            if (!groups.has(key)) groups.set(key, { drawKey, numbers, cutoff, entries: [] });
+            groups.get(key).entries.push(e);
+        });
+
+        const clusters = [];
+        groups.forEach((group, key) => {
+            const gameIds = new Set(group.entries.map(e => e.gameId));
+            if (gameIds.size < THRESHOLDS.duplicateGameIds) return;
+
+            const closest = Math.min(...group.entries.map(e => group.cutoff - e.parsedDate));
+            const minutes = Math.max(1, Math.ceil(closest / 60000));
+            const [y, m, d] = group.drawKey.split('-');
+
+            const score = 40 + 15 * (gameIds.size - 2) + (closest <= 5 * 60 * 1000 ? 10 : 0);
+            const explanation = `Numbers ${group.numbers} for the ${d}/${m}/${y} draw were sent by ${gameIds.size} Game IDs `
+                + `in the ${THRESHOLDS.cutoffWindowMs / 60000} min before the ${formatTime(group.cutoff)} cutoff (closest ${minutes} min before)`;
+
+            clusters.push(makeCluster(RiskRule.DUPLICATE_NUMBERS_CUTOFF, key, group.entries, score, explanation));
+        });
+
+        return clusters;
+    }
+
+    // ============================================
+    // Report
+    // ============================================
+
+    /**
+     * Run every rule over the tickets and recharges
+     * @param {Object[]} entries - All entries
+     * @param {Object[]} recharges - All recharges
+     * @returns {Object} {clusters (highest score first), byEntry: Map(entry -> {score, clusters})}
+     */
+    function analyze(entries, recharges) {
+        const clusters = [
+            ...findSharedWhatsApp(entries, recharges),
+            ...findTicketBursts(entries),
+            ...findDuplicatesBeforeCutoff(entries)
+        ].sort((a, b) => b.score - a.score || (b.lastAt || 0) - (a.lastAt || 0));
+
+        const byEntry = new Map();
+        clusters.forEach(cluster => {
+            cluster.entries.forEach(entry => {
+                if (!byEntry.has(entry)) byEntry.set(entry, { score: 0, clusters: [] });
+                const flags = byEntry.get(entry);
+                flags.score = Math.max(flags.score, cluster.score);
+                flags.clusters.push(cluster);
+            });
+        });
+
+        return { clusters, byEntry };
+    }
+
+    /**
+     * Report for the loaded data, rebuilt when the data or calendar changed
+     * @returns {Object} {clusters, byEntry}
+     */
+    function getReport() {
+        const source = {
+            entries: DataStore.getAllEntries(),
+            recharges: DataStore.getAllRecharges(),
+            calendar: DrawCalendar.getUpdatedAt()
+        };
+
+        if (!report || !reportSource
+            || reportSource.entries !== source.entries
+            || reportSource.recharges !== source.recharges
+            || reportSource.calendar !== source.calendar) {
+            report = analyze(source.entries, source.recharges);
+            reportSource = source;
+        }
+        return report;
+    }
+
+    /**
+     * Risk flags of a ticket
+     * @param {Object} entry - Entry object
+     * @returns {Object|null} {score, clusters} or null when not flagged
+     */
+    function getEntryFlags(entry) {
+        return getReport().byEntry.get(entry) || null;
+    }
+
+    /**
+     * Whether a ticket passes a risk filter of the entries table
+     * @param {Object} entry - Entry object
+     * @param {string} filter - 'all', 'flagged', a RiskRule or 'cluster:<id>'
+     * @returns {boolean}
+     */
+    function matches(entry, filter) {
+        if (!filter || filter === 'all') return true;
+
+        const flags = getEntryFlags(entry);
+        if (!flags) return false;
+        if (filter === 'flagged') return true;
+        if (filter.startsWith('cluster:')) {
+            const id = filter.slice('cluster:'.length);
+            return flags.clusters.some(c => c.id === id);
+        }
+        return flags.clusters.some(c => c.rule === filter);
+    }
+
+    /**
+     * Find a cluster by id
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    function getCluster(id) {
+        return getReport().clusters.find(c => c.id === id) || null;
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    /**
+     * Risk badge for a ticket (entries table)
+     * @param {Object} entry - Entry object
+     * @returns {string} HTML, empty when not flagged
+     */
+    function renderEntryBadge(entry) {
+        const flags = getEntryFlags(entry);
+        if (!flags) return '';
+
+        const severity = getSeverity(flags.score);
+        const title = flags.clusters.map(c => `${RULE_INFO[c.rule].short}: ${c.explanation}`).join('\n');
+        return `<span class="badge ${severity.badge}" style="font-size: 0.55rem; padding: 1px 3px;" title="${escapeHtml(title)}">🚩 RISK ${flags.score}</span>`;
+    }
+
+    /**
+     * Render the Risk section
+     */
+    function render() {
+        if (!DataStore.isLoaded()) return;
+
+        const { clusters, byEntry } = getReport();
+        const platform = AdminCore.getCurrentPlatform();
+        const inView = clusters.filter(c => platform === 'ALL' || c.platforms.includes(platform));
+
+        // Stats
+        const setText = (id, value) => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = value.toLocaleString();
+        };
+        setText('statRiskClusters', inView.length);
+        setText('statRiskHigh', inView.filter(c => c.severity === 'HIGH').length);
+        setText('statRiskTickets', new Set(inView.flatMap(c => c.entries)).size);
+        setText('statRiskGameIds', new Set(inView.flatMap(c => c.gameIds)).size);
+
+        // Count per rule for the rule filter
+        const ruleSelect = document.getElementById('filterRiskRule');
+        if (ruleSelect) {
+            ruleSelect.innerHTML = '<option value="">All</option>' + Object.keys(RiskRule).map(rule => {
+                const count = inView.filter(c => c.rule === rule).length;
+                return `<option value="${rule}" ${rule === filters.rule ? 'selected' : ''}>${RULE_INFO[rule].label} (${count})</option>`;
+            }).join('');
+        }
+
+        const tbody = document.getElementById('riskTableBody');
+        if (!tbody) return;
+
+        const shown = inView.filter(c =>
+            (!filters.rule || c.rule === filters.rule) &&
+            (!filters.severity || c.severity === filters.severity)
+        );
+
+        if (shown.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="6" class="text-center text-muted">${byEntry.size === 0 ? 'No risk flags' : 'No clusters match the filters'}</td></tr>`;
+            return;
+        }
+
+        const playerPlatform = platform === 'ALL' ? '' : platform;
+        tbody.innerHTML = shown.slice(0, 200).map(c => {
+            const severity = getSeverity(c.score);
+            const gameIds = c.gameIds.slice(0, 8).map(id => PlayerProfile.link(id, c.platforms.length === 1 ? c.platforms[0] : playerPlatform)).join(', ')
+                + (c.gameIds.length > 8 ? ` <span class="text-muted">+${c.gameIds.length - 8}</span>` : '');
+            const when = c.firstAt
+                ? `${AdminCore.formatBrazilDateTime(c.firstAt, { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' })}`
+                : '-';
+
+            return `
+                <tr>
+                    <td><span class="badge ${severity.badge}">${severity.level} ${c.score}</span></td>
+                    <td style="white-space:nowrap">${RULE_INFO[c.rule].label}</td>
+                    <td>${gameIds}</td>
+                    <td style="font-size:0.8rem">${escapeHtml(c.explanation)}</td>
+                    <td style="font-size:0.8rem;white-space:nowrap">${when}</td>
+                    <td class="table-actions">
+                        <button class="btn btn-secondary btn-sm" data-risk-cluster="${escapeHtml(c.id)}">🎫 ${c.entries.length} tickets</button>
+                    </td>
+                </tr>
+            `;
+        }).join('') + (shown.length > 200
+            ? `<tr><td colspan="6" class="text-center text-muted">Showing 200 of ${shown.length} clusters</td></tr>`
+            : '');
+    }
+
+    /**
+     * Show a cluster's tickets in the entries table
+     * @param {string} id - Cluster id
+     */
+    function showClusterEntries(id) {
+        const cluster = getCluster(id);
+        if (!cluster) return;
+
+        UnifiedPage.filterEntriesByRisk(`cluster:${id}`, `${RULE_INFO[cluster.rule].short}: ${cluster.gameIds.slice(0, 3).join(', ')}${cluster.gameIds.length > 3 ? '...' : ''}`);
+        AdminCore.scrollToSection('entries');
+    }
+
+    // ============================================
+    // Event Binding
+    // ============================================
+
+    function bindEvents() {
+        document.getElementById('filterRiskRule')?.addEventListener('change', (e) => {
+            filters.rule = e.target.value;
+            render();
+        });
+        document.getElementById('filterRiskSeverity')?.addEventListener('change', (e) => {
+            filters.severity = e.target.value;
+            render();
+        });
+        document.getElementById('riskTableBody')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-risk-cluster]');
+            if (btn) showClusterEntries(btn.dataset.riskCluster);
+        });
+    }
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    function init() {
+        bindEvents();
+        render();
+        isInitialized = true;
+    }
+
+    if (typeof AdminCore !== 'undefined') {
+        AdminCore.on('appShown', () => {
+            if (!isInitialized) init();
+        });
+
+        AdminCore.on('login', () => {
+            if (!isInitialized) init();
+        });
+
+        ['dataStoreReady', 'platformChange', 'calendarChange'].forEach(event => {
+            AdminCore.on(event, () => {
+                if (isInitialized) render();
+            });
+        });
+
+        AdminCore.on('logout', () => {
+            report = null;
+            reportSource = null;
+        });
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        // Report
+        analyze,
+        getReport,
+        getEntryFlags,
+        getCluster,
+        matches,
+
+        // Rendering
+        render,
+        renderEntryBadge,
+        showClusterEntries,
+
+        // Constants
+        RiskRule,
+        RULE_INFO,
+        THRESHOLDS
+    };
+})();
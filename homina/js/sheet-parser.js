@@ -0,0 +1,834 @@
+/**
+ * POP-SORTE Admin Dashboard - Sheet Parser
+ *
+ * Turns the Google Sheets CSV exports into the objects the dashboard works
+ * with:
+ * - Entries (SORTE-ADMIN): one object per ticket row, retried submissions
+ *   sharing a TICKET KEY collapsed, newest first
+ * - Recharges (one sheet per platform): one object per valid row, tagged
+ *   with the sheet's platform; raw platform exports are read too
+ * - Results: one object per contest, newest first
+ * - Imports: any of the above dropped as a file, its layout recognised from
+ *   the header, with a reason for every row that could not be read
+ *
+ * Also holds the low-level CSV and BRT date helpers AdminCore exposes.
+ *
+ * Works in the browser, in the compute worker and in Node (no DOM, no
+ * AdminCore), so parsing can run off the main thread.
+ *
+ * Dependencies: none
+ */
+
+// ============================================
+// Sheet Parser Module
+// ============================================
+(function(global) {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * How many entry lines are parsed between two progress reports
+     */
+    const PROGRESS_BATCH = 500;
+
+    /**
+     * Rejected recharge rows logged per reason, per page load
+     */
+    const MAX_REJECT_LOGS = 3;
+
+    let rejectedGameIdLogs = 0;
+    let rejectedDataLogs = 0;
+
+    // ============================================
+    // Low-level Helpers
+    // ============================================
+
+    /**
+     * Parse Brazilian date/time string to Date object
+     * @param {string} str - Date string in format "DD/MM/YYYY HH:MM:SS"
+     * @returns {Date|null} Parsed date or null if invalid
+     */
+    function parseBrazilDateTime(str) {
+        if (!str) return null;
+        try {
+            const [datePart, timePart = '00:00:00'] = str.trim().split(' ');
+            const [d, m, y] = datePart.split(/[\/\-]/).map(Number);
+            const [hh = 0, mm = 0, ss = 0] = timePart.split(':').map(Number);
+            if (!d || !m || !y) return null;
+            // Create date in BRT (UTC-3)
+            return new Date(Date.UTC(y, m - 1, d, hh + 3, mm, ss));
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Detect the delimiter used in a CSV header line
+     * @param {string} headerLine - First line of CSV
+     * @returns {string} Detected delimiter
+     */
+    function detectDelimiter(headerLine) {
+        const counts = {
+            ',': (headerLine.match(/,/g) || []).length,
+            ';': (headerLine.match(/;/g) || []).length,
+            '\t': (headerLine.match(/\t/g) || []).length,
+            '|': (headerLine.match(/\|/g) || []).length,
+        };
+        return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0] || ',';
+    }
+
+    /**
+     * Parse a single CSV line respecting quoted fields
+     * @param {string} line - CSV line to parse
+     * @param {string} delimiter - Field delimiter
+     * @returns {string[]} Array of field values
+     */
+    function parseCSVLine(line, delimiter = ',') {
+        const values = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (ch === '"') {
+                inQuotes = !inQuotes;
+            } else if (ch === delimiter && !inQuotes) {
+                values.push(current.trim());
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        values.push(current.trim());
+        return values;
+    }
+
+    // ============================================
+    // Entries
+    // ============================================
+
+    /**
+     * Parse entry row from CSV
+     * @param {string[]} row - CSV row values
+     * @returns {Object} Parsed entry object
+     */
+    function parseEntryRow(row) {
+        // CSV Source: SORTE-ADMIN.csv
+        // Column 0: DATA/HORA REGISTRO (Entry creation timestamp) - DD/MM/YYYY HH:MM:SS
+        // Column 1: (empty)
+        // Column 2: (empty)
+        // Column 3: PLATFORM
+        // Column 4: GAME ID (matches Member ID from recharge CSV)
+        // Column 5: WHATSAPP
+        // Column 6: NÚMEROS ESCOLHIDOS
+        // Column 7: DATA SORTEIO
+        // Column 8: CONCURSO
+        // Column 9: BILHETE #
+        // Column 10: STATUS
+        // Column 13: TICKET KEY (idempotency key sent by the player form, empty on older rows)
+        const timestamp = row[0] || ''; // DATA/HORA REGISTRO
+        const parsedDate = parseBrazilDateTime(timestamp);
+
+        // Parse chosen numbers
+        const numbersRaw = row[6] || '';
+        const numbers = numbersRaw
+            .split(/[,;|\t]/)
+            .map(n => parseInt(n.trim(), 10))
+            .filter(n => !isNaN(n) && n >= 1 && n <= 80);
+
+        return {
+            timestamp: timestamp,
+            parsedDate: parsedDate,
+            platform: (row[3] || 'POPN1').trim().toUpperCase(),
+            gameId: (row[4] || '').trim(),
+            whatsapp: (row[5] || '').trim(),
+            numbers: numbers,
+            drawDate: (row[7] || '').trim(),
+            contest: (row[8] || '').trim(),
+            ticketNumber: (row[9] || '').trim(),
+            status: (row[10] || 'PENDING').trim().toUpperCase(),
+            ticketKey: (row[13] || '').trim()
+        };
+    }
+
+    /**
+     * Collapse rows that share a ticket key into a single entry
+     * A timeout after the Worker already saved a ticket makes the form retry
+     * with the same key, so every extra row with that key is the same ticket.
+     * The earliest row is kept; rows without a key are never merged because
+     * players may legitimately register identical tickets. Also used by the
+     * legacy admin (admin/data-fetcher.js) with its own registration time.
+     * @param {Object[]} entries - Entry objects
+     * @param {Function} [timeOf] - entry -> comparable registration time
+     *                              (default: parsedDate, missing dates last)
+     * @returns {Object[]} Entries with one row per ticket key
+     */
+    function collapseDuplicateEntries(entries, timeOf = entry => (entry.parsedDate ? entry.parsedDate.getTime() : Infinity)) {
+        const byKey = new Map(); // ticketKey -> index of the kept entry in collapsed
+        const collapsed = [];
+
+        entries.forEach(entry => {
+            if (!entry.ticketKey) {
+                collapsed.push(entry);
+                return;
+            }
+
+            const index = byKey.get(entry.ticketKey);
+            if (index === undefined) {
+                entry.duplicateCount = entry.duplicateCount || 0;
+                byKey.set(entry.ticketKey, collapsed.length);
+                collapsed.push(entry);
+                return;
+            }
+
+            const kept = collapsed[index];
+            if (timeOf(entry) < timeOf(kept)) {
+                // Earlier copy wins: take over the kept slot
+                entry.duplicateCount = (entry.duplicateCount || 0) + kept.duplicateCount + 1;
+                collapsed[index] = entry;
+            } else {
+                kept.duplicateCount += (entry.duplicateCount || 0) + 1;
+            }
+        });
+
+        const removed = entries.length - collapsed.length;
+        if (removed > 0) {
+            console.log(`🔁 Collapsed ${removed} retried submission(s) sharing a ticket key`);
+        }
+
+        return collapsed;
+    }
+
+    /**
+     * Parse the entries sheet
+     * @param {string} csvText - Raw CSV text
+     * @param {Function} [onProgress] - Called with the parsed percentage (0-100)
+     * @returns {Object[]} Entries, retries collapsed, newest first
+     */
+    function parseEntries(csvText, onProgress) {
+        const lines = csvText.split(/\r?\n/).filter(Boolean);
+        if (lines.length <= 1) return [];
+
+        const delimiter = detectDelimiter(lines[0]);
+        const totalLines = lines.length - 1; // Exclude header
+        let entries = [];
+
+        for (let i = 1; i < lines.length; i++) {
+            const row = parseCSVLine(lines[i], delimiter);
+            if (row.length >= 11 && row[4]) { // Must have at least Game ID (column 4)
+                entries.push(parseEntryRow(row));
+            }
+
+            if (onProgress && (i % PROGRESS_BATCH === 0 || i === totalLines)) {
+                onProgress(Math.round((i / totalLines) * 100));
+            }
+        }
+
+        // Network retries of the same ticket count once
+        entries = collapseDuplicateEntries(entries);
+
+        // Sort by timestamp descending (newest first)
+        return entries.sort((a, b) => {
+            const ta = a.parsedDate ? a.parsedDate.getTime() : 0;
+            const tb = b.parsedDate ? b.parsedDate.getTime() : 0;
+            return tb - ta;
+        });
+    }
+
+    // ============================================
+    // Recharges
+    // ============================================
+
+    /**
+     * Read recharge row from CSV
+     * NEW Sheet Structure (as of Jan 2026):
+     *   Column A (0): Member ID - 10 digit game ID
+     *   Column B (1): Order Number - unique recharge identifier
+     *   Column C (2): Record Time - DD/MM/YYYY HH:MM:SS format
+     *   Column D (3): Change Amount - recharge amount (positive number)
+     *   Column E (4): Balance After - balance after recharge
+     *
+     * @param {string[]} row - CSV row values
+     * @returns {Object} {recharge} or {error, field: 'gameId'|'data'} saying why it was rejected
+     */
+    function readRechargeRow(row) {
+        const gameId = row[0] ? row[0].trim() : '';
+        const rechargeId = row[1] ? row[1].trim() : '';
+        const timestampStr = row[2] ? row[2].trim() : '';
+        const amountStr = row[3] ? row[3].trim() : '';
+        const balanceAfter = row[4] ? parseFloat(row[4].trim().replace(/,/g, '')) : null;
+
+        // Validate game ID (must be 10 digits)
+        if (!gameId || !/^\d{10}$/.test(gameId)) {
+            return { error: `Invalid Member ID "${gameId}" (10 digits expected)`, field: 'gameId' };
+        }
+
+        // Parse timestamp from column 2 (C): DD/MM/YYYY HH:MM:SS or D/M/YYYY HH:MM
+        let rechargeTime = null;
+        if (timestampStr) {
+            // Normalize the format: ensure 2-digit day/month and add seconds if missing
+            // "3/1/2026 13:58" -> "03/01/2026 13:58:00"
+            const normalizedTime = timestampStr.replace(/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\b/g, (match, d, m, y, h, mm, s) => {
+                const day = String(d).padStart(2, '0');
+                const month = String(m).padStart(2, '0');
+                const hour = String(h).padStart(2, '0');
+                const second = s || '00';
+                return `${day}/${month}/${y} ${hour}:${mm}:${second}`;
+            });
+
+            rechargeTime = parseBrazilDateTime(normalizedTime);
+        }
+
+        // Validate date
+        if (rechargeTime && (isNaN(rechargeTime.getTime()) || !(rechargeTime instanceof Date))) {
+            rechargeTime = null;
+        }
+
+        // Parse amount from column 3 (D)
+        let amount = 0;
+        if (amountStr) {
+            const parsed = parseFloat(amountStr.replace(/,/g, ''));
+            if (!isNaN(parsed) && parsed > 0) {
+                amount = parsed;
+            }
+        }
+
+        // Skip if missing critical data
+        if (!rechargeId) return { error: 'Missing order number', field: 'data' };
+        if (!rechargeTime) return { error: `Unreadable record time "${timestampStr}"`, field: 'data' };
+        if (amount === 0) return { error: `Amount "${amountStr}" is not a positive number`, field: 'data' };
+
+        return {
+            recharge: {
+                gameId: gameId,
+                rechargeId: rechargeId,
+                rechargeTime: rechargeTime,
+                rechargeTimeRaw: timestampStr,
+                amount: amount,
+                balanceAfter: balanceAfter,
+                status: 'RECHARGE',
+                rawRow: row
+            }
+        };
+    }
+
+    /**
+     * Parse recharge row from CSV (layout: see readRechargeRow)
+     * @param {string[]} row - CSV row values
+     * @returns {Object|null} Parsed recharge object or null if invalid
+     */
+    function parseRechargeRow(row) {
+        // Minimum 4 columns required: Member ID, Order Number, Record Time, Change Amount
+        if (!row || row.length < 4) {
+            return null;
+        }
+
+        // Skip header row - check for common header keywords
+        const firstCell = (row[0] || '').toLowerCase();
+        if (firstCell.includes('member') || firstCell.includes('id') || firstCell === 'a' || firstCell === '') {
+            return null;
+        }
+
+        const { recharge, error, field } = readRechargeRow(row);
+        if (error) {
+            // Log reason
+            if (field === 'gameId' && rejectedGameIdLogs < MAX_REJECT_LOGS) {
+                console.log(`❌ Recharge row rejected - ${error}`);
+                rejectedGameIdLogs++;
+            } else if (field === 'data' && rejectedDataLogs < MAX_REJECT_LOGS) {
+                console.log(`❌ Recharge row rejected - ${error}`);
+                rejectedDataLogs++;
+            }
+            return null;
+        }
+        return recharge;
+    }
+
+    /**
+     * Parse one platform's recharge sheet
+     * @param {string} csvText - Raw CSV text
+     * @param {string} platform - Platform name (POPN1 or POPLUZ)
+     * @returns {Object[]} Recharges tagged with the platform, in sheet order
+     */
+    function parseRecharges(csvText, platform) {
+        const lines = csvText.split(/\r?\n/).filter(Boolean);
+
+        if (lines.length <= 1) {
+            console.warn(`⚠️ [${platform}] CSV has no data rows (only header or empty)`);
+            return [];
+        }
+
+        // Raw platform export: mapped by header, non-recharge rows dropped
+        const schema = detectSchema(lines[0], 'recharges');
+        if (schema.format === 'platform-export') {
+            const imported = parseImport(csvText, { dataset: 'recharges', platform });
+            console.log(`✅ [${platform}] Parsed ${imported.rows.length} recharges from a platform export, skipped ${imported.skipped + imported.errors.length} rows`);
+            return imported.rows;
+        }
+
+        const delimiter = detectDelimiter(lines[0]);
+        const recharges = [];
+        let skipped = 0;
+
+        for (let i = 1; i < lines.length; i++) {
+            const recharge = parseRechargeRow(parseCSVLine(lines[i], delimiter));
+            if (recharge) {
+                // Add platform info to each recharge for proper validation matching
+                recharge.platform = platform;
+                recharges.push(recharge);
+            } else {
+                skipped++;
+            }
+        }
+
+        console.log(`✅ [${platform}] Parsed ${recharges.length} recharges, skipped ${skipped} rows`);
+        return recharges;
+    }
+
+    // ============================================
+    // Results
+    // ============================================
+
+    /**
+     * Parse result row from CSV
+     * @param {string[]} row - CSV row values
+     * @returns {Object|null} Parsed result object or null if invalid
+     */
+    function parseResultRow(row) {
+        // Expected columns: Contest, Draw Date, Num1, Num2, Num3, Num4, Num5, Saved At, Source
+        const contest = (row[0] || '').trim();
+        const drawDateRaw = (row[1] || '').trim();
+
+        if (!contest) return null;
+
+        // Check for "No draw" entries
+        const fullRow = row.join(' ').toLowerCase();
+        if (fullRow.includes('no draw')) {
+            return {
+                contest: contest,
+                drawDate: drawDateRaw,
+                drawDateParsed: null,
+                numbers: [],
+                isNoDraw: true,
+                savedAt: row[7] || '',
+                source: row[8] || ''
+            };
+        }
+
+        // Parse winning numbers (columns 2-6)
+        const numbers = [];
+        for (let i = 2; i <= 6; i++) {
+            const num = parseInt(row[i], 10);
+            if (!isNaN(num) && num >= 1 && num <= 80) {
+                numbers.push(num);
+            }
+        }
+
+        // Must have exactly 5 numbers for valid draw
+        if (numbers.length !== 5) {
+            return null;
+        }
+
+        // Parse draw date
+        let drawDateParsed = null;
+        if (drawDateRaw) {
+            // Try DD/MM/YYYY format
+            const parts = drawDateRaw.split('/');
+            if (parts.length === 3) {
+                const [d, m, y] = parts.map(Number);
+                if (d && m && y) {
+                    drawDateParsed = new Date(y, m - 1, d);
+                }
+            }
+        }
+
+        return {
+            contest: contest,
+            drawDate: drawDateRaw,
+            drawDateParsed: drawDateParsed,
+            numbers: numbers.sort((a, b) => a - b),
+            isNoDraw: false,
+            savedAt: row[7] || '',
+            source: row[8] || ''
+        };
+    }
+
+    /**
+     * Sort results by contest number descending (newest first)
+     * @param {Object[]} results
+     * @returns {Object[]} The same array
+     */
+    function sortResults(results) {
+        return results.sort((a, b) => {
+            const contestA = parseInt(a.contest, 10) || 0;
+            const contestB = parseInt(b.contest, 10) || 0;
+            return contestB - contestA;
+        });
+    }
+
+    /**
+     * Parse the results sheet
+     * @param {string} csvText - Raw CSV text
+     * @returns {Object[]} Results, newest contest first
+     */
+    function parseResults(csvText) {
+        const lines = csvText.split(/\r?\n/).filter(Boolean);
+        if (lines.length <= 1) return [];
+
+        const delimiter = detectDelimiter(lines[0]);
+        const results = [];
+
+        for (let i = 1; i < lines.length; i++) {
+            const result = parseResultRow(parseCSVLine(lines[i], delimiter));
+            if (result) {
+                results.push(result);
+            }
+        }
+
+        return sortResults(results);
+    }
+
+    // ============================================
+    // Schema Detection
+    // ============================================
+
+    /**
+     * File layouts an import can be read from, most specific first
+     *   fields:     name -> {at, headers}; `at` is the column the row parser
+     *               reads it from, `headers` the normalized names it goes by
+     *   required:   fields whose header must be present to recognise the file
+     *   positional: fields without a known header are read from `at` as is
+     *   dateField:  field whose dates decide between DD/MM and MM/DD
+     *   dayFirst:   date order when the dates themselves do not tell
+     */
+    const SCHEMAS = [
+        {
+            dataset: 'recharges',
+            format: 'platform-export',
+            label: 'Platform recharge export',
+            required: ['gameId', 'rechargeId', 'recordTime', 'changeType'],
+            positional: false,
+            dateField: 'recordTime',
+            dayFirst: false,
+            fields: {
+                gameId: { at: 0, headers: ['memberid'] },
+                rechargeId: { at: 1, headers: ['ordernumber'] },
+                recordTime: { at: 2, headers: ['recordtime'] },
+                amount: { at: 3, headers: ['changeamount'] },
+                balanceAfter: { at: 4, headers: ['balanceafterchange', 'balanceafter'] },
+                changeType: { at: 5, headers: ['accountchangetype'] }
+            }
+        },
+        {
+            dataset: 'recharges',
+            format: 'sheet',
+            label: 'Recharge sheet',
+            required: ['gameId', 'rechargeId'],
+            positional: true,
+            dateField: 'recordTime',
+            dayFirst: true,
+            fields: {
+                gameId: { at: 0, headers: ['memberid'] },
+                rechargeId: { at: 1, headers: ['ordernumber'] },
+                recordTime: { at: 2, headers: ['recordtime'] },
+                amount: { at: 3, headers: ['changeamount', 'amount'] },
+                balanceAfter: { at: 4, headers: ['balanceafterchange', 'balanceafter'] }
+            }
+        },
+        {
+            dataset: 'entries',
+            format: 'sheet',
+            label: 'Entries sheet (SORTE ADMIN)',
+            required: ['gameId', 'numbers'],
+            positional: true,
+            dateField: 'timestamp',
+            dayFirst: true,
+            fields: {
+                timestamp: { at: 0, headers: ['data/horaregistro'] },
+                platform: { at: 3, headers: ['platform'] },
+                gameId: { at: 4, headers: ['gameid'] },
+                whatsapp: { at: 5, headers: ['whatsapp'] },
+                numbers: { at: 6, headers: ['numerosescolhidos'] },
+                drawDate: { at: 7, headers: ['datasorteio'] },
+                contest: { at: 8, headers: ['concurso'] },
+                ticketNumber: { at: 9, headers: ['bilhete#'] },
+                status: { at: 10, headers: ['status'] },
+                ticketKey: { at: 13, headers: ['ticketkey'] }
+            }
+        },
+        {
+            dataset: 'results',
+            format: 'sheet',
+            label: 'Results sheet',
+            required: ['contest', 'drawDate'],
+            positional: true,
+            dateField: 'drawDate',
+            dayFirst: true,
+            fields: {
+                contest: { at: 0, headers: ['contestnumber', 'contest', 'concurso'] },
+                drawDate: { at: 1, headers: ['drawdate', 'datasorteio'] },
+                number1: { at: 2, headers: ['number1'] },
+                number2: { at: 3, headers: ['number2'] },
+                number3: { at: 4, headers: ['number3'] },
+                number4: { at: 5, headers: ['number4'] },
+                number5: { at: 6, headers: ['number5'] },
+                savedAt: { at: 7, headers: ['savedat'] },
+                source: { at: 8, headers: ['source'] }
+            }
+        }
+    ];
+
+    /**
+     * Account change types of a platform export that are player recharges
+     * (the export also lists bets, prizes, bonuses and withdrawals)
+     */
+    const RECHARGE_CHANGE_TYPES = ['充值', 'recharge', 'deposit', 'deposito'];
+
+    /**
+     * Normalize a header or label for comparison: no accents, case or spaces
+     * @param {string} text
+     * @returns {string}
+     */
+    function normalizeHeader(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\s+/g, '');
+    }
+
+    /**
+     * Column of each schema field in a header row
+     * @param {Object} schema - One of SCHEMAS
+     * @param {string[]} headers - Header row values
+     * @returns {Object} field -> {index (-1 when absent), header (null when read by position)}
+     */
+    function mapColumns(schema, headers) {
+        const normalized = headers.map(normalizeHeader);
+        const columns = {};
+        Object.entries(schema.fields).forEach(([field, spec]) => {
+            const index = normalized.findIndex(name => spec.headers.includes(name));
+            if (index >= 0) {
+                columns[field] = { index, header: headers[index] };
+            } else {
+                columns[field] = { index: schema.positional ? spec.at : -1, header: null };
+            }
+        });
+        return columns;
+    }
+
+    /**
+     * Recognise a file from its header line
+     * @param {string} headerLine - First line of the CSV
+     * @param {string} [dataset] - Only consider layouts of this dataset; the
+     *                             plain sheet layout is used when none matches
+     * @returns {Object|null} Matching schema, or null
+     */
+    function detectSchema(headerLine, dataset) {
+        const headers = parseCSVLine(headerLine, detectDelimiter(headerLine)).map(normalizeHeader);
+        const candidates = SCHEMAS.filter(schema => !dataset || schema.dataset === dataset);
+
+        const match = candidates.find(schema => schema.required.every(field =>
+            schema.fields[field].headers.some(name => headers.includes(name))
+        ));
+        if (match || !dataset) return match || null;
+        return candidates.find(schema => schema.positional) || null;
+    }
+
+    /**
+     * Tell whether a column's dates are DD/MM or MM/DD
+     * Any first part above 12 means DD/MM, any second part above 12 means
+     * MM/DD; otherwise the fallback decides.
+     * @param {string[]} values - Date strings ("D/M/YYYY ...")
+     * @param {boolean} fallback - dayFirst when the values are ambiguous
+     * @returns {boolean} true for DD/MM
+     */
+    function detectDayFirst(values, fallback) {
+        for (const value of values) {
+            const match = /^(\d{1,2})[\/\-](\d{1,2})[\/\-]\d{4}/.exec((value || '').trim());
+            if (!match) continue;
+            if (Number(match[1]) > 12) return true;
+            if (Number(match[2]) > 12) return false;
+        }
+        return fallback;
+    }
+
+    /**
+     * Rewrite an MM/DD/YYYY date as DD/MM/YYYY, leaving the time as is
+     * @param {string} value
+     * @returns {string}
+     */
+    function swapDayMonth(value) {
+        return (value || '').trim().replace(/^(\d{1,2})([\/\-])(\d{1,2})\2(\d{4})/, '$3$2$1$2$4');
+    }
+
+    /**
+     * Reorder a file row into the column layout the row parsers read
+     * @param {string[]} row - File row values
+     * @param {Object} schema - One of SCHEMAS
+     * @param {Object} columns - mapColumns output
+     * @param {boolean} dayFirst - Dates in the file are DD/MM
+     * @returns {string[]} Row in the schema's `at` layout
+     */
+    function toCanonicalRow(row, schema, columns, dayFirst) {
+        const canonical = [];
+        Object.entries(schema.fields).forEach(([field, spec]) => {
+            const index = columns[field].index;
+            let value = index >= 0 && row[index] !== undefined ? row[index] : '';
+            if (field === schema.dateField && !dayFirst) {
+                value = swapDayMonth(value);
+            }
+            canonical[spec.at] = value;
+        });
+        return Array.from(canonical, value => value || '');
+    }
+
+    // ============================================
+    // Import
+    // ============================================
+
+    /**
+     * Check one canonical row of an import
+     * @param {string} dataset - entries, recharges or results
+     * @param {string[]} row - Canonical row
+     * @returns {Object} {row} parsed, {skip: true} for rows that are not data,
+     *                   or {error} explaining the rejection
+     */
+    function readImportRow(dataset, row) {
+        if (dataset === 'recharges') {
+            // Column 5: account change type, only in platform exports
+            if (row[5] && !RECHARGE_CHANGE_TYPES.includes(normalizeHeader(row[5]))) {
+                return { skip: true };
+            }
+            const { recharge, error } = readRechargeRow(row);
+            return error ? { error } : { row: recharge };
+        }
+
+        if (dataset === 'entries') {
+            const entry = parseEntryRow(row);
+            if (!entry.gameId) return { error: 'Missing Game ID' };
+            if (entry.numbers.length !== 5) return { error: `Expected 5 numbers from 1 to 80, found "${row[6]}"` };
+            if (!entry.parsedDate) return { error: `Unreadable registration time "${row[0]}"` };
+            return { row: entry };
+        }
+
+        // Days without a draw have no contest; upcoming contests no numbers yet
+        if (!row[0] && row.join(' ').toLowerCase().includes('no draw')) {
+            return { skip: true };
+        }
+        if (row[0] && row.slice(2, 7).every(value => !value.trim())) {
+            return { skip: true };
+        }
+        const result = parseResultRow(row);
+        if (!result) return { error: 'Missing contest, or not five numbers from 1 to 80' };
+        return { row: result };
+    }
+
+    /**
+     * Read a dropped CSV file of any supported layout
+     * The layout is recognised from the header (see SCHEMAS). Rows of a
+     * platform export that are not recharges count as skipped; rows that
+     * cannot be read are listed as errors with their line number.
+     * @param {string} csvText - Raw CSV text
+     * @param {Object} [options]
+     * @param {string} [options.dataset] - Read the file as this dataset instead of detecting it
+     * @param {string} [options.platform] - Platform recharges are tagged with
+     * @returns {Object} {schema {dataset, format, label, dayFirst, columns [{field, header, index}]},
+     *                   rows (sorted like the sheet parsers), errors [{line, message}], skipped, total}
+     * @throws {Error} When the file is empty or its layout is not recognised
+     */
+    function parseImport(csvText, options = {}) {
+        const lines = csvText.replace(/^\uFEFF/, '').split(/\r?\n/);
+        const headerLine = lines[0] || '';
+        if (!headerLine.trim()) {
+            throw new Error('File is empty');
+        }
+
+        const schema = detectSchema(headerLine, options.dataset);
+        if (!schema) {
+            throw new Error('Unrecognised file: the header matches no entries, recharge or results layout');
+        }
+
+        const delimiter = detectDelimiter(headerLine);
+        const columns = mapColumns(schema, parseCSVLine(headerLine, delimiter));
+
+        // Split once, blank lines dropped but line numbers kept for the errors
+        const dataRows = [];
+        for (let i = 1; i < lines.length; i++) {
+            if (!lines[i].trim()) continue;
+            const row = parseCSVLine(lines[i], delimiter);
+            if (row.every(value => !value)) continue;
+            dataRows.push({ line: i + 1, row });
+        }
+
+        const dateColumn = columns[schema.dateField].index;
+        const dayFirst = dateColumn < 0
+            ? schema.dayFirst
+            : detectDayFirst(dataRows.map(({ row }) => row[dateColumn]), schema.dayFirst);
+
+        let rows = [];
+        const errors = [];
+        let skipped = 0;
+
+        dataRows.forEach(({ line, row }) => {
+            const read = readImportRow(schema.dataset, toCanonicalRow(row, schema, columns, dayFirst));
+            if (read.skip) {
+                skipped++;
+            } else if (read.error) {
+                errors.push({ line, message: read.error });
+            } else {
+                if (schema.dataset === 'recharges') read.row.platform = options.platform || null;
+                rows.push(read.row);
+            }
+        });
+
+        if (schema.dataset === 'entries') {
+            rows = collapseDuplicateEntries(rows).sort((a, b) => b.parsedDate - a.parsedDate);
+        } else if (schema.dataset === 'results') {
+            sortResults(rows);
+        }
+
+        return {
+            schema: {
+                dataset: schema.dataset,
+                format: schema.format,
+                label: schema.label,
+                dayFirst,
+                columns: Object.keys(schema.fields).map(field => ({ field, header: columns[field].header, index: columns[field].index }))
+            },
+            rows,
+            errors,
+            skipped,
+            total: dataRows.length
+        };
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    global.SheetParser = {
+        // Sheets
+        parseEntries,
+        parseRecharges,
+        parseResults,
+
+        // Rows
+        parseEntryRow,
+        parseRechargeRow,
+        parseResultRow,
+        collapseDuplicateEntries,
+
+        // Import
+        parseImport,
+        detectSchema,
+        normalizeHeader,
+
+        // Low-level helpers
+        parseBrazilDateTime,
+        detectDelimiter,
+        parseCSVLine
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
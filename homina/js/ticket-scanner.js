@@ -0,0 +1,307 @@
+/**
+ * POP-SORTE Admin Dashboard - Ticket Scanner
+ *
+ * This module provides the Verify Ticket section:
+ * - Reads the QR code from an uploaded ticket image (jsQR) or pasted text
+ * - Finds the ticket in DataStore.getAllEntries()
+ * - Shows the sheet status next to the validation engine result
+ * - Checks the receipt short code with the Worker when the QR carries one
+ *
+ * Payouts should be approved from this result, not from the screenshot.
+ *
+ * Dependencies: ticket-receipt.js (TicketReceipt), admin-core.js (AdminCore),
+ *               data-store.js (DataStore), validation-engine.js (ValidationEngine),
+ *               jsQR (CDN)
+ */
+
+// ============================================
+// Ticket Scanner Module
+// ============================================
+window.TicketScanner = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Longest image side fed to the QR decoder (phone photos are huge)
+     */
+    const MAX_SCAN_SIZE = 1200;
+
+    // ============================================
+    // State
+    // ============================================
+    let isInitialized = false;
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Escape text for safe HTML insertion
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return String(text ?? '').replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        }[c]));
+    }
+
+    /**
+     * Sorted, zero-padded numbers for comparison
+     * @param {number[]} numbers
+     * @returns {string}
+     */
+    function numbersKey(numbers) {
+        return [...numbers].sort((a, b) => a - b).map(n => String(n).padStart(2, '0')).join(',');
+    }
+
+    /**
+     * Turn pasted text into a ticket query
+     * Accepts the QR text, or a receipt token / bilhete link as a fallback.
+     * @param {string} text - Raw text
+     * @returns {Object|null} {bilhete, gameId, concurso, numbers, platform, shortCode}
+     */
+    function parseInput(text) {
+        const fromQr = TicketReceipt.parseQrPayload(text);
+        if (fromQr) return fromQr;
+
+        const token = TicketReceipt.extractToken(text);
+        const receipt = token ? TicketReceipt.decode(token) : null;
+        if (!receipt) return null;
+
+        return {
+            bilhete: String(receipt.b || ''),
+            gameId: String(receipt.g || ''),
+            concurso: String(receipt.c || ''),
+            numbers: String(receipt.n || '').split(',').map(n => parseInt(n, 10)).filter(n => !isNaN(n)),
+            platform: String(receipt.p || '').toUpperCase(),
+            shortCode: TicketReceipt.getShortCode(token)
+        };
+    }
+
+    // ============================================
+    // QR Decoding
+    // ============================================
+
+    /**
+     * Decode the QR code in an image file
+     * @param {File} file - Uploaded image
+     * @returns {Promise<string|null>} QR text, or null if none was found
+     */
+    function decodeImage(file) {
+        return new Promise((resolve, reject) => {
+            if (typeof jsQR === 'undefined') {
+                reject(new Error('QR decoder not loaded'));
+                return;
+            }
+
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+
+            img.onload = () => {
+                const scale = Math.min(1, MAX_SCAN_SIZE / Math.max(img.width, img.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(img.width * scale);
+                canvas.height = Math.round(img.height * scale);
+
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+                const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+                URL.revokeObjectURL(url);
+
+                const code = jsQR(imageData.data, imageData.width, imageData.height);
+                resolve(code ? code.data : null);
+            };
+
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not read image'));
+            };
+
+            img.src = url;
+        });
+    }
+
+    // ============================================
+    // Lookup & Validation
+    // ============================================
+
+    /**
+     * Find sheet rows matching the scanned ticket
+     * @param {Object} query - Parsed ticket
+     * @returns {Object[]} Matching entries (best match first)
+     */
+    function findEntries(query) {
+        const wanted = numbersKey(query.numbers);
+
+        const matches = (DataStore.getAllEntries() || []).filter(e =>
+            e.gameId === query.gameId &&
+            String(e.contest) === query.concurso &&
+            (!query.platform || e.platform === query.platform) &&
+            numbersKey(e.numbers || []) === wanted
+        );
+
+        // Same numbers twice in one contest: the bilhete number decides
+        return matches.sort((a, b) =>
+            (String(b.ticketNumber || '').startsWith(query.bilhete) ? 1 : 0) - (String(a.ticketNumber || '').startsWith(query.bilhete) ? 1 : 0)
+        );
+    }
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    /**
+     * Render the lookup result
+     * @param {Object} query - Parsed ticket
+     * @param {Object[]} entries - Matching entries
+     * @param {Object|null} receiptCheck - {valid} from the Worker, or {error}
+     */
+    function renderResult(query, entries, receiptCheck) {
+        const container = document.getElementById('scanResult');
+        if (!container) return;
+
+        let html = `<table class="table"><tbody>
+            <tr><th>Game ID</th><td>${escapeHtml(query.gameId)}</td></tr>
+            <tr><th>Platform</th><td>${escapeHtml(query.platform || '—')}</td></tr>
+            <tr><th>Contest</th><td>${escapeHtml(query.concurso)}</td></tr>
+            <tr><th>Numbers</th><td>${escapeHtml(numbersKey(query.numbers))}</td></tr>
+            <tr><th>Ticket #</th><td>${escapeHtml(query.bilhete || '—')}</td></tr>
+            <tr><th>Receipt code</th><td>${escapeHtml(query.shortCode || '—')}</td></tr>
+        </tbody></table>`;
+
+        if (receiptCheck) {
+            if (receiptCheck.error) {
+                html += `<div class="status-banner warning mt-3"><span class="status-banner-icon">⚠️</span>
+                    <span class="status-banner-text">Receipt code not checked: ${escapeHtml(receiptCheck.error)}</span></div>`;
+            } else if (receiptCheck.valid) {
+                html += `<div class="status-banner success mt-3"><span class="status-banner-icon">🔏</span>
+                    <span class="status-banner-text">Receipt code issued by the Worker</span></div>`;
+            } else {
+                html += `<div class="status-banner danger mt-3"><span class="status-banner-icon">❌</span>
+                    <span class="status-banner-text">Unknown receipt code - the ticket image may be forged</span></div>`;
+            }
+        }
+
+        if (entries.length === 0) {
+            html += `<div class="status-banner danger mt-3"><span class="status-banner-icon">❌</span>
+                <span class="status-banner-text"><strong>Not found</strong> - no entry with this Game ID, contest and numbers in the loaded data</span></div>`;
+            container.innerHTML = html;
+            return;
+        }
+
+        entries.forEach(entry => {
+            const validation = DataStore.validateEntry(entry);
+            const sheetStatus = (entry.status || 'PENDING').toUpperCase();
+            const isValid = validation.status === ValidationEngine.ValidationStatus.VALID;
+            const recharge = validation.matchedRecharge;
+
+            html += `<div class="status-banner ${isValid ? 'success' : 'danger'} mt-3">
+                <span class="status-banner-icon">${isValid ? '✅' : '❌'}</span>
+                <span class="status-banner-text">
+                    <strong>${escapeHtml(validation.status)}</strong> - ${escapeHtml(validation.reason)}
+                    (sheet: ${escapeHtml(sheetStatus)}, registered ${escapeHtml(entry.timestamp)}, ${escapeHtml(entry.ticketNumber)})
+                    ${recharge ? `<br>Recharge ${escapeHtml(recharge.rechargeId || '')} · R$${escapeHtml(recharge.amount || '?')} · ${escapeHtml(AdminCore.formatBrazilDateTime(recharge.rechargeTime))}` : ''}
+                </span>
+            </div>`;
+        });
+
+        container.innerHTML = html;
+    }
+
+    // ============================================
+    // Actions
+    // ============================================
+
+    /**
+     * Look up a ticket from QR text or pasted payload
+     * @param {string} text - QR / pasted text
+     */
+    async function verifyText(text) {
+        const query = parseInput(text);
+        if (!query) {
+            AdminCore.showToast('Not a POP-SORTE ticket QR or receipt', 'error');
+            return;
+        }
+
+        if (!DataStore.isLoaded()) {
+            AdminCore.showToast('Data is still loading, try again in a moment', 'warning');
+            return;
+        }
+
+        const entries = findEntries(query);
+
+        let receiptCheck = null;
+        if (query.shortCode) {
+            try {
+                receiptCheck = await TicketReceipt.verify(AdminCore.API_BASE_URL, { code: query.shortCode });
+            } catch (error) {
+                receiptCheck = { error: error.message };
+            }
+        }
+
+        renderResult(query, entries, receiptCheck);
+    }
+
+    /**
+     * Handle an uploaded ticket image
+     * @param {Event} event - Change event of the file input
+     */
+    async function handleImage(event) {
+        const file = event.target.files && event.target.files[0];
+        if (!file) return;
+
+        try {
+            const text = await decodeImage(file);
+            if (!text) {
+                AdminCore.showToast('No QR code found in this image', 'warning');
+                return;
+            }
+            document.getElementById('scanPayload').value = text;
+            await verifyText(text);
+        } catch (error) {
+            console.error('QR scan failed:', error);
+            AdminCore.showToast(`QR scan failed: ${error.message}`, 'error');
+        } finally {
+            event.target.value = '';
+        }
+    }
+
+    // ============================================
+    // Initialization
+    // ============================================
+
+    /**
+     * Bind events (once)
+     */
+    function init() {
+        if (isInitialized) return;
+
+        const fileInput = document.getElementById('scanImage');
+        const btnVerify = document.getElementById('btnScanVerify');
+        if (fileInput) fileInput.addEventListener('change', handleImage);
+        if (btnVerify) {
+            btnVerify.addEventListener('click', () => {
+                verifyText(document.getElementById('scanPayload').value);
+            });
+        }
+
+        isInitialized = true;
+    }
+
+    if (typeof AdminCore !== 'undefined') {
+        AdminCore.on('appShown', init);
+        AdminCore.on('login', init);
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        init,
+        verifyText
+    };
+})();
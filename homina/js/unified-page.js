@@ -11,8 +11,14 @@
  * - Unified data loading
  * - Real-time updates
  * 
- * Dependencies: AdminCore, DataStore, DataFetcher, ResultsFetcher, 
- *               RechargeValidator, WinnerCalculator, AdminCharts
+ * Ticket validity, the bound recharge and the CUTOFF flag all come from
+ * ValidationEngine (through DataStore), so the counts, the table, the ticket
+ * details and the CSV export always agree. Manual overrides (Adjudication)
+ * are applied by the engine, so they show up the same way everywhere.
+ * 
+ * Dependencies: DrawCalendar, ValidationEngine, AdminCore, Adjudication, DataStore,
+ *               DataFetcher, ResultsFetcher, RechargeValidator, PrizeRules, WinnerCalculator,
+ *               PayoutLedger, PlayerProfile, RiskScoring, AdminCharts
  */
 
 window.UnifiedPage = (function () {
@@ -40,81 +46,43 @@ window.UnifiedPage = (function () {
         whatsapp: '',
         contest: '',
         validity: 'all',
-        orderNumber: ''
+        orderNumber: '',
+        risk: 'all'         // 'all', 'flagged', a RiskScoring rule or 'cluster:<id>'
     };
     let sortBy = 'date-desc'; // Default: newest first
 
+    // Entries added by the last refresh (DataStore 'dataDiff'), highlighted in the tables
+    let newEntries = new Set();
+
     /**
-     * Check if entry was registered after cutoff time (20:00 BRT, 16:00 on Dec 24/31)
-     * @param {Object} entry - Entry object with parsedDate
-     * @returns {boolean} True if after cutoff
+     * ValidationEngine result for an entry
+     * @param {Object} entry - Entry object
+     * @returns {Object} Validation result
      */
-    function isEntryCutoff(entry) {
-        if (!entry.parsedDate || !(entry.parsedDate instanceof Date) || isNaN(entry.parsedDate.getTime())) {
-            return false;
-        }
-
-        // Get matched recharge for this entry
-        const lookupKey = `${entry.gameId}-${entry.parsedDate.getTime()}`;
-        const bruteForceMatch = entryRechargeMap.get(lookupKey);
-
-        if (!bruteForceMatch || !bruteForceMatch.recordTime) {
-            return false;
-        }
-
-        const rechargeTime = bruteForceMatch.recordTime;
-        const ticketTime = entry.parsedDate;
-
-        // Get eligibility window to determine Day 1 and Day 2
-        const window = calculateEligibilityWindow(rechargeTime);
-        if (!window) {
-            return false;
-        }
+    function getValidation(entry) {
+        return DataStore.validateEntry(entry);
+    }
 
-        // Compare dates directly (more efficient than string formatting)
-        // Normalize dates to midnight for comparison
-        const ticketDate = new Date(ticketTime);
-        ticketDate.setUTCHours(0, 0, 0, 0);
-
-        const eligDay1Date = new Date(window.eligibilityDay1);
-        eligDay1Date.setUTCHours(0, 0, 0, 0);
-
-        const eligDay2Date = new Date(window.eligibilityDay2);
-        eligDay2Date.setUTCHours(0, 0, 0, 0);
-
-        const partDay1Date = new Date(window.day1);
-        partDay1Date.setUTCHours(0, 0, 0, 0);
-
-        const partDay2Date = new Date(window.day2);
-        partDay2Date.setUTCHours(0, 0, 0, 0);
-
-        // Check if ticket is on eligibility Day 1 or Day 2 (when tickets can be created)
-        const isOnEligibilityDay1 = ticketDate.getTime() === eligDay1Date.getTime();
-        const isOnEligibilityDay2 = ticketDate.getTime() === eligDay2Date.getTime();
-
-        // Check if Day 2 participation exists and is different from Day 1 participation
-        const hasDay2Participation = partDay1Date.getTime() !== partDay2Date.getTime();
-
-        if (isOnEligibilityDay1) {
-            // Ticket created on eligibility Day 1
-            // If Day 2 participation exists, check if ticket was created AFTER 8 PM
-            if (hasDay2Participation) {
-                // Get hour in Brazilian timezone
-                // parseBrazilDateTime stores dates as UTC with BRT hour + 3
-                // So BRT 20:36 → UTC 23:36
-                // To get BRT from UTC: UTC - 3 (with wraparound)
-                const utcHour = ticketTime.getUTCHours();
-                const brtHour = (utcHour - 3 + 24) % 24; // Convert UTC to BRT (subtract 3, handle wraparound)
-                return brtHour >= 20; // After 8 PM on eligibility Day 1 → CUTOFF
-            }
-            return false; // No Day 2 participation, no cutoff
-        } else if (isOnEligibilityDay2) {
-            // Ticket created on eligibility Day 2
-            // CUTOFF if Day 2 participation exists and is different from Day 1
-            return hasDay2Participation; // On eligibility Day 2 → CUTOFF only if Day 2 participation exists
-        }
+    /**
+     * Sheet STATUS column reduced to VALID, INVALID or '' (not set)
+     * @param {Object} validation - Validation result
+     * @returns {string}
+     */
+    function getSheetVerdict(validation) {
+        const status = validation.sheetStatus || '';
+        if (['VALID', 'VALIDADO', 'VALIDATED', 'VÁLIDO'].includes(status)) return 'VALID';
+        if (['INVALID', 'INVÁLIDO'].includes(status)) return 'INVALID';
+        return '';
+    }
 
-        return false;
+    /**
+     * Check if entry plays the second draw of its recharge window (CUTOFF)
+     * The ticket is still VALID; it just enters Day 2 instead of Day 1.
+     * @param {Object} entry - Entry object
+     * @returns {boolean} True if bound to its recharge's Day 2
+     */
+    function isEntryCutoff(entry) {
+        return getValidation(entry).isDay2;
     }
 
     // Results state
@@ -133,15 +101,15 @@ window.UnifiedPage = (function () {
     // Statistics day range (7, 14, or 30 days)
     let statisticsDays = 7;
 
-    // Validation cache
-    let validationMap = new Map();
+    // Validation trace shown in the ticket modal (for export)
+    let currentTrace = null;
 
     // ============================================
     // DASHBOARD SECTION
     // ============================================
 
     function renderDashboard() {
-        const { entries, allEntries, recharges, results } = currentData;
+        const { entries, allEntries, recharges, results, validationResults } = currentData;
         const platform = AdminCore.getCurrentPlatform();
 
         // Platform label
@@ -166,11 +134,8 @@ window.UnifiedPage = (function () {
         const drawDates = new Set(entries.map(e => e.drawDate).filter(Boolean));
         document.getElementById('statDrawDates').textContent = drawDates.size.toLocaleString();
 
-        const pending = entries.filter(e => {
-            const status = (e.status || '').toUpperCase();
-            return !['VALID', 'VALIDADO', 'INVALID', 'INVÁLIDO'].includes(status);
-        });
-        document.getElementById('statPending').textContent = pending.length.toLocaleString();
+        const pending = validationResults ? validationResults.stats.unknown : 0;
+        document.getElementById('statPending').textContent = pending.toLocaleString();
 
         // Platform breakdown
         if (platform === 'ALL' && allEntries.length > 0) {
@@ -296,7 +261,7 @@ window.UnifiedPage = (function () {
         tbody.innerHTML = topEntrants.map((entrant, index) => `
             <tr>
                 <td><span class="badge badge-${index < 3 ? 'warning' : 'info'}">${index + 1}</span></td>
-                <td><strong>${entrant.gameId}</strong></td>
+                <td>${PlayerProfile.link(entrant.gameId)}</td>
                 <td>${entrant.whatsapp || ''}</td>
                 <td>${entrant.count.toLocaleString()}</td>
             </tr>
@@ -329,9 +294,9 @@ window.UnifiedPage = (function () {
             const platformClass = platform === 'POPLUZ' ? 'popluz' : 'popn1';
 
             return `
-                <tr>
+                <tr${newEntries.has(entry) ? ' class="row-new"' : ''}>
                     <td style="font-size:0.85rem">${time}</td>
-                    <td><strong>${entry.gameId}</strong></td>
+                    <td>${PlayerProfile.link(entry.gameId, platform)}</td>
                     <td><span class="platform-badge ${platformClass}">${platform}</span></td>
                     <td><div class="numbers-display">${numbersHtml}</div></td>
                     <td>${entry.contest}</td>
@@ -348,6 +313,8 @@ window.UnifiedPage = (function () {
 
             document.getElementById('statTotalWinners').textContent = winnerStats.totalWinners.toLocaleString();
             document.getElementById('statWinRate').textContent = `${winnerStats.winRate}%`;
+            document.getElementById('statPrizesAwarded').textContent = `R$ ${winnerStats.totalPrizeAwarded.toLocaleString('pt-BR', { maximumFractionDigits: 2 })}`;
+            document.getElementById('statRolloverPending').textContent = `R$ ${winnerStats.rolloverPending.toLocaleString('pt-BR', { maximumFractionDigits: 2 })}`;
         } catch (error) {
             // Error handling - silent fail
         }
@@ -362,22 +329,11 @@ window.UnifiedPage = (function () {
 
         // Data loaded and ready for rendering
 
-        // Stats - ✅ COUNT DIRECTLY FROM CSV STATUS COLUMN + CUTOFF DETECTION
-        const validCount = entries.filter(e => {
-            const status = (e.status || '').toUpperCase();
-            return status === 'VALID' || status === 'VÁLIDO';
-        }).length;
-
-        const invalidCount = entries.filter(e => {
-            const status = (e.status || '').toUpperCase();
-            return status === 'INVALID' || status === 'INVÁLIDO';
-        }).length;
-
-        const cutoffCount = entries.filter(e => isEntryCutoff(e)).length;
-
-        document.getElementById('statValid').textContent = validCount.toLocaleString();
-        document.getElementById('statInvalid').textContent = invalidCount.toLocaleString();
-        document.getElementById('statCutoff').textContent = cutoffCount.toLocaleString();
+        // Stats from the validation engine (CUTOFF = valid tickets playing Day 2)
+        const stats = validationResults ? validationResults.stats : { valid: 0, invalid: 0, day2Valid: 0 };
+        document.getElementById('statValid').textContent = stats.valid.toLocaleString();
+        document.getElementById('statInvalid').textContent = stats.invalid.toLocaleString();
+        document.getElementById('statCutoff').textContent = stats.day2Valid.toLocaleString();
 
         // Show platform-filtered recharge count
         document.getElementById('statRechargesCount').textContent = recharges.length.toLocaleString();
@@ -396,22 +352,6 @@ window.UnifiedPage = (function () {
             }
         }
 
-        // Build validation map (NOTE: This map may have issues with duplicate ticket numbers)
-        // The table rendering now uses direct validation result matching instead
-        validationMap.clear();
-        if (validationResults) {
-            let validCount = 0;
-            let invalidCount = 0;
-            validationResults.results.forEach(v => {
-                if (v.ticket?.ticketNumber) {
-                    validationMap.set(v.ticket.ticketNumber, v);
-                }
-                if (v.status === 'VALID') validCount++;
-                if (v.status === 'INVALID') invalidCount++;
-            });
-            // Validation map built
-        }
-
         // Populate filter options
         const contests = [...new Set(entries.map(e => e.contest).filter(Boolean))].sort((a, b) => parseInt(b) - parseInt(a));
         const contestSelect = document.getElementById('filterContest');
@@ -437,23 +377,20 @@ window.UnifiedPage = (function () {
         if (entriesFilters.orderNumber) {
             const term = entriesFilters.orderNumber.toLowerCase();
             result = result.filter(e => {
-                // Check if entry has a matched recharge with this order number
-                const lookupKey = `${e.gameId}-${e.parsedDate?.getTime()}`;
-                const match = entryRechargeMap.get(lookupKey);
-                return match && match.orderNumber.toLowerCase().includes(term);
+                // Check if entry is bound to a recharge with this order number
+                const match = getValidation(e).matchedRecharge;
+                return match && (match.rechargeId || '').toLowerCase().includes(term);
             });
         }
         if (entriesFilters.contest) {
             result = result.filter(e => e.contest === entriesFilters.contest);
         }
         if (entriesFilters.validity !== 'all') {
-            result = result.filter(e => {
-                // ✅ READ STATUS DIRECTLY FROM CSV (Column H - STATUS)
-                const csvStatus = (e.status || 'UNKNOWN').toUpperCase();
-                const isValid = csvStatus === 'VALID' || csvStatus === 'VÁLIDO';
-                const isInvalid = csvStatus === 'INVALID' || csvStatus === 'INVÁLIDO';
-                return entriesFilters.validity === 'valid' ? isValid : isInvalid;
-            });
+            const wanted = entriesFilters.validity.toUpperCase();
+            result = result.filter(e => getValidation(e).status === wanted);
+        }
+        if (entriesFilters.risk !== 'all') {
+            result = result.filter(e => RiskScoring.matches(e, entriesFilters.risk));
         }
 
         // ✅ APPLY SORTING
@@ -486,19 +423,15 @@ window.UnifiedPage = (function () {
                 break;
             case 'status-valid':
                 result.sort((a, b) => {
-                    const aStatus = (a.status || '').toUpperCase();
-                    const bStatus = (b.status || '').toUpperCase();
-                    const aValid = (aStatus === 'VALID' || aStatus === 'VÁLIDO') ? 1 : 0;
-                    const bValid = (bStatus === 'VALID' || bStatus === 'VÁLIDO') ? 1 : 0;
+                    const aValid = getValidation(a).status === 'VALID' ? 1 : 0;
+                    const bValid = getValidation(b).status === 'VALID' ? 1 : 0;
                     return bValid - aValid; // Valid first
                 });
                 break;
             case 'status-invalid':
                 result.sort((a, b) => {
-                    const aStatus = (a.status || '').toUpperCase();
-                    const bStatus = (b.status || '').toUpperCase();
-                    const aInvalid = (aStatus === 'INVALID' || aStatus === 'INVÁLIDO') ? 1 : 0;
-                    const bInvalid = (bStatus === 'INVALID' || bStatus === 'INVÁLIDO') ? 1 : 0;
+                    const aInvalid = getValidation(a).status === 'INVALID' ? 1 : 0;
+                    const bInvalid = getValidation(b).status === 'INVALID' ? 1 : 0;
                     return bInvalid - aInvalid; // Invalid first
                 });
                 break;
@@ -529,483 +462,6 @@ window.UnifiedPage = (function () {
         return drawDate;
     }
 
-    // BRUTE FORCE RECHARGE MATCHING SYSTEM
-    let boundOrderNumbers = new Set(); // Track used order numbers
-    let entryRechargeMap = new Map(); // Map ticket number to recharge info
-    let lastMatchedDataSize = 0; // Track if data changed
-    let eligibilityWindowCache = new Map(); // Cache eligibility windows by recharge timestamp
-
-    /**
-     * Check if a date is a no-draw day (Sunday, Dec 25, Jan 1)
-     * Uses Brazilian timezone for date checking
-     * @param {Date} date - Date to check
-     * @returns {boolean} True if no draw on this day
-     */
-    function isNoDrawDay(date) {
-        if (!(date instanceof Date) || isNaN(date.getTime())) {
-            return false;
-        }
-
-        // Use UTC date components (date is stored as UTC representing Brazilian time)
-        // Since dates are stored as UTC+3 (midnight BRT = 3 AM UTC), we need to adjust
-        const utcDate = new Date(date.getTime());
-        const utcYear = utcDate.getUTCFullYear();
-        const utcMonth = utcDate.getUTCMonth() + 1; // 1-12
-        const utcDay = utcDate.getUTCDate();
-        const utcDayOfWeek = utcDate.getUTCDay(); // 0 = Sunday
-
-        // Sunday
-        if (utcDayOfWeek === 0) return true;
-
-        // Christmas (Dec 25)
-        if (utcMonth === 12 && utcDay === 25) return true;
-
-        // New Year (Jan 1)
-        if (utcMonth === 1 && utcDay === 1) return true;
-
-        return false;
-    }
-
-    /**
-     * Get next valid draw date from a given date, skipping no-draw days
-     * Uses Brazilian timezone for date checking
-     * @param {Date} fromDate - Starting date
-     * @returns {Date} Next valid draw date
-     */
-    function getNextValidDrawDate(fromDate) {
-        if (!(fromDate instanceof Date) || isNaN(fromDate.getTime())) {
-            return fromDate;
-        }
-
-        // Start checking from the given date
-        let checkDate = new Date(fromDate);
-        checkDate.setUTCHours(12, 0, 0, 0); // Use noon UTC for day-of-week calculation
-
-        // Check up to 14 days ahead
-        for (let i = 0; i < 14; i++) {
-            if (!isNoDrawDay(checkDate)) {
-                // Found valid draw date - return midnight BRT (3 AM UTC)
-                // Extract UTC date components directly (more efficient than formatting)
-                const year = checkDate.getUTCFullYear();
-                const month = checkDate.getUTCMonth() + 1;
-                const day = checkDate.getUTCDate();
-                return new Date(Date.UTC(year, month - 1, day, 3, 0, 0, 0));
-            }
-
-            // Move to next day using Date object (handles month/year rollovers automatically)
-            checkDate.setUTCDate(checkDate.getUTCDate() + 1);
-        }
-
-        // Fallback: return original date if no valid date found
-        return fromDate;
-    }
-
-    /**
-     * Calculate eligibility window for a recharge
-     * Returns { startDate, endDate, day1, day2 } in Brazilian time
-     * 
-     * IMPORTANT: Uses "Record Time" from RECHARGE POPN1 - Sheet1 (7).csv (Column 5)
-     * 
-     * Rules:
-     * - If recharge BEFORE 8 PM: Day 1 = same day, Day 2 = next day
-     * - If recharge AFTER 8 PM: Day 1 = recharge day, Day 2 = tomorrow (FIXED)
-     * - Sunday/holidays (Dec 25, Jan 1) are skipped for draw days
-     * - Eligibility ends at 8 PM (20:00) on Day 2
-     * - NO tickets on Day 3+ can use this recharge!
-     */
-    function calculateEligibilityWindow(rechargeTime) {
-        if (!(rechargeTime instanceof Date) || isNaN(rechargeTime.getTime())) {
-            return null;
-        }
-
-        // Check cache first (performance optimization)
-        const cacheKey = rechargeTime.getTime();
-        if (eligibilityWindowCache.has(cacheKey)) {
-            return eligibilityWindowCache.get(cacheKey);
-        }
-
-        // Get recharge hour in Brazilian timezone (CRITICAL for correct cutoff calculation)
-        const rechargeHourStr = AdminCore.formatBrazilDateTime(rechargeTime, { hour: '2-digit' });
-        const rechargeHour = parseInt(rechargeHourStr, 10);
-
-        // Get recharge date string in Brazilian timezone for Day 1/Day 2 calculation
-        const rechargeDateStr = AdminCore.formatBrazilDateTime(rechargeTime, {
-            year: 'numeric',
-            month: '2-digit',
-            day: '2-digit'
-        });
-
-        // Parse recharge date components (DD/MM/YYYY)
-        const [rechargeDay, rechargeMonth, rechargeYear] = rechargeDateStr.split('/').map(Number);
-
-        // Create Day 1 and Day 2 ELIGIBILITY dates (calendar days - includes Sunday/holidays)
-        // These are when tickets CAN BE CREATED
-        let eligibilityDay1, eligibilityDay2;
-
-        if (rechargeHour < 20) {
-            // Recharge BEFORE 8 PM: Day 1 = same day, Day 2 = next day
-            eligibilityDay1 = new Date(Date.UTC(rechargeYear, rechargeMonth - 1, rechargeDay, 3, 0, 0, 0)); // Midnight BRT
-            eligibilityDay2 = new Date(Date.UTC(rechargeYear, rechargeMonth - 1, rechargeDay + 1, 3, 0, 0, 0)); // Next day midnight BRT
-        } else {
-            // Recharge AFTER 8 PM: Day 1 = recharge day, Day 2 = tomorrow (FIXED)
-            eligibilityDay1 = new Date(Date.UTC(rechargeYear, rechargeMonth - 1, rechargeDay, 3, 0, 0, 0)); // Recharge day midnight BRT
-            eligibilityDay2 = new Date(Date.UTC(rechargeYear, rechargeMonth - 1, rechargeDay + 1, 3, 0, 0, 0)); // Tomorrow midnight BRT
-        }
-
-        // Calculate PARTICIPATION days (draw days - skip Sunday/holidays)
-        // These are which draws tickets can participate in
-        let participationDay1, participationDay2;
-
-        // Day 1 participation: Skip no-draw days from eligibility Day 1
-        participationDay1 = getNextValidDrawDate(eligibilityDay1);
-
-        // Day 2 participation: Next valid draw date AFTER Day 1 participation
-        const day1PartDateStr = AdminCore.formatBrazilDateTime(participationDay1, {
-            year: 'numeric',
-            month: '2-digit',
-            day: '2-digit'
-        });
-        const [day1PartDay, day1PartMonth, day1PartYear] = day1PartDateStr.split('/').map(Number);
-        const nextDayAfterPartDay1 = new Date(Date.UTC(day1PartYear, day1PartMonth - 1, day1PartDay + 1, 3, 0, 0, 0));
-        participationDay2 = getNextValidDrawDate(nextDayAfterPartDay1);
-
-        // SPECIAL CASE: If eligibility Day 1 is a no-draw day (e.g., Sunday),
-        // then Day 2 participation should be the same as Day 1 participation (only one draw day)
-        const eligibilityDay1DateStr = AdminCore.formatBrazilDateTime(eligibilityDay1, {
-            year: 'numeric',
-            month: '2-digit',
-            day: '2-digit'
-        });
-        if (isNoDrawDay(eligibilityDay1)) {
-            // If Day 1 eligibility is Sunday/holiday, Day 2 participation = Day 1 participation (only Monday draw)
-            participationDay2 = new Date(participationDay1);
-        }
-
-        // Eligibility ends at 8 PM (20:00) on eligibility Day 2 (calendar day, not participation day)
-        const eligibilityDay2DateStr = AdminCore.formatBrazilDateTime(eligibilityDay2, {
-            year: 'numeric',
-            month: '2-digit',
-            day: '2-digit'
-        });
-        const [eligDay2Day, eligDay2Month, eligDay2Year] = eligibilityDay2DateStr.split('/').map(Number);
-
-        // 8 PM BRT = 20:00 BRT = 23:00 UTC (BRT is UTC-3)
-        const eligibilityEnd = new Date(Date.UTC(eligDay2Year, eligDay2Month - 1, eligDay2Day, 23, 0, 0, 0));
-
-        const window = {
-            startDate: rechargeTime, // Starts from recharge time
-            endDate: eligibilityEnd, // Ends at 8 PM on eligibility Day 2
-            day1: participationDay1, // Day 1 participation (draw day)
-            day2: participationDay2, // Day 2 participation (draw day)
-            eligibilityDay1: eligibilityDay1, // Day 1 eligibility (calendar day - when tickets can be created)
-            eligibilityDay2: eligibilityDay2  // Day 2 eligibility (calendar day - when tickets can be created)
-        };
-
-        // Cache the result
-        eligibilityWindowCache.set(cacheKey, window);
-        return window;
-    }
-
-    /**
-     * Check if ticket time is within recharge eligibility window
-     * ENFORCES 2-DAY LIMIT: Recharge cannot be used for Day 3+ tickets!
-     * 
-     * IMPORTANT:
-     * - ticketTime: Uses "DATA/HORA REGISTRO" from OLD POP SORTE - SORTE (8).csv (Column 0)
-     * - rechargeTime: Uses "Record Time" from RECHARGE POPN1 - Sheet1 (7).csv (Column 5)
-     * 
-     * @param {Date} ticketTime - When the ticket was created (from entries CSV)
-     * @param {Date} rechargeTime - When the recharge happened (from recharge CSV)
-     * @returns {boolean} - True if ticket is eligible (within 2-day window)
-     */
-    function isTicketEligible(ticketTime, rechargeTime) {
-        if (!(ticketTime instanceof Date) || isNaN(ticketTime.getTime())) {
-            return false;
-        }
-        if (!(rechargeTime instanceof Date) || isNaN(rechargeTime.getTime())) {
-            return false;
-        }
-
-        // Ticket must be AFTER recharge
-        if (ticketTime.getTime() < rechargeTime.getTime()) {
-            return false;
-        }
-
-        const window = calculateEligibilityWindow(rechargeTime);
-        if (!window) {
-            return false;
-        }
-
-        // Check if ticket is within eligibility window (NOT Day 3+!)
-        const ticketTimeMs = ticketTime.getTime();
-        const windowStartMs = window.startDate.getTime();
-        const windowEndMs = window.endDate.getTime();
-
-        const isWithinWindow = ticketTimeMs >= windowStartMs && ticketTimeMs <= windowEndMs;
-        return isWithinWindow;
-    }
-
-    /**
-     * BRUTE FORCE: Match entries to recharges by closest time
-     * Each order number can only be bound ONCE
-     * ENFORCES 2-DAY ELIGIBILITY WINDOW - NO DAY 3+ TICKETS!
-     */
-    function bruteForceMatchRecharges() {
-        // Check if we need to rematch (data size changed)
-        const currentDataSize = (currentData.entries?.length || 0) + (currentData.allRecharges?.length || 0);
-        if (lastMatchedDataSize === currentDataSize && entryRechargeMap.size > 0) {
-            return; // Use cached matches
-        }
-        lastMatchedDataSize = currentDataSize;
-
-        // Clear caches
-        boundOrderNumbers.clear();
-        entryRechargeMap.clear();
-        eligibilityWindowCache.clear(); // Clear eligibility window cache
-
-        if (!currentData.allRecharges || currentData.allRecharges.length === 0) {
-            return;
-        }
-
-        // USE ALL ENTRIES, not just filtered ones
-        const allEntries = currentData.entries || [];
-
-        if (allEntries.length === 0) {
-            return;
-        }
-
-        // Sort entries by time (oldest first) for chronological binding
-        const sortedEntries = [...allEntries].sort((a, b) => {
-            const ta = a.parsedDate ? a.parsedDate.getTime() : 0;
-            const tb = b.parsedDate ? b.parsedDate.getTime() : 0;
-            return ta - tb;
-        });
-
-        let matchCount = 0;
-        let phase1Count = 0;
-        let phase2Count = 0;
-        let phase3Count = 0;
-
-        // PHASE 1: Match all VALID entries first
-        // DEBUG: Disabled for performance - enable only when troubleshooting
-        const DEBUG_ENABLED = false;
-        const DEBUG_GAME_IDS = ['3599051608', '3956778685'];
-
-        for (const entry of sortedEntries) {
-            const csvStatus = (entry.status || '').toUpperCase();
-            if (csvStatus !== 'VALID' && csvStatus !== 'VÁLIDO') {
-                continue;
-            }
-
-            if (!entry.parsedDate || !entry.gameId) {
-                continue;
-            }
-
-            // Find all recharges for THIS EXACT GAME ID ONLY
-            const allGameIdRecharges = currentData.allRecharges.filter(r => r.gameId === entry.gameId);
-
-            const userRecharges = allGameIdRecharges.filter(r =>
-                r.rechargeTime instanceof Date &&
-                !isNaN(r.rechargeTime.getTime()) &&
-                r.rechargeId &&
-                !boundOrderNumbers.has(r.rechargeId) // NOT already bound
-            );
-
-            if (userRecharges.length === 0) {
-                continue;
-            }
-
-            // Find OLDEST available recharge (FIFO: First In First Out)
-            // Recharge MUST be BEFORE ticket time AND within 2-day eligibility window
-            const ticketTime = entry.parsedDate;
-            let oldestRecharge = null;
-            let earliestTime = Infinity;
-            let eligibilityRejects = 0;
-
-            for (const recharge of userRecharges) {
-                // ⚠️ CRITICAL: ENFORCE ELIGIBILITY WINDOW - Cannot use recharge for Day 3+ tickets!
-                const isEligible = isTicketEligible(ticketTime, recharge.rechargeTime);
-
-                if (!isEligible) {
-                    eligibilityRejects++;
-                    continue;
-                }
-
-                const rechargeTime = recharge.rechargeTime.getTime();
-
-                // Find the OLDEST (earliest timestamp) eligible recharge
-                if (rechargeTime < earliestTime) {
-                    earliestTime = rechargeTime;
-                    oldestRecharge = recharge;
-                }
-            }
-
-            // Skip debug logging for performance
-
-            // BIND IT!
-            if (oldestRecharge) {
-                const orderToAdd = oldestRecharge.rechargeId;
-
-                // DEBUG: Verify it's not already bound
-                if (boundOrderNumbers.has(orderToAdd)) {
-                    // Order already bound - skip
-                }
-
-                boundOrderNumbers.add(orderToAdd);
-
-                // DEBUG: Verify it was added
-                if (!boundOrderNumbers.has(orderToAdd)) {
-                    // Failed to add order - skip
-                }
-
-                // USE UNIQUE KEY: gameId + timestamp (ticket number is irrelevant!)
-                const uniqueKey = `${entry.gameId}-${entry.parsedDate.getTime()}`;
-                entryRechargeMap.set(uniqueKey, {
-                    orderNumber: orderToAdd,
-                    recordTime: oldestRecharge.rechargeTime,
-                    amount: oldestRecharge.amount,
-                    gameId: oldestRecharge.gameId // Store for verification
-                });
-                matchCount++;
-                phase1Count++;
-
-                // Skip debug logging for performance
-            }
-        }
-
-        // PHASE 2: Match PENDING entries with leftover recharges
-        for (const entry of sortedEntries) {
-            const csvStatus = (entry.status || '').toUpperCase();
-            if (csvStatus !== 'PENDING' && csvStatus !== 'PENDENTE') {
-                continue;
-            }
-
-            if (!entry.parsedDate || !entry.gameId) {
-                continue;
-            }
-
-            // Find all recharges for THIS EXACT GAME ID ONLY
-            const allGameIdRecharges = currentData.allRecharges.filter(r => r.gameId === entry.gameId);
-            const userRecharges = allGameIdRecharges.filter(r =>
-                r.rechargeTime instanceof Date &&
-                !isNaN(r.rechargeTime.getTime()) &&
-                r.rechargeId &&
-                !boundOrderNumbers.has(r.rechargeId)
-            );
-
-            if (userRecharges.length === 0) {
-                continue;
-            }
-
-            // Find OLDEST available recharge (FIFO: First In First Out)
-            // Recharge MUST be BEFORE ticket time AND within 2-day eligibility window
-            const ticketTime = entry.parsedDate;
-            let oldestRecharge = null;
-            let earliestTime = Infinity;
-            let eligibilityRejects = 0;
-
-            for (const recharge of userRecharges) {
-                // ⚠️ CRITICAL: ENFORCE ELIGIBILITY WINDOW - Cannot use recharge for Day 3+ tickets!
-                const isEligible = isTicketEligible(ticketTime, recharge.rechargeTime);
-
-                if (!isEligible) {
-                    eligibilityRejects++;
-                    continue;
-                }
-
-                const rechargeTime = recharge.rechargeTime.getTime();
-
-                // Find the OLDEST (earliest timestamp) eligible recharge
-                if (rechargeTime < earliestTime) {
-                    earliestTime = rechargeTime;
-                    oldestRecharge = recharge;
-                }
-            }
-
-            if (oldestRecharge) {
-                const orderToAdd = oldestRecharge.rechargeId;
-                boundOrderNumbers.add(orderToAdd);
-                const uniqueKey = `${entry.gameId}-${entry.parsedDate.getTime()}`;
-                entryRechargeMap.set(uniqueKey, {
-                    orderNumber: orderToAdd,
-                    recordTime: oldestRecharge.rechargeTime,
-                    amount: oldestRecharge.amount,
-                    gameId: oldestRecharge.gameId,
-                    wasUpgraded: true, // Flag to indicate this was upgraded from PENDING
-                    originalStatus: 'PENDING'
-                });
-                matchCount++;
-                phase2Count++;
-            }
-        }
-
-        // PHASE 3: Match INVALID entries with leftover recharges
-        for (const entry of sortedEntries) {
-            const csvStatus = (entry.status || '').toUpperCase();
-            if (csvStatus !== 'INVALID' && csvStatus !== 'INVÁLIDO') {
-                continue;
-            }
-
-            if (!entry.parsedDate || !entry.gameId) {
-                continue;
-            }
-
-            // Find all recharges for THIS EXACT GAME ID ONLY
-            const allGameIdRecharges = currentData.allRecharges.filter(r => r.gameId === entry.gameId);
-            const userRecharges = allGameIdRecharges.filter(r =>
-                r.rechargeTime instanceof Date &&
-                !isNaN(r.rechargeTime.getTime()) &&
-                r.rechargeId &&
-                !boundOrderNumbers.has(r.rechargeId)
-            );
-
-            if (userRecharges.length === 0) {
-                continue;
-            }
-
-            // Find OLDEST available recharge (FIFO: First In First Out)
-            // Recharge MUST be BEFORE ticket time AND within 2-day eligibility window
-            const ticketTime = entry.parsedDate;
-            let oldestRecharge = null;
-            let earliestTime = Infinity;
-            let eligibilityRejects = 0;
-
-            for (const recharge of userRecharges) {
-                // ⚠️ CRITICAL: ENFORCE ELIGIBILITY WINDOW - Cannot use recharge for Day 3+ tickets!
-                if (!isTicketEligible(ticketTime, recharge.rechargeTime)) {
-                    eligibilityRejects++;
-                    continue;
-                }
-
-                const rechargeTime = recharge.rechargeTime.getTime();
-
-                // Find the OLDEST (earliest timestamp) eligible recharge
-                if (rechargeTime < earliestTime) {
-                    earliestTime = rechargeTime;
-                    oldestRecharge = recharge;
-                }
-            }
-
-            // Skip debug logging for performance
-
-            if (oldestRecharge) {
-                const orderToAdd = oldestRecharge.rechargeId;
-                boundOrderNumbers.add(orderToAdd);
-                const uniqueKey = `${entry.gameId}-${entry.parsedDate.getTime()}`;
-                entryRechargeMap.set(uniqueKey, {
-                    orderNumber: orderToAdd,
-                    recordTime: oldestRecharge.rechargeTime,
-                    amount: oldestRecharge.amount,
-                    gameId: oldestRecharge.gameId,
-                    wasUpgraded: true, // Flag to indicate this was upgraded from INVALID
-                    originalStatus: 'INVALID'
-                });
-                matchCount++;
-                phase3Count++;
-            }
-        }
-    }
-
     function renderEntriesTable() {
         const tbody = document.getElementById('entriesTableBody');
         if (!tbody) {
@@ -1013,9 +469,6 @@ window.UnifiedPage = (function () {
             return;
         }
 
-        // DON'T call bruteForceMatchRecharges here - it clears the bindings!
-        // It should only be called once when data is loaded
-
         const start = (entriesPage - 1) * entriesPerPage;
         const pageEntries = filteredEntries.slice(start, start + entriesPerPage);
 
@@ -1026,12 +479,8 @@ window.UnifiedPage = (function () {
 
         try {
             tbody.innerHTML = pageEntries.map((entry, index) => {
-                // ✅ READ STATUS DIRECTLY FROM CSV (Column H - STATUS)
-                const csvStatus = (entry.status || 'UNKNOWN').toUpperCase();
-
-                // Check if entry was upgraded (will check below after getting bruteForceMatch)
-                // We'll set this after we get the match data
-                let status = csvStatus;
+                const validation = getValidation(entry);
+                const isCutoff = validation.isDay2;
 
                 // Format date/time with FULL YEAR
                 const formattedTime = entry.parsedDate
@@ -1046,159 +495,52 @@ window.UnifiedPage = (function () {
 
                 const platform = (entry.platform || 'POPN1').toUpperCase();
 
-                // RECHARGE INFO - BRUTE FORCE MATCHING
-                let rechargeInfo = '-';
-
-                // DOUBLE CHECK: Show recharge info for:
-                // 1. Originally VALID entries
-                // 2. PENDING/INVALID entries that were upgraded (have bruteForceMatch)
-                const entryCsvStatus = (entry.status || '').toUpperCase();
-                const isOriginallyValid = (entryCsvStatus === 'VALID' || entryCsvStatus === 'VÁLIDO');
-
-                // Get brute force matched recharge using UNIQUE KEY: gameId + timestamp
-                const lookupKey = `${entry.gameId}-${entry.parsedDate ? entry.parsedDate.getTime() : 0}`;
-                const bruteForceMatch = entryRechargeMap.get(lookupKey);
-
-                // Entry is valid if: originally valid OR was upgraded by finding a match
-                const isValidEntry = isOriginallyValid || (bruteForceMatch && bruteForceMatch.wasUpgraded);
-
-                // Override status if upgraded
-                if (bruteForceMatch && bruteForceMatch.wasUpgraded) {
-                    status = 'VALID';
-                }
-
-                // CUTOFF CHECK: Determine if ticket participates in Day 2 draw
-                // Rules:
-                // 1. Ticket created AFTER 8 PM on Day 1 (recharge day) → CUTOFF (participates Day 2)
-                // 2. Ticket created on Day 2 (any time) → CUTOFF (participates Day 2)
-                // IMPORTANT:
-                // - rechargeTime: From "Record Time" in RECHARGE POPN1 - Sheet1 (7).csv (Column 5)
-                // - ticketTime: From "DATA/HORA REGISTRO" in OLD POP SORTE - SORTE (8).csv (Column 0)
-                // - CUTOFF badge means "participates in Day 2 draw" but ticket is still VALID!
-                let isCutoff = false;
-                if (bruteForceMatch && entry.parsedDate) {
-                    const rechargeTime = bruteForceMatch.recordTime; // Record Time from recharge CSV
-                    const ticketTime = entry.parsedDate; // DATA/HORA REGISTRO from entries CSV
-
-                    // Get eligibility window to determine Day 1 and Day 2
-                    const window = calculateEligibilityWindow(rechargeTime);
-                    if (window) {
-                        // Compare dates directly (more efficient than string formatting)
-                        // Normalize dates to midnight for comparison
-                        const ticketDate = new Date(ticketTime);
-                        ticketDate.setUTCHours(0, 0, 0, 0);
-
-                        const eligDay1Date = new Date(window.eligibilityDay1);
-                        eligDay1Date.setUTCHours(0, 0, 0, 0);
-
-                        const eligDay2Date = new Date(window.eligibilityDay2);
-                        eligDay2Date.setUTCHours(0, 0, 0, 0);
-
-                        const partDay1Date = new Date(window.day1);
-                        partDay1Date.setUTCHours(0, 0, 0, 0);
-
-                        const partDay2Date = new Date(window.day2);
-                        partDay2Date.setUTCHours(0, 0, 0, 0);
-
-                        // Check if ticket is on eligibility Day 1 or Day 2 (when tickets can be created)
-                        const isOnEligibilityDay1 = ticketDate.getTime() === eligDay1Date.getTime();
-                        const isOnEligibilityDay2 = ticketDate.getTime() === eligDay2Date.getTime();
-
-                        // Check if Day 2 participation exists and is different from Day 1 participation
-                        const hasDay2Participation = partDay1Date.getTime() !== partDay2Date.getTime();
-
-                        // DEBUG: Log cutoff calculation for troubleshooting
-                        const DEBUG_CUTOFF = false; // Set to true to enable
-                        if (DEBUG_CUTOFF && (entry.gameId === '3105451998' || entry.gameId === '3437192929' || entry.gameId === '3384889775')) {
-                            const rechargeDateStr = AdminCore.formatBrazilDateTime(rechargeTime, {
-                                year: 'numeric',
-                                month: '2-digit',
-                                day: '2-digit',
-                                hour: '2-digit',
-                                minute: '2-digit'
-                            });
-                            const ticketTimeStr = AdminCore.formatBrazilDateTime(ticketTime, {
-                                year: 'numeric',
-                                month: '2-digit',
-                                day: '2-digit',
-                                hour: '2-digit',
-                                minute: '2-digit'
-                            });
-                            // Cutoff debug disabled
-                        }
-
-                        if (isOnEligibilityDay1) {
-                            // Ticket created on eligibility Day 1
-                            // If Day 2 participation exists, check if ticket was created AFTER 8 PM
-                            if (hasDay2Participation) {
-                                // Get hour in Brazilian timezone
-                                // parseBrazilDateTime stores dates as UTC with BRT hour + 3
-                                // So BRT 20:36 → UTC 23:36
-                                // To get BRT from UTC: UTC - 3 (with wraparound)
-                                const utcHour = ticketTime.getUTCHours();
-                                const brtHour = (utcHour - 3 + 24) % 24; // Convert UTC to BRT (subtract 3, handle wraparound)
-
-                                if (brtHour >= 20) {
-                                    isCutoff = true; // After 8 PM on eligibility Day 1 → CUTOFF (participates Day 2)
-                                }
-                            }
-                            // If no Day 2 participation (Day 2 = Day 1), no cutoff
-                        } else if (isOnEligibilityDay2) {
-                            // Ticket created on eligibility Day 2
-                            // CUTOFF if Day 2 participation exists and is different from Day 1
-                            if (hasDay2Participation) {
-                                isCutoff = true; // On eligibility Day 2 → CUTOFF (participates Day 2)
-                            }
-                            // If no Day 2 participation (Day 2 = Day 1), no cutoff
-                        }
-                    }
-                }
-
                 // Status badge WITH CUTOFF badge integrated
+                // CUTOFF means "plays the Day 2 draw of its recharge" - the ticket is still VALID
                 let statusBadge = '';
                 const cutoffBadgeHtml = isCutoff ? ' <span class="badge badge-secondary" style="font-size: 0.65rem; margin-left: 4px;">⏰ CUTOFF</span>' : '';
 
-                switch (status) {
+                switch (validation.status) {
                     case 'VALID':
-                    case 'VÁLIDO':
                         statusBadge = `<span class="badge badge-success" data-cutoff="${isCutoff ? 'yes' : 'no'}">✅ VALID</span>${cutoffBadgeHtml}`;
                         break;
                     case 'INVALID':
-                    case 'INVÁLIDO':
-                        statusBadge = `<span class="badge badge-danger" data-cutoff="${isCutoff ? 'yes' : 'no'}">❌ INVALID</span>${cutoffBadgeHtml}`;
+                        statusBadge = `<span class="badge badge-danger" data-cutoff="${isCutoff ? 'yes' : 'no'}" title="${validation.reason}">❌ INVALID</span>${cutoffBadgeHtml}`;
                         break;
                     default:
-                        statusBadge = `<span class="badge badge-warning" data-cutoff="${isCutoff ? 'yes' : 'no'}">⏳ PENDING</span>${cutoffBadgeHtml}`;
+                        statusBadge = `<span class="badge badge-warning" data-cutoff="${isCutoff ? 'yes' : 'no'}" title="${validation.reason}">⏳ PENDING</span>${cutoffBadgeHtml}`;
                 }
 
-                // Skip debug logging for performance
+                // Flag tickets where the sheet STATUS column says otherwise
+                const sheetVerdict = getSheetVerdict(validation);
+                if (sheetVerdict && validation.status !== 'UNKNOWN' && sheetVerdict !== validation.status) {
+                    statusBadge += `<br><span class="badge badge-info" style="font-size: 0.55rem; padding: 1px 3px;" title="Sheet status: ${validation.sheetStatus}">SHEET: ${sheetVerdict}</span>`;
+                }
 
-                // SAFETY CHECK: Verify Game IDs match (should always be true)
-                if (bruteForceMatch && bruteForceMatch.gameId !== entry.gameId) {
-                    // Game ID mismatch detected
+                // Flag tickets forced by an admin
+                if (validation.override) {
+                    statusBadge += `<br><span class="badge badge-warning" style="font-size: 0.55rem; padding: 1px 3px;" title="Set by ${validation.override.setBy}: ${validation.override.reason}">⚖️ OVERRIDE</span>`;
                 }
 
-                // Show recharge info if has a match (whether originally valid or upgraded)
-                if (bruteForceMatch) {
-                    // Show full order number (no truncation)
-                    const orderNumber = bruteForceMatch.orderNumber;
+                // Flag tickets caught by the risk rules
+                const riskBadge = RiskScoring.renderEntryBadge(entry);
+                if (riskBadge) statusBadge += `<br>${riskBadge}`;
 
-                    const timeStr = AdminCore.formatBrazilDateTime(bruteForceMatch.recordTime, {
+                // Recharge bound to this ticket by the validation engine
+                let rechargeInfo = '-';
+                const match = validation.matchedRecharge;
+                if (match) {
+                    const timeStr = AdminCore.formatBrazilDateTime(match.rechargeTime, {
                         day: '2-digit',
                         month: '2-digit',
                         hour: '2-digit',
                         minute: '2-digit'
                     });
 
-                    // Add upgrade badge if was upgraded from PENDING/INVALID
-                    const upgradeBadge = bruteForceMatch.wasUpgraded
-                        ? `<br><span class="badge badge-info" style="font-size: 0.55rem; padding: 1px 3px;">⬆️ UPGRADED</span>`
-                        : '';
-
                     rechargeInfo = `<div style="font-size: 0.7rem; line-height: 1.3;">
-                    <strong class="text-success">R$ ${bruteForceMatch.amount.toFixed(2)}</strong><br>
-                    <span style="color: var(--text-tertiary);">${orderNumber}</span><br>
-                    <span style="color: var(--text-muted); font-size: 0.65rem;">${timeStr}</span>${upgradeBadge}
+                    <strong class="text-success">R$ ${Number(match.amount || 0).toFixed(2)}</strong><br>
+                    <span style="color: var(--text-tertiary);">${match.rechargeId || '-'}</span><br>
+                    <span style="color: var(--text-muted); font-size: 0.65rem;">${timeStr}</span>
                 </div>`;
                 }
 
@@ -1209,16 +551,16 @@ window.UnifiedPage = (function () {
                 const formattedDrawDate = formatDrawDate(entry.drawDate);
 
                 return `
-                <tr data-cutoff="${isCutoff ? 'yes' : 'no'}">
+                <tr data-cutoff="${isCutoff ? 'yes' : 'no'}"${newEntries.has(entry) ? ' class="row-new"' : ''}>
                     <td>${statusBadge}</td>
                     <td style="font-size:0.8rem;white-space:nowrap">${formattedTime}</td>
                     <td><span class="platform-badge ${platform.toLowerCase()}">${platform}</span></td>
-                    <td><strong>${entry.gameId}</strong></td>
+                    <td>${PlayerProfile.link(entry.gameId, platform)}</td>
                     <td style="font-size:0.75rem">${whatsappDisplay}</td>
                     <td><div class="numbers-display">${numbersHtml}</div></td>
                     <td style="font-size:0.8rem">${formattedDrawDate}</td>
                     <td><span class="badge badge-info">${entry.contest}</span></td>
-                    <td style="font-size:0.9rem">${entry.ticketNumber}</td>
+                    <td style="font-size:0.9rem"><a href="#" onclick="UnifiedPage.showEntryDetails(${DataStore.getAllEntries().indexOf(entry)}); return false;">${entry.ticketNumber}</a></td>
                     <td>${rechargeInfo}</td>
                 </tr>
             `;
@@ -1278,30 +620,175 @@ window.UnifiedPage = (function () {
         }
     }
 
+    /**
+     * Show the tickets of one risk filter, e.g. a cluster from the Risk section
+     * @param {string} filter - RiskScoring.matches filter
+     * @param {string} [label] - Option text when the filter is not in the list
+     */
+    function filterEntriesByRisk(filter, label) {
+        const select = document.getElementById('filterRisk');
+        if (select) {
+            // One option for the cluster being looked at
+            select.querySelector('option[data-cluster]')?.remove();
+            if (![...select.options].some(o => o.value === filter)) {
+                select.insertAdjacentHTML('beforeend', '<option data-cluster></option>');
+                const option = select.querySelector('option[data-cluster]');
+                option.value = filter;
+                option.textContent = label || filter;
+            }
+            select.value = filter;
+        }
+        entriesFilters.risk = filter;
+        applyEntriesFilters();
+    }
+
     function goToEntriesPage(page) {
         entriesPage = page;
         renderEntriesTable();
         renderEntriesPagination();
     }
 
+    /**
+     * Open ticket details by ticket number (first match)
+     * Ticket numbers repeat across days; the table uses showEntryDetails.
+     * @param {string} ticketNumber - BILHETE # value
+     */
     function showTicketDetails(ticketNumber) {
         const entry = currentData.entries.find(e => e.ticketNumber === ticketNumber);
-        if (!entry) return;
+        if (entry) renderTicketDetails(entry);
+    }
 
+    /**
+     * Open ticket details for an entry
+     * @param {number} index - Position in DataStore.getAllEntries()
+     */
+    function showEntryDetails(index) {
+        const entry = DataStore.getAllEntries()[index];
+        if (entry) renderTicketDetails(entry);
+    }
+
+    /**
+     * Format a date as DD/MM/YYYY (BRT)
+     * @param {Date} date
+     * @returns {string}
+     */
+    function formatTraceDate(date) {
+        return date ? AdminCore.formatBrazilDateTime(date, { day: '2-digit', month: '2-digit', year: 'numeric' }) : '-';
+    }
+
+    /**
+     * Format a date as DD/MM/YYYY HH:MM (BRT)
+     * @param {Date} date
+     * @returns {string}
+     */
+    function formatTraceDateTime(date) {
+        return date ? AdminCore.formatBrazilDateTime(date, { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' }) : '-';
+    }
+
+    /**
+     * Render the validation trace of the ticket modal
+     * @param {Object|null} trace - ValidationEngine.explain output
+     * @returns {string} HTML
+     */
+    function renderTraceHtml(trace) {
+        if (!trace) return '<p class="text-muted">No validation trace for this entry</p>';
+
+        const allEntries = DataStore.getAllEntries();
+        const ticketLink = (entry) => `<a href="#" onclick="UnifiedPage.showEntryDetails(${allEntries.indexOf(entry)}); return false;">${entry.ticketNumber || 'ticket'}</a> (${entry.timestamp || '-'})`;
+
+        let html = '<ol class="mb-3" style="font-size:0.85rem; padding-left: 20px;">';
+        trace.steps.forEach(step => {
+            html += `<li>${step.passed ? '✅' : '❌'} ${step.text}</li>`;
+        });
+        html += '</ol>';
+
+        if (trace.duplicateOf) {
+            html += `<p style="font-size:0.85rem">Original row: ${ticketLink(trace.duplicateOf)}</p>`;
+        }
+
+        if (trace.candidates.length > 0) {
+            html += `<div style="overflow-x:auto"><table class="table" style="font-size:0.75rem">
+                <thead><tr><th>Order Number</th><th>Amount</th><th>Recharge Time</th><th>Day 1</th><th>Day 2</th><th>Expires</th><th>Rule</th></tr></thead>
+                <tbody>`;
+            trace.candidates.forEach(c => {
+                const ruleClass = c.rule === 'BOUND' ? 'text-success' : 'text-danger';
+                const competing = c.competingTicket ? `<br>by ${ticketLink(c.competingTicket)}` : '';
+                html += `<tr>
+                    <td style="word-break:break-all">${c.rechargeId || '-'}</td>
+                    <td>R$ ${Number(c.amount || 0).toFixed(2)}</td>
+                    <td>${formatTraceDateTime(c.rechargeTime)}</td>
+                    <td>${formatTraceDate(c.eligible1)}</td>
+                    <td>${formatTraceDate(c.eligible2)}</td>
+                    <td>${formatTraceDateTime(c.expiresAt)}</td>
+                    <td class="${ruleClass}">${c.text}${competing}</td>
+                </tr>`;
+            });
+            html += '</tbody></table></div>';
+        }
+
+        html += '<button class="btn btn-secondary btn-sm" onclick="UnifiedPage.exportTicketTrace()">📄 Export trace</button>';
+        return html;
+    }
+
+    /**
+     * Download the trace shown in the ticket modal as text (for dispute replies)
+     */
+    function exportTicketTrace() {
+        const trace = currentTrace;
+        if (!trace) {
+            AdminCore.showToast('No trace to export', 'warning');
+            return;
+        }
+
+        const entry = trace.ticket;
+        const lines = [
+            'POP-SORTE ticket validation trace',
+            `Generated: ${formatTraceDateTime(new Date())} (BRT)`,
+            '',
+            `Ticket: ${entry.ticketNumber || '-'}   Game ID: ${entry.gameId || '-'}   Platform: ${entry.platform || 'POPN1'}`,
+            `Registered: ${entry.timestamp || '-'}   Draw: ${trace.drawDate || entry.drawDate || '-'}   Contest: ${entry.contest || '-'}`,
+            `Numbers: ${entry.numbers.map(n => String(n).padStart(2, '0')).join(', ')}`,
+            `Result: ${trace.status}${trace.reason ? ' - ' + trace.reason : ''}${trace.reasonCode ? ` (${trace.reasonCode})` : ''}`,
+            '',
+            'Steps'
+        ];
+        trace.steps.forEach((step, i) => lines.push(`${i + 1}. [${step.passed ? 'OK' : 'FAIL'}] ${step.text}`));
+
+        if (trace.candidates.length > 0) {
+            lines.push('', 'Recharges (oldest first)');
+            trace.candidates.forEach(c => {
+                lines.push(`- ${c.rechargeId || '-'} | R$ ${Number(c.amount || 0).toFixed(2)} | recharged ${formatTraceDateTime(c.rechargeTime)} | Day 1 ${formatTraceDate(c.eligible1)} | Day 2 ${formatTraceDate(c.eligible2)} | expires ${formatTraceDateTime(c.expiresAt)}`);
+                lines.push(`  ${c.text}${c.competingTicket ? `: ${c.competingTicket.ticketNumber || 'ticket'} registered ${c.competingTicket.timestamp || '-'}` : ''}`);
+            });
+        }
+
+        const blob = new Blob([lines.join('\n') + '\n'], { type: 'text/plain;charset=utf-8;' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `ticket_trace_${entry.gameId || 'unknown'}_${(entry.timestamp || '').replace(/\D/g, '')}.txt`;
+        link.click();
+    }
+
+    /**
+     * Render the ticket details modal
+     * @param {Object} entry - Entry object
+     */
+    function renderTicketDetails(entry) {
         const modalContent = document.getElementById('ticketModalContent');
         if (!modalContent) return;
 
-        // ✅ VALIDATION STATUS - READ DIRECTLY FROM CSV (Column H - STATUS)
-        const csvStatus = (entry.status || 'UNKNOWN').toUpperCase();
-        const status = csvStatus;
-        const statusClass = { 'VALID': 'success', 'INVALID': 'danger', 'VÁLIDO': 'success', 'INVÁLIDO': 'danger' }[csvStatus] || 'warning';
-        const statusIcon = (status === 'VALID' || status === 'VÁLIDO') ? '✅' : (status === 'INVALID' || status === 'INVÁLIDO') ? '❌' : '⏳';
-        const statusText = (status === 'VALID' || status === 'VÁLIDO') ? 'VALID' : (status === 'INVALID' || status === 'INVÁLIDO') ? 'INVALID' : 'PENDING';
+        // Validation status and trace from the validation engine
+        const validation = getValidation(entry);
+        currentTrace = DataStore.explainEntry(entry);
+        const status = validation.status;
+        const statusClass = { 'VALID': 'success', 'INVALID': 'danger' }[status] || 'warning';
+        const statusIcon = status === 'VALID' ? '✅' : status === 'INVALID' ? '❌' : '⏳';
+        const statusText = status === 'UNKNOWN' ? 'PENDING' : status;
 
         const statusHtml = `<div class="status-banner ${statusClass} mb-4">
             <span class="status-banner-icon">${statusIcon}</span>
             <span class="status-banner-text">
-                <strong>${statusText}</strong> - Status from CSV
+                <strong>${statusText}</strong> - ${validation.reason}${validation.isDay2 ? ' (CUTOFF)' : ''}
             </span>
         </div>`;
 
@@ -1311,19 +798,22 @@ window.UnifiedPage = (function () {
             return `<span class="number-badge ${colorClass}">${String(n).padStart(2, '0')}</span>`;
         }).join('');
 
-        // RECHARGE INFORMATION - DIRECT MATCH BY GAME ID
+        // RECHARGE INFORMATION - same platform + Game ID, bound recharge first
         let rechargeHtml = '<p class="text-muted">No recharge found for this Game ID</p>';
 
-        // Find recharge directly by matching gameId
         const entryGameId = entry.gameId;
+        const entryPlatform = (entry.platform || 'POPN1').toUpperCase();
+        const boundId = validation.matchedRecharge ? validation.matchedRecharge.rechargeId : null;
         if (entryGameId && currentData.allRecharges && currentData.allRecharges.length > 0) {
-            const userRecharges = currentData.allRecharges.filter(r => r.gameId === entryGameId);
+            const userRecharges = currentData.allRecharges
+                .filter(r => r.gameId === entryGameId && (r.platform || 'POPN1').toUpperCase() === entryPlatform)
+                .sort((a, b) => (b.rechargeId === boundId) - (a.rechargeId === boundId));
 
             if (userRecharges.length > 0) {
-                // Show ALL recharges for this user
                 rechargeHtml = '<div class="mb-3">';
 
-                userRecharges.slice(0, 5).forEach((r, idx) => {
+                userRecharges.slice(0, 5).forEach((r) => {
+                    const isBound = boundId !== null && r.rechargeId === boundId;
                     const orderNumber = r.rechargeId || '-';
                     const chargeAmount = r.amount || 0;
                     const amountDisplay = `R$ ${chargeAmount.toFixed(2)}`;
@@ -1345,7 +835,7 @@ window.UnifiedPage = (function () {
                     rechargeHtml += `
                         <div class="ticket-info-grid mb-3" style="border-bottom: 1px solid var(--border-primary); padding-bottom: 12px;">
                             <div class="ticket-info-item">
-                                <span class="label">💰 Amount ${idx === 0 ? '(Latest)' : ''}</span>
+                                <span class="label">💰 Amount ${isBound ? '(Bound to this ticket)' : ''}</span>
                                 <span class="value text-success"><strong>${amountDisplay}</strong></span>
                             </div>
                             <div class="ticket-info-item">
@@ -1383,7 +873,7 @@ window.UnifiedPage = (function () {
                 </div>
                 <div class="ticket-info-item">
                     <span class="label">Game ID</span>
-                    <span class="value"><strong>${entry.gameId}</strong></span>
+                    <span class="value">${PlayerProfile.link(entry.gameId, entry.platform)}</span>
                 </div>
                 <div class="ticket-info-item">
                     <span class="label">WhatsApp</span>
@@ -1406,7 +896,7 @@ window.UnifiedPage = (function () {
                     <span class="value">${entry.parsedDate ? AdminCore.formatBrazilDateTime(entry.parsedDate) : entry.timestamp}</span>
                 </div>
                 <div class="ticket-info-item">
-                    <span class="label">Original Status</span>
+                    <span class="label">Sheet Status</span>
                     <span class="value">${entry.status || 'N/A'}</span>
                 </div>
             </div>
@@ -1416,6 +906,12 @@ window.UnifiedPage = (function () {
             
             <h4 class="mb-3">💳 Linked Recharge</h4>
             ${rechargeHtml}
+
+            <h4 class="mb-3">🔎 Validation Trace</h4>
+            ${renderTraceHtml(currentTrace)}
+
+            <h4 class="mb-3">⚖️ Manual Adjudication</h4>
+            ${Adjudication.renderSection(entry)}
         `;
 
         AdminCore.openModal('ticketModal');
@@ -1427,20 +923,13 @@ window.UnifiedPage = (function () {
             return;
         }
 
-        const headers = ['Validity', 'Registration Date', 'Registration Time', 'Platform', 'Game ID', 'WhatsApp', 'Chosen Numbers', 'Draw Date', 'Contest', 'Ticket #', 'Bound Recharge ID', 'Recharge Time', 'Recharge Amount', 'Invalid Reason', 'Cutoff Flag'];
+        const headers = ['Validity', 'Registration Date', 'Registration Time', 'Platform', 'Game ID', 'WhatsApp', 'Chosen Numbers', 'Draw Date', 'Contest', 'Ticket #', 'Bound Recharge ID', 'Recharge Time', 'Recharge Amount', 'Invalid Reason', 'Cutoff Flag', 'Engine Validity', 'Override By', 'Override At', 'Override Reason', 'Override Evidence', 'Risk Score', 'Risk Flags'];
 
         const rows = filteredEntries.map(entry => {
-            // Get CSV status
-            const csvStatus = (entry.status || 'UNKNOWN').toUpperCase();
-
-            // Get brute force matched recharge
-            const lookupKey = `${entry.gameId}-${entry.parsedDate ? entry.parsedDate.getTime() : 0}`;
-            const bruteForceMatch = entryRechargeMap.get(lookupKey);
-
-            // Determine final validity status
-            const isOriginallyValid = (csvStatus === 'VALID' || csvStatus === 'VÁLIDO');
-            const isValidEntry = isOriginallyValid || (bruteForceMatch && bruteForceMatch.wasUpgraded);
-            const validity = isValidEntry ? 'VALID' : csvStatus;
+            // Validity and bound recharge from the validation engine
+            const validation = getValidation(entry);
+            const match = validation.matchedRecharge;
+            const validity = validation.status;
 
             // Parse registration date/time
             let registrationDate = '';
@@ -1481,43 +970,18 @@ window.UnifiedPage = (function () {
                 }
             }
 
-            // Format draw date as YYYY-MM-DD
-            let drawDate = '';
-            if (entry.drawDate) {
-                // Try to parse draw date
-                try {
-                    // Could be "Mon, 22 Dec 2025" or "2026-01-05" or "05/01/2026"
-                    if (entry.drawDate.includes('-')) {
-                        drawDate = entry.drawDate.split(' ')[0]; // Take first part if space-separated
-                    } else if (entry.drawDate.includes('/')) {
-                        const [d, m, y] = entry.drawDate.split('/');
-                        drawDate = `${y}-${m.padStart(2, '0')}-${d.padStart(2, '0')}`;
-                    } else {
-                        // Try parsing as date
-                        const parsed = new Date(entry.drawDate);
-                        if (!isNaN(parsed.getTime())) {
-                            const year = parsed.getFullYear();
-                            const month = String(parsed.getMonth() + 1).padStart(2, '0');
-                            const day = String(parsed.getDate()).padStart(2, '0');
-                            drawDate = `${year}-${month}-${day}`;
-                        } else {
-                            drawDate = entry.drawDate;
-                        }
-                    }
-                } catch (e) {
-                    drawDate = entry.drawDate;
-                }
-            }
+            // Draw date as YYYY-MM-DD
+            const drawDate = ValidationEngine.normalizeDrawDate(entry.drawDate) || entry.drawDate || '';
 
             // Get recharge info
             let boundRechargeId = '';
             let rechargeTime = '';
             let rechargeAmount = '';
-            if (bruteForceMatch) {
-                boundRechargeId = bruteForceMatch.orderNumber || '';
-                if (bruteForceMatch.recordTime) {
+            if (match) {
+                boundRechargeId = match.rechargeId || '';
+                if (match.rechargeTime) {
                     // Format as YYYY-MM-DD HH:MM:SS in Brazilian timezone
-                    const rt = bruteForceMatch.recordTime;
+                    const rt = match.rechargeTime;
                     // Get date components in Brazilian timezone
                     const year = AdminCore.formatBrazilDateTime(rt, { year: 'numeric', timeZone: 'America/Sao_Paulo' });
                     const month = AdminCore.formatBrazilDateTime(rt, { month: '2-digit', timeZone: 'America/Sao_Paulo' });
@@ -1527,58 +991,21 @@ window.UnifiedPage = (function () {
                     const second = AdminCore.formatBrazilDateTime(rt, { second: '2-digit', timeZone: 'America/Sao_Paulo' });
                     rechargeTime = `${year}-${month}-${day} ${hour}:${minute}:${second}`;
                 }
-                rechargeAmount = bruteForceMatch.amount ? String(bruteForceMatch.amount) : '';
+                rechargeAmount = match.amount ? String(match.amount) : '';
             }
 
-            // Determine invalid reason
-            let invalidReason = '';
-            if (!isValidEntry) {
-                if (csvStatus === 'INVALID' || csvStatus === 'INVÁLIDO') {
-                    // Check if ticket was before recharge
-                    if (bruteForceMatch && entry.parsedDate && bruteForceMatch.recordTime) {
-                        if (entry.parsedDate.getTime() < bruteForceMatch.recordTime.getTime()) {
-                            invalidReason = 'INVALID_TICKET_BEFORE_RECHARGE';
-                        } else {
-                            invalidReason = 'INVALID_RECHARGE_WINDOW_EXPIRED';
-                        }
-                    } else {
-                        invalidReason = 'INVALID_RECHARGE_WINDOW_EXPIRED';
-                    }
-                }
-            }
+            // Reason code for tickets that are not VALID
+            const invalidReason = validity === 'VALID' ? '' : validation.reasonCode;
 
-            // Determine cutoff flag
-            let cutoffFlag = 'NO';
-            if (bruteForceMatch && entry.parsedDate) {
-                const rechargeTime = bruteForceMatch.recordTime;
-                const ticketTime = entry.parsedDate;
-                const window = calculateEligibilityWindow(rechargeTime);
-                if (window) {
-                    const ticketDate = new Date(ticketTime);
-                    ticketDate.setUTCHours(0, 0, 0, 0);
-                    const eligDay1Date = new Date(window.eligibilityDay1);
-                    eligDay1Date.setUTCHours(0, 0, 0, 0);
-                    const eligDay2Date = new Date(window.eligibilityDay2);
-                    eligDay2Date.setUTCHours(0, 0, 0, 0);
-                    const partDay1Date = new Date(window.day1);
-                    partDay1Date.setUTCHours(0, 0, 0, 0);
-                    const partDay2Date = new Date(window.day2);
-                    partDay2Date.setUTCHours(0, 0, 0, 0);
-                    const isOnEligibilityDay1 = ticketDate.getTime() === eligDay1Date.getTime();
-                    const isOnEligibilityDay2 = ticketDate.getTime() === eligDay2Date.getTime();
-                    const hasDay2Participation = partDay1Date.getTime() !== partDay2Date.getTime();
-
-                    if (isOnEligibilityDay1 && hasDay2Participation) {
-                        const utcHour = ticketTime.getUTCHours();
-                        const brtHour = (utcHour - 3 + 24) % 24;
-                        if (brtHour >= 20) {
-                            cutoffFlag = 'YES';
-                        }
-                    } else if (isOnEligibilityDay2 && hasDay2Participation) {
-                        cutoffFlag = 'YES';
-                    }
-                }
-            }
+            // CUTOFF: valid ticket playing the Day 2 draw of its recharge
+            const cutoffFlag = validation.isDay2 ? 'YES' : 'NO';
+
+            // Manual override, with the status the rules gave before it
+            const override = validation.override;
+            const engineValidity = validation.computed ? validation.computed.status : validity;
+
+            // Risk rules that caught the ticket
+            const risk = RiskScoring.getEntryFlags(entry);
 
             return [
                 validity,
@@ -1595,7 +1022,14 @@ window.UnifiedPage = (function () {
                 rechargeTime,
                 rechargeAmount,
                 invalidReason,
-                cutoffFlag
+                cutoffFlag,
+                engineValidity,
+                override ? override.setBy : '',
+                override ? override.setAt : '',
+                override ? override.reason : '',
+                override ? override.evidence : '',
+                risk ? risk.score : '',
+                risk ? [...new Set(risk.clusters.map(c => c.rule))].join(' ') : ''
             ].map(v => `"${String(v).replace(/"/g, '""')}"`).join(',');
         });
 
@@ -1638,10 +1072,55 @@ window.UnifiedPage = (function () {
             }).join('');
         }
 
+        renderConcursoReconciliation();
+
         filteredResults = [...results];
         renderResultsTable();
     }
 
+    /**
+     * Show whether projected contest numbers still match the results sheet
+     */
+    function renderConcursoReconciliation() {
+        const banner = document.getElementById('concursoReconciliationBanner');
+        const report = DataStore.getConcursoReconciliation();
+        if (!banner) return;
+
+        if (!report || report.mode !== 'results') {
+            banner.style.display = 'none';
+            return;
+        }
+
+        const fmt = (key) => key.split('-').reverse().join('/');
+        const icon = banner.querySelector('.status-banner-icon');
+        const text = banner.querySelector('.status-banner-text');
+        const { anchor, mismatches, pendingDraws } = report;
+
+        if (mismatches.length > 0) {
+            const gap = mismatches[0]; // Newest first
+            banner.className = 'status-banner danger';
+            icon.textContent = '⚠️';
+            text.innerHTML = `<strong>Contest numbers out of sync:</strong> from #${gap.previousContest} (${fmt(gap.previousDate)}) to #${gap.contest} (${fmt(gap.date)}) ` +
+                `the results sheet advanced ${gap.actual} contest(s) but the draw calendar has ${gap.expected} draw day(s). ` +
+                `Check the Calendar section for a missing suspension or extra draw.` +
+                (mismatches.length > 1 ? ` (${mismatches.length} gaps in the last ${report.checked} results)` : '');
+        } else if (pendingDraws > 1) {
+            banner.className = 'status-banner warning';
+            icon.textContent = '⏳';
+            text.innerHTML = `Results sheet is ${pendingDraws} draws behind - contest numbers are extrapolated from #${anchor.number} (${fmt(anchor.date)}).`;
+        } else {
+            banner.className = 'status-banner success';
+            icon.textContent = '✅';
+            text.innerHTML = `Contest numbers anchored on #${anchor.number} (${fmt(anchor.date)}) - last ${report.checked} results match the draw calendar.`;
+        }
+
+        if (report.referenceDrift !== 0) {
+            text.innerHTML += ` The fixed reference (#${DrawCalendar.CONCURSO_REFERENCE.number}) would be off by ${report.referenceDrift > 0 ? '+' : ''}${report.referenceDrift}.`;
+        }
+
+        banner.style.display = '';
+    }
+
     /**
      * Format a draw date string to consistent "Wed, 31 Dec 2025" format
      * Handles various input formats: MM/DD/YYYY, YYYY-MM-DD, or already formatted
@@ -1753,10 +1232,14 @@ window.UnifiedPage = (function () {
             document.getElementById('stat3Matches').textContent = (stats.byTier?.[3] || 0).toLocaleString();
             document.getElementById('statWinnersTotal').textContent = (stats.totalWinners || 0).toLocaleString();
 
-            // Prize pool label
-            const prizePool = WinnerCalculator.getPrizePool(platform === 'ALL' ? 'DEFAULT' : platform);
+            // Prize rules in force label
             const prizeLabel = document.getElementById('prizePoolLabel');
-            if (prizeLabel) prizeLabel.textContent = `Prize Pool: R$ ${prizePool.toLocaleString()}`;
+            if (prizeLabel) {
+                const platforms = platform === 'ALL' ? PrizeRules.PLATFORMS : [platform];
+                prizeLabel.textContent = platforms
+                    .map(p => `${p}: ${PrizeRules.describe(PrizeRules.getRule(p))}`)
+                    .join(' | ');
+            }
 
             // Winners by contest cards
             renderWinnersCards();
@@ -1770,9 +1253,12 @@ window.UnifiedPage = (function () {
 
             renderWinnersTable();
 
+            // Payouts of the prize-winning tickets
+            PayoutLedger.update(winnersCalculation, platform);
+
         } catch (error) {
             // Error calculating winners
-            document.getElementById('winnersTableBody').innerHTML = '<tr><td colspan="7" class="text-center text-danger">Error calculating winners</td></tr>';
+            document.getElementById('winnersTableBody').innerHTML = '<tr><td colspan="8" class="text-center text-danger">Error calculating winners</td></tr>';
         }
     }
 
@@ -1805,16 +1291,27 @@ window.UnifiedPage = (function () {
                 }
             }
 
+            // Prize per winner of each paid tier, and rolled-over money
             let prizeInfo = '';
-            if (contest.winningTier > 0 && contest.prizePerWinner > 0) {
-                const winnerCount = contest.byTier[contest.winningTier]?.filter(w => w.isValidEntry).length || 0;
-                prizeInfo = `<div class="text-success mt-2" style="font-size:0.8rem">💰 R$ ${contest.prizePerWinner.toFixed(2)} per winner</div>`;
+            for (let tier = 5; tier >= 2; tier--) {
+                const prize = contest.tierPrizes[tier];
+                if (prize && prize.paid > 0) {
+                    prizeInfo += `<div class="text-success mt-2" style="font-size:0.8rem">💰 ${tier} hits: R$ ${prize.prizePerWinner.toFixed(2)} per winner</div>`;
+                }
+            }
+            if (contest.carriedIn > 0) {
+                prizeInfo += `<div class="text-muted mt-2" style="font-size:0.75rem">Includes R$ ${contest.carriedIn.toFixed(2)} rolled over</div>`;
+            }
+            const carryOut = Object.values(contest.carryOut || {}).reduce((sum, v) => sum + v, 0);
+            if (carryOut > 0) {
+                prizeInfo += `<div class="text-warning mt-2" style="font-size:0.75rem">➡️ R$ ${carryOut.toFixed(2)} rolls over</div>`;
             }
 
             return `
                 <div class="card">
                     <div class="card-header">
                         <strong>Contest #${contest.contest}</strong>
+                        <span class="badge badge-gray">${contest.platform}</span>
                         <span class="text-muted">${contest.drawDate}</span>
                     </div>
                     <div class="card-body">
@@ -1849,7 +1346,7 @@ window.UnifiedPage = (function () {
         if (!tbody) return;
 
         if (filteredWinners.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="7" class="text-center text-muted">No winners found</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="8" class="text-center text-muted">No winners found</td></tr>';
             return;
         }
 
@@ -1911,17 +1408,18 @@ window.UnifiedPage = (function () {
                 <tr>
                     <td>${matchBadge}</td>
                     <td>${platformBadge}</td>
-                    <td><strong>${winner.gameId}</strong></td>
+                    <td>${PlayerProfile.link(winner.gameId, winner.platform)}</td>
                     <td><div class="numbers-display">${numbersHtml}</div></td>
                     <td><div class="numbers-display">${matchedHtml}</div></td>
                     <td>${winner.contest}</td>
                     <td>${winner.drawDate}</td>
+                    <td>${winner.prize > 0 ? `<strong class="text-success">R$ ${winner.prize.toFixed(2)}</strong>` : '<span class="text-muted">-</span>'}</td>
                 </tr>
             `;
         }).join('');
 
         if (uniqueWinners.length > 100) {
-            tbody.innerHTML += `<tr><td colspan="7" class="text-center text-muted">Showing 100 of ${uniqueWinners.length} winners</td></tr>`;
+            tbody.innerHTML += `<tr><td colspan="8" class="text-center text-muted">Showing 100 of ${uniqueWinners.length} winners</td></tr>`;
         }
     }
 
@@ -1944,7 +1442,13 @@ window.UnifiedPage = (function () {
         });
         const uniqueWinners = Array.from(highestWinnersMap.values());
 
-        const headers = ['Matches', 'Platform', 'Game ID', 'Numbers', 'Matched Numbers', 'Draw Date', 'Contest'];
+        // Rule each contest was paid under
+        const prizeRules = {};
+        (winnersCalculation?.contestResults || []).forEach(c => {
+            if (c.rule) prizeRules[`${c.platform}|${c.contest}`] = PrizeRules.describe(c.rule);
+        });
+
+        const headers = ['Matches', 'Platform', 'Game ID', 'Numbers', 'Matched Numbers', 'Draw Date', 'Contest', 'Prize (R$)', 'Prize Rule'];
         const rows = uniqueWinners.map(w => [
             w.matches,
             (w.platform || 'UNKNOWN').toUpperCase(),
@@ -1952,7 +1456,9 @@ window.UnifiedPage = (function () {
             w.numbers.join(', '),
             (w.matchedNumbers || []).join(', '),
             w.drawDate,
-            w.contest
+            w.contest,
+            w.prize ? w.prize.toFixed(2) : '',
+            prizeRules[`${w.platform}|${w.contest}`] || ''
         ].map(v => `"${String(v).replace(/"/g, '""')}"`).join(','));
 
         const csv = [headers.join(','), ...rows].join('\n');
@@ -1991,14 +1497,11 @@ window.UnifiedPage = (function () {
             currentData.results = DataStore.getResults();
 
             AdminCore.updateLoadingProgress(70, 'Validating tickets...');
-            // Validate only the platform-filtered entries (using ALL recharges for validation lookup)
-            // Skip cache when platform is not ALL, since cached results are for all entries
-            const skipCache = platform !== 'ALL';
-            currentData.validationResults = await RechargeValidator.validateAllTickets(currentData.entries, currentData.allRecharges, skipCache);
-
-            AdminCore.updateLoadingProgress(80, 'Matching recharges...');
-            // BRUTE FORCE: Match recharges ONCE when data is loaded
-            bruteForceMatchRecharges();
+            // Usually done during the load; after a calendar or override change
+            // the compute worker validates again here
+            await DataStore.ensureValidation({ from: 70, to: 85, text: 'Validating tickets...' });
+            // All entries are validated together; this keeps the platform's share
+            currentData.validationResults = DataStore.getValidationResults(currentData.entries);
 
             AdminCore.updateLoadingProgress(85, 'Rendering dashboard...');
             renderDashboard();
@@ -2052,15 +1555,17 @@ window.UnifiedPage = (function () {
         document.getElementById('filterOrderNumber')?.addEventListener('input', (e) => { entriesFilters.orderNumber = e.target.value; debouncedEntriesFilter(); });
         document.getElementById('filterContest')?.addEventListener('change', (e) => { entriesFilters.contest = e.target.value; applyEntriesFilters(); });
         document.getElementById('filterValidity')?.addEventListener('change', (e) => { entriesFilters.validity = e.target.value; applyEntriesFilters(); });
+        document.getElementById('filterRisk')?.addEventListener('change', (e) => { entriesFilters.risk = e.target.value; applyEntriesFilters(); });
         document.getElementById('sortBy')?.addEventListener('change', (e) => { sortBy = e.target.value; applyEntriesFilters(); });
         document.getElementById('btnClearFilters')?.addEventListener('click', () => {
-            entriesFilters = { gameId: '', whatsapp: '', contest: '', validity: 'all', orderNumber: '' };
+            entriesFilters = { gameId: '', whatsapp: '', contest: '', validity: 'all', orderNumber: '', risk: 'all' };
             sortBy = 'date-desc';
             document.getElementById('filterGameId').value = '';
             document.getElementById('filterWhatsapp').value = '';
             document.getElementById('filterOrderNumber').value = '';
             document.getElementById('filterContest').value = '';
             document.getElementById('filterValidity').value = 'all';
+            document.getElementById('filterRisk').value = 'all';
             document.getElementById('sortBy').value = 'date-desc';
             applyEntriesFilters();
         });
@@ -2154,6 +1659,14 @@ window.UnifiedPage = (function () {
             }
         });
 
+        AdminCore.on('dataDiff', ({ addedEntries, source, summary }) => {
+            // Emitted before 'dataStoreReady', so the re-render picks the rows up
+            newEntries = new Set(addedEntries);
+            if (isInitialized) {
+                AdminCore.showToast(`${source === 'import' ? 'Imported' : 'Refreshed'}: ${summary}`, 'success', 5000);
+            }
+        });
+
         AdminCore.on('platformChange', ({ platform }) => {
             // Platform changed
             if (isInitialized) {
@@ -2161,6 +1674,32 @@ window.UnifiedPage = (function () {
             }
         });
 
+        AdminCore.on('calendarChange', () => {
+            // Eligibility windows depend on the draw calendar - DataStore drops
+            // its validation results, re-render to validate again
+            if (isInitialized && DataStore.isLoaded() && !DataStore.isLoading()) {
+                loadAllData(false);
+            }
+        });
+
+        AdminCore.on('prizeRulesChange', () => {
+            // Prizes and rollovers follow the rule versions - recompute the winners
+            if (isInitialized && DataStore.isLoaded() && !DataStore.isLoading()) {
+                loadAllData(false);
+            }
+        });
+
+        AdminCore.on('overridesChange', async () => {
+            // An admin forced or cleared a ticket - re-render, then refresh the
+            // ticket modal if it is still showing that ticket
+            if (!isInitialized || !DataStore.isLoaded() || DataStore.isLoading()) return;
+            await loadAllData(false);
+            const modal = document.getElementById('ticketModal');
+            if (currentTrace && modal && modal.style.display === 'flex') {
+                renderTicketDetails(currentTrace.ticket);
+            }
+        });
+
         // Reset initialization on logout
         AdminCore.on('logout', () => {
             isInitialized = false;
@@ -2174,7 +1713,10 @@ window.UnifiedPage = (function () {
         init,
         loadAllData,
         goToEntriesPage,
+        filterEntriesByRisk,
         showTicketDetails,
+        showEntryDetails,
+        exportTicketTrace,
         exportEntriesCSV,
         exportWinnersCSV
     };
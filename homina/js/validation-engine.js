@@ -0,0 +1,765 @@
+/**
+ * POP-SORTE Admin Dashboard - Ticket Validation Engine
+ *
+ * The one place that decides whether a ticket is VALID. DataStore,
+ * RechargeValidator, UnifiedPage (dashboard counts, entries table, export),
+ * the ticket scanner and WinnerCalculator all read its results, so they can
+ * no longer disagree about a ticket.
+ *
+ * Validation Rules:
+ * 1. A ticket needs a Game ID and a readable registration time
+ *    (MISSING_GAME_ID, INVALID_TICKET_TIME)
+ * 2. Tickets only use recharges of the same platform and Game ID; a row
+ *    without a platform counts as POPN1
+ * 3. Recharges below MIN_RECHARGE_AMOUNT are ignored
+ * 4. A recharge covers two draws, Day 1 and Day 2 of
+ *    DrawCalendar.getEligibilityWindow. A ticket may use it when it was
+ *    registered after the recharge and before Day 2's draw time, and its
+ *    draw is Day 1 or Day 2. The draw is the DATA SORTEIO cell, or the draw
+ *    the registration time falls in when that cell cannot be read
+ * 5. One recharge, one ticket: a player's tickets are taken in registration
+ *    order and each binds the oldest unused recharge that covers it
+ * 6. Rows sharing a TICKET KEY are one retried submission: the earliest row
+ *    decides and the others copy its result
+ * 7. The sheet STATUS column is not an input. It is kept as sheetStatus so
+ *    views can show where the sheet disagrees
+ * 8. With no recharge data loaded at all every ticket is UNKNOWN
+ *    (NO_RECHARGE_DATA)
+ * 9. A manual override (options.overrides, keyed by getTicketId) replaces the
+ *    final status with MANUAL_OVERRIDE. It is applied after matching, so it
+ *    never frees or takes a recharge from another ticket; the rule-based
+ *    outcome stays on the result as `computed`
+ *
+ * A ticket that binds no recharge gets the first reason that applies:
+ *   NO_ELIGIBLE_RECHARGE                     player has no recharge on this platform
+ *   INVALID_TICKET_BEFORE_RECHARGE           every recharge came after the ticket
+ *   INVALID_NOT_FIRST_TICKET_AFTER_RECHARGE  a covering recharge exists, an earlier ticket used it
+ *   INVALID_RECHARGE_WINDOW_EXPIRED          the ticket is past the window of every earlier recharge
+ *   NO_ELIGIBLE_RECHARGE                     otherwise (no window covers the ticket's draw)
+ *
+ * explain() turns a result into a step-by-step trace: every recharge of the
+ * player with its window and the rule that bound or skipped it, including the
+ * ticket that used it first.
+ *
+ * Players never share recharges, so after a refresh only the players whose
+ * rows changed need binding again: diffRows() finds them by stable ids and
+ * validate(..., {reuse}) carries over everyone else's results.
+ *
+ * The output for the CSVs in homina/ is pinned in
+ * homina/fixtures/validation-golden.json; run
+ * `node homina/tools/check-validation.mjs` after changing a rule.
+ *
+ * Works in the browser and in Node (no DOM, no AdminCore).
+ *
+ * Dependencies: draw-calendar.js (DrawCalendar)
+ */
+
+// ============================================
+// Validation Engine Module
+// ============================================
+(function(global) {
+    'use strict';
+
+    const DrawCalendar = global.DrawCalendar;
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    /**
+     * Smallest recharge that can back a ticket (R$)
+     */
+    const MIN_RECHARGE_AMOUNT = 1.0;
+
+    /**
+     * Platform assumed for rows without one
+     */
+    const DEFAULT_PLATFORM = 'POPN1';
+
+    /**
+     * Validation result statuses
+     */
+    const ValidationStatus = {
+        VALID: 'VALID',
+        INVALID: 'INVALID',
+        UNKNOWN: 'UNKNOWN'
+    };
+
+    /**
+     * Reason codes (same codes as the legacy admin and the player lookup)
+     */
+    const ReasonCode = {
+        NO_RECHARGE_DATA: 'NO_RECHARGE_DATA',
+        MISSING_GAME_ID: 'MISSING_GAME_ID',
+        INVALID_TICKET_TIME: 'INVALID_TICKET_TIME',
+        NO_ELIGIBLE_RECHARGE: 'NO_ELIGIBLE_RECHARGE',
+        INVALID_TICKET_BEFORE_RECHARGE: 'INVALID_TICKET_BEFORE_RECHARGE',
+        INVALID_NOT_FIRST_TICKET_AFTER_RECHARGE: 'INVALID_NOT_FIRST_TICKET_AFTER_RECHARGE',
+        INVALID_RECHARGE_WINDOW_EXPIRED: 'INVALID_RECHARGE_WINDOW_EXPIRED',
+        MANUAL_OVERRIDE: 'MANUAL_OVERRIDE'
+    };
+
+    /**
+     * Admin-facing text for each reason code
+     */
+    const REASON_TEXT = {
+        NO_RECHARGE_DATA: 'Recharge data not loaded',
+        MISSING_GAME_ID: 'Missing Game ID',
+        INVALID_TICKET_TIME: 'Ticket registration time could not be parsed',
+        NO_ELIGIBLE_RECHARGE: 'No recharge covers this ticket',
+        INVALID_TICKET_BEFORE_RECHARGE: 'Ticket registered before any recharge',
+        INVALID_NOT_FIRST_TICKET_AFTER_RECHARGE: 'Recharge already used by an earlier ticket',
+        INVALID_RECHARGE_WINDOW_EXPIRED: 'Recharge window expired (valid for its next 2 draws only)',
+        MANUAL_OVERRIDE: 'Set manually by an admin'
+    };
+
+    /**
+     * Why explain() bound or skipped a recharge for a ticket
+     */
+    const CandidateRule = {
+        BOUND: 'BOUND',
+        BELOW_MINIMUM: 'BELOW_MINIMUM',
+        AFTER_TICKET: 'AFTER_TICKET',
+        WINDOW_EXPIRED: 'WINDOW_EXPIRED',
+        DRAW_NOT_COVERED: 'DRAW_NOT_COVERED',
+        USED_BY_EARLIER_TICKET: 'USED_BY_EARLIER_TICKET',
+        NOT_NEEDED: 'NOT_NEEDED'
+    };
+
+    /**
+     * Admin-facing text for each candidate rule
+     */
+    const CANDIDATE_RULE_TEXT = {
+        BOUND: 'Bound to this ticket',
+        BELOW_MINIMUM: `Amount below the R$${MIN_RECHARGE_AMOUNT.toFixed(2)} minimum`,
+        AFTER_TICKET: 'Recharge made after the ticket was registered',
+        WINDOW_EXPIRED: 'Ticket registered after the window expired',
+        DRAW_NOT_COVERED: "Ticket's draw is neither Day 1 nor Day 2 of this recharge",
+        USED_BY_EARLIER_TICKET: 'Already bound to an earlier ticket',
+        NOT_NEEDED: 'Not needed: an older recharge was bound first'
+    };
+
+    const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Check for a usable Date
+     * @param {*} value
+     * @returns {boolean}
+     */
+    function isValidDate(value) {
+        return value instanceof Date && !isNaN(value.getTime());
+    }
+
+    /**
+     * Normalize a DATA SORTEIO cell to "YYYY-MM-DD"
+     * Accepts "2026-01-05", "05/01/2026" and "Mon, 05 Jan 2026"
+     * @param {string} value - Cell value
+     * @returns {string} Date key or '' if unreadable
+     */
+    function normalizeDrawDate(value) {
+        if (!value) return '';
+
+        const key = DrawCalendar.toDateKey(String(value));
+        if (key) return key;
+
+        const match = String(value).match(/(\d{1,2})\s+([A-Za-z]{3})[a-z]*\s+(\d{4})/);
+        if (!match) return '';
+
+        const month = MONTHS[match[2].toLowerCase()];
+        if (!month) return '';
+        return `${match[3]}-${String(month).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+    }
+
+    /**
+     * Draw a ticket belongs to (rule 4)
+     * @param {Object} ticket - Entry with drawDate and parsedDate
+     * @returns {string} "YYYY-MM-DD" or ''
+     */
+    function getTicketDrawDate(ticket) {
+        const fromSheet = normalizeDrawDate(ticket.drawDate);
+        if (fromSheet) return fromSheet;
+
+        try {
+            return DrawCalendar.toDateKey(DrawCalendar.getScheduleAt(ticket.parsedDate).drawDate) || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Stable id of a ticket, used to key manual overrides
+     * The ticket key when the row has one, otherwise platform, Game ID,
+     * registration time and numbers (identical retries without a key share it).
+     * @param {Object} entry - Entry
+     * @returns {string}
+     */
+    function getTicketId(entry) {
+        if (entry.ticketKey) return `key:${entry.ticketKey}`;
+
+        const numbers = (entry.numbers || []).map(n => String(n).padStart(2, '0')).join('-');
+        return `row:${(entry.platform || DEFAULT_PLATFORM).toUpperCase()}|${entry.gameId || ''}|${entry.timestamp || ''}|${numbers}`;
+    }
+
+    /**
+     * Stable id of a recharge: platform and order number
+     * @param {Object} recharge
+     * @returns {string}
+     */
+    function getRechargeId(recharge) {
+        return `${(recharge.platform || DEFAULT_PLATFORM).toUpperCase()}|${recharge.rechargeId || ''}`;
+    }
+
+    /**
+     * Ids made unique within a list, repeats get "#2", "#3", ...
+     * Rows without a ticket key may repeat (identical tickets are allowed).
+     * @param {Object[]} rows
+     * @param {Function} idOf - getTicketId or getRechargeId
+     * @returns {string[]} Id per row, in order
+     */
+    function occurrenceIds(rows, idOf) {
+        const seen = new Map();
+        return rows.map(row => {
+            const id = idOf(row);
+            const count = (seen.get(id) || 0) + 1;
+            seen.set(id, count);
+            return count === 1 ? id : `${id}#${count}`;
+        });
+    }
+
+    /**
+     * Platform + Game ID grouping key (rule 2)
+     * @param {Object} row - Entry or recharge
+     * @returns {string}
+     */
+    function getPlayerKey(row) {
+        return `${(row.platform || DEFAULT_PLATFORM).toUpperCase()}_${row.gameId}`;
+    }
+
+    /**
+     * Empty result for a ticket
+     * @param {Object} ticket
+     * @returns {Object}
+     */
+    function createResult(ticket) {
+        return {
+            ticket,
+            status: ValidationStatus.UNKNOWN,
+            reasonCode: '',
+            reason: '',
+            sheetStatus: (ticket.status || '').toUpperCase(),
+            drawDate: '',
+            matchedRecharge: null,
+            isDay2: false,
+            duplicateOf: null,
+            override: null,
+            computed: null
+        };
+    }
+
+    /**
+     * Apply a manual override to a result (rule 9)
+     * @param {Object} result - Updated in place
+     * @param {Object} override - {status, reason, evidence, setBy, setAt, ...}
+     */
+    function applyOverride(result, override) {
+        result.computed = { status: result.status, reasonCode: result.reasonCode, reason: result.reason };
+        result.override = override;
+        result.status = override.status;
+        result.reasonCode = ReasonCode.MANUAL_OVERRIDE;
+        result.reason = `${REASON_TEXT.MANUAL_OVERRIDE}: ${override.reason || ''}`;
+    }
+
+    /**
+     * Mark a result invalid/unknown with a reason code
+     * @param {Object} result - Updated in place
+     * @param {string} status
+     * @param {string} code
+     * @returns {Object} result
+     */
+    function reject(result, status, code) {
+        result.status = status;
+        result.reasonCode = code;
+        result.reason = REASON_TEXT[code];
+        return result;
+    }
+
+    // ============================================
+    // Matching
+    // ============================================
+
+    /**
+     * Prepare a player's recharges, oldest first, with windows
+     * Recharges below the minimum are kept (usable: false) so traces can list them.
+     * @param {Object[]} recharges
+     * @returns {Object[]} [{recharge, time, window, day1, day2, usable, boundTo}]
+     */
+    function prepareRecharges(recharges) {
+        return recharges
+            .filter(r => isValidDate(r.rechargeTime))
+            .sort((a, b) => a.rechargeTime.getTime() - b.rechargeTime.getTime())
+            .map(recharge => {
+                const window = DrawCalendar.getEligibilityWindow(recharge.rechargeTime);
+                return {
+                    recharge,
+                    time: recharge.rechargeTime.getTime(),
+                    window,
+                    day1: DrawCalendar.toDateKey(window.eligible1),
+                    day2: DrawCalendar.toDateKey(window.eligible2),
+                    usable: !(Number(recharge.amount) < MIN_RECHARGE_AMOUNT),
+                    boundTo: null
+                };
+            });
+    }
+
+    /**
+     * Check whether a recharge window covers a ticket (rule 4)
+     * @param {Object} candidate - From prepareRecharges
+     * @param {number} time - Ticket registration time (ms)
+     * @param {string} drawDate - Ticket draw ("YYYY-MM-DD")
+     * @returns {boolean}
+     */
+    function covers(candidate, time, drawDate) {
+        return candidate.time < time &&
+            time < candidate.window.expiresAt.getTime() &&
+            (drawDate === candidate.day1 || drawDate === candidate.day2);
+    }
+
+    /**
+     * Validate one player's tickets against their recharges (rules 4-6)
+     * @param {Object[]} tickets - Same platform + Game ID
+     * @param {Object[]} recharges - Same platform + Game ID
+     * @param {Map} out - Entry -> result
+     * @returns {Object[]} Prepared recharges with their bindings
+     */
+    function validatePlayer(tickets, recharges, out) {
+        const prepared = prepareRecharges(recharges);
+        const candidates = prepared.filter(c => c.usable);
+        const byTicketKey = new Map();
+
+        const ordered = tickets
+            .map((ticket, index) => ({ ticket, index }))
+            .sort((a, b) => {
+                const ta = isValidDate(a.ticket.parsedDate) ? a.ticket.parsedDate.getTime() : Infinity;
+                const tb = isValidDate(b.ticket.parsedDate) ? b.ticket.parsedDate.getTime() : Infinity;
+                return ta - tb || a.index - b.index;
+            });
+
+        for (const { ticket } of ordered) {
+            const result = createResult(ticket);
+            out.set(ticket, result);
+
+            if (ticket.ticketKey && byTicketKey.has(ticket.ticketKey)) {
+                const original = byTicketKey.get(ticket.ticketKey);
+                Object.assign(result, original, { ticket, sheetStatus: result.sheetStatus, duplicateOf: original.ticket });
+                continue;
+            }
+            if (ticket.ticketKey) byTicketKey.set(ticket.ticketKey, result);
+
+            if (!isValidDate(ticket.parsedDate)) {
+                reject(result, ValidationStatus.INVALID, ReasonCode.INVALID_TICKET_TIME);
+                continue;
+            }
+
+            const time = ticket.parsedDate.getTime();
+            result.drawDate = getTicketDrawDate(ticket);
+
+            const earlier = candidates.filter(c => c.time < time);
+            const covering = earlier.filter(c => covers(c, time, result.drawDate));
+            const match = covering.find(c => !c.boundTo);
+
+            if (match) {
+                match.boundTo = ticket;
+                result.status = ValidationStatus.VALID;
+                result.isDay2 = result.drawDate === match.day2;
+                result.reason = `Matched recharge R$${match.recharge.amount || '?'}${result.isDay2 ? ' (Day 2)' : ''}`;
+                result.matchedRecharge = {
+                    gameId: match.recharge.gameId,
+                    platform: match.recharge.platform || DEFAULT_PLATFORM,
+                    rechargeId: match.recharge.rechargeId,
+                    amount: match.recharge.amount,
+                    rechargeTime: match.recharge.rechargeTime,
+                    eligible1: match.window.eligible1,
+                    eligible2: match.window.eligible2,
+                    expiresAt: match.window.expiresAt
+                };
+                continue;
+            }
+
+            let code = ReasonCode.NO_ELIGIBLE_RECHARGE;
+            if (candidates.length > 0 && earlier.length === 0) {
+                code = ReasonCode.INVALID_TICKET_BEFORE_RECHARGE;
+            } else if (covering.length > 0) {
+                code = ReasonCode.INVALID_NOT_FIRST_TICKET_AFTER_RECHARGE;
+            } else if (earlier.some(c => time >= c.window.expiresAt.getTime() || result.drawDate > c.day2)) {
+                code = ReasonCode.INVALID_RECHARGE_WINDOW_EXPIRED;
+            }
+            reject(result, ValidationStatus.INVALID, code);
+        }
+
+        return prepared;
+    }
+
+    /**
+     * Carry a player's earlier results over to the same tickets (rows reloaded)
+     * The rule-based outcome is kept; overrides are applied again afterwards.
+     * @param {Object[]} tickets - Same platform + Game ID
+     * @param {Map} ids - Entry -> occurrence id
+     * @param {Map} previousById - Occurrence id -> earlier result
+     * @param {Map} out - Entry -> result
+     * @returns {boolean} False (nothing written) when a ticket has no earlier result
+     */
+    function carryOver(tickets, ids, previousById, out) {
+        const previous = tickets.map(ticket => previousById.get(ids.get(ticket)));
+        if (previous.some(result => !result)) return false;
+
+        const byOldTicket = new Map(previous.map((result, index) => [result.ticket, tickets[index]]));
+        tickets.forEach((ticket, index) => {
+            const result = previous[index];
+            out.set(ticket, {
+                ...result,
+                ...(result.computed || {}),
+                ticket,
+                sheetStatus: (ticket.status || '').toUpperCase(),
+                duplicateOf: result.duplicateOf ? byOldTicket.get(result.duplicateOf) || null : null,
+                override: null,
+                computed: null
+            });
+        });
+        return true;
+    }
+
+    // ============================================
+    // Reload Diff
+    // ============================================
+
+    /**
+     * Fields of an entry that binding reads, besides its id
+     * @param {Object} entry
+     * @returns {string}
+     */
+    function entrySignature(entry) {
+        return `${getPlayerKey(entry)}|${entry.timestamp || ''}|${entry.drawDate || ''}`;
+    }
+
+    /**
+     * Fields of a recharge that binding reads, besides its id
+     * @param {Object} recharge
+     * @returns {string}
+     */
+    function rechargeSignature(recharge) {
+        const time = isValidDate(recharge.rechargeTime) ? recharge.rechargeTime.getTime() : '';
+        return `${getPlayerKey(recharge)}|${time}|${recharge.amount}`;
+    }
+
+    /**
+     * Compare two loads of the sheets by stable ids (getTicketId,
+     * getRechargeId)
+     * The sheets are append-only in practice, so usually only addedEntries
+     * and addedRecharges are filled. `players` lists every platform_gameId
+     * whose tickets or recharges were added, removed or edited; validate()
+     * can carry over the results of all other players (options.reuse).
+     * @param {Object} previous - {entries, recharges}
+     * @param {Object} current - {entries, recharges}
+     * @returns {Object} {addedEntries, addedRecharges, removedEntries, removedRecharges, players: Set}
+     */
+    function diffRows(previous, current) {
+        const players = new Set();
+
+        const compare = (before, after, idOf, signatureOf) => {
+            const old = new Map();
+            occurrenceIds(before, idOf).forEach((id, index) => old.set(id, before[index]));
+
+            const added = [];
+            occurrenceIds(after, idOf).forEach((id, index) => {
+                const row = after[index];
+                const was = old.get(id);
+                if (!was) {
+                    added.push(row);
+                    players.add(getPlayerKey(row));
+                    return;
+                }
+                old.delete(id);
+                if (signatureOf(was) !== signatureOf(row)) {
+                    players.add(getPlayerKey(was));
+                    players.add(getPlayerKey(row));
+                }
+            });
+
+            // Whatever is left was removed from the sheet
+            old.forEach(row => players.add(getPlayerKey(row)));
+            return { added, removed: old.size };
+        };
+
+        const entries = compare(previous.entries || [], current.entries || [], getTicketId, entrySignature);
+        const recharges = compare(previous.recharges || [], current.recharges || [], getRechargeId, rechargeSignature);
+
+        return {
+            addedEntries: entries.added,
+            addedRecharges: recharges.added,
+            removedEntries: entries.removed,
+            removedRecharges: recharges.removed,
+            players
+        };
+    }
+
+    // ============================================
+    // Validation
+    // ============================================
+
+    /**
+     * Count results by status and reason
+     * @param {Object[]} results - Engine results
+     * @returns {Object} {total, valid, invalid, unknown, day2Valid, byReason}
+     */
+    function summarize(results) {
+        const stats = { total: results.length, valid: 0, invalid: 0, unknown: 0, day2Valid: 0, byReason: {} };
+
+        results.forEach(r => {
+            if (r.status === ValidationStatus.VALID) {
+                stats.valid++;
+                if (r.isDay2) stats.day2Valid++;
+            } else if (r.status === ValidationStatus.INVALID) {
+                stats.invalid++;
+            } else {
+                stats.unknown++;
+            }
+            if (r.reasonCode) {
+                stats.byReason[r.reasonCode] = (stats.byReason[r.reasonCode] || 0) + 1;
+            }
+        });
+
+        return stats;
+    }
+
+    /**
+     * Validate tickets against recharges
+     * Pass every ticket of the players involved: one ticket alone cannot know
+     * whether an earlier ticket already used its recharge.
+     * @param {Object[]} entries - Entries (SheetParser.parseEntryRow shape)
+     * @param {Object[]} recharges - Recharges (SheetParser.parseRechargeRow shape, with platform)
+     * @param {Object} [options]
+     * @param {Map} [options.overrides] - getTicketId -> {status: 'VALID'|'INVALID', reason, evidence, setBy, setAt}
+     * @param {Function} [options.onProgress] - Called with the share of players done (0-100)
+     * @param {Object} [options.reuse] - {validation, players}: carry over the results of an
+     *                 earlier validate() (same draw calendar) for every player not in
+     *                 `players` instead of binding them again, see diffRows
+     * @returns {Object} {results (input order), byEntry: Map(entry -> result),
+     *                    players: Map(platform_gameId -> prepared recharges), stats, rechargeCount}
+     *                    players is null when results were carried over; validate the
+     *                    player again to explain() a ticket
+     */
+    function validate(entries, recharges, options = {}) {
+        entries = entries || [];
+        recharges = recharges || [];
+        const byEntry = new Map();
+        const players = new Map();
+        let carried = 0;
+
+        if (recharges.length === 0) {
+            entries.forEach(entry => {
+                byEntry.set(entry, reject(createResult(entry), ValidationStatus.UNKNOWN, ReasonCode.NO_RECHARGE_DATA));
+            });
+        } else {
+            const rechargesByPlayer = new Map();
+            recharges.forEach(r => {
+                if (!r.gameId) return;
+                const key = getPlayerKey(r);
+                if (!rechargesByPlayer.has(key)) rechargesByPlayer.set(key, []);
+                rechargesByPlayer.get(key).push(r);
+            });
+
+            const ticketsByPlayer = new Map();
+            entries.forEach(entry => {
+                if (!entry.gameId) {
+                    byEntry.set(entry, reject(createResult(entry), ValidationStatus.INVALID, ReasonCode.MISSING_GAME_ID));
+                    return;
+                }
+                const key = getPlayerKey(entry);
+                if (!ticketsByPlayer.has(key)) ticketsByPlayer.set(key, []);
+                ticketsByPlayer.get(key).push(entry);
+            });
+
+            const reuse = options.reuse;
+            let ids = null;
+            let previousById = null;
+            if (reuse && reuse.validation && reuse.validation.rechargeCount > 0) {
+                const previous = reuse.validation.results;
+                ids = new Map(occurrenceIds(entries, getTicketId).map((id, index) => [entries[index], id]));
+                previousById = new Map(occurrenceIds(previous.map(r => r.ticket), getTicketId).map((id, index) => [id, previous[index]]));
+            }
+
+            let done = 0;
+            ticketsByPlayer.forEach((tickets, key) => {
+                if (previousById && !reuse.players.has(key) && carryOver(tickets, ids, previousById, byEntry)) {
+                    carried++;
+                } else {
+                    players.set(key, validatePlayer(tickets, rechargesByPlayer.get(key) || [], byEntry));
+                }
+                if (options.onProgress && ++done % 200 === 0) {
+                    options.onProgress(Math.round((done / ticketsByPlayer.size) * 100));
+                }
+            });
+        }
+
+        const overrides = options.overrides;
+        if (overrides && overrides.size > 0) {
+            entries.forEach(entry => {
+                const override = overrides.get(getTicketId(entry));
+                if (override && ValidationStatus[override.status]) {
+                    applyOverride(byEntry.get(entry), override);
+                }
+            });
+        }
+
+        const results = entries.map(entry => byEntry.get(entry));
+        return {
+            results,
+            byEntry,
+            players: carried > 0 ? null : players,
+            stats: summarize(results),
+            rechargeCount: recharges.length
+        };
+    }
+
+    // ============================================
+    // Trace
+    // ============================================
+
+    /**
+     * Step-by-step account of how a ticket got its result
+     * Candidates are every recharge of the same platform + Game ID, oldest
+     * first, with the rule that bound or skipped it for this ticket.
+     * competingTicket is the entry that holds the recharge, when another does.
+     * @param {Object} validation - validate() output that includes the entry
+     * @param {Object} entry - Entry to explain
+     * @returns {Object|null} {ticket, status, reasonCode, reason, drawDate, drawSource,
+     *                         duplicateOf, steps: [{rule, passed, text}],
+     *                         candidates: [{rechargeId, amount, rechargeTime, eligible1,
+     *                         eligible2, expiresAt, rule, text, competingTicket}]}
+     */
+    function explain(validation, entry) {
+        const result = validation && validation.byEntry.get(entry);
+        if (!result) return null;
+
+        const source = result.duplicateOf ? validation.byEntry.get(result.duplicateOf) : result;
+        const ticket = source.ticket;
+        const steps = [];
+        const step = (rule, passed, text) => steps.push({ rule, passed, text });
+        const trace = {
+            ticket: entry,
+            status: result.status,
+            reasonCode: result.reasonCode,
+            reason: result.reason,
+            override: result.override,
+            drawDate: source.drawDate,
+            drawSource: '',
+            duplicateOf: result.duplicateOf,
+            steps,
+            candidates: []
+        };
+
+        if (result.duplicateOf) {
+            step('DUPLICATE', true, `Same submission as an earlier row (ticket key ${entry.ticketKey}); its result is reused`);
+        }
+
+        const computed = result.computed || result;
+        const finish = () => {
+            if (result.override) {
+                step('OVERRIDE', result.status === ValidationStatus.VALID,
+                    `Rules said ${computed.status}; overridden to ${result.status} by ${result.override.setBy || 'unknown'}: ${result.override.reason || ''}`);
+            }
+            return trace;
+        };
+
+        if (computed.reasonCode === ReasonCode.NO_RECHARGE_DATA) {
+            step('RECHARGE_DATA', false, REASON_TEXT.NO_RECHARGE_DATA);
+            return finish();
+        }
+
+        step('GAME_ID', !!ticket.gameId, ticket.gameId ? `Game ID ${ticket.gameId}` : REASON_TEXT.MISSING_GAME_ID);
+        if (!ticket.gameId) return finish();
+
+        const validTime = isValidDate(ticket.parsedDate);
+        step('TICKET_TIME', validTime, validTime
+            ? `Registered ${ticket.timestamp || ticket.parsedDate.toISOString()}`
+            : REASON_TEXT.INVALID_TICKET_TIME);
+        if (!validTime) return finish();
+
+        trace.drawSource = normalizeDrawDate(ticket.drawDate) ? 'sheet' : 'registration time';
+        step('DRAW', !!source.drawDate, source.drawDate
+            ? `Plays the ${source.drawDate} draw (from ${trace.drawSource === 'sheet' ? 'DATA SORTEIO' : 'the registration time'})`
+            : 'Draw date could not be determined');
+
+        const platform = (ticket.platform || DEFAULT_PLATFORM).toUpperCase();
+        const prepared = validation.players.get(getPlayerKey(ticket)) || [];
+        step('RECHARGES', prepared.length > 0, `${prepared.length} recharge(s) for ${platform} Game ID ${ticket.gameId}`);
+
+        const time = ticket.parsedDate.getTime();
+        const matchTime = source.matchedRecharge ? source.matchedRecharge.rechargeTime.getTime() : Infinity;
+
+        trace.candidates = prepared.map(c => {
+            let rule;
+            if (c.boundTo === ticket) rule = CandidateRule.BOUND;
+            else if (!c.usable) rule = CandidateRule.BELOW_MINIMUM;
+            else if (c.time >= time) rule = CandidateRule.AFTER_TICKET;
+            else if (time >= c.window.expiresAt.getTime()) rule = CandidateRule.WINDOW_EXPIRED;
+            else if (!covers(c, time, source.drawDate)) rule = CandidateRule.DRAW_NOT_COVERED;
+            else if (c.boundTo && c.time < matchTime) rule = CandidateRule.USED_BY_EARLIER_TICKET;
+            else rule = CandidateRule.NOT_NEEDED;
+
+            return {
+                rechargeId: c.recharge.rechargeId,
+                amount: c.recharge.amount,
+                rechargeTime: c.recharge.rechargeTime,
+                eligible1: c.window.eligible1,
+                eligible2: c.window.eligible2,
+                expiresAt: c.window.expiresAt,
+                rule,
+                text: CANDIDATE_RULE_TEXT[rule],
+                competingTicket: c.boundTo && c.boundTo !== ticket ? c.boundTo : null
+            };
+        });
+
+        step('RESULT', computed.status === ValidationStatus.VALID, computed.reason);
+        return finish();
+    }
+
+    /**
+     * Text for a reason code
+     * @param {string} code
+     * @returns {string}
+     */
+    function describeReason(code) {
+        return REASON_TEXT[code] || code || '';
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    global.ValidationEngine = {
+        // Validation
+        validate,
+        summarize,
+        explain,
+        diffRows,
+
+        // Helpers
+        normalizeDrawDate,
+        getTicketDrawDate,
+        getTicketId,
+        getRechargeId,
+        describeReason,
+
+        // Constants
+        ValidationStatus,
+        ReasonCode,
+        REASON_TEXT,
+        CandidateRule,
+        CANDIDATE_RULE_TEXT,
+        MIN_RECHARGE_AMOUNT
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -5,48 +5,53 @@
  * - Matching entries against winning numbers
  * - Filtering for valid entries only
  * - Counting matches (1-5)
- * - Prize calculation: R$1000 split among highest tier per contest
+ * - Prize calculation under the prize rules of each platform (PrizeRules)
  * 
- * Prize Tiers:
- * - 5 matches: Grand Prize
- * - 4 matches: 2nd Prize (only if no 5-match winners)
- * - 3 matches: 3rd Prize (only if no 4+ match winners)
- * - 2 matches: Consolation (only if no 3+ match winners)
+ * Prizes follow the rule version in force on the contest's draw date:
+ * pool, minimum matches, highest-tier or per-tier split, minimum prizes and
+ * rollover. Contests are computed per platform, oldest first, so money a
+ * contest rolls over reaches the next one. The built-in rule is the original
+ * R$1000 split among the highest tier with 3+ matches.
  * 
- * Dependencies: admin-core.js (AdminCore), data-fetcher.js (DataFetcher), results-fetcher.js (ResultsFetcher)
+ * computeAllWinners is the whole calculation with no DOM or cache, so the
+ * compute worker runs it too; calculateAllWinners hands it to ComputeClient
+ * and caches the outcome.
+ * 
+ * Dependencies: draw-calendar.js (DrawCalendar), prize-rules.js (PrizeRules)
+ * On the page also: admin-core.js (AdminCore), data-fetcher.js (DataFetcher),
+ *               data-store.js (DataStore, for ValidationEngine results), compute-client.js (ComputeClient)
  */
 
 // ============================================
 // Winner Calculator Module
 // ============================================
-window.WinnerCalculator = (function() {
+(function(global) {
     'use strict';
 
+    const DrawCalendar = global.DrawCalendar;
+    const PrizeRules = global.PrizeRules;
+
     // ============================================
     // Constants
     // ============================================
     
     /**
-     * Default prize pool per contest (R$)
-     * Can be overridden per platform via AdminCore.getPlatformPrize()
+     * Built-in prize pool per contest (R$), used until a rule version is published
      */
-    const DEFAULT_PRIZE_POOL = 1000;
+    const DEFAULT_PRIZE_POOL = PrizeRules.BUILTIN_RULE.prizePool;
     
     /**
-     * Minimum matches to qualify as a winner (3+ matches = winner)
+     * Built-in minimum matches to qualify as a winner; rule versions can change it
      */
-    const MIN_MATCHES_TO_WIN = 3;
+    const MIN_MATCHES_TO_WIN = PrizeRules.BUILTIN_RULE.minMatches;
 
     /**
-     * Get prize pool for a platform
+     * Get the prize pool currently in force for a platform
      * @param {string} platform - Platform code
      * @returns {number} Prize pool amount
      */
     function getPrizePool(platform) {
-        if (typeof AdminCore !== 'undefined' && AdminCore.getPlatformPrize) {
-            return AdminCore.getPlatformPrize(platform);
-        }
-        return DEFAULT_PRIZE_POOL;
+        return PrizeRules.getRule(platform).prizePool;
     }
     
     /**
@@ -56,17 +61,6 @@ window.WinnerCalculator = (function() {
     const VALID_STATUSES = ['VALID', 'VALIDADO', 'VALIDATED', 'PENDING', ''];
     const INVALID_STATUSES = ['INVALID', 'INVÁLIDO', 'REJECTED', 'CANCELLED'];
     
-    /**
-     * Prize tier names (3+ matches = winner)
-     */
-    const PRIZE_TIERS = {
-        5: { name: 'Jackpot', emoji: '🏆', label: '5 matches', isWinner: true },
-        4: { name: '2nd Prize', emoji: '🥈', label: '4 matches', isWinner: true },
-        3: { name: '3rd Prize', emoji: '🥉', label: '3 matches', isWinner: true },
-        2: { name: 'No Prize', emoji: '❌', label: '2 matches', isWinner: false },
-        1: { name: 'No Prize', emoji: '❌', label: '1 match', isWinner: false }
-    };
-
     // ============================================
     // Match Calculation
     // ============================================
@@ -86,33 +80,53 @@ window.WinnerCalculator = (function() {
     }
 
     /**
-     * Check if an entry has a valid status for winner consideration
-     * An entry is valid unless explicitly marked as invalid
+     * Check an entry's validation result for winner consideration
+     * Uses the validation engine result when there is one. Without recharge
+     * data an entry is valid unless the sheet marks it invalid.
      * @param {Object} entry - Entry object
+     * @param {Object|null} validation - ValidationEngine result of the entry
      * @returns {boolean} True if valid
      */
-    function isValidEntry(entry) {
+    function isValidResult(entry, validation) {
+        if (validation && validation.status !== 'UNKNOWN') {
+            return validation.status === 'VALID';
+        }
+
         const status = (entry.status || '').toUpperCase();
         // Entry is valid unless explicitly marked as invalid
         return !INVALID_STATUSES.includes(status);
     }
 
+    /**
+     * Check if an entry has a valid status for winner consideration
+     * Reads the DataStore validation results
+     * @param {Object} entry - Entry object
+     * @returns {boolean} True if valid
+     */
+    function isValidEntry(entry) {
+        const loaded = typeof DataStore !== 'undefined' && DataStore.isLoaded();
+        return isValidResult(entry, loaded ? DataStore.validateEntry(entry) : null);
+    }
+
     // ============================================
     // Winner Calculation
     // ============================================
     
     /**
      * Calculate winners for a single contest
-     * @param {Object[]} entries - Entries for this contest
+     * @param {Object[]} entries - Entries for this contest (one platform)
      * @param {Object} result - Result object with winning numbers
-     * @param {string} platform - Platform code for prize calculation
+     * @param {string} platform - Platform code, selects the prize rule
      * @param {string} contestId - Contest ID (fallback if result doesn't have it)
+     * @param {Object} [carryIn] - Money rolled over from the previous contest, per tier
+     * @param {Function} [isValid] - Entry -> valid for prizes (DataStore results by default)
      * @returns {Object} Winners calculation result
      */
-    function calculateContestWinners(entries, result, platform = 'POPN1', contestId = null) {
+    function calculateContestWinners(entries, result, platform = 'POPN1', contestId = null, carryIn = {}, isValid = isValidEntry) {
         // Get contest ID from result, entries, or parameter
         const contest = result?.contest || contestId || entries[0]?.contest || 'Unknown';
         const drawDate = result?.drawDate || '';
+        const rule = PrizeRules.getRule(platform, DrawCalendar.toDateKey(drawDate) || undefined);
         
         if (!result || result.isNoDraw || result.numbers.length !== 5) {
             return {
@@ -125,7 +139,13 @@ window.WinnerCalculator = (function() {
                 byTier: {},
                 prizePerWinner: 0,
                 winningTier: 0,
-                prizePool: getPrizePool(platform),
+                prizePool: rule.prizePool,
+                totalPrizeAwarded: 0,
+                tierPrizes: {},
+                carriedIn: 0,
+                // Nothing was drawn: rolled-over money waits for the next draw
+                carryOut: carryIn,
+                rule: rule,
                 platform: platform
             };
         }
@@ -133,7 +153,6 @@ window.WinnerCalculator = (function() {
         const winningNumbers = result.numbers;
         const winners = [];
         const byTier = { 5: [], 4: [], 3: [], 2: [], 1: [] };
-        const prizePool = getPrizePool(platform);
         
         // Process each entry
         entries.forEach(entry => {
@@ -146,7 +165,8 @@ window.WinnerCalculator = (function() {
                     ...entry,
                     matches: matchResult.count,
                     matchedNumbers: matchResult.matchedNumbers,
-                    isValidEntry: isValidEntry(entry)
+                    isValidEntry: isValid(entry),
+                    prize: 0
                 };
                 
                 // Add to tier
@@ -154,8 +174,8 @@ window.WinnerCalculator = (function() {
                     byTier[matchResult.count].push(winner);
                 }
                 
-                // Only add to winners list if valid and qualifies
-                if (winner.isValidEntry && matchResult.count >= MIN_MATCHES_TO_WIN) {
+                // Only add to winners list if valid and qualifies under the rule
+                if (winner.isValidEntry && matchResult.count >= rule.minMatches) {
                     winners.push(winner);
                 }
             }
@@ -164,26 +184,16 @@ window.WinnerCalculator = (function() {
         // Sort winners by matches descending
         winners.sort((a, b) => b.matches - a.matches);
         
-        // Determine winning tier (highest tier with valid winners)
-        let winningTier = 0;
-        for (let tier = 5; tier >= MIN_MATCHES_TO_WIN; tier--) {
-            const validWinners = byTier[tier].filter(w => w.isValidEntry);
-            if (validWinners.length > 0) {
-                winningTier = tier;
-                break;
-            }
-        }
-        
-        // Calculate prize per winner (prize goes to highest tier only)
-        let prizePerWinner = 0;
-        let totalPrizeAwarded = 0;
-        if (winningTier > 0) {
-            const tierWinners = byTier[winningTier].filter(w => w.isValidEntry);
-            if (tierWinners.length > 0) {
-                prizePerWinner = prizePool / tierWinners.length;
-                totalPrizeAwarded = prizePool;
-            }
-        }
+        // Share the pool (plus any rollover) among the valid tickets of each tier
+        const counts = {};
+        PrizeRules.TIERS.forEach(tier => {
+            counts[tier] = byTier[tier].filter(w => w.isValidEntry).length;
+        });
+        const prizes = PrizeRules.calculatePrizes(rule, counts, carryIn);
+        winners.forEach(w => {
+            w.prize = prizes.tiers[w.matches] ? prizes.tiers[w.matches].prizePerWinner : 0;
+        });
+        const winningTier = prizes.winningTier;
         
         return {
             contest: contest,
@@ -191,67 +201,89 @@ window.WinnerCalculator = (function() {
             winningNumbers: winningNumbers,
             hasResult: true,
             totalEntries: entries.length,
-            validEntries: entries.filter(isValidEntry).length,
+            validEntries: entries.filter(isValid).length,
             winners: winners,
             byTier: byTier,
             winningTier: winningTier,
-            prizePerWinner: prizePerWinner,
-            prizePool: prizePool,
-            totalPrizeAwarded: totalPrizeAwarded,
-            tierInfo: PRIZE_TIERS[winningTier] || null,
+            prizePerWinner: winningTier > 0 ? prizes.tiers[winningTier].prizePerWinner : 0,
+            prizePool: rule.prizePool,
+            totalPrizeAwarded: prizes.totalPrizeAwarded,
+            tierPrizes: prizes.tiers,
+            carriedIn: prizes.carriedIn,
+            carryOut: prizes.carryOut,
+            rule: rule,
+            tierInfo: winningTier > 0 ? PrizeRules.getTierInfo(rule, winningTier, prizes) : null,
             platform: platform
         };
     }
 
     /**
-     * Calculate winners for all contests with caching
+     * Sort contest IDs oldest first
+     * @param {string[]} contests
+     * @returns {string[]} Sorted copy
+     */
+    function sortContestsAscending(contests) {
+        return [...contests].sort((a, b) => (parseInt(a, 10) || 0) - (parseInt(b, 10) || 0));
+    }
+
+    /**
+     * Group entries by contest number
+     * @param {Object[]} entries - Entry objects
+     * @returns {Object} Contest -> entries
+     */
+    function groupByContest(entries) {
+        const grouped = {};
+        entries.forEach(entry => {
+            const contest = entry.contest || 'Unknown';
+            if (!grouped[contest]) grouped[contest] = [];
+            grouped[contest].push(entry);
+        });
+        return grouped;
+    }
+
+    /**
+     * Calculate winners for all contests
+     * Each platform is computed on its own, under its own prize rules; with
+     * 'ALL' the contest results of both platforms are listed side by side.
+     * Synchronous and self-contained: the compute worker runs it as is.
      * @param {Object[]} entries - All entries
      * @param {Object[]} results - All results
      * @param {string} platform - Platform code for prize calculation
-     * @returns {Object} Complete winners calculation
+     * @param {Object} [options]
+     * @param {Function} [options.isValid] - Entry -> valid for prizes (DataStore results by default)
+     * @param {Function} [options.onProgress] - Called with the computed percentage (0-100)
+     * @returns {Object} Complete winners calculation {contestResults, allWinners, stats, platform}
      */
-    async function calculateAllWinners(entries, results, platform = 'ALL') {
-        // Check cache first (include platform in cache key)
-        const cacheKey = `${DataFetcher.simpleHash(entries)}-${DataFetcher.simpleHash(results)}-${platform}`;
-        if (DataFetcher.isWinnersCacheValid(entries, results)) {
-            const cached = DataFetcher.getCachedWinners();
-            if (cached && cached.platform === platform) {
-                console.log('Using cached winner calculations');
-                return cached;
-            }
-        }
-        
-        console.log('Computing winner calculations for platform:', platform);
-        
-        // Filter entries by platform if not ALL
-        let filteredEntries = entries;
-        if (platform && platform !== 'ALL' && typeof DataStore !== 'undefined') {
-            filteredEntries = DataStore.filterByPlatform(entries, platform);
-        }
+    function computeAllWinners(entries, results, platform = 'ALL', options = {}) {
+        const isValid = options.isValid || isValidEntry;
+        const platforms = platform === 'ALL' ? PrizeRules.PLATFORMS : [platform];
         
-        // Group entries by contest
-        const entriesByContest = DataFetcher.groupEntriesByContest(filteredEntries);
-        
-        // Create results lookup map and collect all contest IDs
+        // Create results lookup map
         const resultsMap = new Map();
-        const allContestIds = new Set();
         results.forEach(r => {
-            if (r.contest) {
-                resultsMap.set(r.contest, r);
-                allContestIds.add(r.contest);
-            }
+            if (r.contest) resultsMap.set(r.contest, r);
         });
         
-        // Also add contests from entries (in case a contest has entries but no result yet)
-        Object.keys(entriesByContest).forEach(contest => allContestIds.add(contest));
-        
-        // Determine the effective platform for prize calculation
-        const effectivePlatform = platform === 'ALL' ? 'DEFAULT' : platform;
-        const prizePool = getPrizePool(effectivePlatform);
+        // Group entries by platform, then contest
+        const byPlatform = {};
+        platforms.forEach(code => { byPlatform[code] = []; });
+        entries.forEach(e => {
+            const code = (e.platform || 'POPN1').toUpperCase();
+            if (byPlatform[code]) byPlatform[code].push(e);
+        });
+        const plans = platforms.map(code => {
+            const entriesByContest = groupByContest(byPlatform[code]);
+            // All contests with a result or entries, oldest first for rollover
+            const contestKeys = sortContestsAscending(new Set([...resultsMap.keys(), ...Object.keys(entriesByContest)]));
+            return { code, entriesByContest, contestKeys };
+        });
+        const totalContests = plans.reduce((sum, plan) => sum + plan.contestKeys.length, 0);
         
         // Calculate winners for each contest
         const contestResults = [];
         const allWinners = [];
+        const drawnContests = new Set();
+        const contestsWithWinners = new Set();
         const stats = {
             totalContests: 0,
             contestsWithWinners: 0,
@@ -259,29 +291,29 @@ window.WinnerCalculator = (function() {
             totalWinners: 0,
             totalPrizeAwarded: 0,
             platform: platform,
-            prizePool: prizePool
+            prizePool: platforms.reduce((sum, p) => sum + getPrizePool(p), 0),
+            rolloverPending: 0
         };
         
-        // Process all contests (both with entries and with results)
-        const contestKeys = Array.from(allContestIds);
-        const batchSize = 10;
+        let processed = 0;
         
-        for (let i = 0; i < contestKeys.length; i += batchSize) {
-            const batch = contestKeys.slice(i, i + batchSize);
+        for (const { code, entriesByContest, contestKeys } of plans) {
+            let carry = {};
             
-            for (const contest of batch) {
+            for (const contest of contestKeys) {
                 const contestEntries = entriesByContest[contest] || []; // Empty array if no entries for this platform
                 const result = resultsMap.get(contest);
-                const contestWinners = calculateContestWinners(contestEntries, result, effectivePlatform, contest);
+                const contestWinners = calculateContestWinners(contestEntries, result, code, contest, carry, isValid);
+                carry = contestWinners.carryOut;
                 
                 contestResults.push(contestWinners);
                 
                 if (contestWinners.hasResult) {
-                    stats.totalContests++;
+                    drawnContests.add(contest);
                     
                     if (contestWinners.winningTier > 0) {
-                        stats.contestsWithWinners++;
-                        stats.totalPrizeAwarded += contestWinners.totalPrizeAwarded || prizePool;
+                        contestsWithWinners.add(contest);
+                        stats.totalPrizeAwarded += contestWinners.totalPrizeAwarded;
                     }
                     
                     // Count by tier (only valid entries)
@@ -293,29 +325,58 @@ window.WinnerCalculator = (function() {
                     // Add winners to all winners list
                     allWinners.push(...contestWinners.winners);
                 }
+                
+                if (options.onProgress && ++processed % 10 === 0) {
+                    options.onProgress(Math.round((processed / totalContests) * 100));
+                }
             }
             
-            // Yield to main thread after each batch for UI responsiveness
-            if (i + batchSize < contestKeys.length) {
-                await new Promise(resolve => setTimeout(resolve, 5));
-            }
+            // Money still waiting for a winner on this platform
+            stats.rolloverPending += Object.values(carry).reduce((sum, v) => sum + v, 0);
         }
         
+        stats.totalContests = drawnContests.size;
+        stats.contestsWithWinners = contestsWithWinners.size;
         stats.totalWinners = allWinners.length;
         
         // Sort contest results by contest number descending
         contestResults.sort((a, b) => {
             const numA = parseInt(a.contest, 10) || 0;
             const numB = parseInt(b.contest, 10) || 0;
-            return numB - numA;
+            return numB - numA || String(a.platform).localeCompare(String(b.platform));
         });
         
-        const result = {
+        return {
             contestResults,
             allWinners,
             stats,
             platform
         };
+    }
+
+    /**
+     * Calculate winners for all contests with caching
+     * Runs computeAllWinners in the compute worker when the page has one.
+     * @param {Object[]} entries - All entries
+     * @param {Object[]} results - All results
+     * @param {string} platform - Platform code for prize calculation
+     * @returns {Promise<Object>} Complete winners calculation
+     */
+    async function calculateAllWinners(entries, results, platform = 'ALL') {
+        // Check cache first (the cached calculation must be for the same platform)
+        if (DataFetcher.isWinnersCacheValid(entries, results)) {
+            const cached = DataFetcher.getCachedWinners();
+            if (cached && cached.platform === platform) {
+                console.log('Using cached winner calculations');
+                return cached;
+            }
+        }
+        
+        console.log('Computing winner calculations for platform:', platform);
+        
+        const result = typeof ComputeClient !== 'undefined'
+            ? await ComputeClient.computeWinners(entries, results, platform)
+            : computeAllWinners(entries, results, platform);
         
         // Cache the results
         DataFetcher.setCachedWinners(
@@ -549,11 +610,13 @@ window.WinnerCalculator = (function() {
     // ============================================
     // Public API
     // ============================================
-    return {
+    global.WinnerCalculator = {
         // Calculation
         countMatches,
         isValidEntry,
+        isValidResult,
         calculateContestWinners,
+        computeAllWinners,
         calculateAllWinners,
         getPrizePool,
         
@@ -570,8 +633,6 @@ window.WinnerCalculator = (function() {
         // Constants
         DEFAULT_PRIZE_POOL,
         MIN_MATCHES_TO_WIN,
-        VALID_STATUSES,
-        PRIZE_TIERS
+        VALID_STATUSES
     };
-})();
-
+})(typeof window !== 'undefined' ? window : globalThis);
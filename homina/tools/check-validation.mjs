@@ -0,0 +1,202 @@
+/**
+ * POP-SORTE Admin Dashboard - Validation Golden Check
+ *
+ *   node homina/tools/check-validation.mjs            compare with the golden file
+ *   node homina/tools/check-validation.mjs --update   rewrite the golden file
+ *
+ * Runs ValidationEngine over the sheet exports kept in homina/ and compares
+ * the outcome with fixtures/validation-golden.json. Any rule change that moves
+ * a ticket shows up here; when the move is intended, update the golden file
+ * and commit it with the rule change.
+ *
+ * Sources (read as the dashboard reads the live sheets):
+ * - SORTE ADMIN - SORTE.csv            entries, current sheet layout
+ * - RECHARGE POPN1 - Sheet1 (7).csv    POPN1 recharges, original export layout
+ *                                      (Member ID, Order Number, ..., Record Time
+ *                                      MM/DD/YYYY in column 5, Change Amount in 8)
+ *
+ * The golden file holds the overall stats and, for every ticket whose Game ID
+ * has a recharge in the export, [sheet row, status, reason code, recharge id,
+ * Day 2]. Uses the built-in draw calendar exceptions.
+ *
+ * Needs Node 20 and nothing else. Exits 1 when the output differs.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import '../../draw-calendar.js';
+import '../js/validation-engine.js';
+
+const { DrawCalendar, ValidationEngine } = globalThis;
+
+const ENTRIES_CSV = 'SORTE ADMIN - SORTE.csv';
+const RECHARGES_CSV = 'RECHARGE POPN1 - Sheet1 (7).csv';
+const GOLDEN_FILE = 'fixtures/validation-golden.json';
+
+const homina = fileURLToPath(new URL('..', import.meta.url));
+
+// ============================================
+// CSV
+// ============================================
+
+/**
+ * Parse CSV text into rows (quoted fields, "" escapes)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field); field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); rows.push(row);
+            row = []; field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field || row.length) { row.push(field); rows.push(row); }
+    return rows;
+}
+
+/**
+ * Read a CSV next to index.html, without its header row
+ * @param {string} name
+ * @returns {string[][]}
+ */
+function readCsv(name) {
+    return parseCsv(readFileSync(homina + name, 'utf8')).slice(1);
+}
+
+/**
+ * "DD/MM/YYYY HH:MM[:SS]" (BRT) to Date
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function parseBrazilDateTime(value) {
+    const match = String(value || '').trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    if (!match) return null;
+
+    const [, d, m, y, hh, mm, ss] = match;
+    return DrawCalendar.makeBrazilDate(`${y}-${m.padStart(2, '0')}-${d.padStart(2, '0')}`, Number(hh), Number(mm), Number(ss || 0));
+}
+
+// ============================================
+// Sources
+// ============================================
+
+/**
+ * Entries in SheetParser.parseEntryRow shape, plus their sheet row number
+ * @returns {Object[]}
+ */
+function loadEntries() {
+    return readCsv(ENTRIES_CSV)
+        .map((row, index) => ({
+            row: index + 2,
+            timestamp: row[0] || '',
+            parsedDate: parseBrazilDateTime(row[0]),
+            platform: (row[3] || 'POPN1').trim().toUpperCase(),
+            gameId: (row[4] || '').trim(),
+            drawDate: (row[7] || '').trim(),
+            contest: (row[8] || '').trim(),
+            ticketNumber: (row[9] || '').trim(),
+            status: (row[10] || 'PENDING').trim().toUpperCase(),
+            ticketKey: (row[13] || '').trim()
+        }))
+        .filter(entry => entry.timestamp);
+}
+
+/**
+ * Recharges in SheetParser.parseRechargeRow shape
+ * @returns {Object[]}
+ */
+function loadRecharges() {
+    return readCsv(RECHARGES_CSV)
+        .filter(row => /^\d{10}$/.test((row[0] || '').trim()))
+        .map(row => {
+            // Record Time is MM/DD/YYYY in this export
+            const us = (row[5] || '').trim().replace(/^(\d{1,2})\/(\d{1,2})\//, '$2/$1/');
+            return {
+                gameId: row[0].trim(),
+                rechargeId: (row[1] || '').trim(),
+                rechargeTime: parseBrazilDateTime(us),
+                rechargeTimeRaw: row[5] || '',
+                amount: parseFloat(row[8]) || 0,
+                balanceAfter: parseFloat(row[9]),
+                platform: 'POPN1'
+            };
+        })
+        .filter(r => r.rechargeTime && r.amount > 0);
+}
+
+// ============================================
+// Check
+// ============================================
+
+const entries = loadEntries();
+const recharges = loadRecharges();
+const validation = ValidationEngine.validate(entries, recharges);
+const rechargers = new Set(recharges.map(r => r.gameId));
+
+const output = {
+    sources: { entries: ENTRIES_CSV, recharges: RECHARGES_CSV },
+    stats: validation.stats,
+    tickets: validation.results
+        .filter(r => rechargers.has(r.ticket.gameId))
+        .map(r => [
+            r.ticket.row,
+            r.status,
+            r.reasonCode,
+            r.matchedRecharge ? r.matchedRecharge.rechargeId : '',
+            r.isDay2
+        ])
+};
+
+const text = JSON.stringify(output, null, 1).replace(/\[\n\s+([^\[\]{}]*?)\n\s+\]/g, (_, inner) =>
+    `[${inner.split(/,\n\s+/).join(', ')}]`
+) + '\n';
+
+if (process.argv.includes('--update')) {
+    writeFileSync(homina + GOLDEN_FILE, text);
+    console.log(`Wrote ${GOLDEN_FILE}: ${output.tickets.length} tickets`, output.stats);
+    process.exit(0);
+}
+
+let golden;
+try {
+    golden = JSON.parse(readFileSync(homina + GOLDEN_FILE, 'utf8'));
+} catch (error) {
+    console.error(`Cannot read ${GOLDEN_FILE}: ${error.message}. Run with --update to create it.`);
+    process.exit(1);
+}
+
+const expected = new Map(golden.tickets.map(t => [t[0], JSON.stringify(t)]));
+const changed = output.tickets.filter(t => expected.get(t[0]) !== JSON.stringify(t));
+const statsChanged = JSON.stringify(golden.stats) !== JSON.stringify(output.stats);
+
+if (!changed.length && !statsChanged && golden.tickets.length === output.tickets.length) {
+    console.log(`OK: ${output.tickets.length} tickets match ${GOLDEN_FILE}`);
+    process.exit(0);
+}
+
+if (statsChanged) {
+    console.log('Stats differ\n  golden: ', JSON.stringify(golden.stats), '\n  current:', JSON.stringify(output.stats));
+}
+changed.slice(0, 20).forEach(t => {
+    console.log(`Row ${t[0]}\n  golden:  ${expected.get(t[0]) || '(missing)'}\n  current: ${JSON.stringify(t)}`);
+});
+if (changed.length > 20) console.log(`... and ${changed.length - 20} more rows`);
+process.exit(1);
@@ -18,15 +18,7 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
             if (i === maxRetries - 1) throw error;
             
             // Check if error is retryable
-            const shouldRetry = 
-                error.message?.includes('Too Many Requests') ||
-                error.message?.includes('429') ||
-                error.message?.includes('503') ||
-                error.message?.includes('timeout') ||
-                error.message?.includes('Network') ||
-                error.message?.includes('Failed to fetch');
-            
-            if (!shouldRetry) throw error;
+            if (!isRetryableError(error)) throw error;
             
             // Fast retry: 1s, 2s, 3s
             const delay = baseDelay * (i + 1) + Math.random() * 500;
@@ -43,12 +35,20 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
     }
 }
 
-const CONCURSO_REFERENCE = {
-    number: 6903,
-    date: new Date('2025-12-15T00:00:00-03:00') // Explicit Brazil time
-};
+// Connectivity / overload errors are worth retrying; validation errors from the Worker are not
+function isRetryableError(error) {
+    const message = error?.message || '';
+    return message.includes('Too Many Requests') ||
+        message.includes('429') ||
+        message.includes('503') ||
+        message.includes('timeout') ||
+        message.includes('Network') ||
+        message.includes('Failed to fetch') ||
+        message.includes('Load failed'); // Safari
+}
 
-// Sync time with server to prevent client-side clock skew
+// Fallback clock sync for when /api/registration-window cannot be read (see syncRegistrationWindow):
+// the Worker's HEAD Date header, second precision only
 async function syncServerTime() {
     try {
         console.log('⏳ Syncing time with server...');
@@ -153,141 +153,212 @@ function getBrazilDayOfWeek(date) {
     return days.indexOf(weekday);
 }
 
-// Helper to get month in Brazil timezone (0-indexed: 0 = January)
-function getBrazilMonth(date) {
-    const formatter = new Intl.DateTimeFormat('en-US', {
-        timeZone: 'America/Sao_Paulo',
-        month: 'numeric'
-    });
-    return parseInt(formatter.format(date)) - 1;
+// Get weekday name in Portuguese (Brazil timezone)
+function getWeekdayName(date) {
+    const days = ['domingo', 'segunda', 'terça', 'quarta', 'quinta', 'sexta', 'sábado'];
+    return days[getBrazilDayOfWeek(date)];
 }
 
-// Helper to get day of month in Brazil timezone
-function getBrazilDayOfMonth(date) {
-    const formatter = new Intl.DateTimeFormat('en-US', {
-        timeZone: 'America/Sao_Paulo',
-        day: 'numeric'
-    });
-    return parseInt(formatter.format(date));
-}
+// ============================================
+// REGISTRATION WINDOW (server-authoritative)
+// ============================================
+// The Worker decides which draw a ticket enters and freezes registration around each draw.
+// The form mirrors that window with the shared calendar on a clock corrected from the Worker.
+const REGISTRATION_WINDOW_URL = `${API_BASE_URL}/api/registration-window`;
+const REGISTRATION_RESYNC_MS = 5 * 60 * 1000; // 5 minutes
+
+let registrationFreeze = DrawCalendar.DEFAULT_FREEZE;
+let serverRegistrationWindow = null; // Last /api/registration-window response
+let lastRegistrationState = null;
 
-// Draw calendar helpers (BRT)
-function isNoDrawDay(date) {
-    const month = getBrazilMonth(date); // 0-indexed, Brazil timezone
-    const day = getBrazilDayOfMonth(date); // Brazil timezone
-    const isChristmas = month === 11 && day === 25;
-    const isNewYear = month === 0 && day === 1;
-    return isChristmas || isNewYear;
+// Sync clock (millisecond serverTime) and freeze settings; falls back to the HEAD Date header
+async function syncRegistrationWindow() {
+    try {
+        const start = Date.now();
+        const response = await fetch(REGISTRATION_WINDOW_URL, { cache: 'no-store' });
+        const end = Date.now();
+        const data = await response.json().catch(() => ({ error: `HTTP ${response.status}` }));
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+
+        serverTimeOffset = new Date(data.serverTime).getTime() + (end - start) / 2 - end;
+        registrationFreeze = data.freeze || DrawCalendar.DEFAULT_FREEZE;
+        serverRegistrationWindow = data;
+        console.log(`✅ Registration window: ${data.state}, concurso ${data.concurso}, offset ${Math.round(serverTimeOffset)}ms`);
+    } catch (e) {
+        console.warn('⚠️ Registration window unavailable, using local calendar:', e.message);
+        await syncServerTime();
+    }
+    updateRegistrationWindow();
 }
 
-function isEarlyDrawDay(date) {
-    const month = getBrazilMonth(date); // Brazil timezone
-    const day = getBrazilDayOfMonth(date); // Brazil timezone
-    return (month === 11 && (day === 24 || day === 31));
+// Window at the corrected time; the Worker's concurso wins for the same draw
+function getRegistrationWindow() {
+    const registration = DrawCalendar.getRegistrationWindow(getBrazilTime(), registrationFreeze);
+    if (serverRegistrationWindow && serverRegistrationWindow.drawDate === registration.drawDate) {
+        registration.concurso = serverRegistrationWindow.concurso || registration.concurso;
+    }
+    return registration;
 }
 
-function getDrawTimeHour(date) {
-    return isEarlyDrawDay(date) ? 17 : 20;
+// Signed intent for the draw the ticket enters; lets a confirm queued offline keep that draw
+function getRegistrationIntent(registration) {
+    if (!serverRegistrationWindow || serverRegistrationWindow.drawDate !== registration.drawDate) return null;
+    return serverRegistrationWindow.intent || null;
 }
 
-function isValidDrawDay(date) {
-    const isSunday = getBrazilDayOfWeek(date) === 0; // Brazil timezone
-    return !isSunday && !isNoDrawDay(date);
+function isRegistrationClosed() {
+    return getRegistrationWindow().state === DrawCalendar.RegistrationState.CLOSED;
 }
 
-function buildScheduleForDate(dateInput) {
-    const dateStr = typeof dateInput === 'string'
-        ? dateInput.split('T')[0]
-        : getBrazilDateString(dateInput);
+// Lock the form while frozen and show which concurso the ticket will enter
+function updateRegistrationWindow() {
+    const registration = getRegistrationWindow();
+    const isClosed = registration.state === DrawCalendar.RegistrationState.CLOSED;
+
+    const statusEl = document.getElementById('registrationStatus');
+    if (statusEl) {
+        const drawDay = DrawCalendar.startOfDay(registration.drawDate);
+        const target = `<strong>CONCURSO ${registration.concurso}</strong> (${getWeekdayName(drawDay)} ${formatBrazilDateTime(drawDay, { year: '2-digit' })} às ${registration.drawTime})`;
+        const timeOf = (date) => formatBrazilDateTime(date, { hour: '2-digit' });
+
+        if (isClosed) {
+            statusEl.innerHTML = `⛔ Inscrições fechadas durante o sorteio. Reabrem às <strong>${timeOf(registration.reopensAt)}</strong> para o ${target}`;
+        } else if (registration.state === DrawCalendar.RegistrationState.CLOSING) {
+            statusEl.innerHTML = `⏳ Inscrições fecham às <strong>${timeOf(registration.closesAt)}</strong>. Seu bilhete entra no ${target}`;
+        } else {
+            statusEl.innerHTML = `🎯 Seu bilhete entra no ${target}`;
+        }
+        statusEl.className = `registration-status ${registration.state}`;
+    }
 
-    const drawDate = new Date(`${dateStr}T00:00:00-03:00`);
-    const drawHour = getDrawTimeHour(drawDate);
+    if (registration.state !== lastRegistrationState) {
+        const wasClosed = lastRegistrationState === DrawCalendar.RegistrationState.CLOSED;
+        lastRegistrationState = registration.state;
 
-    const cutoff = new Date(`${dateStr}T${drawHour.toString().padStart(2, '0')}:00:00-03:00`);
-    cutoff.setSeconds(cutoff.getSeconds() - 1); // 19:59:59 or 16:59:59
+        updateSubmitButton();
+        const confirmBtn = document.getElementById('btnConfirmEntry');
+        if (confirmBtn) confirmBtn.disabled = isClosed;
 
-    const regStartDate = new Date(drawDate);
-    regStartDate.setDate(regStartDate.getDate() - 1);
-    const regStartStr = getBrazilDateString(regStartDate);
-    const regStart = new Date(`${regStartStr}T20:00:01-03:00`); // 20:00:01 of previous day
+        updateDrawDateDisplay();
+        updateConfirmationWarning();
 
-    return { drawDate, drawHour, cutoff, regStart };
+        // Reopened for the next draw: pick up the Worker's concurso for it
+        if (wasClosed) syncRegistrationWindow();
+    }
 }
 
-function getNextValidDrawDate(fromDate) {
-    const probe = new Date(fromDate);
-    probe.setHours(0, 0, 0, 0);
-
-    for (let i = 0; i < 14; i++) {
-        if (i > 0) probe.setDate(probe.getDate() + 1);
-        if (isValidDrawDay(probe)) {
-            return new Date(probe);
+// ============================================
+// RECHARGE ELIGIBILITY PREVIEW
+// ============================================
+// Asks the Worker whether this Game ID has an unused recharge for the draw the ticket would enter
+// (same Day 1 / Day 2 window homina validates with). Only a preview: homina still decides.
+const ELIGIBILITY_URL = `${API_BASE_URL}/api/tickets/eligibility`;
+const ELIGIBILITY_TIMEOUT_MS = 4000;
+const ELIGIBILITY_DEBOUNCE_MS = 400;
+const ELIGIBILITY_MAX_AGE_MS = 60 * 1000; // Recheck after a minute (recharge may have arrived)
+
+let eligibilityCheck = null; // {key, checkedAt, promise}
+let eligibilityDebounce = null;
+let eligibilityAcknowledgedKey = null; // Player chose to send anyway after the warning
+
+// GET /api/tickets/eligibility; null when the Worker cannot answer
+async function fetchEligibility(gameId, platform) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), ELIGIBILITY_TIMEOUT_MS);
+    try {
+        const params = new URLSearchParams({ gameId, platform });
+        const response = await fetch(`${ELIGIBILITY_URL}?${params}`, { cache: 'no-store', signal: controller.signal });
+        const data = await response.json().catch(() => null);
+        if (!response.ok || !data || !data.success) {
+            throw new Error((data && data.error) || `HTTP ${response.status}`);
         }
+        return data;
+    } catch (e) {
+        console.warn('⚠️ Eligibility preview unavailable:', e.message);
+        return null;
+    } finally {
+        clearTimeout(timeoutId);
     }
-    throw new Error('No valid draw date found in range');
 }
 
-function getCurrentDrawSchedule() {
-    const spNow = getBrazilTime(); // Use corrected Brazil time function
-    const todayStr = getBrazilDateString(spNow);
-    const today = new Date(`${todayStr}T00:00:00-03:00`);
-
-    const todayValid = isValidDrawDay(today);
-    if (todayValid) {
-        const schedule = buildScheduleForDate(todayStr);
-        if (spNow <= schedule.cutoff) {
-            return { ...schedule, now: spNow };
-        }
+// Check the Game ID + platform currently in the popup; reuses a recent answer for the same pair
+function checkEligibility() {
+    const gameId = (document.getElementById('gameId')?.value || '').trim();
+    const platform = getSelectedPlatform();
+    if (!isValidGameId(gameId) || !platform) {
+        eligibilityCheck = null;
+        renderEligibilityPreview(null);
+        return Promise.resolve(null);
     }
 
-    // After cutoff or today invalid: pick next valid draw day (skipping Sundays and blocked days)
-    let probe = new Date(today);
-    for (let i = 0; i < 14; i++) {
-        probe.setDate(probe.getDate() + 1);
-        const probeStr = getBrazilDateString(probe);
-        const probeDate = new Date(`${probeStr}T00:00:00-03:00`);
-        if (isValidDrawDay(probeDate)) {
-            const nextSchedule = buildScheduleForDate(probeStr);
-            return { ...nextSchedule, now: spNow };
-        }
+    const key = `${platform}:${gameId}`;
+    const drawDate = getRegistrationWindow().drawDate;
+    if (eligibilityCheck && eligibilityCheck.key === key && eligibilityCheck.drawDate === drawDate &&
+        Date.now() - eligibilityCheck.checkedAt < ELIGIBILITY_MAX_AGE_MS) {
+        return eligibilityCheck.promise;
     }
-    throw new Error('No valid draw date found');
+
+    const check = { key, drawDate, checkedAt: Date.now(), promise: null };
+    check.promise = fetchEligibility(gameId, platform).then(result => {
+        if (eligibilityCheck === check) renderEligibilityPreview(result);
+        return result ? { ...result, key } : null;
+    });
+    eligibilityCheck = check;
+    renderEligibilityPreview(undefined);
+    return check.promise;
 }
 
-// Calculate concurso number based on draw date while skipping non-draw days (Sundays + holiday closures)
-function calculateConcurso(drawDate) {
-    const refDateStr = getBrazilDateString(CONCURSO_REFERENCE.date);
-    const targetDateStr = typeof drawDate === 'string'
-        ? drawDate.split('T')[0]
-        : getBrazilDateString(drawDate);
-
-    const refDate = new Date(`${refDateStr}T12:00:00Z`);      // use noon UTC to avoid DST issues
-    const targetDate = new Date(`${targetDateStr}T12:00:00Z`);
-
-    let daysDiff = 0;
-    let cursor = new Date(refDate);
-    const step = targetDate >= refDate ? 1 : -1;
-
-    while ((step === 1 && cursor < targetDate) || (step === -1 && cursor > targetDate)) {
-        cursor.setUTCDate(cursor.getUTCDate() + step);
-        const cursorStr = cursor.toISOString().split('T')[0];
-        const cursorBrazil = new Date(`${cursorStr}T12:00:00-03:00`);
-        if (isValidDrawDay(cursorBrazil)) {
-            daysDiff += 1;
-        }
+function scheduleEligibilityCheck() {
+    clearTimeout(eligibilityDebounce);
+    eligibilityDebounce = setTimeout(checkEligibility, ELIGIBILITY_DEBOUNCE_MS);
+}
+
+// Text for an eligibility answer (null = unknown, undefined = checking)
+function renderEligibilityPreview(result) {
+    const el = document.getElementById('eligibilityPreview');
+    if (!el) return;
+
+    if (result === undefined) {
+        el.className = 'eligibility-preview';
+        el.textContent = '🔎 Verificando sua recarga...';
+        return;
+    }
+    if (!result) {
+        el.className = 'eligibility-preview';
+        el.innerHTML = '';
+        return;
     }
 
-    return CONCURSO_REFERENCE.number + daysDiff * step;
-}
+    const target = `<strong>CONCURSO ${result.concurso}</strong>`;
+    let message;
+    if (result.eligible) {
+        message = `✅ Recarga encontrada: este bilhete será válido para o ${target}`;
+    } else if (result.reasonCode === 'INVALID_NOT_FIRST_TICKET_AFTER_RECHARGE') {
+        message = `⚠️ Sua recarga já foi usada em outro bilhete. Você precisa recarregar de novo para o ${target}`;
+    } else if (result.reasonCode === 'INVALID_RECHARGE_WINDOW_EXPIRED') {
+        message = `⚠️ Sua última recarga não vale para o ${target}. Você precisa recarregar primeiro`;
+    } else {
+        message = `⚠️ Nenhuma recarga encontrada para este ID. Você precisa recarregar primeiro para o ${target}`;
+    }
 
-// Get weekday name in Portuguese (Brazil timezone)
-function getWeekdayName(date) {
-    const days = ['domingo', 'segunda', 'terça', 'quarta', 'quinta', 'sexta', 'sábado'];
-    return days[getBrazilDayOfWeek(date)];
+    el.className = `eligibility-preview ${result.eligible ? 'eligible' : 'not-eligible'}`;
+    el.innerHTML = result.eligible
+        ? message
+        : `${message}<small>Recargas podem levar alguns minutos para aparecer.</small>`;
 }
 
 // Initialize everything immediately (since script is at bottom of body)
-syncServerTime(); // Start time sync
+syncRegistrationWindow(); // Start time sync (registration window from the Worker)
+setInterval(syncRegistrationWindow, REGISTRATION_RESYNC_MS);
+DrawCalendar.onChange(() => {
+    // Holiday/special-draw table changed: contest number and draw time may differ
+    updateDrawDateDisplay();
+    updateConfirmationWarning();
+    updateRegistrationWindow();
+});
+DrawCalendar.loadExceptions(API_BASE_URL);
 generateNumberGrid();
 updateSelectedDisplay();
 updateSubmitButton();
@@ -300,6 +371,7 @@ initPlatformSelection();
 fetchAndPopulateResults();
 bindUiEvents();
 initLatestFiveWidget();
+initPendingTickets();
 
 // Show winner announcement popup on page load
 setTimeout(() => {
@@ -653,6 +725,7 @@ async function fetchAndPopulateResults() {
                                 drawNumber: row[0],
                                 contest: row[0],
                                 date: dateISO,
+                                hasDate: dateParts.length === 3,
                                 numbers: nums
                             };
                             break; // Found the latest valid draw
@@ -666,6 +739,12 @@ async function fetchAndPopulateResults() {
 
         if (!latestResult) throw new Error('Could not fetch results');
 
+        // Anchor contest numbers on the latest official result instead of the fixed reference
+        if (latestResult.hasDate && DrawCalendar.setConcursoAnchor({ number: latestResult.contest, date: latestResult.date })) {
+            updateDrawDateDisplay();
+            updateConfirmationWarning();
+        }
+
         // 2. Calculate Winners from Entries and Results
         let winners = [];
         try {
@@ -998,6 +1077,8 @@ function setupGameIdInput() {
         } else {
             e.target.style.borderColor = '#e5e7eb';
         }
+
+        scheduleEligibilityCheck();
     });
 }
 
@@ -1101,6 +1182,7 @@ function initPlatformSelection() {
     radios.forEach(radio => {
         radio.addEventListener('change', () => {
             if (radio.checked) apply(radio.value);
+            scheduleEligibilityCheck();
         });
     });
 
@@ -1243,7 +1325,7 @@ function surpresinha() {
 function updateSubmitButton() {
     const btn = document.getElementById('submitBtn');
 
-    if (selectedNumbers.length >= 5 && selectedNumbers.length <= 20) {
+    if (selectedNumbers.length >= 5 && selectedNumbers.length <= 20 && !isRegistrationClosed()) {
         btn.disabled = false;
     } else {
         btn.disabled = true;
@@ -1257,15 +1339,22 @@ function showUserInfoPopup() {
         return;
     }
 
+    if (isRegistrationClosed()) {
+        showToast('⛔ Inscrições fechadas durante o sorteio. Aguarde a reabertura.', 'error');
+        return;
+    }
+
     updateConfirmationWarning(); // Update warning with current concurso info
     document.getElementById('userInfoPopup').style.display = 'block';
+    checkEligibility(); // Game ID may still be filled in from an earlier ticket
 }
 
 // Update confirmation warning text
 function updateConfirmationWarning() {
-    const drawDate = getDrawDate();
-    const drawHour = getDrawHour();
-    const concurso = calculateConcurso(drawDate);
+    const registration = getRegistrationWindow();
+    const drawDate = DrawCalendar.startOfDay(registration.drawDate);
+    const drawTime = registration.drawTime;
+    const concurso = registration.concurso;
     const weekday = getWeekdayName(drawDate);
     const formattedDate = formatBrazilDateTime(drawDate, {
         day: '2-digit',
@@ -1273,7 +1362,7 @@ function updateConfirmationWarning() {
         year: '2-digit'
     });
 
-    const warningText = `Está prestes a se cadastrar no <strong>CONCURSO ${concurso}</strong> (${weekday} <strong>${formattedDate}</strong>) às <strong>${drawHour.toString().padStart(2, '0')}:00</strong> BRT.<br><br>
+    const warningText = `Está prestes a se cadastrar no <strong>CONCURSO ${concurso}</strong> (${weekday} <strong>${formattedDate}</strong>) às <strong>${drawTime}</strong> BRT.<br><br>
     Resultado será atualizado no oficial: <a href="https://loterias.caixa.gov.br/Paginas/quina.aspx" target="_blank" style="color: #0b3eccff; text-decoration: underline;">https://loterias.caixa.gov.br/Paginas/quina.aspx</a>.`;
 
     const warningElement = document.getElementById('confirmationWarning');
@@ -1324,23 +1413,6 @@ function closeWinnerPopup() {
     }
 }
 
-// Calculate draw date/time with holiday and early-draw rules (BRT)
-function getDrawDate() {
-    const schedule = getCurrentDrawSchedule();
-    return schedule.drawDate;
-}
-
-function getDrawHour() {
-    const schedule = getCurrentDrawSchedule();
-    return schedule.drawHour;
-}
-
-// Get cutoff period identifier
-function getCutoffPeriod() {
-    const drawDate = getDrawDate();
-    return drawDate.toISOString().split('T')[0];
-}
-
 // ✅ SECURE: CONFIRM ENTRY via Worker API
 let isSubmitting = false; // Prevent double submissions
 
@@ -1350,6 +1422,10 @@ async function confirmEntry() {
         console.log('⚠️ Already submitting, ignoring duplicate click');
         return;
     }
+    if (isRegistrationClosed()) {
+        showToast('⛔ Inscrições fechadas durante o sorteio. Aguarde a reabertura.', 'error');
+        return;
+    }
     isSubmitting = true;
     
     const gameIdRaw = document.getElementById('gameId').value.trim();
@@ -1396,6 +1472,16 @@ async function confirmEntry() {
         return;
     }
 
+    // No recharge for this draw: warn once, a second click sends anyway (homina has the final say).
+    // If the Worker cannot answer, submit as before.
+    const eligibility = await checkEligibility();
+    if (eligibility && !eligibility.eligible && eligibilityAcknowledgedKey !== eligibility.key) {
+        eligibilityAcknowledgedKey = eligibility.key;
+        showToast('⚠️ Nenhuma recarga válida para este concurso. Recarregue primeiro ou toque de novo para enviar assim mesmo.', 'error');
+        isSubmitting = false;
+        return;
+    }
+
     // DEBUG: Show exactly what radio buttons exist and their states
     const allRadios = document.querySelectorAll('input[name="platformChoice"]');
     console.log('══════════════════════════════════════');
@@ -1415,91 +1501,90 @@ async function confirmEntry() {
     closeUserInfoPopup();
     showToast('💾 SALVANDO BILHETE...', 'checking');
 
+    let requestBody = null;
+    let ticketView = null;
+
     try {
-        const drawDate = getDrawDate();
+        const registration = getRegistrationWindow();
+        const drawDate = DrawCalendar.startOfDay(registration.drawDate);
         const numerosFormatted = selectedNumbers.map(n => n.toString().padStart(2, '0')).join(', ');
 
         console.log('Draw date calculated:', drawDate);
 
         // ✅ SECURE: Submit via Worker API with RETRY
         const drawDateStr = getBrazilDateString(drawDate);
-        const concurso = calculateConcurso(drawDate);
+        const concurso = registration.concurso;
+        const spTime = getBrazilTime();
 
         // DEBUG: Log exact request body
-        const requestBody = {
+        // idempotencyKey + createdAt + intent stay the same across retries and offline resubmission
+        requestBody = {
             platform: platform,
             gameId: gameId,
             whatsappNumber: whatsappNumber,
             numerosEscolhidos: numerosFormatted,
             drawDate: drawDateStr,
-            concurso: concurso
+            concurso: concurso,
+            idempotencyKey: TicketQueue.generateKey(),
+            createdAt: spTime.toISOString(),
+            intent: getRegistrationIntent(registration)
         };
         console.log('📤 REQUEST BODY:', JSON.stringify(requestBody, null, 2));
 
-        // ✅ USE RETRY WITH BACKOFF (3 attempts, 1s base delay)
-        const saveResult = await retryWithBackoff(async () => {
-            const response = await fetch(`${API_BASE_URL}/api/tickets/create`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(requestBody)
-            });
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({ error: `HTTP ${response.status}` }));
-                throw new Error(errorData.error || `HTTP ${response.status}`);
-            }
-
-            const result = await response.json();
-            
-            if (!result.success) {
-                throw new Error(result.error || 'Falha ao salvar bilhete');
-            }
+        // Everything bilhete.html needs, captured now so a queued ticket shows its original time
+        ticketView = {
+            gameId: gameId,
+            whatsapp: whatsappNumber,
+            numbers: selectedNumbers.map(n => n.toString().padStart(2, '0')).join(','),
+            time: formatBrazilDateTime(spTime, {
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            }),
+            date: formatBrazilDateTime(drawDate, {
+                day: '2-digit',
+                month: 'long',
+                year: 'numeric'
+            }),
+            concurso: concurso,
+            platform: platform
+        };
 
-            return result;
-        }, 3, 1000); // 3 retries, 1s base delay
+        // ✅ USE RETRY WITH BACKOFF (3 attempts, 1s base delay)
+        const saveResult = await retryWithBackoff(() => submitTicketRequest(requestBody), 3, 1000); // 3 retries, 1s base delay
 
         const bilheteNumber = saveResult.bilheteNumber || 'UNKNOWN';
         console.log(`✅ SAVED! Bilhete number: ${bilheteNumber}`);
 
-        // Telegram notification sent automatically by Worker
-
-        // Redirect to bilhete page
-        const spTime = getBrazilTime();
-
-        const generateTime = formatBrazilDateTime(spTime, {
-            hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit'
-        });
-
-        const ticketDateDisplay = formatBrazilDateTime(drawDate, {
-            day: '2-digit',
-            month: 'long',
-            year: 'numeric'
-        });
-
-        const formattedNumbers = selectedNumbers.map(n => n.toString().padStart(2, '0')).join(',');
+        // The Worker assigns the draw; show its concurso if it differs from ours
+        if (saveResult.concurso) {
+            ticketView.concurso = saveResult.concurso;
+        }
 
-        const params = new URLSearchParams({
-            gameId: gameId,
-            whatsapp: whatsappNumber,
-            numbers: formattedNumbers,
-            time: generateTime,
-            date: ticketDateDisplay,
-            bilhete: bilheteNumber,
-            concurso: concurso,
-            platform: platform
-        });
+        // Telegram notification sent automatically by Worker
 
+        // Redirect to bilhete page (rendered from the signed receipt when the Worker returns one)
         hideToast();
-        window.location.href = `bilhete.html?${params.toString()}`;
+        window.location.href = getBilheteUrl(ticketView, bilheteNumber, saveResult.receipt);
 
     } catch (error) {
         console.error('Error:', error);
         hideToast();
 
+        // Connection dropped: keep the ticket and resubmit it in the background
+        if (requestBody && isRetryableError(error) && TicketQueue.isSupported()) {
+            try {
+                await TicketQueue.enqueue(requestBody, ticketView, error.message);
+                console.log('📥 Ticket queued for resubmission:', requestBody.idempotencyKey);
+                clearNumbers();
+                showToast('📥 SEM CONEXÃO! Bilhete guardado como PENDENTE e será enviado automaticamente', 'default');
+                scrollToPendingTickets();
+                return;
+            } catch (queueError) {
+                console.error('Could not queue ticket:', queueError);
+            }
+        }
+
         // Show actual error message from server or network error
         const errorMsg = error.message || 'Erro ao salvar! Tente novamente!';
         showToast('❌ ' + errorMsg, 'error');
@@ -1509,6 +1594,156 @@ async function confirmEntry() {
     }
 }
 
+// Single POST to the Worker; the idempotency key lets it return the existing ticket on a repeat
+async function submitTicketRequest(requestBody) {
+    const response = await fetch(`${API_BASE_URL}/api/tickets/create`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': requestBody.idempotencyKey
+        },
+        body: JSON.stringify(requestBody)
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ error: `HTTP ${response.status}` }));
+        const error = new Error(errorData.error || `HTTP ${response.status}`);
+        error.code = errorData.code || '';
+        throw error;
+    }
+
+    const result = await response.json();
+
+    if (!result.success) {
+        throw new Error(result.error || 'Falha ao salvar bilhete');
+    }
+
+    return result;
+}
+
+function getBilheteUrl(view, bilheteNumber, receipt) {
+    if (receipt) {
+        return `bilhete.html?r=${encodeURIComponent(receipt)}`;
+    }
+
+    // Legacy: plain params, shown as "not verified" on the ticket page
+    const params = new URLSearchParams({
+        gameId: view.gameId,
+        whatsapp: view.whatsapp,
+        numbers: view.numbers,
+        time: view.time,
+        date: view.date,
+        bilhete: bilheteNumber,
+        concurso: view.concurso,
+        platform: view.platform
+    });
+    return `bilhete.html?${params.toString()}`;
+}
+
+// ============================================
+// PENDING TICKETS (OFFLINE QUEUE)
+// ============================================
+const PENDING_STATUS_LABELS = {
+    pending: '⏳ PENDENTE',
+    sent: '✅ ENVIADO',
+    failed: '❌ RECUSADO'
+};
+
+// A ticket confirmed in time keeps its draw only if it reaches the Worker within the intent's grace period
+const LATE_QUEUE_CODES = ['CUTOFF_PASSED', 'REGISTRATION_CLOSED'];
+const LATE_QUEUE_TEXT = 'Chegou depois do encerramento das inscrições e NÃO foi registrado. ' +
+    'Um bilhete confirmado sem internet antes do encerramento só vale se chegar ao sistema dentro do prazo de tolerância. Registre os números de novo para o próximo sorteio.';
+
+function describeQueueFailure(record) {
+    if (LATE_QUEUE_CODES.includes(record.errorCode)) return LATE_QUEUE_TEXT;
+    return record.lastError || 'Bilhete recusado';
+}
+
+async function renderPendingTickets() {
+    const container = document.getElementById('pendingTickets');
+    if (!container) return;
+
+    const records = await TicketQueue.getAll();
+    if (records.length === 0) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    const items = records.map(record => {
+        const view = record.view || {};
+        const created = formatBrazilDateTime(new Date(record.createdAt), {
+            day: '2-digit',
+            month: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+
+        let detail = 'Aguardando conexão para enviar...';
+        let action = '';
+        if (record.status === TicketQueue.Status.SENT) {
+            detail = `Bilhete #${escapeHtml(record.bilheteNumber)}`;
+            action = `<a class="pending-ticket-link" href="${getBilheteUrl(view, record.bilheteNumber, record.receipt)}">Ver bilhete</a>`;
+        } else if (record.status === TicketQueue.Status.FAILED) {
+            detail = escapeHtml(describeQueueFailure(record));
+        }
+        if (record.status !== TicketQueue.Status.PENDING) {
+            action += `<button type="button" class="pending-ticket-dismiss" data-key="${escapeHtml(record.idempotencyKey)}" aria-label="Remover">&times;</button>`;
+        }
+
+        return `
+            <div class="pending-ticket pending-ticket-${record.status}">
+                <div class="pending-ticket-main">
+                    <strong>${PENDING_STATUS_LABELS[record.status] || record.status}</strong>
+                    <span>ID ${escapeHtml(view.gameId || record.request.gameId)} • Concurso ${escapeHtml(view.concurso || record.request.concurso)} • ${created}</span>
+                    <span class="pending-ticket-numbers">${escapeHtml(view.numbers || record.request.numerosEscolhidos)}</span>
+                    <span class="pending-ticket-detail">${detail}</span>
+                </div>
+                <div class="pending-ticket-actions">${action}</div>
+            </div>`;
+    }).join('');
+
+    container.innerHTML = `<div class="pending-tickets-title">📥 Seus bilhetes guardados neste aparelho</div>${items}`;
+    container.style.display = 'block';
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[ch]));
+}
+
+function scrollToPendingTickets() {
+    const container = document.getElementById('pendingTickets');
+    if (container) container.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+function onQueuedTicketsSettled(records) {
+    const sent = records.filter(r => r.status === TicketQueue.Status.SENT);
+    const failed = records.filter(r => r.status === TicketQueue.Status.FAILED);
+
+    if (sent.length > 0) {
+        const numbers = sent.map(r => `#${r.bilheteNumber}`).join(', ');
+        showToast(`✅ BILHETE PENDENTE ENVIADO! ${numbers}`, 'default');
+    } else if (failed.length > 0) {
+        showToast(`❌ Bilhete pendente recusado: ${describeQueueFailure(failed[0])}`, 'error');
+    }
+}
+
+function initPendingTickets() {
+    const container = document.getElementById('pendingTickets');
+    if (container) {
+        container.addEventListener('click', async (event) => {
+            const btn = event.target.closest('.pending-ticket-dismiss');
+            if (btn) await TicketQueue.remove(btn.dataset.key);
+        });
+    }
+
+    TicketQueue.onChange(renderPendingTickets);
+    TicketQueue.start(submitTicketRequest, isRetryableError, onQueuedTicketsSettled);
+    renderPendingTickets();
+}
+
 // Toast notification
 function showToast(message, type = 'default') {
     const toast = document.getElementById('toast');
@@ -1540,12 +1775,12 @@ function hideToast() {
 function initCountdown() {
     function updateCountdown() {
         const spTime = getBrazilTime(); // Use corrected Brazil time function
+        updateRegistrationWindow(); // Lock/unlock the form as the freeze starts and ends
 
-        const schedule = getCurrentDrawSchedule();
+        const registration = getRegistrationWindow();
 
         // Build target time with explicit Brazil timezone
-        const drawDateStr = getBrazilDateString(schedule.drawDate);
-        const targetTime = new Date(`${drawDateStr}T${schedule.drawHour.toString().padStart(2, '0')}:00:00-03:00`);
+        const targetTime = new Date(`${registration.drawDate}T${registration.drawTime}:00-03:00`);
 
         const diff = targetTime - spTime;
 
@@ -1632,15 +1867,13 @@ function scrollToVerticalVideo() {
 
 // Update draw date display with CONCURSO NUMBER
 function updateDrawDateDisplay() {
-    const drawDate = getDrawDate();
-    const drawHour = getDrawHour();
-    const concurso = calculateConcurso(drawDate);
-
-    const day = drawDate.getDate().toString().padStart(2, '0');
-    const month = (drawDate.getMonth() + 1).toString().padStart(2, '0');
-    const year = drawDate.getFullYear();
+    const registration = getRegistrationWindow();
+    const drawDate = DrawCalendar.startOfDay(registration.drawDate);
+    const drawTime = registration.drawTime;
+    const concurso = registration.concurso;
 
-    const formattedDate = `${day}/${month}/${year} ${drawHour.toString().padStart(2, '0')}h`;
+    const [hh, mm] = drawTime.split(':');
+    const formattedDate = `${formatBrazilDateTime(drawDate)} ${hh}h${mm === '00' ? '' : mm}`;
 
     document.getElementById('drawDate').textContent = formattedDate;
     document.getElementById('contestNumber').textContent = concurso;
@@ -1942,6 +2175,159 @@ function updateDrawDateDisplay() {
         document.getElementById('nextBtn').disabled = currentPage >= totalPages;
     }
 
+    // ============================================
+    // MEUS BILHETES (Game ID + last 4 WhatsApp digits)
+    // ============================================
+    const LOOKUP_URL = `${API_BASE_URL}/api/tickets/lookup`;
+
+    const REASON_TEXT = {
+        INVALID_RECHARGE_WINDOW_EXPIRED: 'A recarga já tinha expirado (vale só para os 2 sorteios seguintes)',
+        INVALID_TICKET_BEFORE_RECHARGE: 'Bilhete registrado antes da recarga',
+        INVALID_NOT_FIRST_TICKET_AFTER_RECHARGE: 'Essa recarga já foi usada por outro bilhete',
+        NO_ELIGIBLE_RECHARGE: 'Nenhuma recarga encontrada para este bilhete',
+        INVALID_TICKET_TIME: 'Horário do bilhete inválido',
+        MISSING_GAME_ID: 'Bilhete sem ID de Jogo',
+        NO_RECHARGE_DATA: 'Recargas ainda não carregadas; tente novamente mais tarde',
+        MANUAL_OVERRIDE: 'Status definido manualmente pela equipe'
+    };
+
+    // Worker lookup: the only source that knows reason codes and the matched recharge
+    async function fetchMyTickets(gameId, last4) {
+        const params = new URLSearchParams({ gameId, whatsappLast4: last4 });
+        if (PLATFORM_FILTER) params.set('platform', PLATFORM_FILTER);
+
+        const res = await fetch(`${LOOKUP_URL}?${params.toString()}`, { cache: 'no-store' });
+        const data = await res.json().catch(() => ({ error: `HTTP ${res.status}` }));
+        if (!res.ok || !data.success) throw new Error(data.error || `HTTP ${res.status}`);
+
+        return (data.tickets || []).map(t => ({
+            parsedDate: t.createdAt ? new Date(t.createdAt) : null,
+            timestamp: t.createdAt || '',
+            platform: (t.platform || 'POPN1').toUpperCase(),
+            gameId: t.gameId || gameId,
+            bilheteNumber: t.bilheteNumber || '',
+            numbers: String(t.numerosEscolhidos || '').split(/[,;|\t]/).map(n => parseInt(n.trim())).filter(n => !isNaN(n)),
+            drawDate: t.drawDate || '',
+            contest: t.concurso || '',
+            whatsappMasked: '***' + last4,
+            status: (t.status || 'PENDING').toUpperCase(),
+            reasonCode: t.reasonCode || '',
+            rechargeTime: t.rechargeTime ? new Date(t.rechargeTime) : null
+        }));
+    }
+
+    // Offline fallback: the public feed keeps the last 4 WhatsApp digits but has no reasons
+    function findMyTicketsInFeed(gameId, last4) {
+        return allEntries
+            .filter(e => e.gameId === gameId && (e.whatsapp || '').replace(/\D/g, '').endsWith(last4))
+            .map(e => ({ ...e, reasonCode: '', rechargeTime: null, fromFeed: true }));
+    }
+
+    // Sheet rows from before the Worker kept tickets in KV: the lookup API cannot know them,
+    // so feed rows registered before the player's first KV ticket are added to its answer
+    function findOlderTicketsInFeed(gameId, last4, apiTickets) {
+        const times = apiTickets.map(t => (t.parsedDate ? t.parsedDate.getTime() : NaN)).filter(t => !isNaN(t));
+        if (times.length === 0) return findMyTicketsInFeed(gameId, last4);
+
+        const firstKvTime = Math.floor(Math.min(...times) / 1000) * 1000; // Sheet times have no milliseconds
+        return findMyTicketsInFeed(gameId, last4)
+            .filter(e => e.parsedDate && e.parsedDate.getTime() < firstKvTime);
+    }
+
+    function renderMyTickets(tickets, fromFeed) {
+        const box = document.getElementById('myTicketsResults');
+        box.style.display = 'grid';
+
+        if (tickets.length === 0) {
+            box.innerHTML = '<div class="empty-state">🔍 Nenhum bilhete encontrado para este ID e WhatsApp.</div>';
+            return;
+        }
+
+        const note = fromFeed
+            ? '<div class="my-tickets-note">⚠️ Consulta detalhada indisponível agora. Mostrando apenas o status; tente novamente em alguns minutos para ver o motivo.</div>'
+            : '';
+
+        box.innerHTML = note + tickets.map(ticket => {
+            const statusClass = normalizeStatus(ticket.status);
+            const statusLabel = statusClass === 'valid' ? 'VÁLIDO' :
+                statusClass === 'invalid' ? 'INVÁLIDO' :
+                    'EM VERIFICAÇÃO';
+            const numsHTML = ticket.numbers.map(num =>
+                `<div class="number-badge ${getBallColorClass(num)}"><span class="number-text">${num.toString().padStart(2, '0')}</span></div>`
+            ).join('');
+
+            let reasonHTML = '';
+            if (ticket.reasonCode) {
+                const text = REASON_TEXT[ticket.reasonCode] || ticket.reasonCode;
+                reasonHTML = `<div class="my-ticket-reason">❓ ${escapeHtml(text)}<br><code>${escapeHtml(ticket.reasonCode)}</code></div>`;
+            }
+            const rechargeHTML = ticket.rechargeTime && !isNaN(ticket.rechargeTime.getTime())
+                ? `<div class="detail-item">💳 Recarga vinculada: <strong>${formatBr(ticket.rechargeTime)}</strong></div>`
+                : (ticket.fromFeed ? '' : '<div class="detail-item">💳 Nenhuma recarga vinculada</div>');
+
+            return `
+        <div class="entry-card ${statusClass} neuro-card" data-status="${statusClass}">
+          <div class="entry-top">
+            <div class="status-badge ${statusClass}">${statusLabel}</div>
+            <div class="entry-id-block">
+              <div class="entry-id-title">ID: ${escapeHtml(ticket.gameId)}</div>
+              <div class="entry-id-sub">${escapeHtml(ticket.bilheteNumber || '—')}</div>
+            </div>
+          </div>
+          <div class="entry-meta neuro-meta">
+            <div class="meta-left">
+              <div class="detail-item">🎰 Concurso <strong>${escapeHtml(ticket.contest)}</strong></div>
+              <div class="detail-item">📅 <strong>${escapeHtml(ticket.drawDate)}</strong></div>
+            </div>
+            <div class="meta-right">
+              <div class="detail-item">🏢 <strong>${escapeHtml(ticket.platform)}</strong></div>
+              ${rechargeHTML}
+            </div>
+          </div>
+          <div class="numbers-display neuro-numbers">${numsHTML}</div>
+          ${reasonHTML}
+          <div class="entry-timestamp neuro-timestamp">🕒 ${formatBr(ticket.parsedDate) || escapeHtml(ticket.timestamp) || '—'}</div>
+        </div>`;
+        }).join('');
+    }
+
+    async function lookupMyTickets(event) {
+        event.preventDefault();
+        const gameId = document.getElementById('myTicketsGameId').value.replace(/\D/g, '');
+        const last4 = document.getElementById('myTicketsWhatsapp').value.replace(/\D/g, '');
+
+        if (!isValidGameId(gameId)) {
+            showToast('❌ ID DE JOGO INVÁLIDO! Digite exatamente 10 dígitos', 'error');
+            return;
+        }
+        if (last4.length !== 4) {
+            showToast('❌ Digite os 4 últimos dígitos do seu WhatsApp', 'error');
+            return;
+        }
+
+        const box = document.getElementById('myTicketsResults');
+        box.style.display = 'block';
+        box.innerHTML = '<div class="loading"><div class="spinner"></div>Buscando seus bilhetes...</div>';
+
+        let tickets;
+        let fromFeed = false;
+        try {
+            tickets = await fetchMyTickets(gameId, last4);
+            tickets = tickets.concat(findOlderTicketsInFeed(gameId, last4, tickets));
+        } catch (err) {
+            console.warn('⚠️ Ticket lookup API failed, using public feed:', err.message);
+            tickets = findMyTicketsInFeed(gameId, last4);
+            fromFeed = true;
+        }
+
+        tickets.sort((a, b) => {
+            const ta = a.parsedDate ? a.parsedDate.getTime() : 0;
+            const tb = b.parsedDate ? b.parsedDate.getTime() : 0;
+            return tb - ta;
+        });
+        renderMyTickets(tickets, fromFeed);
+    }
+
     if (document.querySelector('.vld-section')) {
         document.querySelectorAll('.filter-btn').forEach(btn => {
             btn.addEventListener('click', () => {
@@ -1951,6 +2337,8 @@ function updateDrawDateDisplay() {
                 applyFilters();
             });
         });
+        const myTicketsForm = document.getElementById('myTicketsForm');
+        if (myTicketsForm) myTicketsForm.addEventListener('submit', lookupMyTickets);
         document.getElementById('searchBox').addEventListener('input', e => {
             searchTerm = e.target.value;
             applyFilters();
@@ -0,0 +1,366 @@
+/**
+ * POP-SORTE - Offline Ticket Queue
+ *
+ * Keeps ticket requests that could not reach the Worker in IndexedDB so a
+ * player on a bad mobile connection does not lose their numbers. Queued
+ * requests are resubmitted when connectivity returns (the page's `online`
+ * event, a periodic retry and the next page load).
+ *
+ * Each record stores the request body exactly as it was first built,
+ * including its idempotency key, original creation timestamp and the signed
+ * registration intent the Worker handed out while registration was open.
+ * Every resubmission sends the same key, so the Worker can return the ticket
+ * it already created instead of saving a duplicate.
+ *
+ * A device clock alone never decides the draw. The intent does: a ticket
+ * confirmed while its intent was fresh keeps that intent's draw if it
+ * reaches the Worker within the grace period after the cutoff
+ * (INTENT_GRACE_SECONDS, see worker/src/rules.mjs). Arriving later, or
+ * without an intent, it is refused with CUTOFF_PASSED or REGISTRATION_CLOSED
+ * and ends up failed; the page tells the player it was not registered.
+ *
+ * Record states:
+ * - pending : waiting for connectivity
+ * - sent    : accepted by the Worker (bilheteNumber and receipt set)
+ * - failed  : rejected by the Worker (lastError and errorCode set), never retried
+ *
+ * Dependencies: none (isSupported() is false without IndexedDB; callers then
+ * keep the old "show an error" behaviour)
+ */
+
+// ============================================
+// Ticket Queue Module
+// ============================================
+window.TicketQueue = (function() {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    const DB_NAME = 'popsorte_ticket_queue';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'tickets';
+
+    /**
+     * Record states
+     */
+    const Status = {
+        PENDING: 'pending',
+        SENT: 'sent',
+        FAILED: 'failed'
+    };
+
+    /**
+     * Retry interval while pending records exist (1 minute)
+     */
+    const RETRY_INTERVAL = 60 * 1000;
+
+    // ============================================
+    // State
+    // ============================================
+
+    let dbPromise = null;
+    let isFlushing = false;
+    let retryTimer = null;
+    const changeListeners = [];
+
+    // ============================================
+    // Helpers
+    // ============================================
+
+    /**
+     * Check whether IndexedDB is available (private mode / old WebViews)
+     * @returns {boolean}
+     */
+    function isSupported() {
+        try {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Generate an idempotency key for a new ticket request
+     * @returns {string} UUID v4
+     */
+    function generateKey() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        const bytes = new Uint8Array(16);
+        if (window.crypto && window.crypto.getRandomValues) {
+            window.crypto.getRandomValues(bytes);
+        } else {
+            for (let i = 0; i < bytes.length; i++) bytes[i] = Math.floor(Math.random() * 256);
+        }
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    /**
+     * Notify listeners that the queue changed
+     */
+    function notifyChange() {
+        changeListeners.forEach(listener => {
+            try {
+                listener();
+            } catch (e) {
+                console.error('TicketQueue listener error:', e);
+            }
+        });
+    }
+
+    // ============================================
+    // Database
+    // ============================================
+
+    /**
+     * Open (and upgrade) the queue database
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDb() {
+        if (!isSupported()) {
+            return Promise.reject(new Error('IndexedDB not available'));
+        }
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        const store = db.createObjectStore(STORE_NAME, { keyPath: 'idempotencyKey' });
+                        store.createIndex('status', 'status', { unique: false });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                dbPromise = null;
+                throw error;
+            });
+        }
+        return dbPromise;
+    }
+
+    /**
+     * Run a callback against the object store inside a transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} fn - Receives the store, returns an IDBRequest
+     * @returns {Promise<any>} Request result, resolved once the transaction completes
+     */
+    async function withStore(mode, fn) {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE_NAME, mode);
+            const request = fn(tx.objectStore(STORE_NAME));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // ============================================
+    // Queue Operations
+    // ============================================
+
+    /**
+     * Store a ticket request for later submission
+     * @param {Object} requestBody - Body for /api/tickets/create (must contain idempotencyKey and createdAt)
+     * @param {Object} [view] - Data needed to show the ticket later (bilhete.html params)
+     * @param {string} [lastError] - Why the first submission failed
+     * @returns {Promise<Object>} Stored record
+     */
+    async function enqueue(requestBody, view = {}, lastError = '') {
+        if (!requestBody || !requestBody.idempotencyKey) {
+            throw new Error('Ticket request has no idempotency key');
+        }
+
+        const record = {
+            idempotencyKey: requestBody.idempotencyKey,
+            createdAt: requestBody.createdAt || new Date().toISOString(),
+            request: requestBody,
+            view: view,
+            status: Status.PENDING,
+            attempts: 0,
+            lastAttemptAt: null,
+            lastError: lastError,
+            errorCode: '',
+            bilheteNumber: null,
+            receipt: null
+        };
+
+        await withStore('readwrite', store => store.put(record));
+        notifyChange();
+        scheduleRetry();
+        return record;
+    }
+
+    /**
+     * Get every record, oldest first
+     * @returns {Promise<Array>}
+     */
+    async function getAll() {
+        if (!isSupported()) return [];
+        try {
+            const records = await withStore('readonly', store => store.getAll());
+            return (records || []).sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+        } catch (error) {
+            console.warn('⚠️ Could not read ticket queue:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Get records still waiting to be submitted
+     * @returns {Promise<Array>}
+     */
+    async function getPending() {
+        const records = await getAll();
+        return records.filter(r => r.status === Status.PENDING);
+    }
+
+    /**
+     * Update a stored record
+     * @param {Object} record - Full record (keyed by idempotencyKey)
+     * @returns {Promise<void>}
+     */
+    async function update(record) {
+        await withStore('readwrite', store => store.put(record));
+    }
+
+    /**
+     * Remove a record (player dismissed it)
+     * @param {string} idempotencyKey
+     * @returns {Promise<void>}
+     */
+    async function remove(idempotencyKey) {
+        await withStore('readwrite', store => store.delete(idempotencyKey));
+        notifyChange();
+    }
+
+    /**
+     * Resubmit every pending record
+     * @param {Function} submitFn - async (requestBody) => result with bilheteNumber; throws on failure
+     * @param {Function} isRetryable - (error) => true if the failure was a connectivity problem
+     * @returns {Promise<Array>} Records that reached a final state during this flush
+     */
+    async function flush(submitFn, isRetryable) {
+        if (isFlushing || !isSupported()) return [];
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return [];
+
+        isFlushing = true;
+        const settled = [];
+
+        try {
+            const pending = await getPending();
+
+            for (const record of pending) {
+                record.attempts += 1;
+                record.lastAttemptAt = new Date().toISOString();
+
+                try {
+                    const result = await submitFn(record.request);
+                    record.status = Status.SENT;
+                    record.bilheteNumber = result.bilheteNumber || 'UNKNOWN';
+                    record.receipt = result.receipt || null;
+                    record.lastError = '';
+                    settled.push(record);
+                } catch (error) {
+                    record.lastError = error.message || String(error);
+                    record.errorCode = error.code || '';
+                    if (!isRetryable(error)) {
+                        record.status = Status.FAILED;
+                        settled.push(record);
+                    }
+                }
+
+                await update(record);
+
+                // Still offline: leave the rest for the next attempt
+                if (record.status === Status.PENDING) break;
+            }
+        } catch (error) {
+            console.warn('⚠️ Ticket queue flush failed:', error.message);
+        } finally {
+            isFlushing = false;
+        }
+
+        notifyChange();
+        scheduleRetry();
+        return settled;
+    }
+
+    // ============================================
+    // Background Resubmission
+    // ============================================
+
+    let autoFlush = null; // () => Promise, set by start()
+
+    /**
+     * Schedule the next retry while pending records remain
+     */
+    function scheduleRetry() {
+        if (!autoFlush || retryTimer) return;
+        retryTimer = setTimeout(async () => {
+            retryTimer = null;
+            const pending = await getPending();
+            if (pending.length > 0) {
+                await autoFlush();
+            }
+        }, RETRY_INTERVAL);
+    }
+
+    /**
+     * Start background resubmission (page load, `online` event, periodic retry)
+     * @param {Function} submitFn - See flush()
+     * @param {Function} isRetryable - See flush()
+     * @param {Function} [onSettled] - Called with the records that reached a final state
+     */
+    function start(submitFn, isRetryable, onSettled) {
+        if (autoFlush || !isSupported()) return;
+
+        autoFlush = async () => {
+            const settled = await flush(submitFn, isRetryable);
+            if (settled.length > 0 && typeof onSettled === 'function') {
+                onSettled(settled);
+            }
+        };
+
+        window.addEventListener('online', autoFlush);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') autoFlush();
+        });
+
+        autoFlush();
+    }
+
+    /**
+     * Register a listener for queue changes
+     * @param {Function} listener
+     */
+    function onChange(listener) {
+        if (typeof listener === 'function') {
+            changeListeners.push(listener);
+        }
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    return {
+        Status,
+        isSupported,
+        generateKey,
+        enqueue,
+        getAll,
+        getPending,
+        remove,
+        flush,
+        start,
+        onChange
+    };
+})();
@@ -0,0 +1,259 @@
+/**
+ * POP-SORTE - Signed Ticket Receipts
+ *
+ * The Worker answers /api/tickets/create with a receipt token that the ticket
+ * page renders from, instead of trusting editable URL parameters:
+ *
+ *   token = base64url(JSON payload) + "." + base64url(HMAC-SHA256(secret, payload part))
+ *
+ * Payload fields:
+ *   v  : format version (1)
+ *   id : ticket id (the idempotency key sent by the form)
+ *   b  : bilhete number
+ *   g  : game ID
+ *   p  : platform
+ *   w  : WhatsApp as submitted
+ *   n  : chosen numbers, "01,12,22,25,44"
+ *   c  : concurso
+ *   d  : draw date, YYYY-MM-DD
+ *   ts : registration timestamp (ISO 8601)
+ *
+ * The secret only lives in the Worker, so pages can decode a receipt but not
+ * verify it; verification goes through POST /api/receipts/verify with either
+ * the full token or its short code. The short code is the first 4 bytes of
+ * the signature in hex ("A1B2-C3D4"), short enough to read out to support.
+ *
+ * The ticket image also carries a QR code with the bilhete number, game ID,
+ * concurso, numbers and short code (encodeQrPayload), which the homina
+ * "Verify Ticket" section decodes from a photo or pasted text.
+ *
+ * Used by bilhete.html (badge, short code, QR) and the homina admin
+ * (Entries › Verify Receipt, Verify Ticket section).
+ *
+ * Dependencies: none
+ */
+
+// ============================================
+// Ticket Receipt Module
+// ============================================
+(function(global) {
+    'use strict';
+
+    // ============================================
+    // Constants
+    // ============================================
+
+    const RECEIPT_VERSION = 1;
+
+    /**
+     * Worker endpoint that checks a token or short code
+     */
+    const VERIFY_ENDPOINT = '/api/receipts/verify';
+
+    /**
+     * Fetch timeout in milliseconds (10 seconds)
+     */
+    const FETCH_TIMEOUT = 10 * 1000;
+
+    /**
+     * Number of signature bytes in the short code
+     */
+    const SHORT_CODE_BYTES = 4;
+
+    /**
+     * Prefix of the text stored in the ticket QR code
+     */
+    const QR_PREFIX = 'POPSORTE?';
+
+    // ============================================
+    // Encoding Helpers
+    // ============================================
+
+    /**
+     * Decode a base64url string to bytes
+     * @param {string} text - base64url text (no padding required)
+     * @returns {Uint8Array}
+     */
+    function base64UrlToBytes(text) {
+        const base64 = String(text).replace(/-/g, '+').replace(/_/g, '/');
+        const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+        const binary = atob(padded);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    /**
+     * Split a token into its payload and signature parts
+     * @param {string} token - Receipt token
+     * @returns {Object|null} {payloadPart, signaturePart}
+     */
+    function splitToken(token) {
+        const parts = String(token || '').trim().split('.');
+        if (parts.length !== 2 || !parts[0] || !parts[1]) return null;
+        return { payloadPart: parts[0], signaturePart: parts[1] };
+    }
+
+    // ============================================
+    // Receipt Parsing
+    // ============================================
+
+    /**
+     * Decode a receipt payload without verifying it
+     * @param {string} token - Receipt token
+     * @returns {Object|null} Payload, or null when the token is malformed
+     */
+    function decode(token) {
+        const parts = splitToken(token);
+        if (!parts) return null;
+
+        try {
+            const json = new TextDecoder().decode(base64UrlToBytes(parts.payloadPart));
+            const payload = JSON.parse(json);
+            if (!payload || payload.v !== RECEIPT_VERSION || !payload.id) return null;
+            return payload;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get the short code printed on the ticket
+     * @param {string} token - Receipt token
+     * @returns {string|null} "XXXX-XXXX"
+     */
+    function getShortCode(token) {
+        const parts = splitToken(token);
+        if (!parts) return null;
+
+        try {
+            const bytes = base64UrlToBytes(parts.signaturePart).slice(0, SHORT_CODE_BYTES);
+            if (bytes.length < SHORT_CODE_BYTES) return null;
+            const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('').toUpperCase();
+            return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Normalize a typed short code ("a1b2 c3d4" -> "A1B2-C3D4")
+     * @param {string} input - User input
+     * @returns {string|null} Normalized code, or null if it is not one
+     */
+    function normalizeShortCode(input) {
+        const hex = String(input || '').replace(/[^0-9a-f]/gi, '').toUpperCase();
+        if (hex.length !== SHORT_CODE_BYTES * 2) return null;
+        return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+    }
+
+    /**
+     * Pull a token out of pasted text (raw token or a bilhete.html link)
+     * @param {string} input - User input
+     * @returns {string|null} Token
+     */
+    function extractToken(input) {
+        const text = String(input || '').trim();
+        if (!text) return null;
+
+        const match = text.match(/[?&]r=([^&#\s]+)/);
+        const candidate = match ? decodeURIComponent(match[1]) : text;
+        return splitToken(candidate) ? candidate : null;
+    }
+
+    // ============================================
+    // QR Payload
+    // ============================================
+
+    /**
+     * Build the text stored in the ticket QR code
+     * @param {Object} ticket - {bilhete, gameId, concurso, numbers, platform, shortCode}
+     * @returns {string} "POPSORTE?v=1&b=...&g=...&c=...&n=01,12,22,25,44&p=...&r=A1B2-C3D4"
+     */
+    function encodeQrPayload(ticket) {
+        const params = new URLSearchParams({
+            v: String(RECEIPT_VERSION),
+            b: String(ticket.bilhete || ''),
+            g: String(ticket.gameId || ''),
+            c: String(ticket.concurso || ''),
+            n: String(ticket.numbers || '').replace(/\s+/g, ''),
+            p: String(ticket.platform || '')
+        });
+        if (ticket.shortCode) params.set('r', ticket.shortCode);
+        return QR_PREFIX + params.toString();
+    }
+
+    /**
+     * Parse the text read from a ticket QR code
+     * @param {string} text - Decoded QR text (or pasted by hand)
+     * @returns {Object|null} {bilhete, gameId, concurso, numbers: number[], platform, shortCode}
+     */
+    function parseQrPayload(text) {
+        const raw = String(text || '').trim();
+        if (!raw.toUpperCase().startsWith(QR_PREFIX)) return null;
+
+        const params = new URLSearchParams(raw.slice(QR_PREFIX.length));
+        const numbers = (params.get('n') || '').split(',').map(n => parseInt(n, 10)).filter(n => !isNaN(n));
+        const gameId = (params.get('g') || '').trim();
+        const concurso = (params.get('c') || '').trim();
+        if (!gameId || !concurso || numbers.length === 0) return null;
+
+        return {
+            bilhete: (params.get('b') || '').trim(),
+            gameId,
+            concurso,
+            numbers,
+            platform: (params.get('p') || '').trim().toUpperCase(),
+            shortCode: normalizeShortCode(params.get('r'))
+        };
+    }
+
+    // ============================================
+    // Verification
+    // ============================================
+
+    /**
+     * Ask the Worker whether a receipt is genuine
+     * @param {string} apiBaseUrl - Worker base URL
+     * @param {Object} query - {token} or {code}
+     * @returns {Promise<Object>} {valid, receipt} - receipt is the payload stored by the Worker
+     * @throws {Error} If the Worker cannot be reached
+     */
+    async function verify(apiBaseUrl, query) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), FETCH_TIMEOUT) : null;
+
+        try {
+            const response = await fetch(`${apiBaseUrl}${VERIFY_ENDPOINT}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(query),
+                cache: 'no-store',
+                signal: controller ? controller.signal : undefined
+            });
+
+            const data = await response.json().catch(() => ({ error: `HTTP ${response.status}` }));
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+
+            return { valid: data.valid === true, receipt: data.receipt || null };
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    }
+
+    // ============================================
+    // Public API
+    // ============================================
+    global.TicketReceipt = {
+        RECEIPT_VERSION,
+        decode,
+        getShortCode,
+        normalizeShortCode,
+        extractToken,
+        encodeQrPayload,
+        parseQrPayload,
+        verify
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
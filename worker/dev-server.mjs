@@ -0,0 +1,150 @@
+/**
+ * POP-SORTE API Worker - Local Dev Server
+ *
+ * Runs the Worker's fetch handler on Node 20 without wrangler:
+ *
+ *   node worker/dev-server.mjs            # http://localhost:8787
+ *   PORT=9000 node worker/dev-server.mjs
+ *
+ * Stand-ins for the Cloudflare bindings, all under worker/.data/:
+ *   kv.json      POPSORTE_KV (flat key -> string map, rewritten on every put)
+ *   entries.csv  the entries sheet, one row per saved ticket
+ *
+ * Admin accounts are seeded from homina/data/admin-users.json, so the
+ * dashboard's local logins work against this server too. AUTH_TOKEN_SECRET
+ * defaults to that file's tokenSecret: tokens the dashboard signs itself in
+ * ?env=offline (auth "local") then pass the privileged endpoints here.
+ * RECEIPT_SECRET defaults to a fixed dev value. Both can be set in the
+ * environment.
+ * The results and recharge sheets are only read when RESULTS_CSV_URL /
+ * RECHARGE_CSV_URL_POPN1 / RECHARGE_CSV_URL_POPLUZ are set.
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import worker from './src/index.mjs';
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = path.join(ROOT, '.data');
+const KV_FILE = path.join(DATA_DIR, 'kv.json');
+const SHEET_FILE = path.join(DATA_DIR, 'entries.csv');
+const USERS_FILE = path.join(ROOT, '..', 'homina', 'data', 'admin-users.json');
+const PORT = parseInt(process.env.PORT || '8787', 10);
+
+const SHEET_HEADER = [
+    'DATA/HORA REGISTRO', '', '', 'PLATFORM', 'GAME ID', 'WHATSAPP', 'NÚMEROS ESCOLHIDOS',
+    'DATA SORTEIO', 'CONCURSO', 'BILHETE #', 'STATUS', '', '', 'TICKET KEY'
+];
+
+// ============================================
+// Binding Stand-ins
+// ============================================
+
+/**
+ * KV namespace backed by a JSON file
+ * @returns {Object} {get(key, {type}), put(key, value)}
+ */
+function createFileKv() {
+    const data = fs.existsSync(KV_FILE) ? JSON.parse(fs.readFileSync(KV_FILE, 'utf8')) : {};
+
+    return {
+        async get(key, options = {}) {
+            if (!(key in data)) return null;
+            return options.type === 'json' ? JSON.parse(data[key]) : data[key];
+        },
+        async put(key, value) {
+            data[key] = String(value);
+            fs.writeFileSync(KV_FILE, JSON.stringify(data, null, 2));
+        }
+    };
+}
+
+/**
+ * Entries sheet backed by a CSV file
+ * @returns {Object} {appendRow(row)}
+ */
+function createCsvSheet() {
+    const toLine = (row) => row.map(cell => {
+        const text = String(cell ?? '');
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',') + '\n';
+
+    if (!fs.existsSync(SHEET_FILE)) {
+        fs.writeFileSync(SHEET_FILE, toLine(SHEET_HEADER));
+    }
+
+    return {
+        async appendRow(row) {
+            fs.appendFileSync(SHEET_FILE, toLine(row));
+        }
+    };
+}
+
+/**
+ * Local admin accounts file, or null when it is missing
+ * @returns {Object|null} {users, iterations, tokenSecret, ...}
+ */
+function readLocalUsers() {
+    return fs.existsSync(USERS_FILE) ? JSON.parse(fs.readFileSync(USERS_FILE, 'utf8')) : null;
+}
+
+/**
+ * Copy the local admin accounts into KV (existing users are kept)
+ * @param {Object} kv
+ * @param {Object|null} localUsers - See readLocalUsers
+ */
+async function seedUsers(kv, localUsers) {
+    if (!localUsers) return;
+
+    const { users = [], iterations } = localUsers;
+    for (const user of users) {
+        const key = `user:${user.username.toLowerCase()}`;
+        if (!(await kv.get(key))) {
+            await kv.put(key, JSON.stringify({ ...user, iterations }));
+        }
+    }
+}
+
+// ============================================
+// Server
+// ============================================
+
+fs.mkdirSync(DATA_DIR, { recursive: true });
+
+const localUsers = readLocalUsers();
+
+const env = {
+    POPSORTE_KV: createFileKv(),
+    SHEET: createCsvSheet(),
+    RECEIPT_SECRET: process.env.RECEIPT_SECRET || 'dev-receipt-secret',
+    AUTH_TOKEN_SECRET: process.env.AUTH_TOKEN_SECRET || (localUsers && localUsers.tokenSecret) || 'dev-auth-token-secret',
+    RESULTS_CSV_URL: process.env.RESULTS_CSV_URL || '',
+    RECHARGE_CSV_URL_POPN1: process.env.RECHARGE_CSV_URL_POPN1 || '',
+    RECHARGE_CSV_URL_POPLUZ: process.env.RECHARGE_CSV_URL_POPLUZ || ''
+};
+
+await seedUsers(env.POPSORTE_KV, localUsers);
+
+const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = chunks.length > 0 ? Buffer.concat(chunks) : null;
+
+    const request = new Request(`http://localhost:${PORT}${req.url}`, {
+        method: req.method,
+        headers: req.headers,
+        body: ['GET', 'HEAD'].includes(req.method) ? null : body
+    });
+
+    const response = await worker.fetch(request, env);
+
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    res.end(req.method === 'HEAD' ? undefined : Buffer.from(await response.arrayBuffer()));
+    console.log(`${req.method} ${req.url} -> ${response.status}`);
+});
+
+server.listen(PORT, () => {
+    console.log(`POP-SORTE API dev server on http://localhost:${PORT}`);
+});
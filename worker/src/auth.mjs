@@ -0,0 +1,95 @@
+/**
+ * POP-SORTE API Worker - Admin Auth
+ *
+ * POST /api/auth/login
+ *   body:   {username, password}
+ *   200:    {success, username, role, token, expiresAt}
+ *   401:    INVALID_CREDENTIALS
+ *
+ * Accounts live in KV (user:<username>) as {username, role, salt, hash,
+ * iterations}; see worker/README.md for adding one. The session token is
+ * signed with AUTH_TOKEN_SECRET and carries {sub, role, iat, exp}.
+ *
+ * Roles and what they unlock on the API (mirrors AdminCore.ROLE_PERMISSIONS):
+ * - viewer          : read manual overrides, the payout ledger and prize rules
+ * - validator       : publish the draw calendar, set manual overrides
+ * - payout_manager  : everything a validator can do, plus approve, pay and
+ *                     dispute payouts and publish prize rules
+ */
+
+import { json, fail, readJson } from './http.mjs';
+import { signToken, verifyToken, hashPassword, safeEqual, PBKDF2_ITERATIONS } from './crypto.mjs';
+
+// ============================================
+// Constants
+// ============================================
+
+const SESSION_TTL_SECONDS = 12 * 60 * 60;
+
+const ROLE_PERMISSIONS = {
+    viewer: ['view'],
+    validator: ['view', 'validate'],
+    payout_manager: ['view', 'validate', 'payout']
+};
+
+// ============================================
+// Handlers
+// ============================================
+
+/**
+ * POST /api/auth/login
+ * @param {Request} request
+ * @param {Object} env
+ * @param {Object} store
+ * @returns {Promise<Response>}
+ */
+export async function login(request, env, store) {
+    const body = await readJson(request);
+    const username = String((body && body.username) || '').trim();
+    const password = String((body && body.password) || '');
+
+    if (!username || !password) {
+        return fail(422, 'INVALID_BODY', 'Username and password are required');
+    }
+
+    const user = await store.getUser(username);
+    const hash = user
+        ? await hashPassword(password, user.salt, user.iterations || PBKDF2_ITERATIONS)
+        : '';
+
+    if (!user || !ROLE_PERMISSIONS[user.role] || !safeEqual(hash, user.hash)) {
+        return fail(401, 'INVALID_CREDENTIALS', 'Invalid username or password');
+    }
+
+    const iat = Math.floor(Date.now() / 1000);
+    const exp = iat + SESSION_TTL_SECONDS;
+    const token = await signToken(env.AUTH_TOKEN_SECRET, { sub: user.username, role: user.role, iat, exp });
+
+    return json({ success: true, username: user.username, role: user.role, token, expiresAt: exp * 1000 });
+}
+
+// ============================================
+// Authorization
+// ============================================
+
+/**
+ * Check the Bearer token on a privileged request
+ * @param {Request} request
+ * @param {Object} env
+ * @param {string} permission - 'view', 'validate' or 'payout'
+ * @returns {Promise<Object>} {ok: true, session} or {ok: false, response}
+ */
+export async function requirePermission(request, env, permission) {
+    const header = request.headers.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+    const session = token ? await verifyToken(env.AUTH_TOKEN_SECRET, token) : null;
+
+    if (!session || !session.exp || session.exp * 1000 < Date.now()) {
+        return { ok: false, response: fail(401, 'UNAUTHENTICATED', 'Sign in again') };
+    }
+    if (!(ROLE_PERMISSIONS[session.role] || []).includes(permission)) {
+        return { ok: false, response: fail(403, 'FORBIDDEN', `Role ${session.role} cannot do this`) };
+    }
+
+    return { ok: true, session };
+}
@@ -0,0 +1,100 @@
+/**
+ * POP-SORTE API Worker - Draw Calendar Endpoint
+ *
+ * GET  /api/calendar
+ *   200:    {success, exceptions, updatedAt}  (built-in defaults until published)
+ *
+ * POST /api/calendar   (Authorization: Bearer <token>, 'validate' permission)
+ *   body:   {exceptions, updatedBy}
+ *   200:    {success, exceptions, updatedAt}
+ *
+ * GET  /api/registration-window
+ *   200:    {success, serverTime, state: 'open'|'closing'|'closed', drawDate,
+ *            drawTime, concurso, closesAt, reopensAt, freeze: {beforeSeconds, afterSeconds},
+ *            intent}
+ *
+ *   The draw a ticket sent now would enter, by the Worker clock. serverTime
+ *   has millisecond precision so the form can correct its own clock.
+ *   intent (null while closed) is a signed registration intent for that draw;
+ *   the form sends it with the ticket so a confirm queued before the cutoff
+ *   keeps its draw (see rules.mjs honorIntent).
+ *
+ * Exceptions are normalized with the same DrawCalendar.normalizeException the
+ * pages use; unusable rows are dropped. The signed-in username is recorded as
+ * updatedBy, the body's value is ignored.
+ */
+
+import { json, fail, readJson } from './http.mjs';
+import { requirePermission } from './auth.mjs';
+import { signToken } from './crypto.mjs';
+import { DrawCalendar, prepareCalendar, getFreeze, buildIntent } from './rules.mjs';
+
+/**
+ * GET /api/calendar
+ * @param {Object} store
+ * @returns {Promise<Response>}
+ */
+export async function getCalendar(store) {
+    const calendar = await store.getCalendar();
+    return json({
+        success: true,
+        exceptions: calendar ? calendar.exceptions : DrawCalendar.DEFAULT_EXCEPTIONS,
+        updatedAt: calendar ? calendar.updatedAt : null
+    });
+}
+
+/**
+ * POST /api/calendar
+ * @param {Request} request
+ * @param {Object} env
+ * @param {Object} store
+ * @returns {Promise<Response>}
+ */
+export async function saveCalendar(request, env, store) {
+    const auth = await requirePermission(request, env, 'validate');
+    if (!auth.ok) return auth.response;
+
+    const body = await readJson(request);
+    if (!body || !Array.isArray(body.exceptions)) {
+        return fail(422, 'INVALID_BODY', 'exceptions must be an array');
+    }
+
+    const calendar = {
+        exceptions: body.exceptions.map(DrawCalendar.normalizeException).filter(Boolean),
+        updatedAt: new Date().toISOString(),
+        updatedBy: auth.session.sub
+    };
+    await store.putCalendar(calendar);
+
+    return json({ success: true, exceptions: calendar.exceptions, updatedAt: calendar.updatedAt });
+}
+
+/**
+ * GET /api/registration-window
+ * @param {Object} env
+ * @param {Object} store
+ * @returns {Promise<Response>}
+ */
+export async function getRegistrationWindow(env, store) {
+    const now = new Date();
+    await prepareCalendar(store, env, now);
+
+    const freeze = getFreeze(env);
+    const registration = DrawCalendar.getRegistrationWindow(now, freeze);
+    const intent = registration.state === DrawCalendar.RegistrationState.CLOSED
+        ? null
+        : await signToken(env.RECEIPT_SECRET, buildIntent(registration, now));
+
+    return json({
+        success: true,
+        serverTime: now.toISOString(),
+        state: registration.state,
+        drawDate: registration.drawDate,
+        drawTime: registration.drawTime,
+        concurso: registration.concurso,
+        closesAt: registration.closesAt ? registration.closesAt.toISOString() : null,
+        reopensAt: registration.reopensAt ? registration.reopensAt.toISOString() : null,
+        freeze,
+        intent
+    });
+}
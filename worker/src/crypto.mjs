@@ -0,0 +1,171 @@
+/**
+ * POP-SORTE API Worker - Crypto Helpers
+ *
+ * Signed tokens share one format for ticket receipts and admin sessions:
+ *
+ *   token = base64url(JSON payload) + "." + base64url(HMAC-SHA256(secret, payload part))
+ *
+ * Receipts are signed with RECEIPT_SECRET and decoded by ticket-receipt.js;
+ * session tokens are signed with AUTH_TOKEN_SECRET and decoded by
+ * homina/js/admin-core.js. Neither page can verify a signature, only the
+ * Worker can.
+ *
+ * Admin passwords are stored as salted PBKDF2-SHA256 hashes (hex), the same
+ * format as homina/data/admin-users.json.
+ *
+ * Uses Web Crypto only, so it runs unchanged in Workers and Node 20.
+ */
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Default PBKDF2 work factor (the Workers runtime caps it at 100000)
+ */
+export const PBKDF2_ITERATIONS = 100000;
+
+// ============================================
+// Encoding
+// ============================================
+
+/**
+ * Encode text or bytes as base64url (no padding)
+ * @param {string|ArrayBuffer|Uint8Array} data
+ * @returns {string}
+ */
+export function toBase64Url(data) {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : new Uint8Array(data);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url to bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+export function fromBase64Url(text) {
+    const base64 = String(text).replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+/**
+ * Bytes to lowercase hex
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {string}
+ */
+export function toHex(buffer) {
+    return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hex to bytes
+ * @param {string} hex
+ * @returns {Uint8Array}
+ */
+export function fromHex(hex) {
+    const pairs = String(hex || '').match(/.{2}/g) || [];
+    return new Uint8Array(pairs.map(pair => parseInt(pair, 16)));
+}
+
+/**
+ * Compare two strings without stopping at the first difference
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+// ============================================
+// Signed Tokens
+// ============================================
+
+/**
+ * Import an HMAC-SHA256 key
+ * @param {string} secret
+ * @returns {Promise<CryptoKey>}
+ */
+function importHmacKey(secret) {
+    if (!secret) throw new Error('Signing secret is not configured');
+    return crypto.subtle.importKey(
+        'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']
+    );
+}
+
+/**
+ * Sign a payload
+ * @param {string} secret - HMAC secret
+ * @param {Object} payload - JSON-serializable payload
+ * @returns {Promise<string>} Token
+ */
+export async function signToken(secret, payload) {
+    const payloadPart = toBase64Url(JSON.stringify(payload));
+    const key = await importHmacKey(secret);
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(payloadPart));
+    return `${payloadPart}.${toBase64Url(signature)}`;
+}
+
+/**
+ * Verify a token and return its payload
+ * @param {string} secret - HMAC secret
+ * @param {string} token - Token to check
+ * @returns {Promise<Object|null>} Payload, or null if malformed or forged
+ */
+export async function verifyToken(secret, token) {
+    const parts = String(token || '').trim().split('.');
+    if (parts.length !== 2 || !parts[0] || !parts[1]) return null;
+
+    try {
+        const key = await importHmacKey(secret);
+        const isValid = await crypto.subtle.verify(
+            'HMAC', key, fromBase64Url(parts[1]), encoder.encode(parts[0])
+        );
+        if (!isValid) return null;
+        return JSON.parse(decoder.decode(fromBase64Url(parts[0])));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Short code printed on the ticket: first 4 signature bytes as "XXXX-XXXX"
+ * Must match TicketReceipt.getShortCode.
+ * @param {string} token - Receipt token
+ * @returns {string|null}
+ */
+export function getShortCode(token) {
+    const signaturePart = String(token || '').split('.')[1];
+    if (!signaturePart) return null;
+    const hex = toHex(fromBase64Url(signaturePart).slice(0, 4)).toUpperCase();
+    return hex.length === 8 ? `${hex.slice(0, 4)}-${hex.slice(4)}` : null;
+}
+
+// ============================================
+// Passwords
+// ============================================
+
+/**
+ * Hash a password with PBKDF2-SHA256
+ * @param {string} password - Plain password
+ * @param {string} saltHex - Salt as hex
+ * @param {number} [iterations] - Work factor
+ * @returns {Promise<string>} Hash as hex
+ */
+export async function hashPassword(password, saltHex, iterations = PBKDF2_ITERATIONS) {
+    const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: fromHex(saltHex), iterations },
+        key,
+        256
+    );
+    return toHex(bits);
+}
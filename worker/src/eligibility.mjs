@@ -0,0 +1,83 @@
+/**
+ * POP-SORTE API Worker - Recharge Eligibility Preview
+ *
+ * GET /api/tickets/eligibility?gameId=&platform=
+ *   200:    {success, eligible, reasonCode, drawDate, concurso,
+ *            recharge: {rechargeTime, expiresAt, eligible1, eligible2} | null}
+ *   422:    INVALID_LOOKUP
+ *   503:    RECHARGES_UNAVAILABLE
+ *
+ *   Answers "would a ticket sent now be backed by a recharge?" before the
+ *   player confirms. It is a preview only: the ticket is still validated by
+ *   homina once the recharge sheet and the entries are in.
+ *
+ * The answer is homina's ValidationEngine run through validation.mjs: the
+ * Game ID's stored tickets on the platform plus a ticket registered now for
+ * the draw getRegistrationWindow targets. That ticket gets the same one-to-one
+ * binding (oldest recharge first, earlier tickets bind first), minimum amount
+ * and Day 1 / Day 2 window homina applies. reasonCode is the engine's
+ * (NO_ELIGIBLE_RECHARGE, INVALID_RECHARGE_WINDOW_EXPIRED,
+ * INVALID_NOT_FIRST_TICKET_AFTER_RECHARGE, ...) and '' when eligible.
+ *
+ * Recharge amounts are never returned.
+ */
+
+import { json, fail } from './http.mjs';
+import { PLATFORMS, prepareCalendar, getFreeze, DrawCalendar } from './rules.mjs';
+import { getRecharges, validateRecords, ValidationEngine } from './validation.mjs';
+
+// ============================================
+// Handler
+// ============================================
+
+/**
+ * GET /api/tickets/eligibility
+ * @param {URL} url
+ * @param {Object} env
+ * @param {Object} store
+ * @returns {Promise<Response>}
+ */
+export async function getEligibility(url, env, store) {
+    const gameId = (url.searchParams.get('gameId') || '').trim();
+    const platform = (url.searchParams.get('platform') || '').trim().toUpperCase();
+
+    if (!/^[0-9]{10}$/.test(gameId) || !PLATFORMS.includes(platform)) {
+        return fail(422, 'INVALID_LOOKUP', 'Informe a plataforma e o ID de Jogo (10 dígitos)');
+    }
+
+    const now = new Date();
+    await prepareCalendar(store, env, now);
+    const registration = DrawCalendar.getRegistrationWindow(now, getFreeze(env));
+
+    let recharges;
+    try {
+        recharges = await getRecharges(env, platform, now);
+    } catch (error) {
+        console.warn('Recharge sheet unavailable:', error.message);
+        recharges = null;
+    }
+    if (!recharges) {
+        return fail(503, 'RECHARGES_UNAVAILABLE', 'Não foi possível consultar as recargas agora');
+    }
+
+    const tickets = (await store.listTicketsByGameId(gameId)).filter(t => t.platform === platform);
+    const preview = {
+        idempotencyKey: '',
+        platform,
+        gameId,
+        createdAt: now.toISOString(),
+        drawDate: registration.drawDate,
+        concurso: registration.concurso
+    };
+    const outcome = validateRecords([...tickets, preview], recharges).get(preview);
+    const eligible = outcome.status === ValidationEngine.ValidationStatus.VALID;
+
+    return json({
+        success: true,
+        eligible,
+        reasonCode: eligible ? '' : outcome.reasonCode,
+        drawDate: registration.drawDate,
+        concurso: registration.concurso,
+        recharge: eligible ? outcome.recharge : null
+    });
+}
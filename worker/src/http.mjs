@@ -0,0 +1,64 @@
+/**
+ * POP-SORTE API Worker - HTTP Helpers
+ *
+ * Every response is JSON with `success`, plus CORS headers so the player
+ * pages (GitHub Pages) and the admin dashboards can call the API directly.
+ * Errors carry a machine-readable `code` next to the message shown to users.
+ */
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, HEAD, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Idempotency-Key, Authorization',
+    'Access-Control-Max-Age': '86400'
+};
+
+/**
+ * JSON response
+ * @param {Object} data - Body
+ * @param {number} [status=200]
+ * @returns {Response}
+ */
+export function json(data, status = 200) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Cache-Control': 'no-store',
+            ...CORS_HEADERS
+        }
+    });
+}
+
+/**
+ * Error response
+ * @param {number} status - HTTP status
+ * @param {string} code - Machine-readable code
+ * @param {string} error - Message
+ * @returns {Response}
+ */
+export function fail(status, code, error) {
+    return json({ success: false, code, error }, status);
+}
+
+/**
+ * Empty response (CORS preflight, HEAD time sync)
+ * @param {number} [status=204]
+ * @returns {Response}
+ */
+export function empty(status = 204) {
+    return new Response(null, { status, headers: { ...CORS_HEADERS, 'Cache-Control': 'no-store' } });
+}
+
+/**
+ * Read a JSON body
+ * @param {Request} request
+ * @returns {Promise<Object|null>} Parsed body, or null if it is not JSON
+ */
+export async function readJson(request) {
+    try {
+        return await request.json();
+    } catch (error) {
+        return null;
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * POP-SORTE API Worker
+ *
+ * Reference implementation of the API behind API_BASE_URL
+ * (https://popsorte-api.danilla-vargas1923.workers.dev). Routes:
+ *
+ *   HEAD|GET /                    health check; the player form reads the Date header
+ *   POST     /api/tickets/create  tickets.mjs
+ *   GET      /api/tickets/lookup  tickets.mjs
+ *   GET      /api/tickets/eligibility  eligibility.mjs
+ *   POST     /api/receipts/verify tickets.mjs
+ *   GET|POST /api/calendar        calendar.mjs
+ *   GET      /api/registration-window  calendar.mjs
+ *   GET|POST /api/overrides       overrides.mjs
+ *   GET|POST /api/payouts         payouts.mjs
+ *   GET|POST /api/prize-rules     prize-rules.mjs
+ *   POST     /api/auth/login      auth.mjs
+ *
+ * Bindings (wrangler.toml / `wrangler secret put`):
+ *   POPSORTE_KV        KV namespace (store.mjs)
+ *   RECEIPT_SECRET     HMAC secret for ticket receipts and registration intents
+ *   AUTH_TOKEN_SECRET  HMAC secret for admin session tokens
+ *   SHEET_WEBHOOK_URL  Apps Script web app that appends entry rows
+ *   RESULTS_CSV_URL    Published results sheet (contest anchor)
+ *   RECHARGE_CSV_URL_POPN1 / RECHARGE_CSV_URL_POPLUZ  published recharge sheets
+ *   FREEZE_BEFORE_SECONDS / FREEZE_AFTER_SECONDS  registration freeze around each draw
+ *   INTENT_GRACE_SECONDS  how late a ticket confirmed before the cutoff may arrive
+ *
+ * Run locally with `node worker/dev-server.mjs` (see worker/README.md).
+ */
+
+import { json, fail, empty } from './http.mjs';
+import { createStore } from './store.mjs';
+import { createTicket, lookupTickets, verifyReceipt } from './tickets.mjs';
+import { getEligibility } from './eligibility.mjs';
+import { getCalendar, saveCalendar, getRegistrationWindow } from './calendar.mjs';
+import { listOverrides, saveOverride } from './overrides.mjs';
+import { listPayouts, savePayout } from './payouts.mjs';
+import { listPrizeRules, savePrizeRule } from './prize-rules.mjs';
+import { login } from './auth.mjs';
+
+/**
+ * Route a request
+ * @param {Request} request
+ * @param {Object} env
+ * @returns {Promise<Response>}
+ */
+async function route(request, env) {
+    const url = new URL(request.url);
+    const method = request.method;
+
+    if (method === 'OPTIONS') return empty();
+    if (url.pathname === '/') {
+        return method === 'HEAD' ? empty(200) : json({ success: true, service: 'popsorte-api' });
+    }
+
+    const store = createStore(env.POPSORTE_KV);
+
+    switch (`${method} ${url.pathname}`) {
+        case 'POST /api/tickets/create':
+            return createTicket(request, env, store);
+        case 'GET /api/tickets/lookup':
+            return lookupTickets(url, env, store);
+        case 'GET /api/tickets/eligibility':
+            return getEligibility(url, env, store);
+        case 'POST /api/receipts/verify':
+            return verifyReceipt(request, env, store);
+        case 'GET /api/calendar':
+            return getCalendar(store);
+        case 'POST /api/calendar':
+            return saveCalendar(request, env, store);
+        case 'GET /api/registration-window':
+            return getRegistrationWindow(env, store);
+        case 'GET /api/overrides':
+            return listOverrides(request, env, store);
+        case 'POST /api/overrides':
+            return saveOverride(request, env, store);
+        case 'GET /api/payouts':
+            return listPayouts(request, env, store);
+        case 'POST /api/payouts':
+            return savePayout(request, env, store);
+        case 'GET /api/prize-rules':
+            return listPrizeRules(request, env, store);
+        case 'POST /api/prize-rules':
+            return savePrizeRule(request, env, store);
+        case 'POST /api/auth/login':
+            return login(request, env, store);
+        default:
+            return fail(404, 'NOT_FOUND', 'Not found');
+    }
+}
+
+export default {
+    async fetch(request, env) {
+        try {
+            return await route(request, env);
+        } catch (error) {
+            console.error('Unhandled error:', error);
+            return fail(500, 'INTERNAL_ERROR', 'Erro interno. Tente novamente.');
+        }
+    }
+};
@@ -0,0 +1,117 @@
+/**
+ * POP-SORTE API Worker - Manual Adjudication Overrides
+ *
+ * GET  /api/overrides   (Authorization: Bearer <token>, 'view' permission)
+ *   200:    {success, overrides: [override], updatedAt}
+ *
+ * POST /api/overrides   (Authorization: Bearer <token>, 'validate' permission)
+ *   body:   {ticketId, status: 'VALID'|'INVALID'|null, reason, evidence,
+ *            gameId, platform, ticketLabel}
+ *   200:    {success, override, updatedAt}
+ *   422:    INVALID_BODY
+ *
+ *   status null clears the override. The change is appended to the
+ *   override's history either way, so a cleared override keeps its audit
+ *   trail (it is returned with status null).
+ *
+ * Override (KV overrides, one document {overrides: {ticketId: override}, updatedAt}):
+ *   {ticketId, gameId, platform, ticketLabel, status, reason, evidence,
+ *    setBy, setAt, history: [{status, reason, evidence, by, at}]}
+ *
+ * ticketId is ValidationEngine.getTicketId in homina. The signed-in username
+ * is recorded as setBy; nothing in the body can change it. Overrides live
+ * apart from the entries sheet, which is never written here.
+ */
+
+import { json, fail, readJson } from './http.mjs';
+import { requirePermission } from './auth.mjs';
+
+// ============================================
+// Constants
+// ============================================
+
+const STATUSES = ['VALID', 'INVALID'];
+
+const MAX_TICKET_ID = 300;
+const MAX_REASON = 500;
+const MAX_EVIDENCE = 2000;
+
+// ============================================
+// Handlers
+// ============================================
+
+/**
+ * GET /api/overrides
+ * @param {Request} request
+ * @param {Object} env
+ * @param {Object} store
+ * @returns {Promise<Response>}
+ */
+export async function listOverrides(request, env, store) {
+    const auth = await requirePermission(request, env, 'view');
+    if (!auth.ok) return auth.response;
+
+    const doc = await store.getOverrides();
+    return json({
+        success: true,
+        overrides: doc ? Object.values(doc.overrides) : [],
+        updatedAt: doc ? doc.updatedAt : null
+    });
+}
+
+/**
+ * POST /api/overrides
+ * @param {Request} request
+ * @param {Object} env
+ * @param {Object} store
+ * @returns {Promise<Response>}
+ */
+export async function saveOverride(request, env, store) {
+    const auth = await requirePermission(request, env, 'validate');
+    if (!auth.ok) return auth.response;
+
+    const body = await readJson(request);
+    const ticketId = String((body && body.ticketId) || '').trim();
+    const status = body && body.status ? String(body.status).toUpperCase() : null;
+    const reason = String((body && body.reason) || '').trim();
+    const evidence = String((body && body.evidence) || '').trim();
+
+    if (!ticketId || ticketId.length > MAX_TICKET_ID) {
+        return fail(422, 'INVALID_BODY', 'ticketId is required');
+    }
+    if (status !== null && !STATUSES.includes(status)) {
+        return fail(422, 'INVALID_BODY', 'status must be VALID, INVALID or null');
+    }
+    if (!reason || reason.length > MAX_REASON) {
+        return fail(422, 'INVALID_BODY', `A reason of up to ${MAX_REASON} characters is required`);
+    }
+    if (evidence.length > MAX_EVIDENCE) {
+        return fail(422, 'INVALID_BODY', `Evidence is limited to ${MAX_EVIDENCE} characters`);
+    }
+
+    const doc = (await store.getOverrides()) || { overrides: {}, updatedAt: null };
+    const previous = doc.overrides[ticketId];
+    const now = new Date().toISOString();
+
+    const override = {
+        ticketId,
+        gameId: String((body.gameId || (previous && previous.gameId)) || ''),
+        platform: String((body.platform || (previous && previous.platform)) || ''),
+        ticketLabel: String((body.ticketLabel || (previous && previous.ticketLabel)) || ''),
+        status,
+        reason,
+        evidence,
+        setBy: auth.session.sub,
+        setAt: now,
+        history: [
+            ...(previous ? previous.history : []),
+            { status, reason, evidence, by: auth.session.sub, at: now }
+        ]
+    };
+
+    doc.overrides[ticketId] = override;
+    doc.updatedAt = now;
+    await store.putOverrides(doc);
+
+    return json({ success: true, override, updatedAt: now });
+}
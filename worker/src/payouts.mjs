@@ -0,0 +1,160 @@
+/**
+ * POP-SORTE API Worker - Payout Ledger
+ *
+ * GET  /api/payouts   (Authorization: Bearer <token>, 'view' permission)
+ *   200:    {success, payouts: [payout], updatedAt}
+ *
+ * POST /api/payouts   (Authorization: Bearer <token>, 'payout' permission)
+ *   body:   {payoutId, status, note, amount, transactionRef, paidAt,
+ *            ticketId, contest, platform, gameId, ticketLabel, matches}
+ *   200:    {success, payout, updatedAt}
+ *   409:    INVALID_TRANSITION
+ *   422:    INVALID_BODY
+ *
+ *   A winner without a payout record is PENDING_REVIEW. Allowed moves:
+ *     PENDING_REVIEW -> APPROVED | DISPUTED
+ *     APPROVED       -> PAID | DISPUTED | PENDING_REVIEW
+ *     PAID           -> DISPUTED
+ *     DISPUTED       -> PENDING_REVIEW | APPROVED | PAID
+ *   APPROVED needs the amount (R$, rounded to cents); it is kept from then
+ *   on. PAID needs transactionRef and paidAt ("YYYY-MM-DD").
+ *
+ * Payout (KV payouts, one document {payouts: {payoutId: payout}, updatedAt}):
+ *   {payoutId, ticketId, contest, platform, gameId, ticketLabel, matches,
+ *    amount, status, transactionRef, paidAt, note, updatedBy, updatedAt,
+ *    history: [{status, amount, transactionRef, paidAt, note, by, at}]}
+ *
+ * payoutId is "<platform>|<contest>|<ticketId>", ticketId being
+ * ValidationEngine.getTicketId in homina. The winners themselves are computed
+ * by homina; the Worker only keeps what admins did with them.
+ */
+
+import { json, fail, readJson } from './http.mjs';
+import { requirePermission } from './auth.mjs';
+
+// ============================================
+// Constants
+// ============================================
+
+const TRANSITIONS = {
+    PENDING_REVIEW: ['APPROVED', 'DISPUTED'],
+    APPROVED: ['PAID', 'DISPUTED', 'PENDING_REVIEW'],
+    PAID: ['DISPUTED'],
+    DISPUTED: ['PENDING_REVIEW', 'APPROVED', 'PAID']
+};
+
+const MAX_ID = 400;
+const MAX_NOTE = 500;
+const MAX_TRANSACTION_REF = 200;
+const MAX_LABEL = 200;
+
+// ============================================
+// Handlers
+// ============================================
+
+/**
+ * GET /api/payouts
+ * @param {Request} request
+ * @param {Object} env
+ * @param {Object} store
+ * @returns {Promise<Response>}
+ */
+export async function listPayouts(request, env, store) {
+    const auth = await requirePermission(request, env, 'view');
+    if (!auth.ok) return auth.response;
+
+    const doc = await store.getPayouts();
+    return json({
+        success: true,
+        payouts: doc ? Object.values(doc.payouts) : [],
+        updatedAt: doc ? doc.updatedAt : null
+    });
+}
+
+/**
+ * POST /api/payouts
+ * @param {Request} request
+ * @param {Object} env
+ * @param {Object} store
+ * @returns {Promise<Response>}
+ */
+export async function savePayout(request, env, store) {
+    const auth = await requirePermission(request, env, 'payout');
+    if (!auth.ok) return auth.response;
+
+    const body = (await readJson(request)) || {};
+    const payoutId = String(body.payoutId || '').trim();
+    const status = String(body.status || '').toUpperCase();
+    const note = String(body.note || '').trim();
+
+    if (!payoutId || payoutId.length > MAX_ID) {
+        return fail(422, 'INVALID_BODY', 'payoutId is required');
+    }
+    if (!TRANSITIONS[status]) {
+        return fail(422, 'INVALID_BODY', `status must be one of ${Object.keys(TRANSITIONS).join(', ')}`);
+    }
+    if (note.length > MAX_NOTE) {
+        return fail(422, 'INVALID_BODY', `The note is limited to ${MAX_NOTE} characters`);
+    }
+
+    const doc = (await store.getPayouts()) || { payouts: {}, updatedAt: null };
+    const previous = doc.payouts[payoutId] || null;
+    const from = previous ? previous.status : 'PENDING_REVIEW';
+
+    if (!TRANSITIONS[from].includes(status)) {
+        return fail(409, 'INVALID_TRANSITION', `A ${from} payout cannot become ${status}`);
+    }
+
+    // The amount is fixed when the payout is approved
+    let amount = previous ? previous.amount : null;
+    if (status === 'APPROVED' || (status === 'PAID' && amount === null)) {
+        const value = Number(body.amount);
+        if (!Number.isFinite(value) || value <= 0) {
+            return fail(422, 'INVALID_BODY', 'A positive amount is required to approve a payout');
+        }
+        amount = Math.round(value * 100) / 100;
+    }
+
+    let transactionRef = previous ? previous.transactionRef : '';
+    let paidAt = previous ? previous.paidAt : '';
+    if (status === 'PAID') {
+        transactionRef = String(body.transactionRef || '').trim();
+        paidAt = String(body.paidAt || '').trim();
+        if (!transactionRef || transactionRef.length > MAX_TRANSACTION_REF) {
+            return fail(422, 'INVALID_BODY', 'transactionRef is required to mark a payout paid');
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(paidAt)) {
+            return fail(422, 'INVALID_BODY', 'paidAt must be YYYY-MM-DD');
+        }
+    }
+
+    const field = (name) => String((body[name] || (previous && previous[name])) || '').slice(0, MAX_LABEL);
+    const now = new Date().toISOString();
+
+    const payout = {
+        payoutId,
+        ticketId: field('ticketId'),
+        contest: field('contest'),
+        platform: field('platform'),
+        gameId: field('gameId'),
+        ticketLabel: field('ticketLabel'),
+        matches: Number(body.matches || (previous && previous.matches)) || 0,
+        amount,
+        status,
+        transactionRef,
+        paidAt,
+        note,
+        updatedBy: auth.session.sub,
+        updatedAt: now,
+        history: [
+            ...(previous ? previous.history : []),
+            { status, amount, transactionRef, paidAt, note, by: auth.session.sub, at: now }
+        ]
+    };
+
+    doc.payouts[payoutId] = payout;
+    doc.updatedAt = now;
+    await store.putPayouts(doc);
+
+    return json({ success: true, payout, updatedAt: now });
+}
@@ -0,0 +1,95 @@
+/**
+ * POP-SORTE API Worker - Prize Rules
+ *
+ * GET  /api/prize-rules   (Authorization: Bearer <token>, 'view' permission, optional)
+ *   200:    {success, rules: [rule], updatedAt}
+ *
+ *   Without an Authorization header the rules are public (bilhete.html checks
+ *   a ticket's prize with them) and come without updatedBy.
+ *
+ * POST /api/prize-rules   (Authorization: Bearer <token>, 'payout' permission)
+ *   body:   {rule}   one version, see homina/js/prize-rules.js
+ *   200:    {success, rules, updatedAt}
+ *   409:    RULE_IN_PAST
+ *   422:    INVALID_BODY
+ *
+ * Versions are only added, never edited after the fact: effectiveFrom must
+ * be on or after the next draw still open for tickets, so every drawn
+ * contest keeps the rule it was played under. Posting the same platform and
+ * effectiveFrom again replaces that (still future) version. The signed-in
+ * username is recorded as updatedBy.
+ *
+ * KV prizeRules: {rules: [rule], updatedAt}
+ *
+ * Dependencies: ../../homina/js/prize-rules.js (PrizeRules), rules.mjs (DrawCalendar)
+ */
+
+import '../../homina/js/prize-rules.js';
+import { json, fail, readJson } from './http.mjs';
+import { requirePermission } from './auth.mjs';
+import { DrawCalendar, prepareCalendar } from './rules.mjs';
+
+const { PrizeRules } = globalThis;
+
+// ============================================
+// Handlers
+// ============================================
+
+/**
+ * GET /api/prize-rules
+ * @param {Request} request
+ * @param {Object} env
+ * @param {Object} store
+ * @returns {Promise<Response>}
+ */
+export async function listPrizeRules(request, env, store) {
+    const isPublic = !request.headers.get('Authorization');
+    if (!isPublic) {
+        const auth = await requirePermission(request, env, 'view');
+        if (!auth.ok) return auth.response;
+    }
+
+    const doc = await store.getPrizeRules();
+    const rules = doc ? doc.rules : [];
+    return json({
+        success: true,
+        rules: isPublic ? rules.map(({ updatedBy, ...rule }) => rule) : rules,
+        updatedAt: doc ? doc.updatedAt : null
+    });
+}
+
+/**
+ * POST /api/prize-rules
+ * @param {Request} request
+ * @param {Object} env
+ * @param {Object} store
+ * @returns {Promise<Response>}
+ */
+export async function savePrizeRule(request, env, store) {
+    const auth = await requirePermission(request, env, 'payout');
+    if (!auth.ok) return auth.response;
+
+    const body = await readJson(request);
+    const rule = PrizeRules.normalizeRule(body && body.rule);
+    if (!rule) {
+        return fail(422, 'INVALID_BODY', 'rule is missing or invalid (platform, effectiveFrom, prizePool, minMatches, split, tier shares)');
+    }
+
+    const now = new Date();
+    await prepareCalendar(store, env, now);
+    const firstOpenDraw = DrawCalendar.toDateKey(DrawCalendar.getScheduleAt(now).drawDate);
+    if (rule.effectiveFrom < firstOpenDraw) {
+        return fail(409, 'RULE_IN_PAST', `effectiveFrom must be ${firstOpenDraw} or later; drawn contests keep their rules`);
+    }
+
+    const doc = (await store.getPrizeRules()) || { rules: [], updatedAt: null };
+    const version = { ...rule, updatedBy: auth.session.sub, updatedAt: now.toISOString() };
+
+    doc.rules = doc.rules
+        .filter(r => !(r.platform === version.platform && r.effectiveFrom === version.effectiveFrom))
+        .concat(version);
+    doc.updatedAt = version.updatedAt;
+    await store.putPrizeRules(doc);
+
+    return json({ success: true, rules: doc.rules, updatedAt: doc.updatedAt });
+}
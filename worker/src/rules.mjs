@@ -0,0 +1,343 @@
+/**
+ * POP-SORTE API Worker - Ticket Rules
+ *
+ * Server-side copy of the rules the player form enforces, so a hand-made
+ * request cannot get around them:
+ * - Platform is POPN1 or POPLUZ
+ * - Game ID is exactly 10 digits
+ * - WhatsApp is "+55" followed by 10-11 digits, or "N/A" when opted out
+ * - Exactly 5 different numbers between 01 and 80
+ * - The draw (drawDate / concurso) is decided here from the Worker clock,
+ *   using the same shared draw-calendar.js as the pages. The body's drawDate
+ *   is only compared against it: a request for a draw whose cutoff has
+ *   passed is rejected, never moved to the next draw behind the player's back.
+ *
+ * Contest numbers are anchored on the latest official result, like the
+ * player site, and fall back to the calendar's fixed reference.
+ *
+ * No ticket is accepted while registration is frozen around a draw
+ * (FREEZE_BEFORE_SECONDS / FREEZE_AFTER_SECONDS, see getFreeze).
+ *
+ * Registration intents: while registration is open, /api/registration-window
+ * hands the form a signed intent for the current draw (buildIntent). A
+ * ticket confirmed while its intent was fresh keeps that draw even when the
+ * request arrives after the cutoff (offline queue, retries), as long as it
+ * arrives within INTENT_GRACE_SECONDS of the cutoff (see honorIntent).
+ *
+ * Dependencies: ../../draw-calendar.js (DrawCalendar)
+ */
+
+import '../../draw-calendar.js';
+
+const { DrawCalendar } = globalThis;
+
+// ============================================
+// Constants
+// ============================================
+
+export const PLATFORMS = ['POPN1', 'POPLUZ'];
+export const NUMBERS_PER_TICKET = 5;
+export const MIN_NUMBER = 1;
+export const MAX_NUMBER = 80;
+
+const GAME_ID_REGEX = /^[0-9]{10}$/;
+const WHATSAPP_REGEX = /^\+55[0-9]{10,11}$/;
+const IDEMPOTENCY_KEY_REGEX = /^[A-Za-z0-9-]{8,64}$/;
+
+/**
+ * How long a cached results anchor is trusted (10 minutes)
+ */
+const ANCHOR_TTL = 10 * 60 * 1000;
+
+/**
+ * Results feed fetch timeout (5 seconds)
+ */
+const RESULTS_TIMEOUT = 5 * 1000;
+
+/**
+ * Registration intent token kind (tokens share RECEIPT_SECRET with receipts)
+ */
+export const INTENT_KIND = 'intent';
+
+/**
+ * How long after it was issued an intent still covers a confirm (10 minutes;
+ * the form refreshes it with the registration window every 5)
+ */
+const INTENT_MAX_AGE = 10 * 60 * 1000;
+
+/**
+ * Default time after the cutoff a confirmed ticket may still arrive (15 minutes)
+ */
+const DEFAULT_INTENT_GRACE_SECONDS = 15 * 60;
+
+// ============================================
+// Request Validation
+// ============================================
+
+/**
+ * Parse the chosen numbers ("01, 12, 22, 25, 44" or an array)
+ * @param {string|Array} raw
+ * @returns {number[]|null} Numbers in the order chosen, or null if malformed
+ */
+function parseNumbers(raw) {
+    const parts = Array.isArray(raw)
+        ? raw.map(String)
+        : String(raw || '').split(/[,;\s]+/).filter(Boolean);
+
+    if (!parts.every(part => /^\d{1,2}$/.test(part.trim()))) return null;
+    return parts.map(part => parseInt(part, 10));
+}
+
+/**
+ * Validate and normalize a /api/tickets/create body
+ * @param {Object} body - Request body
+ * @param {string} [headerKey] - Idempotency-Key header
+ * @returns {Object} {ok: true, ticket} or {ok: false, code, error}
+ */
+export function validateTicketRequest(body, headerKey) {
+    const fail = (code, error) => ({ ok: false, code, error });
+    if (!body || typeof body !== 'object') return fail('INVALID_BODY', 'Requisição inválida');
+
+    const idempotencyKey = String(headerKey || body.idempotencyKey || '').trim();
+    if (!IDEMPOTENCY_KEY_REGEX.test(idempotencyKey)) {
+        return fail('INVALID_IDEMPOTENCY_KEY', 'Chave do bilhete ausente ou inválida');
+    }
+    if (headerKey && body.idempotencyKey && headerKey !== body.idempotencyKey) {
+        return fail('INVALID_IDEMPOTENCY_KEY', 'Chave do bilhete não confere');
+    }
+
+    const platform = String(body.platform || '').trim().toUpperCase();
+    if (!PLATFORMS.includes(platform)) {
+        return fail('INVALID_PLATFORM', 'Plataforma inválida');
+    }
+
+    const gameId = String(body.gameId || '').trim();
+    if (!GAME_ID_REGEX.test(gameId)) {
+        return fail('INVALID_GAME_ID', 'ID de Jogo deve ter exatamente 10 dígitos');
+    }
+
+    const whatsappNumber = String(body.whatsappNumber || '').trim();
+    if (whatsappNumber !== 'N/A' && !WHATSAPP_REGEX.test(whatsappNumber)) {
+        return fail('INVALID_WHATSAPP', 'WhatsApp inválido');
+    }
+
+    const numbers = parseNumbers(body.numerosEscolhidos);
+    if (!numbers || numbers.length !== NUMBERS_PER_TICKET) {
+        return fail('INVALID_NUMBERS', `Selecione exatamente ${NUMBERS_PER_TICKET} números`);
+    }
+    if (numbers.some(n => n < MIN_NUMBER || n > MAX_NUMBER)) {
+        return fail('INVALID_NUMBERS', `Os números devem estar entre ${MIN_NUMBER} e ${MAX_NUMBER}`);
+    }
+    if (new Set(numbers).size !== numbers.length) {
+        return fail('INVALID_NUMBERS', 'Números repetidos no bilhete');
+    }
+
+    const claimedDrawDate = body.drawDate ? DrawCalendar.toDateKey(String(body.drawDate)) : null;
+    const clientCreatedAt = body.createdAt && !isNaN(new Date(body.createdAt).getTime())
+        ? new Date(body.createdAt).toISOString()
+        : null;
+    const intent = typeof body.intent === 'string' && body.intent ? body.intent : null;
+
+    return {
+        ok: true,
+        ticket: {
+            idempotencyKey,
+            platform,
+            gameId,
+            whatsappNumber,
+            numbers,
+            numerosEscolhidos: numbers.map(n => String(n).padStart(2, '0')).join(', '),
+            claimedDrawDate,
+            clientCreatedAt,
+            intent
+        }
+    };
+}
+
+// ============================================
+// Draw Assignment
+// ============================================
+
+/**
+ * Load the published calendar and the results anchor into DrawCalendar
+ * @param {Object} store - See store.mjs
+ * @param {Object} env - Worker environment (RESULTS_CSV_URL)
+ * @param {Date} now - Current time
+ */
+export async function prepareCalendar(store, env, now) {
+    const calendar = await store.getCalendar();
+    if (calendar && Array.isArray(calendar.exceptions)) {
+        DrawCalendar.setExceptions(calendar.exceptions);
+    } else {
+        DrawCalendar.resetExceptions();
+    }
+
+    let anchor = await store.getResultsAnchor();
+    if (env.RESULTS_CSV_URL && (!anchor || now.getTime() - anchor.fetchedAt > ANCHOR_TTL)) {
+        try {
+            const latest = await fetchLatestResult(env.RESULTS_CSV_URL);
+            if (latest) {
+                anchor = { ...latest, fetchedAt: now.getTime() };
+                await store.putResultsAnchor(anchor);
+            }
+        } catch (error) {
+            console.warn('Results feed unavailable, keeping last anchor:', error.message);
+        }
+    }
+
+    DrawCalendar.setConcursoAnchor(anchor ? { number: anchor.number, date: anchor.date } : null);
+}
+
+/**
+ * Read the latest drawn contest from the results CSV
+ * (Contest Number, Draw Date DD/MM/YYYY, Number 1..5; "No draw" rows skipped)
+ * @param {string} url - Published CSV URL
+ * @returns {Promise<Object|null>} {number, date: "YYYY-MM-DD"}
+ */
+async function fetchLatestResult(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), RESULTS_TIMEOUT);
+
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const lines = (await response.text()).split(/\r?\n/).filter(Boolean);
+        let latest = null;
+
+        for (const line of lines.slice(1)) {
+            if (line.toLowerCase().includes('no draw')) continue;
+            const cells = line.split(/[,;]/).map(cell => cell.replace(/"/g, '').trim());
+            const number = parseInt(cells[0], 10);
+            const date = DrawCalendar.toDateKey(cells[1] || '');
+            const drawn = cells.slice(2, 7).filter(cell => /^\d+$/.test(cell));
+            if (isNaN(number) || !date || drawn.length !== 5) continue;
+            if (!latest || number > latest.number) latest = { number, date };
+        }
+
+        return latest;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Registration freeze configured for this deployment
+ * @param {Object} env - Worker environment
+ * @returns {Object} {beforeSeconds, afterSeconds}
+ */
+export function getFreeze(env) {
+    const read = (value, fallback) => {
+        const seconds = parseInt(value, 10);
+        return isNaN(seconds) || seconds < 0 ? fallback : seconds;
+    };
+    return {
+        beforeSeconds: read(env.FREEZE_BEFORE_SECONDS, DrawCalendar.DEFAULT_FREEZE.beforeSeconds),
+        afterSeconds: read(env.FREEZE_AFTER_SECONDS, DrawCalendar.DEFAULT_FREEZE.afterSeconds)
+    };
+}
+
+/**
+ * Decide which draw a ticket registered now belongs to
+ * Call prepareCalendar first.
+ * @param {Date} now - Worker time
+ * @param {string|null} claimedDrawDate - Draw the form showed the player ("YYYY-MM-DD")
+ * @param {Object} freeze - See getFreeze
+ * @returns {Object} {ok: true, drawDate, concurso, cutoff} or {ok: false, code, error}
+ */
+export function assignDraw(now, claimedDrawDate, freeze) {
+    const registration = DrawCalendar.getRegistrationWindow(now, freeze);
+    if (registration.state === DrawCalendar.RegistrationState.CLOSED) {
+        const c = DrawCalendar.getBrazilComponents(registration.reopensAt);
+        const pad = (n) => String(n).padStart(2, '0');
+        return {
+            ok: false,
+            code: 'REGISTRATION_CLOSED',
+            error: `Inscrições fechadas durante o sorteio. Reabrem às ${pad(c.hour)}:${pad(c.minute)}:${pad(c.second)}.`
+        };
+    }
+
+    const schedule = DrawCalendar.getScheduleAt(now);
+    const drawDate = DrawCalendar.toDateKey(schedule.drawDate);
+
+    if (claimedDrawDate && claimedDrawDate < drawDate) {
+        const [y, m, d] = claimedDrawDate.split('-');
+        return {
+            ok: false,
+            code: 'CUTOFF_PASSED',
+            error: `Inscrições para o sorteio de ${d}/${m}/${y} já encerradas. Bilhete não registrado.`
+        };
+    }
+
+    return {
+        ok: true,
+        drawDate,
+        concurso: DrawCalendar.calculateConcurso(schedule.drawDate),
+        cutoff: schedule.cutoff.toISOString()
+    };
+}
+
+// ============================================
+// Registration Intents
+// ============================================
+
+/**
+ * How long after the cutoff a ticket confirmed in time may still arrive
+ * @param {Object} env - Worker environment (INTENT_GRACE_SECONDS)
+ * @returns {number} Milliseconds
+ */
+export function getIntentGrace(env) {
+    const seconds = parseInt(env.INTENT_GRACE_SECONDS, 10);
+    return (isNaN(seconds) || seconds < 0 ? DEFAULT_INTENT_GRACE_SECONDS : seconds) * 1000;
+}
+
+/**
+ * Intent payload for the draw registration is open for (sign with RECEIPT_SECRET)
+ * @param {Object} registration - DrawCalendar.getRegistrationWindow result, not CLOSED
+ * @param {Date} now - Worker time
+ * @returns {Object} {k, d: drawDate, c: concurso, iat: issued (ms), x: closesAt (ms)}
+ */
+export function buildIntent(registration, now) {
+    return {
+        k: INTENT_KIND,
+        d: registration.drawDate,
+        c: registration.concurso,
+        iat: now.getTime(),
+        x: registration.closesAt.getTime()
+    };
+}
+
+/**
+ * Draw a late ticket keeps through its registration intent
+ * The player must have confirmed (createdAt) after the intent was issued,
+ * before its draw closed and within INTENT_MAX_AGE of issue; the request
+ * must arrive within the grace period after that draw closed.
+ * @param {Date} now - Worker time
+ * @param {Object|null} intent - Verified intent payload (see buildIntent)
+ * @param {Object} ticket - validateTicketRequest ticket (clientCreatedAt, claimedDrawDate)
+ * @param {number} grace - See getIntentGrace
+ * @returns {Object|null} {ok: true, drawDate, concurso, cutoff, confirmedAt}, or
+ *          null when the intent does not cover this ticket
+ */
+export function honorIntent(now, intent, ticket, grace) {
+    if (!intent || intent.k !== INTENT_KIND || !ticket.clientCreatedAt) return null;
+
+    const confirmedAt = new Date(ticket.clientCreatedAt).getTime();
+    const issuedAt = Number(intent.iat);
+    const closesAt = Number(intent.x);
+
+    if (confirmedAt < issuedAt || confirmedAt - issuedAt > INTENT_MAX_AGE) return null;
+    if (confirmedAt >= closesAt || confirmedAt > now.getTime()) return null;
+    if (now.getTime() > closesAt + grace) return null;
+    if (ticket.claimedDrawDate && ticket.claimedDrawDate !== intent.d) return null;
+
+    return {
+        ok: true,
+        drawDate: intent.d,
+        concurso: intent.c,
+        cutoff: new Date(closesAt).toISOString(),
+        confirmedAt: ticket.clientCreatedAt
+    };
+}
+
+export { DrawCalendar };
@@ -0,0 +1,178 @@
+/**
+ * POP-SORTE API Worker - Storage
+ *
+ * Everything the Worker remembers lives in one KV namespace (POPSORTE_KV):
+ *
+ *   ticket:<idempotencyKey>  ticket record (see tickets.mjs)
+ *   game:<gameId>            idempotency keys of that player's tickets
+ *   code:<shortCode>         idempotency key of the receipt with that short code
+ *   user:<username>          admin account {username, role, salt, hash, iterations}
+ *   calendar                 published draw exceptions {exceptions, updatedAt, updatedBy}
+ *   overrides                manual adjudications {overrides, updatedAt} (see overrides.mjs)
+ *   payouts                  payout ledger {payouts, updatedAt} (see payouts.mjs)
+ *   prizeRules               prize rule versions {rules, updatedAt} (see prize-rules.mjs)
+ *   results:anchor           latest official result {number, date, fetchedAt}
+ *
+ * Every saved ticket is also appended to the entries sheet the admin
+ * dashboards read (SORTE ADMIN layout, see buildEntryRow). In production
+ * the row goes to the Apps Script web app at SHEET_WEBHOOK_URL; the local
+ * dev server passes its own `SHEET` binding that writes a CSV file instead.
+ *
+ * KV has no transactions: two requests with the same idempotency key that
+ * arrive within the same second can both miss the existing record. The
+ * sheet-side de-duplication (ticket key column) covers that window.
+ */
+
+// ============================================
+// KV Store
+// ============================================
+
+/**
+ * Wrap a KV namespace with the Worker's key layout
+ * @param {Object} kv - KV namespace ({get, put})
+ * @returns {Object} Store
+ */
+export function createStore(kv) {
+    if (!kv) throw new Error('POPSORTE_KV binding is missing');
+
+    const getJson = (key) => kv.get(key, { type: 'json' });
+    const putJson = (key, value) => kv.put(key, JSON.stringify(value));
+
+    return {
+        getTicket: (idempotencyKey) => getJson(`ticket:${idempotencyKey}`),
+
+        /**
+         * Save a new ticket and its indexes
+         * @param {Object} record - Ticket record
+         */
+        async putTicket(record) {
+            await putJson(`ticket:${record.idempotencyKey}`, record);
+
+            const keys = (await getJson(`game:${record.gameId}`)) || [];
+            if (!keys.includes(record.idempotencyKey)) {
+                keys.push(record.idempotencyKey);
+                await putJson(`game:${record.gameId}`, keys);
+            }
+
+            if (record.shortCode) {
+                await kv.put(`code:${record.shortCode}`, record.idempotencyKey);
+            }
+        },
+
+        /**
+         * All tickets registered with a Game ID, oldest first
+         * @param {string} gameId
+         * @returns {Promise<Object[]>}
+         */
+        async listTicketsByGameId(gameId) {
+            const keys = (await getJson(`game:${gameId}`)) || [];
+            const records = await Promise.all(keys.map(key => getJson(`ticket:${key}`)));
+            return records.filter(Boolean).sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+        },
+
+        /**
+         * Find a ticket by its receipt short code
+         * @param {string} shortCode - "XXXX-XXXX"
+         * @returns {Promise<Object|null>}
+         */
+        async findTicketByShortCode(shortCode) {
+            const key = await kv.get(`code:${shortCode}`);
+            return key ? getJson(`ticket:${key}`) : null;
+        },
+
+        getUser: (username) => getJson(`user:${String(username).toLowerCase()}`),
+        putUser: (user) => putJson(`user:${user.username.toLowerCase()}`, user),
+
+        getCalendar: () => getJson('calendar'),
+        putCalendar: (calendar) => putJson('calendar', calendar),
+
+        getOverrides: () => getJson('overrides'),
+        putOverrides: (doc) => putJson('overrides', doc),
+
+        getPayouts: () => getJson('payouts'),
+        putPayouts: (doc) => putJson('payouts', doc),
+
+        getPrizeRules: () => getJson('prizeRules'),
+        putPrizeRules: (doc) => putJson('prizeRules', doc),
+
+        getResultsAnchor: () => getJson('results:anchor'),
+        putResultsAnchor: (anchor) => putJson('results:anchor', anchor)
+    };
+}
+
+// ============================================
+// Entries Sheet
+// ============================================
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * "YYYY-MM-DD" -> "Mon, 22 Dec 2025" (the sheet's DATA SORTEIO format)
+ * @param {string} dateKey
+ * @returns {string}
+ */
+function formatSheetDate(dateKey) {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    const weekday = new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+    return `${WEEKDAYS[weekday]}, ${pad(d)} ${MONTHS[m - 1]} ${y}`;
+}
+
+/**
+ * Build an entries sheet row for a ticket
+ * Columns match homina/js/sheet-parser.js parseEntryRow; STATUS is left
+ * empty for the validators to fill in.
+ * @param {Object} record - Ticket record
+ * @param {Object} registeredAt - Brazil components of createdAt (DrawCalendar.getBrazilComponents)
+ * @returns {string[]} 14 columns
+ */
+export function buildEntryRow(record, registeredAt) {
+    const c = registeredAt;
+    const dateKey = `${c.year}-${pad(c.month)}-${pad(c.day)}`;
+    const time = `${pad(c.hour)}:${pad(c.minute)}:${pad(c.second)}`;
+
+    return [
+        `${pad(c.day)}/${pad(c.month)}/${c.year} ${time}`,  // 0  DATA/HORA REGISTRO
+        formatSheetDate(dateKey),                            // 1
+        time,                                                // 2
+        record.platform,                                     // 3  PLATFORM
+        record.gameId,                                       // 4  GAME ID
+        record.whatsappNumber.replace(/\D/g, '') || 'N/A',   // 5  WHATSAPP
+        record.numerosEscolhidos,                            // 6  NÚMEROS ESCOLHIDOS
+        formatSheetDate(record.drawDate),                    // 7  DATA SORTEIO
+        String(record.concurso),                             // 8  CONCURSO
+        record.bilheteNumber,                                // 9  BILHETE #
+        '',                                                  // 10 STATUS
+        '',                                                  // 11
+        '',                                                  // 12
+        record.idempotencyKey                                // 13 TICKET KEY
+    ];
+}
+
+/**
+ * Get the sheet writer for this environment
+ * @param {Object} env - Worker environment
+ * @returns {Object} {appendRow(row): Promise<void>}
+ */
+export function createSheet(env) {
+    if (env.SHEET) return env.SHEET;
+
+    return {
+        async appendRow(row) {
+            if (!env.SHEET_WEBHOOK_URL) {
+                console.warn('SHEET_WEBHOOK_URL not set, entry row not written');
+                return;
+            }
+
+            const response = await fetch(env.SHEET_WEBHOOK_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sheet: 'entries', row })
+            });
+            if (!response.ok) {
+                throw new Error(`Sheet append failed: HTTP ${response.status}`);
+            }
+        }
+    };
+}
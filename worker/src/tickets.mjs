@@ -0,0 +1,299 @@
+/**
+ * POP-SORTE API Worker - Ticket Endpoints
+ *
+ * POST /api/tickets/create
+ *   body:   {platform, gameId, whatsappNumber, numerosEscolhidos, drawDate,
+ *            concurso, idempotencyKey, createdAt, intent} (+ Idempotency-Key header)
+ *   200:    {success, bilheteNumber, receipt, drawDate, concurso, duplicate}
+ *   409:    CUTOFF_PASSED, REGISTRATION_CLOSED, IDEMPOTENCY_CONFLICT
+ *   422:    INVALID_* (see rules.mjs)
+ *
+ *   drawDate and concurso in the body are NOT used; the Worker assigns the
+ *   draw from its own clock, and createdAt is only kept as clientCreatedAt.
+ *   The exception is a request carrying the registration intent from
+ *   GET /api/registration-window: confirmed before the cutoff and arriving
+ *   within INTENT_GRACE_SECONDS after it, it keeps the intent's draw and is
+ *   registered at its createdAt (rules.mjs honorIntent). Anything later gets
+ *   CUTOFF_PASSED or REGISTRATION_CLOSED. A repeat with the same idempotency
+ *   key returns the ticket already saved, even after the cutoff.
+ *
+ * GET /api/tickets/lookup?gameId=&whatsappLast4=&platform=
+ *   200:    {success, tickets: [{bilheteNumber, createdAt, platform, gameId,
+ *            numerosEscolhidos, drawDate, concurso, status, reasonCode, rechargeTime}]}
+ *
+ *   status is VALID, INVALID or UNKNOWN with homina's reason code and the
+ *   bound recharge (validation.mjs), worked out at lookup time against the
+ *   recharge sheet; PENDING while the platform's sheet is not configured or
+ *   cannot be read.
+ *
+ * POST /api/receipts/verify
+ *   body:   {token} or {code: "XXXX-XXXX"}
+ *   200:    {success, valid, receipt}
+ *
+ * Ticket record (KV ticket:<idempotencyKey>):
+ *   {idempotencyKey, platform, gameId, whatsappNumber, numerosEscolhidos,
+ *    drawDate, concurso, bilheteNumber, createdAt, clientCreatedAt, receivedAt,
+ *    lateByIntent, receipt, shortCode, status, reasonCode, rechargeTime, sheetWritten}
+ *   receivedAt is the Worker time of the request; lateByIntent is true when
+ *   the ticket was accepted after its cutoff through its intent.
+ */
+
+import { json, fail, readJson } from './http.mjs';
+import { signToken, verifyToken, getShortCode } from './crypto.mjs';
+import { createSheet, buildEntryRow } from './store.mjs';
+import {
+    validateTicketRequest, assignDraw, prepareCalendar, getFreeze,
+    honorIntent, getIntentGrace, DrawCalendar
+} from './rules.mjs';
+import { getRecharges, toOverrides, validateRecords } from './validation.mjs';
+
+const RECEIPT_VERSION = 1;
+
+// ============================================
+// Helpers
+// ============================================
+
+/**
+ * Ordinal bilhete label used in the sheet ("1º bilhete", "2º bilhete", ...)
+ * @param {number} n
+ * @returns {string}
+ */
+function formatBilheteNumber(n) {
+    return `${n}º bilhete`;
+}
+
+/**
+ * Write the sheet row once; a failure is retried on the next repeat request
+ * @param {Object} store
+ * @param {Object} env
+ * @param {Object} record - Ticket record (updated in place)
+ */
+async function writeSheetRow(store, env, record) {
+    if (record.sheetWritten) return;
+
+    try {
+        const registeredAt = DrawCalendar.getBrazilComponents(new Date(record.createdAt));
+        await createSheet(env).appendRow(buildEntryRow(record, registeredAt));
+        record.sheetWritten = true;
+        await store.putTicket(record);
+    } catch (error) {
+        console.error('Could not write entry row:', error.message);
+    }
+}
+
+/**
+ * Success response for a saved ticket
+ * @param {Object} record
+ * @param {boolean} duplicate - True for a repeat of an earlier request
+ * @returns {Response}
+ */
+function ticketResponse(record, duplicate) {
+    return json({
+        success: true,
+        bilheteNumber: record.bilheteNumber,
+        receipt: record.receipt,
+        drawDate: record.drawDate,
+        concurso: record.concurso,
+        duplicate
+    });
+}
+
+// ============================================
+// Handlers
+// ============================================
+
+/**
+ * POST /api/tickets/create
+ * @param {Request} request
+ * @param {Object} env
+ * @param {Object} store
+ * @returns {Promise<Response>}
+ */
+export async function createTicket(request, env, store) {
+    const body = await readJson(request);
+    const validation = validateTicketRequest(body, request.headers.get('Idempotency-Key'));
+    if (!validation.ok) {
+        return fail(422, validation.code, validation.error);
+    }
+    const ticket = validation.ticket;
+
+    // Repeat of a ticket we already saved (timeout, offline queue)
+    const existing = await store.getTicket(ticket.idempotencyKey);
+    if (existing) {
+        if (existing.gameId !== ticket.gameId || existing.numerosEscolhidos !== ticket.numerosEscolhidos) {
+            return fail(409, 'IDEMPOTENCY_CONFLICT', 'Chave do bilhete já usada para outro bilhete');
+        }
+        await writeSheetRow(store, env, existing);
+        return ticketResponse(existing, true);
+    }
+
+    const now = new Date();
+    await prepareCalendar(store, env, now);
+
+    // A ticket confirmed in time keeps its draw through its intent, even late
+    const intent = ticket.intent ? await verifyToken(env.RECEIPT_SECRET, ticket.intent) : null;
+    const intentDraw = honorIntent(now, intent, ticket, getIntentGrace(env));
+    let draw = assignDraw(now, ticket.claimedDrawDate, getFreeze(env));
+    const lateByIntent = Boolean(intentDraw) && (!draw.ok || draw.drawDate !== intentDraw.drawDate);
+    if (lateByIntent) draw = intentDraw;
+    if (!draw.ok) {
+        return fail(409, draw.code, draw.error);
+    }
+
+    const previous = await store.listTicketsByGameId(ticket.gameId);
+    const sameDraw = previous.filter(t => String(t.concurso) === String(draw.concurso));
+
+    const record = {
+        idempotencyKey: ticket.idempotencyKey,
+        platform: ticket.platform,
+        gameId: ticket.gameId,
+        whatsappNumber: ticket.whatsappNumber,
+        numerosEscolhidos: ticket.numerosEscolhidos,
+        drawDate: draw.drawDate,
+        concurso: draw.concurso,
+        bilheteNumber: formatBilheteNumber(sameDraw.length + 1),
+        createdAt: lateByIntent ? draw.confirmedAt : now.toISOString(),
+        clientCreatedAt: ticket.clientCreatedAt,
+        receivedAt: now.toISOString(),
+        lateByIntent,
+        receipt: null,
+        shortCode: null,
+        status: 'PENDING',
+        reasonCode: '',
+        rechargeTime: null,
+        sheetWritten: false
+    };
+
+    record.receipt = await signToken(env.RECEIPT_SECRET, {
+        v: RECEIPT_VERSION,
+        id: record.idempotencyKey,
+        b: record.bilheteNumber,
+        g: record.gameId,
+        p: record.platform,
+        w: record.whatsappNumber,
+        n: ticket.numbers.map(n => String(n).padStart(2, '0')).join(','),
+        c: record.concurso,
+        d: record.drawDate,
+        ts: record.createdAt
+    });
+    record.shortCode = getShortCode(record.receipt);
+
+    await store.putTicket(record);
+    await writeSheetRow(store, env, record);
+
+    return ticketResponse(record, false);
+}
+
+/**
+ * Status of a player's tickets, worked out now from the recharge sheets
+ * Every stored ticket of the Game ID goes through the engine (not just the
+ * ones asked for): binding is one recharge per ticket, oldest first.
+ * Platforms without a configured or readable sheet keep the stored status.
+ * @param {Object[]} records - Ticket records of one Game ID, oldest first
+ * @param {Object} env
+ * @param {Object} store
+ * @param {Date} now
+ * @returns {Promise<Map>} record -> {status, reasonCode, rechargeTime}
+ */
+async function validatePlayerRecords(records, env, store, now) {
+    const outcomes = new Map();
+    if (records.length === 0) return outcomes;
+
+    await prepareCalendar(store, env, now);
+    const overrides = toOverrides(await store.getOverrides());
+
+    const platforms = [...new Set(records.map(r => r.platform))];
+    for (const platform of platforms) {
+        let recharges = null;
+        try {
+            recharges = await getRecharges(env, platform, now);
+        } catch (error) {
+            console.warn(`Recharges ${platform} unavailable:`, error.message);
+        }
+        if (!recharges) continue;
+
+        const own = records.filter(r => r.platform === platform);
+        validateRecords(own, recharges, overrides).forEach((outcome, record) => outcomes.set(record, outcome));
+    }
+    return outcomes;
+}
+
+/**
+ * GET /api/tickets/lookup
+ * @param {URL} url
+ * @param {Object} env
+ * @param {Object} store
+ * @returns {Promise<Response>}
+ */
+export async function lookupTickets(url, env, store) {
+    const gameId = (url.searchParams.get('gameId') || '').trim();
+    const last4 = (url.searchParams.get('whatsappLast4') || '').trim();
+    const platform = (url.searchParams.get('platform') || '').trim().toUpperCase();
+
+    if (!/^[0-9]{10}$/.test(gameId) || !/^[0-9]{4}$/.test(last4)) {
+        return fail(422, 'INVALID_LOOKUP', 'Informe o ID de Jogo (10 dígitos) e os 4 últimos dígitos do WhatsApp');
+    }
+
+    const records = await store.listTicketsByGameId(gameId);
+    const matching = records
+        .filter(r => r.whatsappNumber.replace(/\D/g, '').endsWith(last4))
+        .filter(r => !platform || r.platform === platform);
+
+    const outcomes = matching.length > 0
+        ? await validatePlayerRecords(records, env, store, new Date())
+        : new Map();
+
+    const tickets = matching
+        .reverse()
+        .map(r => {
+            const outcome = outcomes.get(r) || { status: r.status, reasonCode: r.reasonCode, rechargeTime: r.rechargeTime };
+            return {
+                bilheteNumber: r.bilheteNumber,
+                createdAt: r.createdAt,
+                platform: r.platform,
+                gameId: r.gameId,
+                numerosEscolhidos: r.numerosEscolhidos,
+                drawDate: r.drawDate,
+                concurso: r.concurso,
+                status: outcome.status,
+                reasonCode: outcome.reasonCode,
+                rechargeTime: outcome.rechargeTime
+            };
+        });
+
+    return json({ success: true, tickets });
+}
+
+/**
+ * POST /api/receipts/verify
+ * A receipt is valid when its signature checks out AND the ticket is stored.
+ * @param {Request} request
+ * @param {Object} env
+ * @param {Object} store
+ * @returns {Promise<Response>}
+ */
+export async function verifyReceipt(request, env, store) {
+    const body = await readJson(request);
+    if (!body || (!body.token && !body.code)) {
+        return fail(422, 'INVALID_BODY', 'Send {token} or {code}');
+    }
+
+    let record = null;
+    if (body.token) {
+        const payload = await verifyToken(env.RECEIPT_SECRET, body.token);
+        // Registration intents share the secret but carry no ticket id
+        record = payload && payload.id ? await store.getTicket(payload.id) : null;
+    } else {
+        const hex = String(body.code).replace(/[^0-9a-f]/gi, '').toUpperCase();
+        if (hex.length === 8) {
+            record = await store.findTicketByShortCode(`${hex.slice(0, 4)}-${hex.slice(4)}`);
+        }
+    }
+
+    if (!record) {
+        return json({ success: true, valid: false, receipt: null });
+    }
+
+    const receipt = await verifyToken(env.RECEIPT_SECRET, record.receipt);
+    return json({ success: true, valid: true, receipt });
+}
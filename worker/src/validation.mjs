@@ -0,0 +1,164 @@
+/**
+ * POP-SORTE API Worker - Ticket Validation
+ *
+ * Runs homina's own ValidationEngine (homina/js/validation-engine.js) over
+ * the tickets stored here and the published recharge sheets, so the Worker
+ * answers with the same status, reason code and matched recharge the admin
+ * dashboard shows:
+ * - Recharge sheets are read with homina's SheetParser.parseRecharges (same
+ *   columns, minimum amount and raw platform exports) and kept per isolate
+ *   for RECHARGE_CACHE_TTL
+ * - Stored ticket records become engine entries (toEntry), registered at
+ *   the Worker's createdAt, keyed by their idempotency key
+ * - Manual overrides (KV overrides) are applied like homina applies them
+ *
+ * Call prepareCalendar first: eligibility windows depend on the published
+ * calendar.
+ *
+ * Dependencies: ../../homina/js/sheet-parser.js (SheetParser),
+ *               ../../homina/js/validation-engine.js (ValidationEngine)
+ */
+
+import { DrawCalendar } from './rules.mjs';
+import '../../homina/js/sheet-parser.js';
+import '../../homina/js/validation-engine.js';
+
+const { SheetParser, ValidationEngine } = globalThis;
+
+// ============================================
+// Constants
+// ============================================
+
+/**
+ * How long a fetched recharge sheet is reused (2 minutes)
+ */
+const RECHARGE_CACHE_TTL = 2 * 60 * 1000;
+
+/**
+ * Recharge sheet fetch timeout (5 seconds)
+ */
+const RECHARGE_TIMEOUT = 5 * 1000;
+
+/**
+ * Recharge sheets already fetched by this isolate, by platform
+ */
+const rechargeCache = new Map();
+
+// ============================================
+// Recharge Sheets
+// ============================================
+
+/**
+ * Read every recharge from one platform's sheet
+ * @param {string} url - Published CSV URL
+ * @param {string} platform
+ * @returns {Promise<Object[]>} SheetParser recharges, tagged with the platform
+ */
+async function fetchRecharges(url, platform) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), RECHARGE_TIMEOUT);
+
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return SheetParser.parseRecharges(await response.text(), platform);
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Recharges for a platform, from the isolate cache when fresh
+ * @param {Object} env - Worker environment (RECHARGE_CSV_URL_<PLATFORM>)
+ * @param {string} platform
+ * @param {Date} now
+ * @returns {Promise<Object[]|null>} null when the platform has no sheet configured
+ * @throws {Error} When the sheet cannot be read
+ */
+export async function getRecharges(env, platform, now) {
+    const url = env[`RECHARGE_CSV_URL_${platform}`];
+    if (!url) return null;
+
+    const cached = rechargeCache.get(platform);
+    if (cached && now.getTime() - cached.fetchedAt < RECHARGE_CACHE_TTL) {
+        return cached.recharges;
+    }
+
+    const recharges = await fetchRecharges(url, platform);
+    rechargeCache.set(platform, { fetchedAt: now.getTime(), recharges });
+    return recharges;
+}
+
+// ============================================
+// Engine
+// ============================================
+
+/**
+ * Engine entry for a stored ticket record
+ * @param {Object} record - Ticket record (see tickets.mjs)
+ * @returns {Object} Entry in SheetParser.parseEntryRow shape
+ */
+export function toEntry(record) {
+    return {
+        timestamp: record.createdAt,
+        parsedDate: new Date(record.createdAt),
+        platform: record.platform,
+        gameId: record.gameId,
+        whatsapp: record.whatsappNumber,
+        numbers: String(record.numerosEscolhidos || '').split(/[,;\s]+/).map(Number).filter(n => !isNaN(n)),
+        drawDate: record.drawDate,
+        contest: String(record.concurso || ''),
+        ticketNumber: record.bilheteNumber || '',
+        status: '',
+        ticketKey: record.idempotencyKey || ''
+    };
+}
+
+/**
+ * Active manual overrides in the engine's shape
+ * @param {Object|null} doc - KV overrides document
+ * @returns {Map} ticketId -> override
+ */
+export function toOverrides(doc) {
+    const overrides = new Map();
+    Object.values((doc && doc.overrides) || {}).forEach(override => {
+        if (override.status) overrides.set(override.ticketId, override);
+    });
+    return overrides;
+}
+
+/**
+ * Validate one player's stored tickets on one platform
+ * Pass all of them: a ticket alone cannot know whether an earlier one
+ * already used its recharge.
+ * @param {Object[]} records - Ticket records, same Game ID and platform
+ * @param {Object[]} recharges - That platform's recharges
+ * @param {Map} [overrides] - See toOverrides
+ * @returns {Map} record -> {status, reasonCode, rechargeTime (ISO or null),
+ *          recharge: {rechargeTime, expiresAt, eligible1, eligible2} | null}
+ */
+export function validateRecords(records, recharges, overrides) {
+    const entries = records.map(toEntry);
+    const validation = ValidationEngine.validate(entries, recharges, { overrides });
+
+    const outcomes = new Map();
+    records.forEach((record, index) => {
+        const result = validation.byEntry.get(entries[index]);
+        const matched = result.matchedRecharge;
+        const recharge = matched ? {
+            rechargeTime: matched.rechargeTime.toISOString(),
+            expiresAt: matched.expiresAt.toISOString(),
+            eligible1: DrawCalendar.toDateKey(matched.eligible1),
+            eligible2: DrawCalendar.toDateKey(matched.eligible2)
+        } : null;
+        outcomes.set(record, {
+            status: result.status,
+            reasonCode: result.reasonCode,
+            rechargeTime: recharge ? recharge.rechargeTime : null,
+            recharge
+        });
+    });
+    return outcomes;
+}
+
+export { ValidationEngine, DrawCalendar };
@@ -0,0 +1,159 @@
+/**
+ * POP-SORTE API Worker - Registration Intent Check
+ *
+ *   node worker/tools/check-intent.mjs
+ *
+ * Runs the Worker's fetch handler on a fixed clock around one draw cutoff.
+ * The player's form reads GET /api/registration-window 2 minutes before the
+ * cutoff and confirms 90 seconds before it, offline. The queued request
+ * then reaches POST /api/tickets/create:
+ * - 5 minutes after the cutoff, with the intent          kept in its draw
+ * - same, without the intent                             CUTOFF_PASSED / REGISTRATION_CLOSED
+ * - same, with a tampered intent                         refused
+ * - after INTENT_GRACE_SECONDS, with the intent          refused
+ * - with a confirm time after the cutoff                 refused
+ * The intent is not accepted as a receipt by POST /api/receipts/verify.
+ *
+ * Needs Node 20 and nothing else. Exits 1 on the first mismatch.
+ */
+
+import assert from 'node:assert/strict';
+import worker from '../src/index.mjs';
+import { DrawCalendar, getFreeze } from '../src/rules.mjs';
+
+const GAME_ID = '3040920064';
+const GRACE_SECONDS = 900;
+
+// ============================================
+// Fixtures
+// ============================================
+
+/**
+ * In-memory KV namespace
+ * @returns {Object} {get(key, {type}), put(key, value)}
+ */
+function createMemoryKv() {
+    const data = new Map();
+    return {
+        async get(key, options = {}) {
+            if (!data.has(key)) return null;
+            return options.type === 'json' ? JSON.parse(data.get(key)) : data.get(key);
+        },
+        async put(key, value) {
+            data.set(key, String(value));
+        }
+    };
+}
+
+/**
+ * Worker clock: `new Date()` and Date.now() read `clock` (ms)
+ */
+let clock = 0;
+const RealDate = Date;
+globalThis.Date = class extends RealDate {
+    constructor(...args) {
+        super(...(args.length > 0 ? args : [clock]));
+    }
+
+    static now() {
+        return clock;
+    }
+};
+
+/**
+ * Call the Worker at a given time
+ * @param {number} at - Clock (ms)
+ * @param {string} path
+ * @param {Object} [body] - POSTed as JSON when given
+ * @returns {Promise<Object>} {status, body}
+ */
+async function call(at, path, body) {
+    clock = at;
+    const request = new Request(`https://api.test${path}`, body ? {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    } : {});
+    const response = await worker.fetch(request, env);
+    return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Ticket request as the form builds it
+ * @param {string} key - Idempotency key
+ * @param {number} confirmedAt - createdAt (ms)
+ * @param {string|null} intent
+ * @returns {Object}
+ */
+function ticketBody(key, confirmedAt, intent) {
+    return {
+        platform: 'POPN1',
+        gameId: GAME_ID,
+        whatsappNumber: '+5511987654321',
+        numerosEscolhidos: '01, 12, 23, 34, 45',
+        drawDate: registration.drawDate,
+        concurso: registration.concurso,
+        idempotencyKey: key,
+        createdAt: new Date(confirmedAt).toISOString(),
+        intent
+    };
+}
+
+// ============================================
+// Check
+// ============================================
+
+const env = {
+    POPSORTE_KV: createMemoryKv(),
+    SHEET: { async appendRow() {} },
+    RECEIPT_SECRET: 'check-receipt-secret',
+    INTENT_GRACE_SECONDS: String(GRACE_SECONDS)
+};
+
+const registration = DrawCalendar.getRegistrationWindow(new Date('2026-01-05T15:00:00Z'), getFreeze(env));
+const cutoff = registration.closesAt.getTime();
+const minute = 60 * 1000;
+
+const window = await call(cutoff - 2 * minute, '/api/registration-window');
+assert.equal(window.status, 200, JSON.stringify(window.body));
+assert.equal(window.body.drawDate, registration.drawDate);
+assert.ok(window.body.intent, 'registration window without an intent');
+const intent = window.body.intent;
+const confirmedAt = cutoff - 90 * 1000;
+
+const kept = await call(cutoff + 5 * minute, '/api/tickets/create', ticketBody('late-with-intent', confirmedAt, intent));
+assert.equal(kept.status, 200, JSON.stringify(kept.body));
+assert.equal(kept.body.drawDate, registration.drawDate);
+assert.equal(String(kept.body.concurso), String(registration.concurso));
+
+const record = await env.POPSORTE_KV.get('ticket:late-with-intent', { type: 'json' });
+assert.equal(record.createdAt, new Date(confirmedAt).toISOString());
+assert.equal(record.lateByIntent, true);
+
+const refusedCodes = ['CUTOFF_PASSED', 'REGISTRATION_CLOSED'];
+const expectRefused = (result, label) => {
+    assert.equal(result.status, 409, `${label}: ${JSON.stringify(result.body)}`);
+    assert.ok(refusedCodes.includes(result.body.code), `${label}: ${result.body.code}`);
+};
+
+expectRefused(
+    await call(cutoff + 5 * minute, '/api/tickets/create', ticketBody('late-no-intent', confirmedAt, null)),
+    'without intent'
+);
+expectRefused(
+    await call(cutoff + 5 * minute, '/api/tickets/create', ticketBody('late-tampered', confirmedAt, `${intent.slice(0, -2)}xx`)),
+    'tampered intent'
+);
+expectRefused(
+    await call(cutoff + GRACE_SECONDS * 1000 + minute, '/api/tickets/create', ticketBody('past-grace', confirmedAt, intent)),
+    'after the grace period'
+);
+expectRefused(
+    await call(cutoff + 5 * minute, '/api/tickets/create', ticketBody('confirmed-late', cutoff + minute, intent)),
+    'confirmed after the cutoff'
+);
+
+const asReceipt = await call(cutoff + 5 * minute, '/api/receipts/verify', { token: intent });
+assert.equal(asReceipt.body.valid, false, 'intent accepted as a receipt');
+
+console.log(`OK: queued ticket kept in the ${registration.drawDate} draw, 4 late requests refused`);
@@ -0,0 +1,138 @@
+/**
+ * POP-SORTE API Worker - Ticket Lookup Check
+ *
+ *   node worker/tools/check-lookup.mjs
+ *
+ * Stores a few tickets for one player in an in-memory KV, serves a recharge
+ * export in place of the POPN1 sheet and calls GET /api/tickets/lookup
+ * through the Worker's fetch handler. Each ticket must come back with the
+ * status and reason code homina's ValidationEngine gives it:
+ * - registered before the recharge          INVALID_TICKET_BEFORE_RECHARGE
+ * - first ticket after the recharge         VALID, bound to that recharge
+ * - second ticket on the same recharge      INVALID_NOT_FIRST_TICKET_AFTER_RECHARGE
+ * - same, with a manual VALID override      VALID, MANUAL_OVERRIDE
+ * - platform without a recharge sheet       PENDING (stored status)
+ *
+ * Needs Node 20 and nothing else. Exits 1 on the first mismatch.
+ */
+
+import assert from 'node:assert/strict';
+import worker from '../src/index.mjs';
+
+const GAME_ID = '3040920064';
+const WHATSAPP = '5511987654321';
+const RECHARGE_CSV_URL = 'https://sheets.test/recharge-popn1.csv';
+
+// Original export layout, Record Time in Brazil time (10:00 = 13:00Z)
+const RECHARGE_CSV = [
+    'Member ID,Order Number,Region,Currency Type,Merchant,Record Time,Account Change Type,Account Change Category II,Change Amount,Balance After Change,Vault After Change,Frozen Amount After Change,Commission After Change,Operator,Remarks',
+    `${GAME_ID},THRP000000000000000001,巴西,BRL,800,01/02/2026 10:00:00,充值,三方,20,20.00,0,0,0,,三方回调上分`
+].join('\n');
+
+// ============================================
+// Fixtures
+// ============================================
+
+/**
+ * In-memory KV namespace
+ * @returns {Object} {get(key, {type}), put(key, value)}
+ */
+function createMemoryKv() {
+    const data = new Map();
+    return {
+        async get(key, options = {}) {
+            if (!data.has(key)) return null;
+            return options.type === 'json' ? JSON.parse(data.get(key)) : data.get(key);
+        },
+        async put(key, value) {
+            data.set(key, String(value));
+        }
+    };
+}
+
+/**
+ * Stored ticket record as tickets.mjs writes it
+ * @param {string} key - Idempotency key
+ * @param {string} platform
+ * @param {string} createdAt - ISO registration time
+ * @param {number} n - Bilhete ordinal
+ * @returns {Object}
+ */
+function ticketRecord(key, platform, createdAt, n) {
+    return {
+        idempotencyKey: key,
+        platform,
+        gameId: GAME_ID,
+        whatsappNumber: WHATSAPP,
+        numerosEscolhidos: '01, 12, 23, 34, 45',
+        drawDate: '2026-01-02',
+        concurso: '6001',
+        bilheteNumber: `${n}º bilhete`,
+        createdAt,
+        clientCreatedAt: createdAt,
+        receipt: '',
+        shortCode: '',
+        status: 'PENDING',
+        reasonCode: '',
+        rechargeTime: null,
+        sheetWritten: true
+    };
+}
+
+// ============================================
+// Check
+// ============================================
+
+const kv = createMemoryKv();
+const tickets = [
+    ticketRecord('before', 'POPN1', '2026-01-02T12:30:00.000Z', 1),
+    ticketRecord('first', 'POPN1', '2026-01-02T14:00:00.000Z', 2),
+    ticketRecord('second', 'POPN1', '2026-01-02T15:00:00.000Z', 3),
+    ticketRecord('third', 'POPN1', '2026-01-02T16:00:00.000Z', 4),
+    ticketRecord('luz', 'POPLUZ', '2026-01-02T14:00:00.000Z', 1)
+];
+for (const record of tickets) {
+    await kv.put(`ticket:${record.idempotencyKey}`, JSON.stringify(record));
+}
+await kv.put(`game:${GAME_ID}`, JSON.stringify(tickets.map(t => t.idempotencyKey)));
+await kv.put('overrides', JSON.stringify({
+    overrides: {
+        'key:third': { ticketId: 'key:third', gameId: GAME_ID, platform: 'POPN1', status: 'VALID', reason: 'Recarga confirmada pelo suporte' }
+    },
+    updatedAt: '2026-01-03T12:00:00.000Z'
+}));
+
+const realFetch = globalThis.fetch;
+globalThis.fetch = async (url, options) => {
+    if (String(url) === RECHARGE_CSV_URL) return new Response(RECHARGE_CSV);
+    return realFetch(url, options);
+};
+
+const env = {
+    POPSORTE_KV: kv,
+    RECHARGE_CSV_URL_POPN1: RECHARGE_CSV_URL
+};
+const request = new Request(`https://api.test/api/tickets/lookup?gameId=${GAME_ID}&whatsappLast4=${WHATSAPP.slice(-4)}`);
+const response = await worker.fetch(request, env);
+const body = await response.json();
+
+assert.equal(response.status, 200, JSON.stringify(body));
+
+const byTicket = new Map(body.tickets.map(t => [`${t.platform} ${t.bilheteNumber}`, t]));
+const expect = (label, status, reasonCode, rechargeTime) => {
+    const ticket = byTicket.get(label);
+    assert.ok(ticket, `${label} missing from the lookup`);
+    assert.deepEqual(
+        { status: ticket.status, reasonCode: ticket.reasonCode, rechargeTime: ticket.rechargeTime },
+        { status, reasonCode, rechargeTime },
+        label
+    );
+};
+
+expect('POPN1 1º bilhete', 'INVALID', 'INVALID_TICKET_BEFORE_RECHARGE', null);
+expect('POPN1 2º bilhete', 'VALID', '', '2026-01-02T13:00:00.000Z');
+expect('POPN1 3º bilhete', 'INVALID', 'INVALID_NOT_FIRST_TICKET_AFTER_RECHARGE', null);
+expect('POPN1 4º bilhete', 'VALID', 'MANUAL_OVERRIDE', null);
+expect('POPLUZ 1º bilhete', 'PENDING', '', null);
+
+console.log(`OK: ${body.tickets.length} tickets looked up with the engine's status`);